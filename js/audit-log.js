@@ -0,0 +1,237 @@
+// Organization Audit Log Module
+// Records and reads the append-only organization_audit_log table.
+// Server-side events are written by supabase/functions/_shared/audit.ts -
+// keep the action names in sync.
+
+export const AUDIT_ACTIONS = {
+  MEMBER_INVITED: 'member.invited',
+  MEMBER_ADDED: 'member.added',
+  MEMBER_REMOVED: 'member.removed',
+  MEMBER_ROLE_CHANGED: 'member.role_changed',
+  MEMBER_LEFT: 'member.left',
+  SEAT_ASSIGNED: 'seat.assigned',
+  SEAT_UNASSIGNED: 'seat.unassigned',
+  SEAT_REQUESTED: 'seat.requested',
+  SEAT_REQUEST_APPROVED: 'seat.request_approved',
+  SEAT_REQUEST_DECLINED: 'seat.request_declined',
+  INVITATION_RESENT: 'invitation.resent',
+  INVITATION_REVOKED: 'invitation.revoked',
+  INVITATION_QUEUED: 'invitation.queued',
+  INVITATION_ACCEPTED: 'invitation.accepted',
+  ORGANIZATION_RENAMED: 'organization.renamed',
+  DEVICE_LIMIT_CHANGED: 'organization.device_limit_changed',
+  OWNERSHIP_TRANSFERRED: 'organization.ownership_transferred',
+  LICENSE_PURCHASED: 'license.purchased',
+  LICENSE_QUANTITY_CHANGED: 'license.quantity_changed',
+  SUBSCRIPTION_UPDATED: 'license.subscription_updated',
+  LICENSE_CHANGE_SCHEDULED: 'license.change_scheduled',
+  LICENSE_CANCELLATION_SCHEDULED: 'license.cancellation_scheduled',
+  LICENSE_SCHEDULED_CHANGE_APPLIED: 'license.scheduled_change_applied',
+  LICENSE_CANCELED: 'license.canceled',
+  LICENSE_PAYMENT_PAST_DUE: 'license.payment_past_due',
+  LICENSE_PAUSED: 'license.paused',
+  LICENSE_PAYMENT_RESTORED: 'license.payment_restored',
+  LICENSE_TYPE_CHANGED: 'license.type_changed',
+  OFFLINE_LICENSE_ISSUED: 'license.offline_issued',
+  DEVICE_DEACTIVATED: 'device.deactivated',
+  TRIAL_EXTENSION_REQUESTED: 'trial.extension_requested',
+  TRIAL_EXTENDED: 'trial.extended',
+  TRIAL_CONVERTED: 'trial.converted',
+  EXPIRY_POLICY_CHANGED: 'organization.expiry_policy_changed',
+  EXPIRY_REMINDERS_CHANGED: 'organization.expiry_reminders_changed',
+  BILLING_DETAILS_UPDATED: 'organization.billing_details_updated',
+  PAYMENT_METHOD_UPDATED: 'license.payment_method_updated'
+};
+
+export const AUDIT_ACTION_LABELS = {
+  'member.invited': 'Member invited',
+  'member.added': 'Member added',
+  'member.removed': 'Member removed',
+  'member.role_changed': 'Role changed',
+  'member.left': 'Member left',
+  'seat.assigned': 'Seat assigned',
+  'seat.unassigned': 'Seat unassigned',
+  'seat.requested': 'Seat requested',
+  'seat.request_approved': 'Seat request approved',
+  'seat.request_declined': 'Seat request declined',
+  'invitation.resent': 'Invitation resent',
+  'invitation.revoked': 'Invitation revoked',
+  'invitation.queued': 'Invitation awaiting seat',
+  'invitation.accepted': 'Invitation accepted',
+  'organization.renamed': 'Organization renamed',
+  'organization.ownership_transferred': 'Ownership transferred',
+  'organization.device_limit_changed': 'Device limit changed',
+  'license.purchased': 'Licenses purchased',
+  'license.quantity_changed': 'License quantity changed',
+  'license.subscription_updated': 'Subscription updated by Paddle',
+  'license.change_scheduled': 'License reduction scheduled',
+  'license.cancellation_scheduled': 'Cancellation scheduled',
+  'license.scheduled_change_applied': 'Scheduled change applied',
+  'license.canceled': 'Subscription canceled',
+  'license.payment_past_due': 'Payment past due',
+  'license.paused': 'Subscription paused',
+  'license.payment_restored': 'Payment restored',
+  'license.type_changed': 'License type changed',
+  'license.offline_issued': 'Offline license issued',
+  'device.deactivated': 'Device deactivated',
+  'trial.extension_requested': 'Trial extension requested',
+  'trial.extended': 'Trial extended',
+  'trial.converted': 'Trial converted to paid',
+  'organization.expiry_policy_changed': 'Expiry policy changed',
+  'organization.expiry_reminders_changed': 'Expiry reminders changed',
+  'organization.billing_details_updated': 'Billing details updated',
+  'license.payment_method_updated': 'Payment method updated'
+};
+
+// Upper bound for a single fetch; the Activity tab narrows with filters
+const MAX_EVENTS = 1000;
+
+/**
+ * Get a human readable label for an audit action
+ * @param {string} action
+ * @returns {string}
+ */
+export function getAuditActionLabel(action) {
+  return AUDIT_ACTION_LABELS[action] || action;
+}
+
+export class AuditLog {
+  /**
+   * @param {Object} supabase - Supabase client
+   * @param {string} organizationId - Organization the events belong to
+   */
+  constructor(supabase, organizationId) {
+    this.supabase = supabase;
+    this.organizationId = organizationId;
+  }
+
+  /**
+   * Append an event performed by the signed-in user.
+   * Never throws - a failed audit write must not undo or fail the action
+   * that already succeeded.
+   * @param {string} action - One of AUDIT_ACTIONS
+   * @param {Object} [event]
+   * @param {string} [event.targetUserId] - User the action was applied to
+   * @param {string} [event.targetEmail] - Email of that user (kept after they leave)
+   * @param {Object} [event.details] - Action specific values (old/new role, quantities...)
+   */
+  async record(action, { targetUserId = null, targetEmail = null, details = {} } = {}) {
+    try {
+      const { data: { user } } = await this.supabase.auth.getUser();
+
+      const { error } = await this.supabase
+        .from('organization_audit_log')
+        .insert({
+          organization_id: this.organizationId,
+          action: action,
+          actor_id: user?.id || null,
+          actor_email: user?.email || null,
+          target_user_id: targetUserId,
+          target_email: targetEmail,
+          details: details
+        });
+
+      if (error) {
+        console.error(`Error recording audit event "${action}":`, error);
+      }
+    } catch (error) {
+      console.error(`Error recording audit event "${action}":`, error);
+    }
+  }
+
+  /**
+   * Fetch events, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.actorId] - Only events by this user; 'system' for events without an actor
+   * @param {string} [filters.action] - Only this action (one of AUDIT_ACTIONS)
+   * @param {string} [filters.from] - Start date (YYYY-MM-DD), inclusive
+   * @param {string} [filters.to] - End date (YYYY-MM-DD), inclusive
+   * @returns {Promise<Array>} Audit events
+   */
+  async fetchEvents({ actorId, action, from, to } = {}) {
+    let query = this.supabase
+      .from('organization_audit_log')
+      .select('id, action, actor_id, actor_email, target_user_id, target_email, details, created_at')
+      .eq('organization_id', this.organizationId);
+
+    if (actorId === 'system') {
+      query = query.is('actor_id', null);
+    } else if (actorId) {
+      query = query.eq('actor_id', actorId);
+    }
+
+    if (action) {
+      query = query.eq('action', action);
+    }
+
+    if (from) {
+      query = query.gte('created_at', new Date(`${from}T00:00:00`).toISOString());
+    }
+
+    if (to) {
+      // Include the whole "to" day
+      const end = new Date(`${to}T00:00:00`);
+      end.setDate(end.getDate() + 1);
+      query = query.lt('created_at', end.toISOString());
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(MAX_EVENTS);
+
+    if (error) {
+      console.error('Error fetching audit log:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get everyone who has performed an audited action, for the actor filter
+   * @returns {Promise<Array>} Actors as { id, email }, sorted by email
+   */
+  async getActors() {
+    const { data, error } = await this.supabase
+      .from('organization_audit_log')
+      .select('actor_id, actor_email')
+      .eq('organization_id', this.organizationId)
+      .not('actor_id', 'is', null)
+      .limit(MAX_EVENTS);
+
+    if (error) {
+      console.error('Error fetching audit log actors:', error);
+      throw error;
+    }
+
+    const actors = new Map();
+    (data || []).forEach(row => {
+      if (!actors.has(row.actor_id)) {
+        actors.set(row.actor_id, { id: row.actor_id, email: row.actor_email || row.actor_id });
+      }
+    });
+
+    return Array.from(actors.values()).sort((a, b) => a.email.localeCompare(b.email));
+  }
+
+  /**
+   * Convert events to CSV (RFC 4180 quoting)
+   * @param {Array} events - Events from fetchEvents()
+   * @returns {string} CSV text with a header row
+   */
+  static toCsv(events) {
+    const header = ['Date', 'Actor', 'Action', 'Target', 'Details'];
+
+    const rows = events.map(event => [
+      new Date(event.created_at).toISOString(),
+      event.actor_email || 'System',
+      getAuditActionLabel(event.action),
+      event.target_email || '',
+      event.details && Object.keys(event.details).length > 0 ? JSON.stringify(event.details) : ''
+    ]);
+
+    return [header, ...rows]
+      .map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(','))
+      .join('\r\n');
+  }
+}
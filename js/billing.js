@@ -0,0 +1,211 @@
+// Billing Module
+// Reads an organization's Paddle transactions and invoice links
+// (billing-transactions) and manages its payment method and billing details
+// (billing-details). The Paddle API key stays server-side.
+
+export const TRANSACTION_STATUS_LABELS = {
+  billed: 'Billed',
+  paid: 'Paid',
+  completed: 'Paid',
+  past_due: 'Past due',
+  canceled: 'Canceled'
+};
+
+export const RENEWAL_ACTION_LABELS = {
+  quantity_reduced: 'Licenses reduced at renewal',
+  cancelled: 'Subscription cancelled at renewal'
+};
+
+/**
+ * Format a Paddle amount (lowest denomination, e.g. cents) as money
+ * @param {string|number|null} amount - Amount as sent by Paddle
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string}
+ */
+export function formatTransactionAmount(amount, currency) {
+  if (amount === null || amount === undefined || !currency) return '—';
+
+  const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+  const decimals = formatter.resolvedOptions().maximumFractionDigits;
+
+  return formatter.format(Number(amount) / 10 ** decimals);
+}
+
+// Fields of organization_billing_details, as sent to billing-details
+export const BILLING_DETAIL_FIELDS = [
+  'company_name',
+  'tax_identifier',
+  'first_line',
+  'second_line',
+  'city',
+  'region',
+  'postal_code',
+  'country_code'
+];
+
+/**
+ * Describe a payment method, e.g. "Visa ending in 4242 (expires 04/2027)"
+ * @param {Object|null} paymentMethod - As returned by BillingAccount.fetch()
+ * @returns {string}
+ */
+export function formatPaymentMethod(paymentMethod) {
+  if (!paymentMethod) return 'No payment method on file';
+
+  if (paymentMethod.type !== 'card' || !paymentMethod.last4) {
+    return (paymentMethod.type || 'Unknown').replace(/_/g, ' ');
+  }
+
+  const brand = (paymentMethod.card_type || 'card').replace(/_/g, ' ');
+  const label = `${brand.charAt(0).toUpperCase()}${brand.slice(1)} ending in ${paymentMethod.last4}`;
+
+  if (!paymentMethod.expiry_month || !paymentMethod.expiry_year) return label;
+
+  const month = String(paymentMethod.expiry_month).padStart(2, '0');
+  return `${label} (expires ${month}/${paymentMethod.expiry_year})`;
+}
+
+/**
+ * Whether a card expires this month or has already expired
+ * @param {Object|null} paymentMethod
+ * @returns {boolean}
+ */
+export function isPaymentMethodExpiring(paymentMethod) {
+  if (!paymentMethod?.expiry_month || !paymentMethod?.expiry_year) return false;
+
+  const now = new Date();
+  const expiry = paymentMethod.expiry_year * 12 + paymentMethod.expiry_month;
+  return expiry <= now.getFullYear() * 12 + now.getMonth() + 1;
+}
+
+/**
+ * Get a human readable label for a Paddle transaction status
+ * @param {string} status
+ * @returns {string}
+ */
+export function getTransactionStatusLabel(status) {
+  return TRANSACTION_STATUS_LABELS[status] || status;
+}
+
+export class BillingHistory {
+  /**
+   * @param {Object} supabase - Supabase client
+   * @param {string} organizationId - Organization to read billing for
+   */
+  constructor(supabase, organizationId) {
+    this.supabase = supabase;
+    this.organizationId = organizationId;
+  }
+
+  /**
+   * Fetch the organization's transactions, newest first, and its license
+   * change history (license_renewal_history)
+   * @returns {Promise<{transactions: Array, history: Array}>}
+   */
+  async fetchHistory() {
+    const data = await invokeBillingFunction(this.supabase, 'billing-transactions', {
+      organizationId: this.organizationId,
+      action: 'list'
+    });
+
+    return {
+      transactions: data?.transactions || [],
+      history: data?.history || []
+    };
+  }
+
+  /**
+   * Get a short-lived link to a transaction's invoice PDF
+   * @param {string} transactionId - Paddle transaction id (txn_...)
+   * @returns {Promise<string>} Invoice URL
+   */
+  async getInvoiceUrl(transactionId) {
+    const data = await invokeBillingFunction(this.supabase, 'billing-transactions', {
+      organizationId: this.organizationId,
+      action: 'invoice',
+      transactionId
+    });
+    return data.url;
+  }
+}
+
+export class BillingAccount {
+  /**
+   * @param {Object} supabase - Supabase client
+   * @param {string} organizationId - Organization the billing details belong to
+   */
+  constructor(supabase, organizationId) {
+    this.supabase = supabase;
+    this.organizationId = organizationId;
+  }
+
+  /**
+   * Fetch the stored billing details and the card of the last payment
+   * @returns {Promise<{subscriptionId: string|null, details: Object|null, paymentMethod: Object|null}>}
+   */
+  async fetch() {
+    const data = await invokeBillingFunction(this.supabase, 'billing-details', {
+      organizationId: this.organizationId,
+      action: 'get'
+    });
+
+    return {
+      subscriptionId: data?.subscriptionId || null,
+      details: data?.details || null,
+      paymentMethod: data?.paymentMethod || null
+    };
+  }
+
+  /**
+   * Save billing details; billing-details also pushes them to Paddle
+   * @param {Object} details - Values for BILLING_DETAIL_FIELDS (country_code required)
+   * @returns {Promise<{details: Object, synced: boolean, syncError: string|null}>}
+   *   synced is false when the details were saved but Paddle was not updated
+   */
+  async saveDetails(details) {
+    const data = await invokeBillingFunction(this.supabase, 'billing-details', {
+      organizationId: this.organizationId,
+      action: 'update',
+      details
+    });
+
+    return {
+      details: data.details,
+      synced: data.synced,
+      syncError: data.syncError || null
+    };
+  }
+
+  /**
+   * Get the Paddle transaction that collects a new payment method for the
+   * subscription; open it with Paddle.Checkout (see paddle.js)
+   * @returns {Promise<string>} Paddle transaction id (txn_...)
+   */
+  async getUpdatePaymentMethodTransaction() {
+    const data = await invokeBillingFunction(this.supabase, 'billing-details', {
+      organizationId: this.organizationId,
+      action: 'update_payment_method'
+    });
+    return data.transactionId;
+  }
+}
+
+/**
+ * Invoke a billing edge function, surfacing its own error message on failure
+ */
+async function invokeBillingFunction(supabase, functionName, body) {
+  const { data, error } = await supabase.functions.invoke(functionName, { body });
+
+  if (error) {
+    let message = error.message;
+    try {
+      const errorBody = await error.context?.json();
+      message = errorBody?.error || message;
+    } catch (parseError) {
+      // Keep the generic message
+    }
+    console.error(`Error in ${functionName} "${body.action}":`, message);
+    throw new Error(message);
+  }
+
+  return data;
+}
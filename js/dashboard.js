@@ -1,7 +1,44 @@
 // Dashboard JavaScript
 // Handles dashboard functionality, license management, and organization management
 
-import { MembersManager } from './members-manager.js';
+import {
+    MembersManager,
+    DEFAULT_INVITATION_EXPIRY_DAYS,
+    IDLE_SEAT_DAYS,
+    MAX_DEVICE_LIMIT
+} from './members-manager.js';
+import { AuditLog, AUDIT_ACTIONS, getAuditActionLabel } from './audit-log.js';
+import {
+    NotificationCenter,
+    NOTIFICATION_TYPES,
+    NOTIFICATION_TYPE_ICONS,
+    getNotificationTypeLabel
+} from './notifications.js';
+import {
+    BillingHistory,
+    BillingAccount,
+    BILLING_DETAIL_FIELDS,
+    RENEWAL_ACTION_LABELS,
+    formatPaymentMethod,
+    formatTransactionAmount,
+    getTransactionStatusLabel,
+    isPaymentMethodExpiring
+} from './billing.js';
+import {
+    LICENSE_TYPES,
+    LICENSE_TYPE_DESCRIPTIONS,
+    getLicenseTypeLabel,
+    isFloatingLicense
+} from './license-types.js';
+import {
+    ASSIGNABLE_ROLES,
+    CAPABILITIES,
+    ROLE_DESCRIPTIONS,
+    canAssignRole,
+    getRoleLabel,
+    hasCapability,
+    resolveRole
+} from './permissions.js';
 
 // Global members manager instance
 let membersManager = null;
@@ -9,6 +46,22 @@ let membersManager = null;
 // Global license expiration manager instance
 let licenseExpirationManager = null;
 
+// Refresh timer of the floating license live usage section
+let liveUsageTimer = null;
+const LIVE_USAGE_REFRESH_MS = 30000;
+
+// Notification center of the signed-in user (bell in the dashboard header)
+let notificationCenter = null;
+const NOTIFICATION_REFRESH_MS = 60000;
+
+// Organizations the user belongs to and the one the dashboard is scoped to
+let userOrganizations = [];
+let currentOrganization = null;
+
+// localStorage key prefix of the organization picked in the header switcher
+// (paddle.js reads the same key for purchases)
+const SELECTED_ORG_STORAGE_KEY = 'mepsketcher.selectedOrganizationId';
+
 document.addEventListener('DOMContentLoaded', async () => {
     // Wait for auth service to initialize
     await new Promise(resolve => setTimeout(resolve, 500));
@@ -26,6 +79,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Set up event listeners
     setupEventListeners();
 
+    // Setup notification center (bell icon)
+    setupNotificationCenter();
+
     // Load organization data
     await loadOrganizationData();
 
@@ -35,14 +91,26 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Setup add member modal
     setupAddMemberModal();
 
+    // Setup bulk invite modal
+    setupBulkInviteModal();
+
     // Setup edit organization name modal
     setupEditOrgNameModal();
 
+    // Setup billing details modal
+    setupBillingDetailsModal();
+
     // Setup purchase licenses modal
     setupPurchaseLicensesModal();
 
     // Setup license management modal
     setupLicenseManagementModal();
+
+    // Setup offline license modal
+    setupOfflineLicenseModal();
+
+    // Setup dashboard tabs (Overview / Activity)
+    setupDashboardTabs();
 });
 
 // Load user data
@@ -114,6 +182,14 @@ function setupEventListeners() {
         });
     }
 
+    // Organization switcher
+    const orgSwitcherSelect = document.getElementById('orgSwitcherSelect');
+    if (orgSwitcherSelect) {
+        orgSwitcherSelect.addEventListener('change', async () => {
+            await switchOrganization(orgSwitcherSelect.value);
+        });
+    }
+
     // Update profile button
     const updateProfileBtn = document.getElementById('updateProfileBtn');
     if (updateProfileBtn) {
@@ -124,76 +200,84 @@ function setupEventListeners() {
     }
 }
 
-// Load organization data
-async function loadOrganizationData() {
-    try {
-        const user = authService.getCurrentUser();
-        if (!user) return;
+// Load every organization the user owns or is an active member of,
+// annotated with the user's effective role (see permissions.js)
+async function fetchUserOrganizations(user) {
+    // Get user's organizations (as owner)
+    const { data: ownedOrgs, error: ownedError } = await authService.supabase
+        .from('organizations')
+        .select('*')
+        .eq('owner_id', user.id);
+
+    if (ownedError) {
+        console.error('Error loading owned organizations:', ownedError);
+    }
+
+    // Get organizations where user is a member (just get the IDs and roles)
+    // Only get active memberships
+    const { data: memberships, error: membershipsError } = await authService.supabase
+        .from('organization_members')
+        .select('organization_id, role')
+        .eq('user_id', user.id)
+        .eq('status', 'active'); // Only load active memberships
+
+    if (membershipsError) {
+        console.error('Error loading memberships:', membershipsError);
+    }
 
-        // Get user's organizations (as owner)
-        const { data: ownedOrgs, error: ownedError } = await authService.supabase
+    // Get the full organization details for memberships
+    let memberOrgs = [];
+    if (memberships && memberships.length > 0) {
+        const orgIds = memberships.map(m => m.organization_id);
+        
+        const { data: orgs, error: orgsError } = await authService.supabase
             .from('organizations')
             .select('*')
-            .eq('owner_id', user.id);
+            .in('id', orgIds);
 
-        if (ownedError) {
-            console.error('Error loading owned organizations:', ownedError);
+        if (orgsError) {
+            console.error('Error loading member organizations:', orgsError);
+        } else {
+            // Map the organizations with their roles
+            memberOrgs = orgs ? orgs.map(org => {
+                const membership = memberships.find(m => m.organization_id === org.id);
+                return {
+                    ...org,
+                    role: resolveRole(membership?.role || 'member', org.owner_id, user.id),
+                    isOwner: org.owner_id === user.id
+                };
+            }) : [];
         }
+    }
 
-        // Get organizations where user is a member (just get the IDs and roles)
-        // Only get active memberships
-        const { data: memberships, error: membershipsError } = await authService.supabase
-            .from('organization_members')
-            .select('organization_id, role')
-            .eq('user_id', user.id)
-            .eq('status', 'active'); // Only load active memberships
-
-        if (membershipsError) {
-            console.error('Error loading memberships:', membershipsError);
-        }
+    // Combine organizations
+    const allOrgs = [
+        ...(ownedOrgs || []).map(org => ({ 
+            ...org, 
+            role: resolveRole(null, org.owner_id, user.id), 
+            isOwner: true 
+        })),
+        ...memberOrgs
+    ];
 
-        // Get the full organization details for memberships
-        let memberOrgs = [];
-        if (memberships && memberships.length > 0) {
-            const orgIds = memberships.map(m => m.organization_id);
-            
-            const { data: orgs, error: orgsError } = await authService.supabase
-                .from('organizations')
-                .select('*')
-                .in('id', orgIds);
+    // Remove duplicates (in case user is both owner and member)
+    return Array.from(
+        new Map(allOrgs.map(org => [org.id, org])).values()
+    );
+}
 
-            if (orgsError) {
-                console.error('Error loading member organizations:', orgsError);
-            } else {
-                // Map the organizations with their roles
-                memberOrgs = orgs ? orgs.map(org => {
-                    const membership = memberships.find(m => m.organization_id === org.id);
-                    return {
-                        ...org,
-                        role: membership?.role || 'member',
-                        isOwner: false
-                    };
-                }) : [];
-            }
-        }
+// Load organization data
+async function loadOrganizationData() {
+    try {
+        const user = authService.getCurrentUser();
+        if (!user) return;
 
-        // Combine organizations
-        const allOrgs = [
-            ...(ownedOrgs || []).map(org => ({ 
-                ...org, 
-                role: 'admin', 
-                isOwner: true 
-            })),
-            ...memberOrgs
-        ];
-
-        // Remove duplicates (in case user is both owner and member)
-        const uniqueOrgs = Array.from(
-            new Map(allOrgs.map(org => [org.id, org])).values()
-        );
+        userOrganizations = await fetchUserOrganizations(user);
+        currentOrganization = getSelectedOrganization(userOrganizations);
+        renderOrganizationSwitcher();
 
-        if (uniqueOrgs.length > 0) {
-            displayOrganizationInfo(uniqueOrgs[0]); // Show first organization
+        if (currentOrganization) {
+            await displayOrganizationInfo(currentOrganization);
         } else {
             // Optionally show a message in the UI
             const container = document.getElementById('organizationContainer');
@@ -206,28 +290,107 @@ async function loadOrganizationData() {
     }
 }
 
+// The saved organization is per user, so another account signed in on the
+// same browser doesn't inherit it
+function getSelectedOrgStorageKey() {
+    return `${SELECTED_ORG_STORAGE_KEY}:${authService.getCurrentUser()?.id}`;
+}
+
+// Pick the organization saved in localStorage, falling back to the first
+// real (non personal-trial) organization
+function getSelectedOrganization(organizations) {
+    if (organizations.length === 0) return null;
+
+    const savedId = localStorage.getItem(getSelectedOrgStorageKey());
+    const saved = organizations.find(org => org.id === savedId);
+    if (saved) return saved;
+
+    return organizations.find(org => !org.is_personal_trial_org) || organizations[0];
+}
+
+// Fill the header organization switcher (only shown with more than one organization)
+function renderOrganizationSwitcher() {
+    const switcher = document.getElementById('orgSwitcher');
+    const select = document.getElementById('orgSwitcherSelect');
+    if (!switcher || !select) return;
+
+    if (userOrganizations.length < 2) {
+        switcher.style.display = 'none';
+        return;
+    }
+
+    select.innerHTML = '';
+    userOrganizations.forEach(org => {
+        const option = document.createElement('option');
+        option.value = org.id;
+        option.textContent = `${org.name} (${getRoleLabel(org.role)})`;
+        select.appendChild(option);
+    });
+    select.value = currentOrganization?.id || '';
+
+    switcher.style.display = 'flex';
+}
+
+// Scope the dashboard to another organization and remember the choice
+async function switchOrganization(orgId) {
+    const org = userOrganizations.find(o => o.id === orgId);
+    if (!org || org.id === currentOrganization?.id) return;
+
+    localStorage.setItem(getSelectedOrgStorageKey(), org.id);
+    currentOrganization = org;
+
+    await displayOrganizationInfo(org);
+    await loadLicenses();
+}
+
 // Display organization information
 async function displayOrganizationInfo(org) {
     const container = document.getElementById('organizationContainer');
     container.innerHTML = '';
 
     const user = authService.getCurrentUser();
-    const isAdmin = org.role === 'admin' || org.owner_id === user.id;
+    const canManageMembers = hasCapability(org.role, CAPABILITIES.MANAGE_MEMBERS);
+    const canEditOrganization = hasCapability(org.role, CAPABILITIES.EDIT_ORGANIZATION);
+    const canTransferOwnership = hasCapability(org.role, CAPABILITIES.TRANSFER_OWNERSHIP);
+    const canManageBilling = hasCapability(org.role, CAPABILITIES.MANAGE_BILLING);
 
     const orgDiv = document.createElement('div');
     orgDiv.className = 'organization-info';
 
     let membersHtml = '';
     let licenseInfoHtml = '';
+    let invitationsHtml = '';
+    let queuedInvitationsHtml = '';
+    let seatRequestsHtml = '';
+    let membershipHtml = '';
+    let devicesHtml = '';
+    let liveUsageHtml = '';
+
+    if (liveUsageTimer) {
+        clearInterval(liveUsageTimer);
+        liveUsageTimer = null;
+    }
     
     // Initialize members manager
-    membersManager = new MembersManager(authService.supabase, org.id);
+    membersManager = new MembersManager(authService.supabase, org.id, org.role);
+
+    // Floating licenses have no named seats
+    let isFloating = false;
+    try {
+        isFloating = isFloatingLicense({ license_type: await membersManager.getLicenseType() });
+    } catch (error) {
+        console.error('Error loading license type:', error);
+    }
+
+    // Billing and Activity tabs follow the displayed organization
+    initBillingTab(org);
+    initActivityTab(org);
     
     // Load organization members (for both admin and non-admin users)
     // Only load active members
     const { data: members, error: membersError } = await authService.supabase
         .from('organization_members')
-        .select('user_id, email, role, created_at')
+        .select('user_id, email, role, has_license, created_at')
         .eq('organization_id', org.id)
         .eq('status', 'active'); // Only show active members
 
@@ -235,17 +398,26 @@ async function displayOrganizationInfo(org) {
         console.error('Error loading members:', membersError);
     }
     
-    if (isAdmin) {
+    if (canManageMembers) {
+        let licenseInfo = null;
         
         // Load license availability info
         try {
-            const licenseInfo = await membersManager.checkAvailableLicenses();
+            licenseInfo = await membersManager.checkAvailableLicenses();
             
             if (licenseInfo && licenseInfo.success) {
                 const canAddMember = licenseInfo.can_add_member;
                 const availableCount = licenseInfo.available_licenses || 0;
                 
-                licenseInfoHtml = `
+                licenseInfoHtml = licenseInfo.is_floating ? `
+                    <div class="license-info-banner success">
+                        ✓ Floating license: ${licenseInfo.used_licenses} of ${licenseInfo.total_licenses} in use right now. Members don't need a seat.
+                    </div>
+                ` : licenseInfo.is_trial && canAddMember ? `
+                    <div class="license-info-banner success">
+                        ✓ Team trial: ${availableCount} of ${licenseInfo.max_colleagues} colleague seat${licenseInfo.max_colleagues !== 1 ? 's' : ''} free. Colleagues share your trial until ${new Date(licenseInfo.expires_at).toLocaleDateString()} and keep their seats when you upgrade.
+                    </div>
+                ` : `
                     <div class="license-info-banner ${canAddMember ? 'success' : 'warning'}">
                         ${canAddMember 
                             ? `✓ ${availableCount} license${availableCount !== 1 ? 's' : ''} available for new members`
@@ -268,15 +440,21 @@ async function displayOrganizationInfo(org) {
                     ${licenseInfoHtml}
                     <div class="members-header">
                         <h3>Organization Members (${members.length})</h3>
-                        <button class="btn btn-primary btn-small" id="addMemberBtn">
-                            + Add Member
-                        </button>
+                        <div class="member-actions">
+                            <button class="btn btn-secondary btn-small" id="bulkInviteBtn">
+                                Bulk Invite
+                            </button>
+                            <button class="btn btn-primary btn-small" id="addMemberBtn">
+                                + Add Member
+                            </button>
+                        </div>
                     </div>
                     <div class="org-members-list">
                         ${members.map(member => {
                             const displayEmail = member.email || 'Unknown';
                             const displayName = displayEmail.split('@')[0];
                             const isCurrentUser = member.user_id === user.id;
+                            const memberRole = resolveRole(member.role, org.owner_id, member.user_id) || member.role;
                             
                             return `
                                 <div class="org-member-item">
@@ -285,16 +463,49 @@ async function displayOrganizationInfo(org) {
                                             <span class="member-name">${displayName}</span>
                                             <span class="member-email">${displayEmail}</span>
                                         </div>
-                                        <span class="member-role ${member.role}">${member.role}</span>
+                                        <span class="member-role ${memberRole}">${getRoleLabel(memberRole)}</span>
+                                        ${!isFloating ? `
+                                            <span class="member-seat-badge ${member.has_license ? 'assigned' : 'unassigned'}">
+                                                ${member.has_license ? 'Seat' : 'No seat'}
+                                            </span>
+                                        ` : ''}
+                                    </div>
+                                    <div class="member-actions">
+                                        ${!isFloating ? `
+                                            <button class="btn btn-secondary btn-small ${member.has_license ? 'unassign-seat-btn' : 'assign-seat-btn'}"
+                                                    data-user-id="${member.user_id}"
+                                                    data-member-name="${displayName}">
+                                                ${member.has_license ? 'Unassign Seat' : 'Assign Seat'}
+                                            </button>
+                                        ` : ''}
+                                        ${isCurrentUser ? '<span class="member-you-badge">You</span>' : memberRole !== 'owner' ? `
+                                            ${canAssignRole(org.role, memberRole) ? `
+                                                <select class="member-role-select"
+                                                        data-user-id="${member.user_id}"
+                                                        data-member-name="${displayName}"
+                                                        data-current-role="${memberRole}">
+                                                    ${ASSIGNABLE_ROLES.filter(role => canAssignRole(org.role, role)).map(role => `
+                                                        <option value="${role}" ${role === memberRole ? 'selected' : ''}>${getRoleLabel(role)}</option>
+                                                    `).join('')}
+                                                </select>
+                                            ` : ''}
+                                            ${canTransferOwnership ? `
+                                                <button class="btn btn-secondary btn-small transfer-ownership-btn"
+                                                        data-user-id="${member.user_id}"
+                                                        data-member-name="${displayName}">
+                                                    Make Owner
+                                                </button>
+                                            ` : ''}
+                                            ${canAssignRole(org.role, memberRole) ? `
+                                                <button class="btn btn-danger btn-small remove-member-btn" 
+                                                        data-user-id="${member.user_id}" 
+                                                        data-member-name="${displayName}"
+                                                        data-org-id="${org.id}">
+                                                    Remove
+                                                </button>
+                                            ` : ''}
+                                        ` : ''}
                                     </div>
-                                    ${!isCurrentUser ? `
-                                        <button class="btn btn-danger btn-small remove-member-btn" 
-                                                data-user-id="${member.user_id}" 
-                                                data-member-name="${displayName}"
-                                                data-org-id="${org.id}">
-                                            Remove
-                                        </button>
-                                    ` : '<span class="member-you-badge">You</span>'}
                                 </div>
                             `;
                         }).join('')}
@@ -302,6 +513,30 @@ async function displayOrganizationInfo(org) {
                 </div>
             `;
         }
+
+        // Pending invitations
+        try {
+            const invitations = await membersManager.getPendingInvitations();
+            invitationsHtml = renderPendingInvitations(invitations);
+        } catch (error) {
+            console.error('Error loading pending invitations:', error);
+        }
+
+        // Invitations waiting for a seat
+        try {
+            const queuedInvitations = await membersManager.getQueuedInvitations();
+            queuedInvitationsHtml = renderQueuedInvitations(queuedInvitations, licenseInfo, canManageBilling);
+        } catch (error) {
+            console.error('Error loading queued invitations:', error);
+        }
+
+        // Seat requests from members
+        try {
+            const seatRequests = await membersManager.getSeatRequests();
+            seatRequestsHtml = renderSeatRequests(seatRequests);
+        } catch (error) {
+            console.error('Error loading seat requests:', error);
+        }
     } else {
         // Non-admin view - show members list without management controls
         
@@ -316,6 +551,7 @@ async function displayOrganizationInfo(org) {
                             const displayEmail = member.email || 'Unknown';
                             const displayName = displayEmail.split('@')[0];
                             const isCurrentUser = member.user_id === user.id;
+                            const memberRole = resolveRole(member.role, org.owner_id, member.user_id) || member.role;
                             
                             return `
                                 <div class="org-member-item">
@@ -324,7 +560,12 @@ async function displayOrganizationInfo(org) {
                                             <span class="member-name">${displayName}</span>
                                             <span class="member-email">${displayEmail}</span>
                                         </div>
-                                        <span class="member-role ${member.role}">${member.role}</span>
+                                        <span class="member-role ${memberRole}">${getRoleLabel(memberRole)}</span>
+                                        ${!isFloating ? `
+                                            <span class="member-seat-badge ${member.has_license ? 'assigned' : 'unassigned'}">
+                                                ${member.has_license ? 'Seat' : 'No seat'}
+                                            </span>
+                                        ` : ''}
                                     </div>
                                     ${isCurrentUser ? '<span class="member-you-badge">You</span>' : ''}
                                 </div>
@@ -336,26 +577,70 @@ async function displayOrganizationInfo(org) {
         }
     }
 
+    // Own membership: seat status, seat request and leave (the owner can't leave)
+    if (org.role !== 'owner') {
+        const ownMembership = members?.find(member => member.user_id === user.id);
+        let seatRequest = null;
+
+        if (ownMembership && !ownMembership.has_license && !canManageMembers && !isFloating) {
+            try {
+                seatRequest = await membersManager.getMySeatRequest();
+            } catch (error) {
+                console.error('Error loading seat request:', error);
+            }
+        }
+
+        membershipHtml = renderOwnMembership(org, ownMembership, seatRequest, canManageMembers, isFloating);
+    }
+
+    // Floating license: leases in use and members waiting
+    if (isFloating) {
+        liveUsageHtml = await renderLiveUsage(user.id, canManageMembers);
+        liveUsageTimer = setInterval(refreshLiveUsage, LIVE_USAGE_REFRESH_MS);
+    }
+
+    // Desktop app devices (member managers see every seat, others their own)
+    try {
+        const [devices, deviceLimit] = await Promise.all([
+            membersManager.getDevices(),
+            membersManager.getDeviceLimit()
+        ]);
+        devicesHtml = renderDevices(devices, deviceLimit, user.id, canManageMembers, canEditOrganization);
+    } catch (error) {
+        console.error('Error loading devices:', error);
+    }
+
     orgDiv.innerHTML = `
         <div class="org-header">
             <div>
                 <h3 class="org-name">${org.name}</h3>
-                <p class="org-role">Your role: <span class="role-badge ${org.role}">${org.role}</span></p>
+                <p class="org-role">Your role: <span class="role-badge ${org.role}">${getRoleLabel(org.role)}</span></p>
             </div>
-            ${isAdmin ? `
+            ${canEditOrganization ? `
                 <button class="btn btn-secondary btn-small" id="editOrgNameBtn">
                     Edit Name
                 </button>
             ` : ''}
         </div>
+        ${canEditOrganization ? `
+            <label class="org-setting-toggle">
+                <input type="checkbox" id="expiryRemindersToggle" ${org.expiry_reminders_enabled !== false ? 'checked' : ''}>
+                Email license expiry reminders to the owner and billing admins
+            </label>
+        ` : ''}
+        ${membershipHtml}
+        ${liveUsageHtml}
         ${membersHtml}
+        ${seatRequestsHtml}
+        ${queuedInvitationsHtml}
+        ${invitationsHtml}
+        ${devicesHtml}
     `;
 
     container.appendChild(orgDiv);
 
-    // Add event listeners for member management
-    if (isAdmin) {
-        // Edit organization name button
+    // Edit organization name button
+    if (canEditOrganization) {
         const editOrgNameBtn = document.getElementById('editOrgNameBtn');
         if (editOrgNameBtn) {
             editOrgNameBtn.addEventListener('click', () => {
@@ -363,6 +648,16 @@ async function displayOrganizationInfo(org) {
             });
         }
 
+        const expiryRemindersToggle = document.getElementById('expiryRemindersToggle');
+        if (expiryRemindersToggle) {
+            expiryRemindersToggle.addEventListener('change', () => {
+                handleExpiryRemindersToggle(expiryRemindersToggle, org);
+            });
+        }
+    }
+
+    // Add event listeners for member management
+    if (canManageMembers) {
         // Add member button
         const addMemberBtn = document.getElementById('addMemberBtn');
         if (addMemberBtn) {
@@ -370,6 +665,14 @@ async function displayOrganizationInfo(org) {
                 await openAddMemberModal();
             });
         }
+
+        // Bulk invite button
+        const bulkInviteBtn = document.getElementById('bulkInviteBtn');
+        if (bulkInviteBtn) {
+            bulkInviteBtn.addEventListener('click', async () => {
+                await openBulkInviteModal();
+            });
+        }
         
         // Remove member buttons
         document.querySelectorAll('.remove-member-btn').forEach(btn => {
@@ -377,6 +680,101 @@ async function displayOrganizationInfo(org) {
                 handleRemoveMember(btn.dataset.userId, btn.dataset.memberName, btn.dataset.orgId);
             });
         });
+
+        // Seat buttons
+        document.querySelectorAll('.assign-seat-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                handleSeatChange(btn.dataset.userId, btn.dataset.memberName, true);
+            });
+        });
+
+        document.querySelectorAll('.unassign-seat-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                handleSeatChange(btn.dataset.userId, btn.dataset.memberName, false);
+            });
+        });
+
+        // Role selects
+        document.querySelectorAll('.member-role-select').forEach(select => {
+            select.addEventListener('change', () => {
+                handleChangeMemberRole(select);
+            });
+        });
+
+        // Pending invitation buttons
+        document.querySelectorAll('.resend-invitation-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                handleResendInvitation(btn);
+            });
+        });
+
+        document.querySelectorAll('.revoke-invitation-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                handleRevokeInvitation(btn.dataset.invitationId, btn.dataset.email);
+            });
+        });
+
+        // Queued invitation buttons
+        const buySeatsForInvitesBtn = document.getElementById('buySeatsForInvitesBtn');
+        if (buySeatsForInvitesBtn) {
+            buySeatsForInvitesBtn.addEventListener('click', () => {
+                handleBuySeatsForQueuedInvitations(buySeatsForInvitesBtn, org);
+            });
+        }
+
+        const completeQueuedInvitesBtn = document.getElementById('completeQueuedInvitesBtn');
+        if (completeQueuedInvitesBtn) {
+            completeQueuedInvitesBtn.addEventListener('click', () => {
+                handleCompleteQueuedInvitations(completeQueuedInvitesBtn);
+            });
+        }
+    }
+
+    // Own membership buttons
+    const requestSeatBtn = document.getElementById('requestSeatBtn');
+    if (requestSeatBtn) {
+        requestSeatBtn.addEventListener('click', () => {
+            handleRequestSeat(requestSeatBtn);
+        });
+    }
+
+    const leaveOrgBtn = document.getElementById('leaveOrgBtn');
+    if (leaveOrgBtn) {
+        leaveOrgBtn.addEventListener('click', () => {
+            handleLeaveOrganization(org);
+        });
+    }
+
+    // Seat request buttons
+    if (canManageMembers) {
+        document.querySelectorAll('.approve-seat-request-btn, .decline-seat-request-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                handleSeatRequest(btn, btn.classList.contains('approve-seat-request-btn'));
+            });
+        });
+    }
+
+    // Device buttons (the server checks who may deactivate which device)
+    document.querySelectorAll('.deactivate-device-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            handleDeactivateDevice(btn);
+        });
+    });
+
+    const changeDeviceLimitBtn = document.getElementById('changeDeviceLimitBtn');
+    if (changeDeviceLimitBtn) {
+        changeDeviceLimitBtn.addEventListener('click', () => {
+            handleChangeDeviceLimit(changeDeviceLimitBtn);
+        });
+    }
+
+    // Transfer ownership buttons
+    if (canTransferOwnership) {
+        document.querySelectorAll('.transfer-ownership-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                handleTransferOwnership(btn.dataset.userId, btn.dataset.memberName);
+            });
+        });
     }
 }
 
@@ -408,6 +806,14 @@ function setupAddMemberModal() {
         }
     });
 
+    // Keep the role description in sync with the selected role
+    const roleSelect = document.getElementById('memberRole');
+    if (roleSelect) {
+        roleSelect.addEventListener('change', () => {
+            updateMemberRoleDescription();
+        });
+    }
+
     // Form submit
     if (form) {
         form.addEventListener('submit', async (e) => {
@@ -417,6 +823,30 @@ function setupAddMemberModal() {
     }
 }
 
+// Only offer roles the current user is allowed to assign
+function populateMemberRoleOptions(actorRole) {
+    const roleSelect = document.getElementById('memberRole');
+    if (!roleSelect) return;
+
+    Array.from(roleSelect.options).forEach(option => {
+        const allowed = canAssignRole(actorRole, option.value);
+        option.disabled = !allowed;
+        option.hidden = !allowed;
+    });
+
+    roleSelect.value = 'member';
+    updateMemberRoleDescription();
+}
+
+// Show what the selected role is allowed to do
+function updateMemberRoleDescription() {
+    const roleSelect = document.getElementById('memberRole');
+    const description = document.getElementById('memberRoleDescription');
+    if (!roleSelect || !description) return;
+
+    description.textContent = ROLE_DESCRIPTIONS[roleSelect.value] || '';
+}
+
 // Open Add Member Modal
 async function openAddMemberModal() {
     if (!membersManager) {
@@ -433,10 +863,27 @@ async function openAddMemberModal() {
             return;
         }
 
-        if (!licenseInfo.can_add_member) {
-            alert(licenseInfo.message || 'Cannot add members at this time. Please check your license status.');
-            return;
+        // Members can still be added without a seat when none are free.
+        // With a full (but valid) license, a seat invite waits for a seat instead.
+        const canRequestSeat = licenseInfo.can_add_member || !!licenseInfo.can_queue_invites;
+        const assignSeatCheckbox = document.getElementById('memberAssignSeat');
+        const assignSeatHint = document.getElementById('memberAssignSeatHint');
+        if (assignSeatCheckbox) {
+            assignSeatCheckbox.checked = canRequestSeat;
+            assignSeatCheckbox.disabled = !canRequestSeat;
         }
+        if (assignSeatHint) {
+            if (licenseInfo.can_add_member) {
+                assignSeatHint.textContent = `${licenseInfo.available_licenses} seat${licenseInfo.available_licenses !== 1 ? 's' : ''} available.`;
+            } else if (licenseInfo.can_queue_invites) {
+                assignSeatHint.textContent = 'All seats are taken. The invitation will wait until more seats are bought, or uncheck to add the member without a seat.';
+            } else {
+                assignSeatHint.textContent = (licenseInfo.message || 'No seats available.') + ' The member will be added without a seat.';
+            }
+        }
+
+        // Limit role choices to what the current user may assign
+        populateMemberRoleOptions(await membersManager.getCurrentUserRole());
 
         // Open modal
         const modal = document.getElementById('addMemberModal');
@@ -468,10 +915,13 @@ function closeAddMemberModal() {
 async function handleAddMemberSubmit() {
     const emailInput = document.getElementById('memberEmail');
     const roleSelect = document.getElementById('memberRole');
+    const expirySelect = document.getElementById('invitationExpiryDays');
     const submitBtn = document.getElementById('submitAddMember');
     
     const email = emailInput.value.trim();
     const role = roleSelect.value;
+    const expiresInDays = parseInt(expirySelect?.value, 10) || DEFAULT_INVITATION_EXPIRY_DAYS;
+    const assignSeat = document.getElementById('memberAssignSeat')?.checked ?? true;
 
     if (!email) {
         showAddMemberMessage('Please enter an email address', 'error');
@@ -488,7 +938,7 @@ async function handleAddMemberSubmit() {
     submitBtn.textContent = 'Adding...';
 
     try {
-        const result = await membersManager.inviteMember(email, role);
+        const result = await membersManager.inviteMember(email, role, { expiresInDays, assignSeat });
         
         if (result.success) {
             showAddMemberMessage(result.message, 'success');
@@ -520,805 +970,2717 @@ function showAddMemberMessage(text, type) {
 }
 
 // ============================================================================
-// Organization Name Edit Modal Functions
+// Bulk Invite Modal Functions
 // ============================================================================
 
-// Setup Edit Organization Name Modal
-function setupEditOrgNameModal() {
-    const modal = document.getElementById('editOrgNameModal');
+const BULK_INVITE_STATUS_LABELS = {
+    added: 'Added',
+    invited: 'Invited',
+    awaiting_seat: 'Awaiting seat',
+    already_member: 'Already member',
+    failed: 'Failed',
+    valid: 'Valid',
+    invalid: 'Invalid'
+};
+
+// Setup Bulk Invite Modal
+function setupBulkInviteModal() {
+    const modal = document.getElementById('bulkInviteModal');
+    if (!modal) return;
+
     const closeBtn = modal.querySelector('.close');
-    const cancelBtn = document.getElementById('cancelEditOrgName');
-    const form = document.getElementById('editOrgNameForm');
+    const cancelBtn = document.getElementById('cancelBulkInvite');
+    const form = document.getElementById('bulkInviteForm');
+    const fileInput = document.getElementById('bulkInviteFile');
 
     // Close button
     if (closeBtn) {
         closeBtn.addEventListener('click', () => {
-            closeEditOrgNameModal();
+            closeBulkInviteModal();
         });
     }
 
     // Cancel button
     if (cancelBtn) {
         cancelBtn.addEventListener('click', () => {
-            closeEditOrgNameModal();
+            closeBulkInviteModal();
         });
     }
 
     // Click outside to close
     window.addEventListener('click', (e) => {
         if (e.target === modal) {
-            closeEditOrgNameModal();
+            closeBulkInviteModal();
         }
     });
 
+    // Load CSV file contents into the list
+    if (fileInput) {
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            try {
+                document.getElementById('bulkInviteList').value = await file.text();
+            } catch (error) {
+                console.error('Error reading CSV file:', error);
+                showBulkInviteMessage('Could not read the selected file', 'error');
+            }
+        });
+    }
+
     // Form submit
     if (form) {
         form.addEventListener('submit', async (e) => {
             e.preventDefault();
-            await handleEditOrgNameSubmit();
+            await handleBulkInviteSubmit();
         });
     }
 }
 
-// Variable to store current organization being edited
-let currentEditingOrg = null;
-
-// Open Edit Organization Name Modal
-function openEditOrgNameModal(org) {
-    if (!org) {
-        alert('Error: Organization not found');
+// Open Bulk Invite Modal
+async function openBulkInviteModal() {
+    if (!membersManager) {
+        alert('Error: Member manager not initialized');
         return;
     }
 
-    // Store the organization for later use
-    currentEditingOrg = org;
-
-    // Set the current name in the input
-    const orgNameInput = document.getElementById('orgNameInput');
-    orgNameInput.value = org.name;
+    // Limit default role choices to what the current user may assign
+    const actorRole = await membersManager.getCurrentUserRole();
+    const roleSelect = document.getElementById('bulkInviteRole');
+    Array.from(roleSelect.options).forEach(option => {
+        const allowed = canAssignRole(actorRole, option.value);
+        option.disabled = !allowed;
+        option.hidden = !allowed;
+    });
+    roleSelect.value = 'member';
 
-    // Open modal
-    const modal = document.getElementById('editOrgNameModal');
+    const modal = document.getElementById('bulkInviteModal');
     modal.style.display = 'flex';
-    
-    // Focus input and select text for easy editing
-    orgNameInput.focus();
-    orgNameInput.select();
+
+    document.getElementById('bulkInviteList').focus();
 }
 
-// Close Edit Organization Name Modal
-function closeEditOrgNameModal() {
-    const modal = document.getElementById('editOrgNameModal');
+// Close Bulk Invite Modal
+function closeBulkInviteModal() {
+    const modal = document.getElementById('bulkInviteModal');
     modal.style.display = 'none';
-    
+
     // Reset form
-    document.getElementById('editOrgNameForm').reset();
-    
-    // Hide message
-    const messageDiv = document.getElementById('editOrgNameMessage');
+    document.getElementById('bulkInviteForm').reset();
+
+    // Hide message and report
+    const messageDiv = document.getElementById('bulkInviteMessage');
     messageDiv.style.display = 'none';
     messageDiv.className = 'message';
-    
-    // Clear current editing org
-    currentEditingOrg = null;
+
+    const reportDiv = document.getElementById('bulkInviteReport');
+    reportDiv.innerHTML = '';
+    reportDiv.style.display = 'none';
 }
 
-// Handle Edit Organization Name Form Submit
-async function handleEditOrgNameSubmit() {
-    const orgNameInput = document.getElementById('orgNameInput');
-    const submitBtn = document.getElementById('submitEditOrgName');
-    
-    const newName = orgNameInput.value.trim();
+// Handle Bulk Invite Form Submit
+async function handleBulkInviteSubmit() {
+    const listInput = document.getElementById('bulkInviteList');
+    const roleSelect = document.getElementById('bulkInviteRole');
+    const expirySelect = document.getElementById('bulkInviteExpiryDays');
+    const submitBtn = document.getElementById('submitBulkInvite');
+    const reportDiv = document.getElementById('bulkInviteReport');
 
-    if (!newName) {
-        showEditOrgNameMessage('Please enter an organization name', 'error');
+    if (!membersManager) {
+        showBulkInviteMessage('Error: Member manager not initialized', 'error');
         return;
     }
 
-    if (!currentEditingOrg) {
-        showEditOrgNameMessage('Error: Organization not found', 'error');
+    reportDiv.style.display = 'none';
+
+    const rows = await membersManager.parseBulkInvites(listInput.value, roleSelect.value);
+
+    if (rows.length === 0) {
+        showBulkInviteMessage('Please enter at least one email address', 'error');
         return;
     }
 
-    // Check if name has actually changed
-    if (newName === currentEditingOrg.name) {
-        showEditOrgNameMessage('No changes made', 'info');
-        setTimeout(() => {
-            closeEditOrgNameModal();
-        }, 1500);
+    // Validate every row before sending anything
+    const invalidRows = rows.filter(row => row.error);
+    if (invalidRows.length > 0) {
+        showBulkInviteMessage(`${invalidRows.length} of ${rows.length} rows are invalid. Nothing was sent.`, 'error');
+        renderBulkInviteReport(rows.map(row => ({
+            email: row.email || `(line ${row.line})`,
+            role: row.role,
+            status: row.error ? 'invalid' : 'valid',
+            message: row.error ? `Line ${row.line}: ${row.error}` : 'OK'
+        })));
         return;
     }
 
-    // Disable submit button
+    const expiresInDays = parseInt(expirySelect?.value, 10) || DEFAULT_INVITATION_EXPIRY_DAYS;
+
     submitBtn.disabled = true;
-    submitBtn.textContent = 'Saving...';
+    submitBtn.textContent = `Inviting ${rows.length}...`;
 
     try {
-        // Update organization name in Supabase
-        const { error } = await authService.supabase
-            .from('organizations')
-            .update({
-                name: newName,
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', currentEditingOrg.id);
-
-        if (error) {
-            throw new Error(error.message);
-        }
+        const results = await membersManager.bulkInviteMembers(rows, expiresInDays);
+        const failed = results.filter(result => result.status === 'failed').length;
+
+        showBulkInviteMessage(
+            failed > 0
+                ? `Finished with ${failed} failure${failed !== 1 ? 's' : ''}. See the report below.`
+                : 'All invitations processed successfully.',
+            failed > 0 ? 'error' : 'success'
+        );
+        renderBulkInviteReport(results);
 
-        showEditOrgNameMessage('Organization name updated successfully!', 'success');
-        
-        // Reload organization data after 1 second
-        setTimeout(async () => {
-            await loadOrganizationData();
-            closeEditOrgNameModal();
-        }, 1000);
+        // Refresh member list and license counts
+        await loadOrganizationData();
+        await loadLicenses();
     } catch (error) {
-        console.error('Error updating organization name:', error);
-        showEditOrgNameMessage(error.message || 'Failed to update organization name', 'error');
+        console.error('Error sending bulk invitations:', error);
+        showBulkInviteMessage(error.message || 'An error occurred while sending invitations', 'error');
     } finally {
         submitBtn.disabled = false;
-        submitBtn.textContent = 'Save Changes';
+        submitBtn.textContent = 'Send Invitations';
     }
 }
 
-// Show message in edit organization name modal
-function showEditOrgNameMessage(text, type) {
-    const messageDiv = document.getElementById('editOrgNameMessage');
+// Render per-row bulk invite report
+function renderBulkInviteReport(results) {
+    const reportDiv = document.getElementById('bulkInviteReport');
+
+    const counts = results.reduce((acc, result) => {
+        acc[result.status] = (acc[result.status] || 0) + 1;
+        return acc;
+    }, {});
+
+    reportDiv.innerHTML = `
+        <div class="bulk-invite-summary">
+            ${Object.entries(counts).map(([status, count]) => `
+                <span class="bulk-invite-status ${status}">${BULK_INVITE_STATUS_LABELS[status] || status}: ${count}</span>
+            `).join('')}
+        </div>
+        <table class="bulk-invite-table">
+            <thead>
+                <tr>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Result</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${results.map(result => `
+                    <tr>
+                        <td>${escapeHtml(result.email)}</td>
+                        <td>${escapeHtml(getRoleLabel(result.role))}</td>
+                        <td>
+                            <span class="bulk-invite-status ${result.status}">${BULK_INVITE_STATUS_LABELS[result.status] || result.status}</span>
+                            <small>${escapeHtml(result.message || '')}</small>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    reportDiv.style.display = 'block';
+}
+
+// Show message in bulk invite modal
+function showBulkInviteMessage(text, type) {
+    const messageDiv = document.getElementById('bulkInviteMessage');
     messageDiv.textContent = text;
     messageDiv.className = `message ${type}`;
     messageDiv.style.display = 'block';
 }
 
 // ============================================================================
-// End Organization Name Edit Modal Functions
+// Notification Center Functions
 // ============================================================================
 
-// ============================================================================
-// Purchase Additional Licenses Modal Functions
-// ============================================================================
+// Setup the bell icon, its panel and the unread badge refresh
+function setupNotificationCenter() {
+    const user = authService.getCurrentUser();
+    const bell = document.getElementById('notificationBell');
+    const panel = document.getElementById('notificationPanel');
+    if (!user || !bell || !panel) return;
 
-// Setup Purchase Licenses Modal (call this in DOMContentLoaded)
-function setupPurchaseLicensesModal() {
-    const modal = document.getElementById('purchaseLicensesModal');
-    const closeBtn = modal.querySelector('.close');
-    const cancelBtn = document.getElementById('cancelPurchaseLicenses');
-    const form = document.getElementById('purchaseLicensesForm');
-    const quantityInput = document.getElementById('licenseQuantity');
+    notificationCenter = new NotificationCenter(authService.supabase, user.id);
 
-    // Close button
-    if (closeBtn) {
-        closeBtn.addEventListener('click', () => {
-            closePurchaseLicensesModal();
-        });
-    }
+    bell.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        if (panel.style.display === 'none') {
+            await openNotificationPanel();
+        } else {
+            closeNotificationPanel();
+        }
+    });
 
-    // Cancel button
-    if (cancelBtn) {
-        cancelBtn.addEventListener('click', () => {
-            closePurchaseLicensesModal();
-        });
-    }
+    // Close when clicking anywhere else
+    document.addEventListener('click', (e) => {
+        if (panel.style.display !== 'none' && !document.getElementById('notificationCenter').contains(e.target)) {
+            closeNotificationPanel();
+        }
+    });
 
-    // Click outside to close
-    window.addEventListener('click', (e) => {
-        if (e.target === modal) {
-            closePurchaseLicensesModal();
+    document.getElementById('markAllNotificationsReadBtn').addEventListener('click', async () => {
+        try {
+            await notificationCenter.markAllRead();
+            await loadNotifications();
+        } catch (error) {
+            alert(`Error marking notifications read: ${error.message}`);
         }
     });
 
-    // Update pricing when quantity changes
-    if (quantityInput) {
-        quantityInput.addEventListener('input', () => {
-            updatePricingPreview();
-        });
-    }
+    document.getElementById('notificationPreferencesBtn').addEventListener('click', () => {
+        openNotificationPreferences();
+    });
 
-    // Form submit
-    if (form) {
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            await handlePurchaseLicensesSubmit();
-        });
-    }
+    document.getElementById('cancelNotificationPreferencesBtn').addEventListener('click', () => {
+        showNotificationList();
+    });
+
+    document.getElementById('notificationPreferences').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveNotificationPreferences();
+    });
+
+    refreshNotificationBadge();
+    setInterval(refreshNotificationBadge, NOTIFICATION_REFRESH_MS);
 }
 
-// Variable to store current license being purchased for
-let currentPurchaseLicense = null;
+// Show the unread count on the bell
+async function refreshNotificationBadge() {
+    const badge = document.getElementById('notificationBadge');
+    if (!badge || !notificationCenter) return;
 
-// Open Purchase Licenses Modal
-function openPurchaseLicensesModal(license) {
-    if (!license) {
-        alert('Error: License not found');
-        return;
+    try {
+        const unread = await notificationCenter.getUnreadCount();
+        badge.textContent = unread > 99 ? '99+' : unread;
+        badge.style.display = unread > 0 ? 'inline-block' : 'none';
+    } catch (error) {
+        // Logged by NotificationCenter; keep the last badge
     }
+}
 
-    // Store the license for later use
-    currentPurchaseLicense = license;
-
-    // Reset quantity to 1
-    const quantityInput = document.getElementById('licenseQuantity');
-    quantityInput.value = 1;
+async function openNotificationPanel() {
+    document.getElementById('notificationPanel').style.display = 'block';
+    document.getElementById('notificationBell').setAttribute('aria-expanded', 'true');
+    showNotificationList();
+    await loadNotifications();
+}
 
-    // Update pricing preview
-    updatePricingPreview();
+function closeNotificationPanel() {
+    document.getElementById('notificationPanel').style.display = 'none';
+    document.getElementById('notificationBell').setAttribute('aria-expanded', 'false');
+}
 
-    // Open modal
-    const modal = document.getElementById('purchaseLicensesModal');
-    modal.style.display = 'flex';
-    
-    // Focus quantity input
-    quantityInput.focus();
-    quantityInput.select();
+function showNotificationList() {
+    document.getElementById('notificationPreferences').style.display = 'none';
+    document.getElementById('notificationList').style.display = 'block';
+    document.getElementById('markAllNotificationsReadBtn').style.display = '';
 }
 
-// Close Purchase Licenses Modal
-function closePurchaseLicensesModal() {
-    const modal = document.getElementById('purchaseLicensesModal');
-    modal.style.display = 'none';
-    
-    // Reset form
-    document.getElementById('purchaseLicensesForm').reset();
-    
-    // Hide message
-    const messageDiv = document.getElementById('purchaseLicensesMessage');
-    messageDiv.style.display = 'none';
-    messageDiv.className = 'message';
-    
-    // Clear current license
-    currentPurchaseLicense = null;
+// Load the latest notifications into the panel
+async function loadNotifications() {
+    const list = document.getElementById('notificationList');
+    list.innerHTML = '<p class="notification-empty">Loading notifications...</p>';
+
+    try {
+        const notifications = await notificationCenter.fetchNotifications();
+        renderNotifications(notifications);
+    } catch (error) {
+        list.innerHTML = `<p class="notification-empty">Error loading notifications: ${escapeHtml(error.message)}</p>`;
+    }
+
+    await refreshNotificationBadge();
 }
 
-// Update pricing preview in real-time
-function updatePricingPreview() {
-    if (!currentPurchaseLicense) return;
+function renderNotifications(notifications) {
+    const list = document.getElementById('notificationList');
 
-    const quantityInput = document.getElementById('licenseQuantity');
-    const quantity = parseInt(quantityInput.value) || 1;
+    if (notifications.length === 0) {
+        list.innerHTML = '<p class="notification-empty">You have no notifications.</p>';
+        return;
+    }
 
-    // Calculate remaining days
-    const expiresAt = new Date(currentPurchaseLicense.expires_at);
-    const now = new Date();
-    const remainingDays = Math.ceil((expiresAt - now) / (1000 * 60 * 60 * 24));
+    // Name the organization when the user belongs to several
+    const showOrganization = userOrganizations.length > 1;
 
-    // Calculate pricing (€200 base price per year)
-    const dailyRate = 200 / 365;
-    const pricePerLicense = Math.ceil(dailyRate * remainingDays * 100) / 100;
-    const totalCost = Math.ceil(pricePerLicense * quantity * 100) / 100;
+    list.innerHTML = notifications.map(notification => {
+        const org = userOrganizations.find(o => o.id === notification.organization_id);
+        return `
+            <div class="notification-item ${notification.read_at ? '' : 'unread'}"
+                 data-notification-id="${notification.id}"
+                 data-organization-id="${notification.organization_id || ''}">
+                <div class="notification-item-icon">${NOTIFICATION_TYPE_ICONS[notification.type] || '🔔'}</div>
+                <div>
+                    <div class="notification-item-title">${escapeHtml(notification.title)}</div>
+                    ${notification.body ? `<div class="notification-item-body">${escapeHtml(notification.body)}</div>` : ''}
+                    <div class="notification-item-meta">
+                        ${new Date(notification.created_at).toLocaleString()}
+                        ${showOrganization && org ? ` · ${escapeHtml(org.name)}` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
 
-    // Update display
-    document.getElementById('remainingDaysDisplay').textContent = `${remainingDays} days`;
-    document.getElementById('pricePerLicenseDisplay').textContent = `€${pricePerLicense.toFixed(2)}`;
-    document.getElementById('quantityDisplay').textContent = quantity;
-    document.getElementById('totalCostDisplay').textContent = `€${totalCost.toFixed(2)}`;
-    document.getElementById('renewalDateDisplay').textContent = expiresAt.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
+    list.querySelectorAll('.notification-item').forEach(item => {
+        item.addEventListener('click', () => {
+            handleNotificationClick(item);
+        });
     });
 }
 
-// Handle Purchase Licenses Form Submit
-async function handlePurchaseLicensesSubmit() {
-    if (!currentPurchaseLicense) {
-        showPurchaseLicensesMessage('Error: No license selected', 'error');
-        return;
+// Mark a notification read and show the organization it is about
+async function handleNotificationClick(item) {
+    try {
+        if (item.classList.contains('unread')) {
+            await notificationCenter.markRead([item.dataset.notificationId]);
+            item.classList.remove('unread');
+            await refreshNotificationBadge();
+        }
+    } catch (error) {
+        console.error('Error opening notification:', error);
     }
 
-    const submitBtn = document.getElementById('submitPurchaseLicenses');
-    const quantityInput = document.getElementById('licenseQuantity');
-    const quantity = parseInt(quantityInput.value);
-
-    // Validation
-    if (isNaN(quantity) || quantity < 1 || quantity > 100) {
-        showPurchaseLicensesMessage('Please enter a valid quantity between 1 and 100', 'error');
-        return;
+    const orgId = item.dataset.organizationId;
+    if (orgId && orgId !== currentOrganization?.id && userOrganizations.some(o => o.id === orgId)) {
+        closeNotificationPanel();
+        document.getElementById('orgSwitcherSelect').value = orgId;
+        await switchOrganization(orgId);
     }
+}
 
-    // Check if license has subscription_id
-    if (!currentPurchaseLicense.subscription_id) {
-        showPurchaseLicensesMessage('Error: No subscription found for this license', 'error');
-        return;
+// Show a checkbox per notification type
+async function openNotificationPreferences() {
+    const form = document.getElementById('notificationPreferences');
+    const options = document.getElementById('notificationPreferenceOptions');
+
+    try {
+        const preferences = await notificationCenter.getPreferences();
+
+        options.innerHTML = Object.values(NOTIFICATION_TYPES).map(type => `
+            <label>
+                <input type="checkbox" name="${type}" ${preferences[type] ? 'checked' : ''}>
+                ${NOTIFICATION_TYPE_ICONS[type]} ${getNotificationTypeLabel(type)}
+            </label>
+        `).join('');
+
+        document.getElementById('notificationList').style.display = 'none';
+        document.getElementById('markAllNotificationsReadBtn').style.display = 'none';
+        form.style.display = 'block';
+    } catch (error) {
+        alert(`Error loading notification settings: ${error.message}`);
     }
+}
 
-    // Save license values before closing modal (closing sets currentPurchaseLicense to null)
-    const organizationId = currentPurchaseLicense.organization_id;
-    const subscriptionId = currentPurchaseLicense.subscription_id;
+async function saveNotificationPreferences() {
+    const saveBtn = document.getElementById('saveNotificationPreferencesBtn');
+    const preferences = {};
 
-    // Disable submit button
-    submitBtn.disabled = true;
-    submitBtn.textContent = 'Processing...';
+    document.querySelectorAll('#notificationPreferenceOptions input[type="checkbox"]').forEach(checkbox => {
+        preferences[checkbox.name] = checkbox.checked;
+    });
 
     try {
-        // Close modal
-        closePurchaseLicensesModal();
-        
-        // Call the dedicated add licenses function
-        if (typeof mepSketcherLicensing !== 'undefined') {
-            await mepSketcherLicensing.addLicensesToSubscription(
-                quantity,
-                organizationId,
-                subscriptionId
-            );
-        } else {
-            throw new Error('Payment system not available');
-        }
+        saveBtn.disabled = true;
+        await notificationCenter.setPreferences(preferences);
+        showNotificationList();
     } catch (error) {
-        console.error('Error purchasing licenses:', error);
-        alert(`Error: ${error.message}`);
+        alert(`Error saving notification settings: ${error.message}`);
     } finally {
-        submitBtn.disabled = false;
-        submitBtn.textContent = 'Purchase Licenses';
+        saveBtn.disabled = false;
     }
 }
 
-// Show message in purchase licenses modal
-function showPurchaseLicensesMessage(text, type) {
-    const messageDiv = document.getElementById('purchaseLicensesMessage');
-    messageDiv.textContent = text;
-    messageDiv.className = `message ${type}`;
-    messageDiv.style.display = 'block';
-}
-
 // ============================================================================
-// End Purchase Additional Licenses Modal Functions
+// Activity Tab Functions
 // ============================================================================
 
-// ============================================================================
-// License Management Modal Functions (Add/Reduce Licenses)
-// ============================================================================
+// Audit log of the organization shown in the Activity tab (null if not allowed)
+let activityAuditLog = null;
 
-// Setup License Management Modal (call this in DOMContentLoaded)
-function setupLicenseManagementModal() {
-    const modal = document.getElementById('licenseManagementModal');
-    const closeBtn = modal?.querySelector('.close');
-    const cancelBtn = document.getElementById('cancelLicenseManagement');
-    const form = document.getElementById('licenseManagementForm');
-    const quantityInput = document.getElementById('newLicenseQuantity');
-    const incrementBtn = document.getElementById('incrementLicenses');
-    const decrementBtn = document.getElementById('decrementLicenses');
+// Events currently shown, used for CSV export
+let activityEvents = [];
 
-    if (!modal) return; // Modal not found, skip setup
+// Billing history and account of the displayed organization (null without billing.view)
+let billingHistory = null;
+let billingAccount = null;
+let billingOrg = null;
 
-    // Close button
-    if (closeBtn) {
-        closeBtn.addEventListener('click', () => {
-            closeLicenseManagementModal();
+// Billing details last loaded, used to fill the Billing Details modal
+let billingAccountDetails = null;
+
+// Setup dashboard tabs and the Activity filters
+function setupDashboardTabs() {
+    document.querySelectorAll('.dashboard-tab').forEach(tab => {
+        tab.addEventListener('click', () => showDashboardTab(tab.dataset.tab));
+    });
+
+    const filtersForm = document.getElementById('activityFilters');
+    if (filtersForm) {
+        filtersForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await loadActivity();
         });
     }
 
-    // Cancel button
-    if (cancelBtn) {
-        cancelBtn.addEventListener('click', () => {
-            closeLicenseManagementModal();
+    const exportBtn = document.getElementById('exportActivityCsv');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => exportActivityCsv());
+    }
+
+    const actionSelect = document.getElementById('activityAction');
+    if (actionSelect) {
+        Object.values(AUDIT_ACTIONS).forEach(action => {
+            const option = document.createElement('option');
+            option.value = action;
+            option.textContent = getAuditActionLabel(action);
+            actionSelect.appendChild(option);
         });
     }
+}
 
-    // Click outside to close
-    window.addEventListener('click', (e) => {
-        if (e.target === modal) {
-            closeLicenseManagementModal();
-        }
+// Show one dashboard tab panel and hide the others
+function showDashboardTab(tabId) {
+    document.querySelectorAll('.dashboard-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === tabId);
     });
 
-    // Increment/Decrement buttons
-    if (incrementBtn && quantityInput) {
-        incrementBtn.addEventListener('click', () => {
-            const currentValue = parseInt(quantityInput.value) || 0;
-            quantityInput.value = Math.min(currentValue + 1, 200);
-            updateLicenseChangePreview();
-        });
+    document.querySelectorAll('.dashboard-tab-panel').forEach(panel => {
+        panel.style.display = panel.id === tabId ? 'block' : 'none';
+    });
+
+    if (tabId === 'activityTab') {
+        loadActivity();
     }
 
-    if (decrementBtn && quantityInput) {
-        decrementBtn.addEventListener('click', () => {
-            const currentValue = parseInt(quantityInput.value) || 0;
-            quantityInput.value = Math.max(currentValue - 1, 0);
-            updateLicenseChangePreview();
-        });
+    if (tabId === 'billingTab') {
+        loadBillingTab();
     }
+}
 
-    // Update preview when quantity changes
-    if (quantityInput) {
-        quantityInput.addEventListener('input', () => {
-            updateLicenseChangePreview();
-        });
+// Point the Billing tab at an organization, if the user may see its billing
+function initBillingTab(org) {
+    const canViewBilling = hasCapability(org.role, CAPABILITIES.VIEW_BILLING);
+    const tabBtn = document.getElementById('billingTabBtn');
+
+    billingHistory = canViewBilling ? new BillingHistory(authService.supabase, org.id) : null;
+    billingAccount = canViewBilling ? new BillingAccount(authService.supabase, org.id) : null;
+    billingOrg = canViewBilling ? org : null;
+
+    if (tabBtn) {
+        tabBtn.style.display = canViewBilling ? '' : 'none';
     }
 
-    // Form submit
-    if (form) {
-        form.addEventListener('submit', handleLicenseManagementSubmit);
+    if (tabBtn?.classList.contains('active')) {
+        // Switched organization while looking at the Billing tab
+        if (canViewBilling) {
+            loadBillingTab();
+        } else {
+            showDashboardTab('overviewTab');
+        }
     }
 }
 
-// Variable to store current license being managed
-let currentManagedLicense = null;
+// Load both Billing tab cards
+function loadBillingTab() {
+    loadBillingAccount();
+    loadBillingHistory();
+}
 
-// Open License Management Modal
-function openLicenseManagementModal(license) {
-    if (!license) {
-        alert('Error: License not found');
+// Load the payment method and billing details card
+async function loadBillingAccount() {
+    const container = document.getElementById('billingAccountContainer');
+    if (!container || !billingAccount) return;
+
+    container.innerHTML = '<p>Loading payment method...</p>';
+
+    try {
+        const account = await billingAccount.fetch();
+        billingAccountDetails = account.details;
+        renderBillingAccount(account);
+    } catch (error) {
+        console.error('Error loading billing details:', error);
+        container.innerHTML = `<div class="message error">Failed to load billing details: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderBillingAccount({ subscriptionId, details, paymentMethod }) {
+    const container = document.getElementById('billingAccountContainer');
+    const canManageBilling = hasCapability(billingOrg?.role, CAPABILITIES.MANAGE_BILLING);
+    const expiring = isPaymentMethodExpiring(paymentMethod);
+
+    const addressLines = details ? [
+        details.company_name,
+        details.tax_identifier ? `VAT ID: ${details.tax_identifier}` : null,
+        details.first_line,
+        details.second_line,
+        [details.postal_code, details.city].filter(Boolean).join(' '),
+        [details.region, details.country_code].filter(Boolean).join(', ')
+    ].filter(Boolean) : [];
+
+    container.innerHTML = `
+        <div class="billing-account">
+            <div class="billing-account-section">
+                <h3 class="billing-section-title">Payment Method</h3>
+                ${subscriptionId ? `
+                    <p class="${expiring ? 'billing-card-expiring' : ''}">
+                        ${escapeHtml(formatPaymentMethod(paymentMethod))}
+                    </p>
+                    ${expiring ? '<p><small>This card has expired or expires this month. Update it to keep your license active.</small></p>' : ''}
+                    ${canManageBilling ? `
+                        <button class="btn btn-primary btn-small" id="updatePaymentMethodBtn">Update Payment Method</button>
+                    ` : ''}
+                ` : `
+                    <p><small>There is no subscription to pay for yet.</small></p>
+                `}
+            </div>
+            <div class="billing-account-section">
+                <h3 class="billing-section-title">Billing Details</h3>
+                ${addressLines.length > 0 ? `
+                    <address class="billing-address">
+                        ${addressLines.map(line => escapeHtml(line)).join('<br>')}
+                    </address>
+                ` : `
+                    <p><small>No billing details yet. They appear on your invoices.</small></p>
+                `}
+                ${canManageBilling ? `
+                    <button class="btn btn-secondary btn-small" id="editBillingDetailsBtn">Edit Billing Details</button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+
+    document.getElementById('updatePaymentMethodBtn')?.addEventListener('click', (e) => {
+        handleUpdatePaymentMethod(e.currentTarget);
+    });
+
+    document.getElementById('editBillingDetailsBtn')?.addEventListener('click', () => {
+        openBillingDetailsModal();
+    });
+}
+
+// Open Paddle's update-payment-method checkout for the subscription
+async function handleUpdatePaymentMethod(btn) {
+    if (!billingAccount) return;
+
+    if (typeof mepSketcherLicensing === 'undefined' || !mepSketcherLicensing) {
+        alert('Payment system not available');
         return;
     }
 
-    // Store the license for later use
-    currentManagedLicense = license;
+    const organizationId = billingAccount.organizationId;
+    const originalText = btn.textContent;
 
-    // Populate current status
-    document.getElementById('currentTotalLicenses').textContent = license.total_licenses || 0;
-    document.getElementById('currentUsedLicenses').textContent = license.used_licenses || 0;
-    document.getElementById('currentAvailableLicenses').textContent = (license.total_licenses - license.used_licenses) || 0;
-    
-    const expiresAt = new Date(license.expires_at);
-    document.getElementById('currentExpirationDate').textContent = expiresAt.toLocaleDateString('en-US', {
+    try {
+        btn.disabled = true;
+        btn.textContent = 'Opening...';
+
+        const transactionId = await billingAccount.getUpdatePaymentMethodTransaction();
+
+        mepSketcherLicensing.updatePaymentMethod(transactionId, async () => {
+            await new AuditLog(authService.supabase, organizationId).record(
+                AUDIT_ACTIONS.PAYMENT_METHOD_UPDATED,
+                { details: { transaction_id: transactionId } }
+            );
+
+            // Paddle records the new card with the transaction; give it a moment
+            setTimeout(() => loadBillingAccount(), 3000);
+        });
+    } catch (error) {
+        console.error('Error opening payment method update:', error);
+        alert(`Error updating payment method: ${error.message}`);
+    } finally {
+        btn.disabled = false;
+        btn.textContent = originalText;
+    }
+}
+
+// Load the transactions and license changes into the Billing tab
+async function loadBillingHistory() {
+    const container = document.getElementById('billingContainer');
+    if (!container || !billingHistory) return;
+
+    container.innerHTML = '<p>Loading billing history...</p>';
+
+    try {
+        const { transactions, history } = await billingHistory.fetchHistory();
+        renderBillingHistory(transactions, history);
+    } catch (error) {
+        console.error('Error loading billing history:', error);
+        container.innerHTML = `<div class="message error">Failed to load billing history: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderBillingHistory(transactions, history) {
+    const container = document.getElementById('billingContainer');
+    const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
         year: 'numeric',
-        month: 'long',
+        month: 'short',
         day: 'numeric'
     });
 
-    // Set initial quantity to current total
-    const quantityInput = document.getElementById('newLicenseQuantity');
-    quantityInput.value = license.total_licenses || 0;
+    const transactionsHtml = transactions.length === 0 ? `
+        <div class="empty-state"><p>No payments yet.</p></div>
+    ` : `
+        <table class="activity-table billing-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Invoice</th>
+                    <th>Seats</th>
+                    <th>Amount</th>
+                    <th>Status</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${transactions.map(transaction => `
+                    <tr>
+                        <td>${formatDate(transaction.date)}</td>
+                        <td>${escapeHtml(transaction.invoice_number || transaction.id)}</td>
+                        <td>${transaction.seats}</td>
+                        <td>${formatTransactionAmount(transaction.amount, transaction.currency)}</td>
+                        <td><span class="billing-status ${transaction.status}">${getTransactionStatusLabel(transaction.status)}</span></td>
+                        <td>
+                            ${transaction.has_invoice ? `
+                                <button class="btn btn-secondary btn-small download-invoice-btn"
+                                        data-transaction-id="${escapeHtml(transaction.id)}">
+                                    Invoice PDF
+                                </button>
+                            ` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
 
-    // Update preview
-    updateLicenseChangePreview();
+    const historyHtml = history.length === 0 ? '' : `
+        <h3 class="billing-section-title">License Changes</h3>
+        <table class="activity-table billing-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Change</th>
+                    <th>Licenses</th>
+                    <th>Note</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${history.map(entry => `
+                    <tr>
+                        <td>${formatDate(entry.created_at)}</td>
+                        <td>${RENEWAL_ACTION_LABELS[entry.action] || escapeHtml(entry.action)}</td>
+                        <td>${entry.previous_quantity} → ${entry.new_quantity}</td>
+                        <td><small>${escapeHtml(entry.note || '')}</small></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
 
-    // Open modal
-    const modal = document.getElementById('licenseManagementModal');
-    modal.style.display = 'flex';
-    
-    // Focus quantity input
-    quantityInput.focus();
-    quantityInput.select();
-}
+    container.innerHTML = transactionsHtml + historyHtml;
 
-// Close License Management Modal
-function closeLicenseManagementModal() {
-    const modal = document.getElementById('licenseManagementModal');
-    modal.style.display = 'none';
-    
-    // Reset form
-    document.getElementById('licenseManagementForm').reset();
-    
-    // Hide message
-    const messageDiv = document.getElementById('licenseManagementMessage');
-    messageDiv.style.display = 'none';
-    messageDiv.className = 'message';
-    
-    // Clear current license
-    currentManagedLicense = null;
+    container.querySelectorAll('.download-invoice-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            handleDownloadInvoice(btn);
+        });
+    });
 }
 
-// Calculate and display license change preview
-function updateLicenseChangePreview() {
-    if (!currentManagedLicense) return;
+// Open a transaction's invoice PDF (the link is only valid for a short time)
+async function handleDownloadInvoice(btn) {
+    if (!billingHistory) return;
 
-    const newQuantity = parseInt(document.getElementById('newLicenseQuantity').value) || 0;
-    const currentTotal = currentManagedLicense.total_licenses;
-    const usedLicenses = currentManagedLicense.used_licenses;
-    
-    // Calculate change
-    const change = newQuantity - currentTotal;
-    const isIncrease = change > 0;
-    const isDecrease = change < 0;
-    const noChange = change === 0;
+    const originalText = btn.textContent;
 
-    // Dates
-    const expiresAt = new Date(currentManagedLicense.expires_at);
-    const now = new Date();
-    const remainingDays = Math.ceil((expiresAt - now) / (1000 * 60 * 60 * 24));
-    
-    // Pricing calculations
-    const annualPricePerLicense = 200; // €200 per license per year
-    const dailyRate = annualPricePerLicense / 365;
+    try {
+        btn.disabled = true;
+        btn.textContent = 'Preparing...';
 
-    // Get preview container
-    const previewDiv = document.getElementById('changePreview');
-    const warningDiv = document.getElementById('reductionWarning');
-    const warningMessage = document.getElementById('warningMessage');
-    const submitBtn = document.getElementById('submitLicenseManagement');
+        const url = await billingHistory.getInvoiceUrl(btn.dataset.transactionId);
+        window.open(url, '_blank', 'noopener');
+    } catch (error) {
+        console.error('Error downloading invoice:', error);
+        alert(`Error downloading invoice: ${error.message}`);
+    } finally {
+        btn.disabled = false;
+        btn.textContent = originalText;
+    }
+}
 
-    // Handle changes
-    if (isDecrease && newQuantity === 0) {
-        previewDiv.style.background = '#fff3cd';
-        previewDiv.style.borderLeftColor = '#e67e22';
-        previewDiv.innerHTML = `
-            <h3 style="margin: 0 0 10px; font-size: 16px; color: #856404;">⚠ Subscription Cancellation</h3>
-            <p style="margin: 0 0 8px; color: #856404;">Your subscription will be <strong>canceled</strong> at renewal on <strong>${expiresAt.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}</strong>.</p>
-            <p style="margin: 0; color: #856404; font-size: 14px;">• All ${currentTotal} license${currentTotal !== 1 ? 's' : ''} will be removed</p>
-            <p style="margin: 5px 0 0; color: #856404; font-size: 14px;">• No future charges</p>
-            <p style="margin: 5px 0 0; color: #856404; font-size: 14px;">• Data preserved for 90 days after expiration</p>
-        `;
-        
-        if (usedLicenses > 0) {
-            warningDiv.style.display = 'block';
-            warningMessage.textContent = `You have ${usedLicenses} assigned license${usedLicenses !== 1 ? 's' : ''}. All members will lose access when the subscription expires on ${expiresAt.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}.`;
+// Point the Activity tab at an organization, if the user may see its audit log
+function initActivityTab(org) {
+    const canViewAuditLog = hasCapability(org.role, CAPABILITIES.VIEW_AUDIT_LOG);
+    const tabBtn = document.getElementById('activityTabBtn');
+
+    activityAuditLog = canViewAuditLog ? new AuditLog(authService.supabase, org.id) : null;
+    activityEvents = [];
+
+    if (tabBtn) {
+        tabBtn.style.display = canViewAuditLog ? '' : 'none';
+    }
+
+    if (tabBtn?.classList.contains('active')) {
+        // Switched organization while looking at the Activity tab
+        if (canViewAuditLog) {
+            loadActivity();
         } else {
-            warningDiv.style.display = 'none';
+            showDashboardTab('overviewTab');
         }
-        
-        submitBtn.disabled = false;
-        submitBtn.textContent = 'Schedule Cancellation';
-        return;
     }
+}
 
-    // Handle no change
-    if (noChange) {
-        previewDiv.style.background = '#f8f9fa';
-        previewDiv.style.borderLeftColor = '#6c757d';
-        previewDiv.innerHTML = `
-            <p style="margin: 0; color: #6c757d;">No changes to apply. Adjust the license count or check "Cancel at renewal" to make changes.</p>
-        `;
-        warningDiv.style.display = 'none';
-        submitBtn.disabled = true;
-        submitBtn.textContent = 'Confirm Changes';
+// Load actors and filtered events into the Activity tab
+async function loadActivity() {
+    const container = document.getElementById('activityContainer');
+    if (!container || !activityAuditLog) return;
+
+    container.innerHTML = '<p>Loading activity...</p>';
+
+    try {
+        await populateActivityActors();
+
+        activityEvents = await activityAuditLog.fetchEvents({
+            actorId: document.getElementById('activityActor').value,
+            action: document.getElementById('activityAction').value,
+            from: document.getElementById('activityFrom').value,
+            to: document.getElementById('activityTo').value
+        });
+
+        renderActivity(activityEvents);
+    } catch (error) {
+        console.error('Error loading activity:', error);
+        activityEvents = [];
+        container.innerHTML = `<div class="message error">Failed to load activity: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Fill the actor filter, keeping the current selection
+async function populateActivityActors() {
+    const actorSelect = document.getElementById('activityActor');
+    const selected = actorSelect.value;
+    const actors = await activityAuditLog.getActors();
+
+    actorSelect.innerHTML = `
+        <option value="">Everyone</option>
+        <option value="system">System</option>
+        ${actors.map(actor => `<option value="${actor.id}">${escapeHtml(actor.email)}</option>`).join('')}
+    `;
+    actorSelect.value = selected;
+}
+
+// Render audit events as a table
+function renderActivity(events) {
+    const container = document.getElementById('activityContainer');
+
+    if (events.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>No activity matches these filters.</p></div>';
         return;
     }
 
-    // Handle license increase (immediate with prorated charge)
-    if (isIncrease) {
-        const proratedPricePerLicense = Math.ceil(dailyRate * remainingDays * 100) / 100;
-        const totalCost = Math.ceil(proratedPricePerLicense * Math.abs(change) * 100) / 100;
-        const nextRenewalCost = annualPricePerLicense * newQuantity;
+    container.innerHTML = `
+        <table class="activity-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Actor</th>
+                    <th>Action</th>
+                    <th>Target</th>
+                    <th>Details</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${events.map(event => `
+                    <tr>
+                        <td>${new Date(event.created_at).toLocaleString()}</td>
+                        <td>${event.actor_email ? escapeHtml(event.actor_email) : '<span class="activity-system">System</span>'}</td>
+                        <td>${getAuditActionLabel(event.action)}</td>
+                        <td>${escapeHtml(event.target_email || '')}</td>
+                        <td><small>${escapeHtml(formatAuditDetails(event.details))}</small></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
 
-        previewDiv.style.background = '#d4edda';
-        previewDiv.style.borderLeftColor = '#28a745';
-        previewDiv.innerHTML = `
-            <h3 style="margin: 0 0 10px; font-size: 16px; color: #155724;">✓ Adding ${Math.abs(change)} License${Math.abs(change) !== 1 ? 's' : ''}</h3>
-            <div style="margin-bottom: 12px;">
-                <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
-                    <span style="color: #155724;">New total:</span>
-                    <strong style="color: #155724;">${newQuantity} license${newQuantity !== 1 ? 's' : ''}</strong>
-                </div>
-                <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
-                    <span style="color: #155724;">Effective:</span>
-                    <strong style="color: #155724;">Immediately</strong>
-                </div>
-            </div>
-            <div style="background: white; padding: 10px; border-radius: 4px; margin-top: 10px;">
-                <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
-                    <span>Prorated cost (${remainingDays} days):</span>
-                    <strong>€${proratedPricePerLicense.toFixed(2)} per license</strong>
-                </div>
-                <div style="display: flex; justify-content: space-between; margin-bottom: 6px; padding-top: 6px; border-top: 1px solid #ddd; font-size: 16px;">
-                    <span>Charge today:</span>
-                    <strong style="color: #007bff;">€${totalCost.toFixed(2)}</strong>
-                </div>
-                <div style="display: flex; justify-content: space-between; margin-top: 10px; padding-top: 8px; border-top: 1px solid #ddd;">
-                    <span style="font-size: 14px;">Next renewal (${expiresAt.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}):</span>
-                    <strong style="font-size: 14px;">€${nextRenewalCost.toFixed(2)}/year</strong>
-                </div>
-            </div>
-        `;
-        warningDiv.style.display = 'none';
-        submitBtn.disabled = false;
-        submitBtn.textContent = 'Add Licenses Now';
+// Summarize event details, e.g. "from: member → admin"
+function formatAuditDetails(details) {
+    if (!details) return '';
+
+    const { from, to, ...rest } = details;
+    const parts = [];
+
+    if (from !== undefined || to !== undefined) {
+        parts.push(`${from ?? '-'} → ${to ?? '-'}`);
+    }
+
+    Object.entries(rest).forEach(([key, value]) => {
+        if (value !== null && value !== undefined && value !== '') {
+            parts.push(`${key.replace(/_/g, ' ')}: ${value}`);
+        }
+    });
+
+    return parts.join(', ');
+}
+
+// Download the events currently shown as CSV
+function exportActivityCsv() {
+    if (activityEvents.length === 0) {
+        alert('There is no activity to export.');
         return;
     }
 
-    // Handle license reduction (scheduled for renewal)
-    if (isDecrease) {
-        const nextRenewalCost = annualPricePerLicense * newQuantity;
-        const annualSavings = annualPricePerLicense * Math.abs(change);
-        const belowUsed = newQuantity < usedLicenses;
+    const blob = new Blob([AuditLog.toCsv(activityEvents)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
 
-        previewDiv.style.background = '#fff3cd';
-        previewDiv.style.borderLeftColor = '#ffc107';
-        previewDiv.innerHTML = `
-            <h3 style="margin: 0 0 10px; font-size: 16px; color: #856404;">Reducing ${Math.abs(change)} License${Math.abs(change) !== 1 ? 's' : ''}</h3>
-            <div style="margin-bottom: 12px;">
-                <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
-                    <span style="color: #856404;">New total:</span>
-                    <strong style="color: #856404;">${newQuantity} license${newQuantity !== 1 ? 's' : ''}</strong>
-                </div>
-                <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
-                    <span style="color: #856404;">Effective:</span>
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `activity-${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+}
+
+// Escape text for use in HTML templates and quoted attribute values
+// (audit details, emails and CSV input are free-form)
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// ============================================================================
+// Offline License Modal Functions
+// ============================================================================
+
+// Organization the offline license modal was opened for
+let offlineLicenseOrganizationId = null;
+
+// Setup Offline License Modal
+function setupOfflineLicenseModal() {
+    const modal = document.getElementById('offlineLicenseModal');
+    if (!modal) return;
+
+    const closeBtn = modal.querySelector('.close');
+    const cancelBtn = document.getElementById('cancelOfflineLicense');
+    const form = document.getElementById('offlineLicenseForm');
+
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => {
+            closeOfflineLicenseModal();
+        });
+    }
+
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => {
+            closeOfflineLicenseModal();
+        });
+    }
+
+    // Click outside to close
+    window.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeOfflineLicenseModal();
+        }
+    });
+
+    if (form) {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await handleOfflineLicenseSubmit();
+        });
+    }
+}
+
+// Open Offline License Modal with the organization's seat holders
+async function openOfflineLicenseModal(license) {
+    const memberSelect = document.getElementById('offlineLicenseMember');
+    const user = authService.getCurrentUser();
+
+    const { data: seatHolders, error } = await authService.supabase
+        .from('organization_members')
+        .select('user_id, email')
+        .eq('organization_id', license.organization_id)
+        .eq('status', 'active')
+        .eq('has_license', true)
+        .order('email', { ascending: true });
+
+    if (error) {
+        console.error('Error loading seat holders:', error);
+        alert('Failed to load seat holders. Please try again.');
+        return;
+    }
+
+    if (!seatHolders || seatHolders.length === 0) {
+        alert('No one holds a seat yet. Assign a seat before issuing an offline license.');
+        return;
+    }
+
+    memberSelect.innerHTML = seatHolders.map(member => `
+        <option value="${member.user_id}" ${member.user_id === user?.id ? 'selected' : ''}>${escapeHtml(member.email || member.user_id)}</option>
+    `).join('');
+
+    offlineLicenseOrganizationId = license.organization_id;
+
+    const modal = document.getElementById('offlineLicenseModal');
+    modal.style.display = 'flex';
+}
+
+// Close Offline License Modal
+function closeOfflineLicenseModal() {
+    const modal = document.getElementById('offlineLicenseModal');
+    modal.style.display = 'none';
+
+    document.getElementById('offlineLicenseForm').reset();
+
+    const messageDiv = document.getElementById('offlineLicenseMessage');
+    messageDiv.style.display = 'none';
+    messageDiv.className = 'message';
+
+    offlineLicenseOrganizationId = null;
+}
+
+// Issue the offline license and download it as a file
+async function handleOfflineLicenseSubmit() {
+    const memberSelect = document.getElementById('offlineLicenseMember');
+    const daysSelect = document.getElementById('offlineLicenseDays');
+    const deviceInput = document.getElementById('offlineLicenseDevice');
+    const submitBtn = document.getElementById('submitOfflineLicense');
+
+    if (!offlineLicenseOrganizationId) {
+        showOfflineLicenseMessage('Error: Organization not found', 'error');
+        return;
+    }
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Issuing...';
+
+    try {
+        const { data, error } = await authService.supabase.functions.invoke('issue-offline-license', {
+            body: {
+                organizationId: offlineLicenseOrganizationId,
+                userId: memberSelect.value,
+                validDays: parseInt(daysSelect.value, 10),
+                deviceFingerprint: deviceInput.value.trim()
+            }
+        });
+
+        if (error) {
+            let message = error.message;
+            try {
+                const errorBody = await error.context?.json();
+                message = errorBody?.error || message;
+            } catch (parseError) {
+                // Keep the generic message
+            }
+            throw new Error(message);
+        }
+
+        const blob = new Blob([JSON.stringify(data.file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const emailPrefix = (data.file.license.email || 'license').split('@')[0];
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `mepsketcher-offline-${emailPrefix}-${data.expiresAt.split('T')[0]}.mslicense`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+
+        showOfflineLicenseMessage(`License file issued. Valid until ${new Date(data.expiresAt).toLocaleDateString()}.`, 'success');
+    } catch (error) {
+        console.error('Error issuing offline license:', error);
+        showOfflineLicenseMessage(error.message || 'Failed to issue offline license', 'error');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Download License File';
+    }
+}
+
+// Show message in offline license modal
+function showOfflineLicenseMessage(text, type) {
+    const messageDiv = document.getElementById('offlineLicenseMessage');
+    messageDiv.textContent = text;
+    messageDiv.className = `message ${type}`;
+    messageDiv.style.display = 'block';
+}
+
+// ============================================================================
+// Organization Name Edit Modal Functions
+// ============================================================================
+
+// Setup Edit Organization Name Modal
+function setupEditOrgNameModal() {
+    const modal = document.getElementById('editOrgNameModal');
+    const closeBtn = modal.querySelector('.close');
+    const cancelBtn = document.getElementById('cancelEditOrgName');
+    const form = document.getElementById('editOrgNameForm');
+
+    // Close button
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => {
+            closeEditOrgNameModal();
+        });
+    }
+
+    // Cancel button
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => {
+            closeEditOrgNameModal();
+        });
+    }
+
+    // Click outside to close
+    window.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeEditOrgNameModal();
+        }
+    });
+
+    // Form submit
+    if (form) {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await handleEditOrgNameSubmit();
+        });
+    }
+}
+
+// Variable to store current organization being edited
+let currentEditingOrg = null;
+
+// Open Edit Organization Name Modal
+function openEditOrgNameModal(org) {
+    if (!org) {
+        alert('Error: Organization not found');
+        return;
+    }
+
+    // Store the organization for later use
+    currentEditingOrg = org;
+
+    // Set the current name in the input
+    const orgNameInput = document.getElementById('orgNameInput');
+    orgNameInput.value = org.name;
+
+    // Open modal
+    const modal = document.getElementById('editOrgNameModal');
+    modal.style.display = 'flex';
+    
+    // Focus input and select text for easy editing
+    orgNameInput.focus();
+    orgNameInput.select();
+}
+
+// Close Edit Organization Name Modal
+function closeEditOrgNameModal() {
+    const modal = document.getElementById('editOrgNameModal');
+    modal.style.display = 'none';
+    
+    // Reset form
+    document.getElementById('editOrgNameForm').reset();
+    
+    // Hide message
+    const messageDiv = document.getElementById('editOrgNameMessage');
+    messageDiv.style.display = 'none';
+    messageDiv.className = 'message';
+    
+    // Clear current editing org
+    currentEditingOrg = null;
+}
+
+// Handle Edit Organization Name Form Submit
+async function handleEditOrgNameSubmit() {
+    const orgNameInput = document.getElementById('orgNameInput');
+    const submitBtn = document.getElementById('submitEditOrgName');
+    
+    const newName = orgNameInput.value.trim();
+
+    if (!newName) {
+        showEditOrgNameMessage('Please enter an organization name', 'error');
+        return;
+    }
+
+    if (!currentEditingOrg) {
+        showEditOrgNameMessage('Error: Organization not found', 'error');
+        return;
+    }
+
+    // Check if name has actually changed
+    if (newName === currentEditingOrg.name) {
+        showEditOrgNameMessage('No changes made', 'info');
+        setTimeout(() => {
+            closeEditOrgNameModal();
+        }, 1500);
+        return;
+    }
+
+    // Disable submit button
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Saving...';
+
+    try {
+        // Update organization name in Supabase
+        const { error } = await authService.supabase
+            .from('organizations')
+            .update({
+                name: newName,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', currentEditingOrg.id);
+
+        if (error) {
+            throw new Error(error.message);
+        }
+
+        await new AuditLog(authService.supabase, currentEditingOrg.id).record(
+            AUDIT_ACTIONS.ORGANIZATION_RENAMED,
+            { details: { from: currentEditingOrg.name, to: newName } }
+        );
+
+        showEditOrgNameMessage('Organization name updated successfully!', 'success');
+        
+        // Reload organization data after 1 second
+        setTimeout(async () => {
+            await loadOrganizationData();
+            closeEditOrgNameModal();
+        }, 1000);
+    } catch (error) {
+        console.error('Error updating organization name:', error);
+        showEditOrgNameMessage(error.message || 'Failed to update organization name', 'error');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Save Changes';
+    }
+}
+
+// Show message in edit organization name modal
+function showEditOrgNameMessage(text, type) {
+    const messageDiv = document.getElementById('editOrgNameMessage');
+    messageDiv.textContent = text;
+    messageDiv.className = `message ${type}`;
+    messageDiv.style.display = 'block';
+}
+
+// ============================================================================
+// End Organization Name Edit Modal Functions
+// ============================================================================
+
+// ============================================================================
+// Billing Details Modal Functions
+// ============================================================================
+
+// Setup Billing Details Modal
+function setupBillingDetailsModal() {
+    const modal = document.getElementById('billingDetailsModal');
+    const closeBtn = modal.querySelector('.close');
+    const cancelBtn = document.getElementById('cancelBillingDetails');
+    const form = document.getElementById('billingDetailsForm');
+
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => {
+            closeBillingDetailsModal();
+        });
+    }
+
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => {
+            closeBillingDetailsModal();
+        });
+    }
+
+    // Click outside to close
+    window.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeBillingDetailsModal();
+        }
+    });
+
+    if (form) {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await handleBillingDetailsSubmit();
+        });
+    }
+}
+
+// Open Billing Details Modal with the stored details
+function openBillingDetailsModal() {
+    const form = document.getElementById('billingDetailsForm');
+
+    BILLING_DETAIL_FIELDS.forEach(field => {
+        form.elements[field].value = billingAccountDetails?.[field] || '';
+    });
+
+    document.getElementById('billingDetailsModal').style.display = 'flex';
+    form.elements.company_name.focus();
+}
+
+// Close Billing Details Modal
+function closeBillingDetailsModal() {
+    const modal = document.getElementById('billingDetailsModal');
+    modal.style.display = 'none';
+
+    document.getElementById('billingDetailsForm').reset();
+
+    const messageDiv = document.getElementById('billingDetailsMessage');
+    messageDiv.style.display = 'none';
+    messageDiv.className = 'message';
+}
+
+// Handle Billing Details Form Submit
+async function handleBillingDetailsSubmit() {
+    const form = document.getElementById('billingDetailsForm');
+    const submitBtn = document.getElementById('submitBillingDetails');
+
+    if (!billingAccount) {
+        showBillingDetailsMessage('Error: Organization not found', 'error');
+        return;
+    }
+
+    const details = {};
+    BILLING_DETAIL_FIELDS.forEach(field => {
+        details[field] = form.elements[field].value.trim();
+    });
+
+    if (details.tax_identifier && !details.company_name) {
+        showBillingDetailsMessage('Please enter the company name the VAT ID belongs to', 'error');
+        return;
+    }
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Saving...';
+
+    try {
+        const result = await billingAccount.saveDetails(details);
+
+        if (result.synced) {
+            showBillingDetailsMessage('Billing details updated successfully!', 'success');
+        } else if (result.syncError) {
+            showBillingDetailsMessage(`Billing details saved, but Paddle could not be updated yet: ${result.syncError}`, 'info');
+        } else {
+            showBillingDetailsMessage('Billing details saved.', 'success');
+        }
+
+        setTimeout(() => {
+            closeBillingDetailsModal();
+            loadBillingAccount();
+        }, result.synced ? 1000 : 3000);
+    } catch (error) {
+        console.error('Error saving billing details:', error);
+        showBillingDetailsMessage(error.message || 'Failed to save billing details', 'error');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Save Changes';
+    }
+}
+
+// Show message in billing details modal
+function showBillingDetailsMessage(text, type) {
+    const messageDiv = document.getElementById('billingDetailsMessage');
+    messageDiv.textContent = text;
+    messageDiv.className = `message ${type}`;
+    messageDiv.style.display = 'block';
+}
+
+// ============================================================================
+// End Billing Details Modal Functions
+// ============================================================================
+
+// ============================================================================
+// Purchase Additional Licenses Modal Functions
+// ============================================================================
+
+// Setup Purchase Licenses Modal (call this in DOMContentLoaded)
+function setupPurchaseLicensesModal() {
+    const modal = document.getElementById('purchaseLicensesModal');
+    const closeBtn = modal.querySelector('.close');
+    const cancelBtn = document.getElementById('cancelPurchaseLicenses');
+    const form = document.getElementById('purchaseLicensesForm');
+    const quantityInput = document.getElementById('licenseQuantity');
+
+    // Close button
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => {
+            closePurchaseLicensesModal();
+        });
+    }
+
+    // Cancel button
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => {
+            closePurchaseLicensesModal();
+        });
+    }
+
+    // Click outside to close
+    window.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closePurchaseLicensesModal();
+        }
+    });
+
+    // Update pricing when quantity changes
+    if (quantityInput) {
+        quantityInput.addEventListener('input', () => {
+            updatePricingPreview();
+        });
+    }
+
+    // Form submit
+    if (form) {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await handlePurchaseLicensesSubmit();
+        });
+    }
+}
+
+// Variable to store current license being purchased for
+let currentPurchaseLicense = null;
+
+// Open Purchase Licenses Modal
+function openPurchaseLicensesModal(license) {
+    if (!license) {
+        alert('Error: License not found');
+        return;
+    }
+
+    // Store the license for later use
+    currentPurchaseLicense = license;
+
+    // Reset quantity to 1
+    const quantityInput = document.getElementById('licenseQuantity');
+    quantityInput.value = 1;
+
+    // Update pricing preview
+    updatePricingPreview();
+
+    // Open modal
+    const modal = document.getElementById('purchaseLicensesModal');
+    modal.style.display = 'flex';
+    
+    // Focus quantity input
+    quantityInput.focus();
+    quantityInput.select();
+}
+
+// Close Purchase Licenses Modal
+function closePurchaseLicensesModal() {
+    const modal = document.getElementById('purchaseLicensesModal');
+    modal.style.display = 'none';
+    
+    // Reset form
+    document.getElementById('purchaseLicensesForm').reset();
+    
+    // Hide message
+    const messageDiv = document.getElementById('purchaseLicensesMessage');
+    messageDiv.style.display = 'none';
+    messageDiv.className = 'message';
+    
+    // Clear current license
+    currentPurchaseLicense = null;
+}
+
+// Update pricing preview in real-time
+function updatePricingPreview() {
+    if (!currentPurchaseLicense) return;
+
+    const quantityInput = document.getElementById('licenseQuantity');
+    const quantity = parseInt(quantityInput.value) || 1;
+
+    // Calculate remaining days
+    const expiresAt = new Date(currentPurchaseLicense.expires_at);
+    const now = new Date();
+    const remainingDays = Math.ceil((expiresAt - now) / (1000 * 60 * 60 * 24));
+
+    // Calculate pricing (€200 base price per year)
+    const dailyRate = 200 / 365;
+    const pricePerLicense = Math.ceil(dailyRate * remainingDays * 100) / 100;
+    const totalCost = Math.ceil(pricePerLicense * quantity * 100) / 100;
+
+    // Update display
+    document.getElementById('remainingDaysDisplay').textContent = `${remainingDays} days`;
+    document.getElementById('pricePerLicenseDisplay').textContent = `€${pricePerLicense.toFixed(2)}`;
+    document.getElementById('quantityDisplay').textContent = quantity;
+    document.getElementById('totalCostDisplay').textContent = `€${totalCost.toFixed(2)}`;
+    document.getElementById('renewalDateDisplay').textContent = expiresAt.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+// Handle Purchase Licenses Form Submit
+async function handlePurchaseLicensesSubmit() {
+    if (!currentPurchaseLicense) {
+        showPurchaseLicensesMessage('Error: No license selected', 'error');
+        return;
+    }
+
+    const submitBtn = document.getElementById('submitPurchaseLicenses');
+    const quantityInput = document.getElementById('licenseQuantity');
+    const quantity = parseInt(quantityInput.value);
+
+    // Validation
+    if (isNaN(quantity) || quantity < 1 || quantity > 100) {
+        showPurchaseLicensesMessage('Please enter a valid quantity between 1 and 100', 'error');
+        return;
+    }
+
+    // Check if license has subscription_id
+    if (!currentPurchaseLicense.subscription_id) {
+        showPurchaseLicensesMessage('Error: No subscription found for this license', 'error');
+        return;
+    }
+
+    // Save license values before closing modal (closing sets currentPurchaseLicense to null)
+    const organizationId = currentPurchaseLicense.organization_id;
+    const subscriptionId = currentPurchaseLicense.subscription_id;
+
+    // Disable submit button
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Processing...';
+
+    try {
+        // Close modal
+        closePurchaseLicensesModal();
+        
+        // Call the dedicated add licenses function
+        if (typeof mepSketcherLicensing !== 'undefined') {
+            await mepSketcherLicensing.addLicensesToSubscription(
+                quantity,
+                organizationId,
+                subscriptionId
+            );
+        } else {
+            throw new Error('Payment system not available');
+        }
+    } catch (error) {
+        console.error('Error purchasing licenses:', error);
+        alert(`Error: ${error.message}`);
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Purchase Licenses';
+    }
+}
+
+// Show message in purchase licenses modal
+function showPurchaseLicensesMessage(text, type) {
+    const messageDiv = document.getElementById('purchaseLicensesMessage');
+    messageDiv.textContent = text;
+    messageDiv.className = `message ${type}`;
+    messageDiv.style.display = 'block';
+}
+
+// ============================================================================
+// End Purchase Additional Licenses Modal Functions
+// ============================================================================
+
+// ============================================================================
+// License Management Modal Functions (Add/Reduce Licenses)
+// ============================================================================
+
+// Setup License Management Modal (call this in DOMContentLoaded)
+function setupLicenseManagementModal() {
+    const modal = document.getElementById('licenseManagementModal');
+    const closeBtn = modal?.querySelector('.close');
+    const cancelBtn = document.getElementById('cancelLicenseManagement');
+    const form = document.getElementById('licenseManagementForm');
+    const quantityInput = document.getElementById('newLicenseQuantity');
+    const incrementBtn = document.getElementById('incrementLicenses');
+    const decrementBtn = document.getElementById('decrementLicenses');
+
+    if (!modal) return; // Modal not found, skip setup
+
+    // Close button
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => {
+            closeLicenseManagementModal();
+        });
+    }
+
+    // Cancel button
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => {
+            closeLicenseManagementModal();
+        });
+    }
+
+    // Click outside to close
+    window.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeLicenseManagementModal();
+        }
+    });
+
+    // Increment/Decrement buttons
+    if (incrementBtn && quantityInput) {
+        incrementBtn.addEventListener('click', () => {
+            const currentValue = parseInt(quantityInput.value) || 0;
+            quantityInput.value = Math.min(currentValue + 1, 200);
+            updateLicenseChangePreview();
+        });
+    }
+
+    if (decrementBtn && quantityInput) {
+        decrementBtn.addEventListener('click', () => {
+            const currentValue = parseInt(quantityInput.value) || 0;
+            quantityInput.value = Math.max(currentValue - 1, 0);
+            updateLicenseChangePreview();
+        });
+    }
+
+    // Apply the utilization suggestion
+    const applySuggestionBtn = document.getElementById('applyUtilizationSuggestion');
+    if (applySuggestionBtn && quantityInput) {
+        applySuggestionBtn.addEventListener('click', () => {
+            quantityInput.value = applySuggestionBtn.dataset.quantity;
+            updateLicenseChangePreview();
+        });
+    }
+
+    // Update preview when quantity changes
+    if (quantityInput) {
+        quantityInput.addEventListener('input', () => {
+            updateLicenseChangePreview();
+        });
+    }
+
+    // Form submit
+    if (form) {
+        form.addEventListener('submit', handleLicenseManagementSubmit);
+    }
+}
+
+// Variable to store current license being managed
+let currentManagedLicense = null;
+
+// Open License Management Modal, optionally prefilled with a quantity
+function openLicenseManagementModal(license, quantity = null) {
+    if (!license) {
+        alert('Error: License not found');
+        return;
+    }
+
+    // Store the license for later use
+    currentManagedLicense = license;
+
+    // Populate current status
+    document.getElementById('currentTotalLicenses').textContent = license.total_licenses || 0;
+    document.getElementById('currentUsedLicenses').textContent = license.used_licenses || 0;
+    document.getElementById('currentAvailableLicenses').textContent = (license.total_licenses - license.used_licenses) || 0;
+    
+    const expiresAt = new Date(license.expires_at);
+    document.getElementById('currentExpirationDate').textContent = expiresAt.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+
+    // Set initial quantity to current total
+    const quantityInput = document.getElementById('newLicenseQuantity');
+    quantityInput.value = quantity ?? (license.total_licenses || 0);
+
+    // Offer the utilization report's suggestion
+    const suggestionDiv = document.getElementById('utilizationSuggestion');
+    const suggested = license.utilization?.suggestedTotal;
+    if (suggested) {
+        const report = license.utilization;
+        document.getElementById('utilizationSuggestionText').innerHTML = report.isFloating
+            ? `💡 At most <strong>${report.peakConcurrent}</strong> member${report.peakConcurrent !== 1 ? 's' : ''} used MepSketcher at the same time in the last ${IDLE_SEAT_DAYS} days. Suggested: <strong>${suggested}</strong> license${suggested !== 1 ? 's' : ''}.`
+            : `💡 ${report.idleSeats.length} seat${report.idleSeats.length !== 1 ? 's have' : ' has'} not been used in the last ${IDLE_SEAT_DAYS} days. Suggested: <strong>${suggested}</strong> license${suggested !== 1 ? 's' : ''}.`;
+        document.getElementById('applyUtilizationSuggestion').dataset.quantity = suggested;
+        suggestionDiv.style.display = 'block';
+    } else {
+        suggestionDiv.style.display = 'none';
+    }
+
+    // Update preview
+    updateLicenseChangePreview();
+
+    // Open modal
+    const modal = document.getElementById('licenseManagementModal');
+    modal.style.display = 'flex';
+    
+    // Focus quantity input
+    quantityInput.focus();
+    quantityInput.select();
+}
+
+// Close License Management Modal
+function closeLicenseManagementModal() {
+    const modal = document.getElementById('licenseManagementModal');
+    modal.style.display = 'none';
+    
+    // Reset form
+    document.getElementById('licenseManagementForm').reset();
+    
+    // Hide message
+    const messageDiv = document.getElementById('licenseManagementMessage');
+    messageDiv.style.display = 'none';
+    messageDiv.className = 'message';
+    
+    // Clear current license
+    currentManagedLicense = null;
+}
+
+// Calculate and display license change preview
+function updateLicenseChangePreview() {
+    if (!currentManagedLicense) return;
+
+    const newQuantity = parseInt(document.getElementById('newLicenseQuantity').value) || 0;
+    const currentTotal = currentManagedLicense.total_licenses;
+    const usedLicenses = currentManagedLicense.used_licenses;
+    
+    // Calculate change
+    const change = newQuantity - currentTotal;
+    const isIncrease = change > 0;
+    const isDecrease = change < 0;
+    const noChange = change === 0;
+
+    // Dates
+    const expiresAt = new Date(currentManagedLicense.expires_at);
+    const now = new Date();
+    const remainingDays = Math.ceil((expiresAt - now) / (1000 * 60 * 60 * 24));
+    
+    // Pricing calculations
+    const annualPricePerLicense = 200; // €200 per license per year
+    const dailyRate = annualPricePerLicense / 365;
+
+    // Get preview container
+    const previewDiv = document.getElementById('changePreview');
+    const warningDiv = document.getElementById('reductionWarning');
+    const warningMessage = document.getElementById('warningMessage');
+    const submitBtn = document.getElementById('submitLicenseManagement');
+
+    // Handle changes
+    if (isDecrease && newQuantity === 0) {
+        previewDiv.style.background = '#fff3cd';
+        previewDiv.style.borderLeftColor = '#e67e22';
+        previewDiv.innerHTML = `
+            <h3 style="margin: 0 0 10px; font-size: 16px; color: #856404;">⚠ Subscription Cancellation</h3>
+            <p style="margin: 0 0 8px; color: #856404;">Your subscription will be <strong>canceled</strong> at renewal on <strong>${expiresAt.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}</strong>.</p>
+            <p style="margin: 0; color: #856404; font-size: 14px;">• All ${currentTotal} license${currentTotal !== 1 ? 's' : ''} will be removed</p>
+            <p style="margin: 5px 0 0; color: #856404; font-size: 14px;">• No future charges</p>
+            <p style="margin: 5px 0 0; color: #856404; font-size: 14px;">• Data preserved for ${ExpiryPolicy.resolve(currentOrganization?.expiry_policy).retention_days} days after expiration</p>
+        `;
+        
+        if (usedLicenses > 0) {
+            warningDiv.style.display = 'block';
+            warningMessage.textContent = `You have ${usedLicenses} assigned license${usedLicenses !== 1 ? 's' : ''}. All members will lose access when the subscription expires on ${expiresAt.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}.`;
+        } else {
+            warningDiv.style.display = 'none';
+        }
+        
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Schedule Cancellation';
+        return;
+    }
+
+    // Handle no change
+    if (noChange) {
+        previewDiv.style.background = '#f8f9fa';
+        previewDiv.style.borderLeftColor = '#6c757d';
+        previewDiv.innerHTML = `
+            <p style="margin: 0; color: #6c757d;">No changes to apply. Adjust the license count or check "Cancel at renewal" to make changes.</p>
+        `;
+        warningDiv.style.display = 'none';
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Confirm Changes';
+        return;
+    }
+
+    // Handle license increase (immediate with prorated charge)
+    if (isIncrease) {
+        const proratedPricePerLicense = Math.ceil(dailyRate * remainingDays * 100) / 100;
+        const totalCost = Math.ceil(proratedPricePerLicense * Math.abs(change) * 100) / 100;
+        const nextRenewalCost = annualPricePerLicense * newQuantity;
+
+        previewDiv.style.background = '#d4edda';
+        previewDiv.style.borderLeftColor = '#28a745';
+        previewDiv.innerHTML = `
+            <h3 style="margin: 0 0 10px; font-size: 16px; color: #155724;">✓ Adding ${Math.abs(change)} License${Math.abs(change) !== 1 ? 's' : ''}</h3>
+            <div style="margin-bottom: 12px;">
+                <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
+                    <span style="color: #155724;">New total:</span>
+                    <strong style="color: #155724;">${newQuantity} license${newQuantity !== 1 ? 's' : ''}</strong>
+                </div>
+                <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
+                    <span style="color: #155724;">Effective:</span>
+                    <strong style="color: #155724;">Immediately</strong>
+                </div>
+            </div>
+            <div style="background: white; padding: 10px; border-radius: 4px; margin-top: 10px;">
+                <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
+                    <span>Prorated cost (${remainingDays} days):</span>
+                    <strong>€${proratedPricePerLicense.toFixed(2)} per license</strong>
+                </div>
+                <div style="display: flex; justify-content: space-between; margin-bottom: 6px; padding-top: 6px; border-top: 1px solid #ddd; font-size: 16px;">
+                    <span>Charge today:</span>
+                    <strong style="color: #007bff;">€${totalCost.toFixed(2)}</strong>
+                </div>
+                <div style="display: flex; justify-content: space-between; margin-top: 10px; padding-top: 8px; border-top: 1px solid #ddd;">
+                    <span style="font-size: 14px;">Next renewal (${expiresAt.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}):</span>
+                    <strong style="font-size: 14px;">€${nextRenewalCost.toFixed(2)}/year</strong>
+                </div>
+            </div>
+        `;
+        warningDiv.style.display = 'none';
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Add Licenses Now';
+        return;
+    }
+
+    // Handle license reduction (scheduled for renewal)
+    if (isDecrease) {
+        const nextRenewalCost = annualPricePerLicense * newQuantity;
+        const annualSavings = annualPricePerLicense * Math.abs(change);
+        const belowUsed = newQuantity < usedLicenses;
+
+        previewDiv.style.background = '#fff3cd';
+        previewDiv.style.borderLeftColor = '#ffc107';
+        previewDiv.innerHTML = `
+            <h3 style="margin: 0 0 10px; font-size: 16px; color: #856404;">Reducing ${Math.abs(change)} License${Math.abs(change) !== 1 ? 's' : ''}</h3>
+            <div style="margin-bottom: 12px;">
+                <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
+                    <span style="color: #856404;">New total:</span>
+                    <strong style="color: #856404;">${newQuantity} license${newQuantity !== 1 ? 's' : ''}</strong>
+                </div>
+                <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
+                    <span style="color: #856404;">Effective:</span>
                     <strong style="color: #856404;">At renewal (${expiresAt.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })})</strong>
                 </div>
             </div>
-            <div style="background: white; padding: 10px; border-radius: 4px; margin-top: 10px;">
-                <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
-                    <span>Charge today:</span>
-                    <strong>€0.00</strong>
-                </div>
-                <div style="display: flex; justify-content: space-between; margin-bottom: 6px; padding-top: 6px; border-top: 1px solid #ddd;">
-                    <span>Next renewal cost:</span>
-                    <strong style="color: #007bff;">€${nextRenewalCost.toFixed(2)}/year</strong>
-                </div>
-                <div style="display: flex; justify-content: space-between; padding-top: 6px; border-top: 1px solid #ddd;">
-                    <span style="color: #28a745;">Annual savings:</span>
-                    <strong style="color: #28a745;">€${annualSavings.toFixed(2)}/year</strong>
-                </div>
+            <div style="background: white; padding: 10px; border-radius: 4px; margin-top: 10px;">
+                <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
+                    <span>Charge today:</span>
+                    <strong>€0.00</strong>
+                </div>
+                <div style="display: flex; justify-content: space-between; margin-bottom: 6px; padding-top: 6px; border-top: 1px solid #ddd;">
+                    <span>Next renewal cost:</span>
+                    <strong style="color: #007bff;">€${nextRenewalCost.toFixed(2)}/year</strong>
+                </div>
+                <div style="display: flex; justify-content: space-between; padding-top: 6px; border-top: 1px solid #ddd;">
+                    <span style="color: #28a745;">Annual savings:</span>
+                    <strong style="color: #28a745;">€${annualSavings.toFixed(2)}/year</strong>
+                </div>
+            </div>
+        `;
+
+        // Show warning if reducing below used count
+        if (belowUsed) {
+            const membersToUnassign = usedLicenses - newQuantity;
+            warningDiv.style.display = 'block';
+            const idleSeats = currentManagedLicense.utilization?.idleSeats || [];
+            warningMessage.textContent = `You currently have ${usedLicenses} assigned license${usedLicenses !== 1 ? 's' : ''} but are reducing to ${newQuantity}. You'll need to unassign ${membersToUnassign} member${membersToUnassign !== 1 ? 's' : ''} before ${expiresAt.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}, or their access will be automatically revoked.`
+                + (idleSeats.length > 0 ? ` Idle for ${IDLE_SEAT_DAYS}+ days: ${idleSeats.slice(0, membersToUnassign).map(seat => seat.email).join(', ')}.` : '');
+        } else {
+            warningDiv.style.display = 'none';
+        }
+
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Schedule Reduction';
+        return;
+    }
+}
+
+// Handle License Management Form Submit
+async function handleLicenseManagementSubmit(event) {
+    event.preventDefault();
+    
+    if (!currentManagedLicense) {
+        showLicenseManagementMessage('Error: No license selected', 'error');
+        return;
+    }
+
+    const submitBtn = document.getElementById('submitLicenseManagement');
+    const quantityInput = document.getElementById('newLicenseQuantity');
+    const newQuantity = parseInt(quantityInput.value);
+    const currentTotal = currentManagedLicense.total_licenses;
+
+    // Validation
+    if (isNaN(newQuantity) || newQuantity < 0 || newQuantity > 200) {
+        showLicenseManagementMessage('Please enter a valid quantity between 0 and 200', 'error');
+        return;
+    }
+
+    // Check if no change
+    if (newQuantity === currentTotal) {
+        showLicenseManagementMessage('No changes to apply', 'error');
+        return;
+    }
+
+    // Check if license has subscription_id for increases
+    if (newQuantity > currentTotal && !currentManagedLicense.subscription_id) {
+        showLicenseManagementMessage('Error: No active subscription found for this license', 'error');
+        return;
+    }
+
+    // Confirmation for cancellation
+    if (newQuantity === 0) {
+        const confirmed = confirm('Are you sure you want to cancel your subscription? All licenses will be removed at renewal.');
+        if (!confirmed) return;
+    }
+
+    // Disable submit button
+    submitBtn.disabled = true;
+    const originalText = submitBtn.textContent;
+    submitBtn.textContent = 'Processing...';
+
+    try {
+        const change = newQuantity - currentTotal;
+        const auditLog = new AuditLog(authService.supabase, currentManagedLicense.organization_id);
+        
+        // Handle increase (immediate)
+        if (change > 0) {
+            if (typeof mepSketcherLicensing !== 'undefined') {
+                await mepSketcherLicensing.addLicensesToSubscription(
+                    change,
+                    currentManagedLicense.organization_id,
+                    currentManagedLicense.subscription_id
+                );
+                await auditLog.record(AUDIT_ACTIONS.LICENSE_QUANTITY_CHANGED, {
+                    details: { from: currentTotal, to: newQuantity }
+                });
+                // Close modal and reload
+                closeLicenseManagementModal();
+                await loadLicenses();
+            } else {
+                throw new Error('Payment system not available');
+            }
+        }
+        // Handle decrease or cancellation (scheduled)
+        else if (change < 0) {
+            // Call schedule-license-change edge function
+            const { data, error } = await authService.supabase.functions.invoke('schedule-license-change', {
+                body: {
+                    organizationId: currentManagedLicense.organization_id,
+                    newQuantity: parseInt(quantityInput.value), 
+                    effectiveDate: currentManagedLicense.expires_at
+                }
+            });
+
+            if (error) throw error;
+
+            await auditLog.record(
+                newQuantity === 0
+                    ? AUDIT_ACTIONS.LICENSE_CANCELLATION_SCHEDULED
+                    : AUDIT_ACTIONS.LICENSE_CHANGE_SCHEDULED,
+                {
+                    details: {
+                        from: currentTotal,
+                        to: newQuantity,
+                        effective_at: currentManagedLicense.expires_at
+                    }
+                }
+            );
+
+            // Show success message
+            const expiresAt = new Date(currentManagedLicense.expires_at);
+            let message;
+            if (newQuantity === 0) {
+                message = `Subscription cancellation scheduled for ${expiresAt.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}`;
+            } else {
+                message = `License reduction to ${newQuantity} scheduled for ${expiresAt.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}`;
+            }
+            
+            alert(message);
+            
+            // Close modal and reload
+            closeLicenseManagementModal();
+            await loadLicenses();
+        }
+    } catch (error) {
+        console.error('Error managing licenses:', error);
+        showLicenseManagementMessage(`Error: ${error.message}`, 'error');
+        submitBtn.disabled = false;
+        submitBtn.textContent = originalText;
+    }
+}
+
+// Show message in license management modal
+function showLicenseManagementMessage(text, type) {
+    const messageDiv = document.getElementById('licenseManagementMessage');
+    messageDiv.textContent = text;
+    messageDiv.className = `message ${type}`;
+    messageDiv.style.display = 'block';
+}
+
+// ============================================================================
+// End License Management Modal Functions
+// ============================================================================
+
+// Handle adding a member to organization (LEGACY - replaced by modal)
+async function handleAddMember(orgId) {
+    const emailInput = document.getElementById('newMemberEmail');
+    const roleSelect = document.getElementById('newMemberRole');
+    
+    const email = emailInput.value.trim();
+    const role = roleSelect.value;
+
+    if (!email) {
+        alert('Please enter an email address');
+        return;
+    }
+
+    // Simple query: Find user by email in user_profiles
+    const { data: profile, error: profileError } = await authService.supabase
+        .from('user_profiles')
+        .select('id')
+        .eq('email', email)
+        .maybeSingle();
+
+    if (profileError || !profile) {
+        alert('User not found. Make sure they have registered an account.');
+        return;
+    }
+
+    // Simple query: Check if already an active member
+    const { data: existing } = await authService.supabase
+        .from('organization_members')
+        .select('user_id, status')
+        .eq('organization_id', orgId)
+        .eq('user_id', profile.id)
+        .eq('status', 'active') // Only check for active members
+        .maybeSingle();
+
+    if (existing) {
+        alert('This user is already a member of the organization');
+        return;
+    }
+
+    // Simple insert: Add member
+    const { error: insertError } = await authService.supabase
+        .from('organization_members')
+        .insert({
+            organization_id: orgId,
+            user_id: profile.id,
+            role: role,
+            created_at: new Date().toISOString()
+        });
+
+    if (insertError) {
+        alert(`Error adding member: ${insertError.message}`);
+        console.error('Add member error:', insertError);
+    } else {
+        alert('Member added successfully!');
+        emailInput.value = '';
+        await loadOrganizationData(); // Reload organization data
+    }
+}
+
+// Handle removing a member from organization
+async function handleRemoveMember(userId, memberName, orgId) {
+    const confirmed = confirm(`Are you sure you want to remove ${memberName} from the organization?\n\nThey will lose access and their license will be freed.`);
+    if (!confirmed) return;
+
+    if (!membersManager) {
+        alert('Error: Member manager not initialized');
+        return;
+    }
+
+    try {
+        await membersManager.removeMember(userId);
+        alert(`${memberName} has been removed from the organization`);
+        
+        // Reload data
+        await loadOrganizationData();
+        await loadLicenses();
+    } catch (error) {
+        console.error('Error removing member:', error);
+        alert(`Error removing member: ${error.message}`);
+    }
+}
+
+// Invitation lifetimes offered when resending (days)
+const INVITATION_EXPIRY_OPTIONS = [3, 7, 14, 30];
+
+// Render the pending invitations section (admin view)
+function renderPendingInvitations(invitations) {
+    if (!invitations || invitations.length === 0) {
+        return '';
+    }
+
+    const formatDate = (value) => value ? new Date(value).toLocaleDateString() : '—';
+
+    return `
+        <div class="org-invitations-section">
+            <div class="members-header">
+                <h3>Pending Invitations (${invitations.length})</h3>
+                <label class="invitation-expiry-label">
+                    Resend valid for
+                    <select id="resendExpiryDays">
+                        ${INVITATION_EXPIRY_OPTIONS.map(days => `
+                            <option value="${days}" ${days === DEFAULT_INVITATION_EXPIRY_DAYS ? 'selected' : ''}>${days} days</option>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>
+            <div class="org-members-list">
+                ${invitations.map(invite => `
+                    <div class="org-member-item invitation-item ${invite.is_expired ? 'expired' : ''}">
+                        <div class="member-info">
+                            <div class="member-details">
+                                <span class="member-name">${escapeHtml(invite.email)}</span>
+                                <span class="member-email">
+                                    Sent ${formatDate(invite.invite_token_sent_at || invite.invited_at)} ·
+                                    ${invite.is_expired
+                                        ? `Expired ${formatDate(invite.invitation_expires_at)}`
+                                        : invite.invitation_expires_at
+                                            ? `Expires ${formatDate(invite.invitation_expires_at)}`
+                                            : 'Email not sent'}
+                                </span>
+                            </div>
+                            <span class="member-role ${invite.role}">${getRoleLabel(invite.role)}</span>
+                            ${invite.is_expired ? '<span class="invitation-status-badge expired">Expired</span>' : ''}
+                        </div>
+                        <div class="member-actions">
+                            <button class="btn btn-secondary btn-small resend-invitation-btn"
+                                    data-invitation-id="${invite.id}">
+                                Resend
+                            </button>
+                            <button class="btn btn-danger btn-small revoke-invitation-btn"
+                                    data-invitation-id="${invite.id}"
+                                    data-email="${escapeHtml(invite.email)}">
+                                Revoke
+                            </button>
+                        </div>
+                    </div>
+                `).join('')}
             </div>
+        </div>
+    `;
+}
+
+// Render invitations waiting for a seat, with the action that completes them
+function renderQueuedInvitations(invitations, licenseInfo, canManageBilling) {
+    if (!invitations || invitations.length === 0) {
+        return '';
+    }
+
+    const available = licenseInfo?.available_licenses || 0;
+    const seatsNeeded = Math.max(invitations.length - available, 0);
+
+    let actionHtml;
+    if (seatsNeeded === 0) {
+        actionHtml = `
+            <button class="btn btn-primary btn-small" id="completeQueuedInvitesBtn">
+                Complete Invitations
+            </button>
+        `;
+    } else if (canManageBilling && licenseInfo?.subscription_id) {
+        actionHtml = `
+            <button class="btn btn-primary btn-small" id="buySeatsForInvitesBtn"
+                    data-seats="${seatsNeeded}"
+                    data-total-licenses="${licenseInfo.total_licenses}"
+                    data-subscription-id="${licenseInfo.subscription_id}">
+                Buy ${seatsNeeded} more seat${seatsNeeded !== 1 ? 's' : ''} and complete these invites
+            </button>
         `;
+    } else {
+        actionHtml = `
+            <span class="member-email">Ask a billing admin to add ${seatsNeeded} seat${seatsNeeded !== 1 ? 's' : ''}</span>
+        `;
+    }
 
-        // Show warning if reducing below used count
-        if (belowUsed) {
-            const membersToUnassign = usedLicenses - newQuantity;
-            warningDiv.style.display = 'block';
-            warningMessage.textContent = `You currently have ${usedLicenses} assigned license${usedLicenses !== 1 ? 's' : ''} but are reducing to ${newQuantity}. You'll need to unassign ${membersToUnassign} member${membersToUnassign !== 1 ? 's' : ''} before ${expiresAt.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}, or their access will be automatically revoked.`;
+    return `
+        <div class="org-invitations-section">
+            <div class="members-header">
+                <h3>Awaiting Seat (${invitations.length})</h3>
+                <div class="member-actions">
+                    ${actionHtml}
+                </div>
+            </div>
+            <div class="org-members-list">
+                ${invitations.map(invite => `
+                    <div class="org-member-item invitation-item">
+                        <div class="member-info">
+                            <div class="member-details">
+                                <span class="member-name">${escapeHtml(invite.email)}</span>
+                                <span class="member-email">Queued ${new Date(invite.invited_at).toLocaleDateString()}</span>
+                            </div>
+                            <span class="member-role ${invite.role}">${getRoleLabel(invite.role)}</span>
+                            <span class="invitation-status-badge awaiting-seat">Awaiting seat</span>
+                        </div>
+                        <div class="member-actions">
+                            <button class="btn btn-danger btn-small revoke-invitation-btn"
+                                    data-invitation-id="${invite.id}"
+                                    data-email="${escapeHtml(invite.email)}">
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Buy the missing seats; paddle-webhook completes the queued invitations
+// once Paddle confirms the subscription update
+async function handleBuySeatsForQueuedInvitations(btn, org) {
+    const seats = parseInt(btn.dataset.seats, 10);
+
+    const confirmed = confirm(`Buy ${seats} more seat${seats !== 1 ? 's' : ''} for ${org.name}?\n\nYour subscription will be charged a prorated amount, and the waiting invitations are completed as soon as the payment is confirmed.`);
+    if (!confirmed) return;
+
+    if (typeof mepSketcherLicensing === 'undefined') {
+        alert('Payment system not available');
+        return;
+    }
+
+    try {
+        btn.disabled = true;
+        btn.textContent = 'Purchasing...';
+
+        await mepSketcherLicensing.addLicensesToSubscription(seats, org.id, btn.dataset.subscriptionId);
+
+        const currentTotal = parseInt(btn.dataset.totalLicenses, 10) || 0;
+        await membersManager?.auditLog.record(AUDIT_ACTIONS.LICENSE_QUANTITY_CHANGED, {
+            details: { from: currentTotal, to: currentTotal + seats, reason: 'queued_invitations' }
+        });
+
+        // Give the webhook a moment before showing the result
+        setTimeout(() => loadOrganizationData(), 3000);
+    } catch (error) {
+        console.error('Error buying seats for queued invitations:', error);
+        btn.disabled = false;
+        btn.textContent = `Buy ${seats} more seat${seats !== 1 ? 's' : ''} and complete these invites`;
+    }
+}
+
+// Complete queued invitations with seats that are already free
+async function handleCompleteQueuedInvitations(btn) {
+    if (!membersManager) {
+        alert('Error: Member manager not initialized');
+        return;
+    }
+
+    try {
+        btn.disabled = true;
+        btn.textContent = 'Completing...';
+
+        const result = await membersManager.completeQueuedInvitations();
+        const count = result.completed.length;
+        alert(result.remaining > 0
+            ? `${count} invitation${count !== 1 ? 's' : ''} completed. ${result.remaining} still waiting for a seat.`
+            : `${count} invitation${count !== 1 ? 's' : ''} completed.`);
+
+        await loadOrganizationData();
+        await loadLicenses();
+    } catch (error) {
+        console.error('Error completing queued invitations:', error);
+        alert(`Error completing invitations: ${error.message}`);
+        btn.disabled = false;
+        btn.textContent = 'Complete Invitations';
+    }
+}
+
+// Handle resending a pending invitation with a fresh token
+async function handleResendInvitation(btn) {
+    if (!membersManager) {
+        alert('Error: Member manager not initialized');
+        return;
+    }
+
+    const expirySelect = document.getElementById('resendExpiryDays');
+    const expiresInDays = parseInt(expirySelect?.value, 10) || DEFAULT_INVITATION_EXPIRY_DAYS;
+
+    try {
+        btn.disabled = true;
+        btn.textContent = 'Sending...';
+
+        const result = await membersManager.resendInvitation(btn.dataset.invitationId, expiresInDays);
+        alert(result.message);
+
+        await loadOrganizationData();
+    } catch (error) {
+        console.error('Error resending invitation:', error);
+        alert(`Error resending invitation: ${error.message}`);
+        btn.disabled = false;
+        btn.textContent = 'Resend';
+    }
+}
+
+// Handle revoking a pending invitation
+async function handleRevokeInvitation(invitationId, email) {
+    const confirmed = confirm(`Revoke the invitation for ${email}?\n\nThe invitation link will stop working immediately.`);
+    if (!confirmed) return;
+
+    if (!membersManager) {
+        alert('Error: Member manager not initialized');
+        return;
+    }
+
+    try {
+        await membersManager.revokeInvitation(invitationId);
+        await loadOrganizationData();
+    } catch (error) {
+        console.error('Error revoking invitation:', error);
+        alert(`Error revoking invitation: ${error.message}`);
+    }
+}
+
+// Handle assigning or unassigning a member's license seat
+async function handleSeatChange(userId, memberName, assign) {
+    if (!assign) {
+        const confirmed = confirm(`Unassign ${memberName}'s license seat?\n\nThey stay in the organization but can no longer use MepSketcher until a seat is assigned again.`);
+        if (!confirmed) return;
+    }
+
+    if (!membersManager) {
+        alert('Error: Member manager not initialized');
+        return;
+    }
+
+    try {
+        if (assign) {
+            await membersManager.assignSeat(userId);
         } else {
-            warningDiv.style.display = 'none';
+            await membersManager.unassignSeat(userId);
         }
 
-        submitBtn.disabled = false;
-        submitBtn.textContent = 'Schedule Reduction';
+        // Reload data
+        await loadOrganizationData();
+        await loadLicenses();
+    } catch (error) {
+        console.error('Error changing seat assignment:', error);
+        alert(`Error ${assign ? 'assigning' : 'unassigning'} seat: ${error.message}`);
+    }
+}
+
+// Handle member role change
+async function handleChangeMemberRole(select) {
+    const userId = select.dataset.userId;
+    const memberName = select.dataset.memberName;
+    const previousRole = select.dataset.currentRole;
+    const newRole = select.value;
+
+    if (newRole === previousRole) return;
+
+    const confirmed = confirm(`Change ${memberName}'s role from ${getRoleLabel(previousRole)} to ${getRoleLabel(newRole)}?`);
+    if (!confirmed) {
+        select.value = previousRole;
         return;
     }
+
+    if (!membersManager) {
+        alert('Error: Member manager not initialized');
+        select.value = previousRole;
+        return;
+    }
+
+    try {
+        select.disabled = true;
+        await membersManager.updateMemberRole(userId, newRole);
+
+        // Reload data
+        await loadOrganizationData();
+        await loadLicenses();
+    } catch (error) {
+        console.error('Error changing member role:', error);
+        alert(`Error changing role: ${error.message}`);
+        select.value = previousRole;
+        select.disabled = false;
+    }
 }
 
-// Handle License Management Form Submit
-async function handleLicenseManagementSubmit(event) {
-    event.preventDefault();
-    
-    if (!currentManagedLicense) {
-        showLicenseManagementMessage('Error: No license selected', 'error');
+// Handle organization ownership transfer
+async function handleTransferOwnership(userId, memberName) {
+    const confirmed = confirm(`Transfer ownership of this organization to ${memberName}?\n\nYou will remain an admin, but only ${memberName} will be able to transfer ownership afterwards.`);
+    if (!confirmed) return;
+
+    if (!membersManager) {
+        alert('Error: Member manager not initialized');
         return;
     }
 
-    const submitBtn = document.getElementById('submitLicenseManagement');
-    const quantityInput = document.getElementById('newLicenseQuantity');
-    const newQuantity = parseInt(quantityInput.value);
-    const currentTotal = currentManagedLicense.total_licenses;
+    try {
+        await membersManager.transferOwnership(userId);
+        alert(`${memberName} is now the owner of the organization`);
 
-    // Validation
-    if (isNaN(newQuantity) || newQuantity < 0 || newQuantity > 200) {
-        showLicenseManagementMessage('Please enter a valid quantity between 0 and 200', 'error');
+        // Reload data
+        await loadOrganizationData();
+        await loadLicenses();
+    } catch (error) {
+        console.error('Error transferring ownership:', error);
+        alert(`Error transferring ownership: ${error.message}`);
+    }
+}
+
+// Render the signed-in user's own membership: seat, who pays for it, request and leave
+function renderOwnMembership(org, membership, seatRequest, canManageMembers, isFloating = false) {
+    if (!membership) {
+        return '';
+    }
+
+    let seatHtml;
+    if (isFloating) {
+        seatHtml = `<span class="member-seat-badge assigned">Floating</span> MepSketcher checks out a license from <strong>${escapeHtml(org.name)}</strong> while you use it`;
+    } else if (membership.has_license) {
+        seatHtml = `<span class="member-seat-badge assigned">Seat</span> Paid by <strong>${escapeHtml(org.name)}</strong>`;
+    } else if (seatRequest) {
+        seatHtml = `<span class="member-seat-badge unassigned">No seat</span> Requested on ${new Date(seatRequest.created_at).toLocaleDateString()}`;
+    } else {
+        seatHtml = '<span class="member-seat-badge unassigned">No seat</span> You can\'t use MepSketcher in this organization yet';
+    }
+
+    return `
+        <div class="own-membership">
+            <div class="own-membership-seat">${seatHtml}</div>
+            <div class="member-actions">
+                ${!membership.has_license && !seatRequest && !canManageMembers && !isFloating ? `
+                    <button class="btn btn-primary btn-small" id="requestSeatBtn">Request a Seat</button>
+                ` : ''}
+                <button class="btn btn-danger btn-small" id="leaveOrgBtn">Leave Organization</button>
+            </div>
+        </div>
+    `;
+}
+
+// Render pending seat requests for member managers
+function renderSeatRequests(requests) {
+    if (!requests || requests.length === 0) {
+        return '';
+    }
+
+    return `
+        <div class="org-invitations-section">
+            <div class="members-header">
+                <h3>Seat Requests (${requests.length})</h3>
+            </div>
+            <div class="org-members-list">
+                ${requests.map(request => `
+                    <div class="org-member-item">
+                        <div class="member-info">
+                            <div class="member-details">
+                                <span class="member-name">${escapeHtml(request.email)}</span>
+                                <span class="member-email">
+                                    Requested ${new Date(request.created_at).toLocaleDateString()}
+                                    ${request.message ? ` · “${escapeHtml(request.message)}”` : ''}
+                                </span>
+                            </div>
+                        </div>
+                        <div class="member-actions">
+                            <button class="btn btn-primary btn-small approve-seat-request-btn"
+                                    data-request-id="${request.id}"
+                                    data-email="${escapeHtml(request.email)}">
+                                Approve
+                            </button>
+                            <button class="btn btn-secondary btn-small decline-seat-request-btn"
+                                    data-request-id="${request.id}"
+                                    data-email="${escapeHtml(request.email)}">
+                                Decline
+                            </button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Handle a member asking their admins for a seat
+async function handleRequestSeat(btn) {
+    if (!membersManager) {
+        alert('Error: Member manager not initialized');
+        return;
+    }
+
+    const message = prompt('Ask your organization admins for a license seat.\n\nOptional message:', '');
+    if (message === null) return;
+
+    try {
+        btn.disabled = true;
+        btn.textContent = 'Sending...';
+
+        await membersManager.requestSeat(message.trim());
+        alert('Your request has been sent to the organization admins.');
+
+        await loadOrganizationData();
+    } catch (error) {
+        console.error('Error requesting seat:', error);
+        alert(`Error requesting seat: ${error.message}`);
+        btn.disabled = false;
+        btn.textContent = 'Request a Seat';
+    }
+}
+
+// Handle approving or declining a seat request
+async function handleSeatRequest(btn, approve) {
+    const email = btn.dataset.email;
+
+    if (!approve) {
+        const confirmed = confirm(`Decline the seat request from ${email}?`);
+        if (!confirmed) return;
+    }
+
+    if (!membersManager) {
+        alert('Error: Member manager not initialized');
         return;
     }
 
-    // Check if no change
-    if (newQuantity === currentTotal) {
-        showLicenseManagementMessage('No changes to apply', 'error');
-        return;
+    try {
+        btn.disabled = true;
+
+        if (approve) {
+            await membersManager.approveSeatRequest(btn.dataset.requestId);
+        } else {
+            await membersManager.declineSeatRequest(btn.dataset.requestId);
+        }
+
+        await loadOrganizationData();
+        await loadLicenses();
+    } catch (error) {
+        console.error('Error handling seat request:', error);
+        alert(`Error: ${error.message}`);
+        btn.disabled = false;
+    }
+}
+
+// Render the desktop app devices of the organization's seats
+function renderDevices(devices, deviceLimit, currentUserId, canManageMembers, canEditOrganization) {
+    const formatDate = (value) => value ? new Date(value).toLocaleString() : '—';
+
+    return `
+        <div class="org-devices-section">
+            <div class="members-header">
+                <h3>${canManageMembers ? 'Devices' : 'My Devices'} (${devices.length})</h3>
+                <div class="device-limit">
+                    Up to ${deviceLimit} device${deviceLimit !== 1 ? 's' : ''} per seat
+                    ${canEditOrganization ? `
+                        <button class="btn btn-secondary btn-small" id="changeDeviceLimitBtn"
+                                data-limit="${deviceLimit}">
+                            Change
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+            ${devices.length === 0 ? `
+                <p class="devices-empty">No devices yet. Devices appear here once MepSketcher is activated on them.</p>
+            ` : `
+                <table class="devices-table">
+                    <thead>
+                        <tr>
+                            ${canManageMembers ? '<th>Member</th>' : ''}
+                            <th>Device</th>
+                            <th>OS</th>
+                            <th>App Version</th>
+                            <th>Last Check-in</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${devices.map(device => `
+                            <tr>
+                                ${canManageMembers ? `<td>${escapeHtml(device.email || 'Unknown')}${device.user_id === currentUserId ? ' <span class="member-you-badge">You</span>' : ''}</td>` : ''}
+                                <td>${escapeHtml(device.device_name || 'Unnamed device')}</td>
+                                <td>${escapeHtml(device.os || '—')}</td>
+                                <td>${escapeHtml(device.app_version || '—')}</td>
+                                <td>${formatDate(device.last_seen_at)}</td>
+                                <td class="device-actions">
+                                    <button class="btn btn-danger btn-small deactivate-device-btn"
+                                            data-activation-id="${device.id}"
+                                            data-device-name="${escapeHtml(device.device_name || 'Unnamed device')}">
+                                        Deactivate
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        </div>
+    `;
+}
+
+// Load and render floating license usage (member managers see everyone,
+// other members only their own lease or queue entry)
+async function renderLiveUsage(currentUserId, canManageMembers) {
+    let leases = [];
+    let queue = [];
+    let licenseInfo = null;
+
+    try {
+        [leases, queue, licenseInfo] = await Promise.all([
+            membersManager.getActiveLeases(),
+            membersManager.getLeaseQueue(),
+            canManageMembers ? membersManager.checkAvailableLicenses() : null
+        ]);
+    } catch (error) {
+        console.error('Error loading live usage:', error);
+        return '';
     }
 
-    // Check if license has subscription_id for increases
-    if (newQuantity > currentTotal && !currentManagedLicense.subscription_id) {
-        showLicenseManagementMessage('Error: No active subscription found for this license', 'error');
+    const formatTime = (value) => value ? new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '—';
+    const total = licenseInfo?.total_licenses;
+
+    return `
+        <div class="org-live-usage-section" id="liveUsageSection"
+             data-user-id="${currentUserId}" data-can-manage="${canManageMembers}">
+            <div class="members-header">
+                <h3>${canManageMembers ? 'Live Usage' : 'My Floating License'}</h3>
+                ${canManageMembers && total !== undefined ? `
+                    <span class="live-usage-count ${leases.length >= total ? 'full' : ''}">
+                        ${leases.length} of ${total} in use${queue.length > 0 ? ` · ${queue.length} waiting` : ''}
+                    </span>
+                ` : ''}
+            </div>
+            ${leases.length === 0 && queue.length === 0 ? `
+                <p class="devices-empty">${canManageMembers ? 'Nobody is using MepSketcher right now.' : 'You are not using MepSketcher right now.'}</p>
+            ` : `
+                <table class="devices-table">
+                    <thead>
+                        <tr>
+                            ${canManageMembers ? '<th>Member</th>' : ''}
+                            <th>Device</th>
+                            <th>Status</th>
+                            <th>Since</th>
+                            <th>Last Heartbeat</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${leases.map(lease => `
+                            <tr>
+                                ${canManageMembers ? `<td>${escapeHtml(lease.email || 'Unknown')}${lease.user_id === currentUserId ? ' <span class="member-you-badge">You</span>' : ''}</td>` : ''}
+                                <td>${escapeHtml(lease.device_name || 'Unnamed device')}</td>
+                                <td><span class="lease-status-badge in-use">In use</span></td>
+                                <td>${formatTime(lease.checked_out_at)}</td>
+                                <td>${formatTime(lease.heartbeat_at)}</td>
+                            </tr>
+                        `).join('')}
+                        ${queue.map((entry, index) => `
+                            <tr>
+                                ${canManageMembers ? `<td>${escapeHtml(entry.email || 'Unknown')}${entry.user_id === currentUserId ? ' <span class="member-you-badge">You</span>' : ''}</td>` : ''}
+                                <td>—</td>
+                                <td><span class="lease-status-badge waiting">${canManageMembers ? `Waiting #${index + 1}` : 'Waiting'}</span></td>
+                                <td>${formatTime(entry.queued_at)}</td>
+                                <td>${formatTime(entry.last_polled_at)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        </div>
+    `;
+}
+
+// Re-render the live usage section in place
+async function refreshLiveUsage() {
+    const section = document.getElementById('liveUsageSection');
+    if (!section || !membersManager) {
+        clearInterval(liveUsageTimer);
+        liveUsageTimer = null;
         return;
     }
 
-    // Confirmation for cancellation
-    if (newQuantity === 0) {
-        const confirmed = confirm('Are you sure you want to cancel your subscription? All licenses will be removed at renewal.');
-        if (!confirmed) return;
+    const html = await renderLiveUsage(section.dataset.userId, section.dataset.canManage === 'true');
+    if (html) {
+        section.outerHTML = html;
     }
+}
 
-    // Disable submit button
-    submitBtn.disabled = true;
-    const originalText = submitBtn.textContent;
-    submitBtn.textContent = 'Processing...';
+// Handle deactivating a device
+async function handleDeactivateDevice(btn) {
+    const confirmed = confirm(`Deactivate "${btn.dataset.deviceName}"?\n\nMepSketcher keeps working on it until its current activation expires, then it has to be activated again.`);
+    if (!confirmed) return;
+
+    if (!membersManager) {
+        alert('Error: Member manager not initialized');
+        return;
+    }
 
     try {
-        const change = newQuantity - currentTotal;
-        
-        // Handle increase (immediate)
-        if (change > 0) {
-            if (typeof mepSketcherLicensing !== 'undefined') {
-                await mepSketcherLicensing.addLicensesToSubscription(
-                    change,
-                    currentManagedLicense.organization_id,
-                    currentManagedLicense.subscription_id
-                );
-                // Close modal and reload
-                closeLicenseManagementModal();
-                await loadLicenses();
-            } else {
-                throw new Error('Payment system not available');
-            }
-        }
-        // Handle decrease or cancellation (scheduled)
-        else if (change < 0) {
-            // Call schedule-license-change edge function
-            const { data, error } = await authService.supabase.functions.invoke('schedule-license-change', {
-                body: {
-                    organizationId: currentManagedLicense.organization_id,
-                    newQuantity: parseInt(quantityInput.value), 
-                    effectiveDate: currentManagedLicense.expires_at
-                }
-            });
+        btn.disabled = true;
+        btn.textContent = 'Deactivating...';
 
-            if (error) throw error;
+        await membersManager.deactivateDevice(btn.dataset.activationId);
 
-            // Show success message
-            const expiresAt = new Date(currentManagedLicense.expires_at);
-            let message;
-            if (newQuantity === 0) {
-                message = `Subscription cancellation scheduled for ${expiresAt.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}`;
-            } else {
-                message = `License reduction to ${newQuantity} scheduled for ${expiresAt.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}`;
-            }
-            
-            alert(message);
-            
-            // Close modal and reload
-            closeLicenseManagementModal();
-            await loadLicenses();
-        }
+        await loadOrganizationData();
     } catch (error) {
-        console.error('Error managing licenses:', error);
-        showLicenseManagementMessage(`Error: ${error.message}`, 'error');
-        submitBtn.disabled = false;
-        submitBtn.textContent = originalText;
+        console.error('Error deactivating device:', error);
+        alert(`Error deactivating device: ${error.message}`);
+        btn.disabled = false;
+        btn.textContent = 'Deactivate';
     }
 }
 
-// Show message in license management modal
-function showLicenseManagementMessage(text, type) {
-    const messageDiv = document.getElementById('licenseManagementMessage');
-    messageDiv.textContent = text;
-    messageDiv.className = `message ${type}`;
-    messageDiv.style.display = 'block';
-}
-
-// ============================================================================
-// End License Management Modal Functions
-// ============================================================================
-
-// Handle adding a member to organization (LEGACY - replaced by modal)
-async function handleAddMember(orgId) {
-    const emailInput = document.getElementById('newMemberEmail');
-    const roleSelect = document.getElementById('newMemberRole');
-    
-    const email = emailInput.value.trim();
-    const role = roleSelect.value;
+// Handle changing the number of devices allowed per seat
+async function handleChangeDeviceLimit(btn) {
+    const input = prompt(`Devices allowed per seat (1-${MAX_DEVICE_LIMIT}):`, btn.dataset.limit);
+    if (input === null) return;
 
-    if (!email) {
-        alert('Please enter an email address');
+    const limit = parseInt(input, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DEVICE_LIMIT) {
+        alert(`Please enter a number between 1 and ${MAX_DEVICE_LIMIT}.`);
         return;
     }
 
-    // Simple query: Find user by email in user_profiles
-    const { data: profile, error: profileError } = await authService.supabase
-        .from('user_profiles')
-        .select('id')
-        .eq('email', email)
-        .maybeSingle();
+    if (limit === parseInt(btn.dataset.limit, 10)) return;
 
-    if (profileError || !profile) {
-        alert('User not found. Make sure they have registered an account.');
+    if (!membersManager) {
+        alert('Error: Member manager not initialized');
         return;
     }
 
-    // Simple query: Check if already an active member
-    const { data: existing } = await authService.supabase
-        .from('organization_members')
-        .select('user_id, status')
-        .eq('organization_id', orgId)
-        .eq('user_id', profile.id)
-        .eq('status', 'active') // Only check for active members
-        .maybeSingle();
+    try {
+        btn.disabled = true;
 
-    if (existing) {
-        alert('This user is already a member of the organization');
-        return;
+        await membersManager.setDeviceLimit(limit);
+
+        await loadOrganizationData();
+    } catch (error) {
+        console.error('Error changing device limit:', error);
+        alert(`Error changing device limit: ${error.message}`);
+        btn.disabled = false;
     }
+}
 
-    // Simple insert: Add member
-    const { error: insertError } = await authService.supabase
-        .from('organization_members')
-        .insert({
-            organization_id: orgId,
-            user_id: profile.id,
-            role: role,
-            created_at: new Date().toISOString()
-        });
+// Turn the license expiry reminder emails on or off for the organization
+async function handleExpiryRemindersToggle(checkbox, org) {
+    const enabled = checkbox.checked;
 
-    if (insertError) {
-        alert(`Error adding member: ${insertError.message}`);
-        console.error('Add member error:', insertError);
-    } else {
-        alert('Member added successfully!');
-        emailInput.value = '';
-        await loadOrganizationData(); // Reload organization data
+    try {
+        checkbox.disabled = true;
+
+        const { error } = await authService.supabase
+            .from('organizations')
+            .update({
+                expiry_reminders_enabled: enabled,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', org.id);
+
+        if (error) {
+            throw new Error(error.message);
+        }
+
+        await new AuditLog(authService.supabase, org.id).record(
+            AUDIT_ACTIONS.EXPIRY_REMINDERS_CHANGED,
+            { details: { enabled } }
+        );
+
+        org.expiry_reminders_enabled = enabled;
+    } catch (error) {
+        console.error('Error changing expiry reminders:', error);
+        alert(`Error changing expiry reminders: ${error.message}`);
+        checkbox.checked = !enabled;
+    } finally {
+        checkbox.disabled = false;
     }
 }
 
-// Handle removing a member from organization
-async function handleRemoveMember(userId, memberName, orgId) {
-    const confirmed = confirm(`Are you sure you want to remove ${memberName} from the organization?\n\nThey will lose access and their license will be freed.`);
+// Handle the signed-in user leaving the organization
+async function handleLeaveOrganization(org) {
+    const confirmed = confirm(`Leave ${org.name}?\n\nYour seat will be freed and you will lose access to this organization until you are invited again.`);
     if (!confirmed) return;
 
     if (!membersManager) {
@@ -1327,15 +3689,20 @@ async function handleRemoveMember(userId, memberName, orgId) {
     }
 
     try {
-        await membersManager.removeMember(userId);
-        alert(`${memberName} has been removed from the organization`);
-        
+        await membersManager.leaveOrganization();
+
+        if (localStorage.getItem(getSelectedOrgStorageKey()) === org.id) {
+            localStorage.removeItem(getSelectedOrgStorageKey());
+        }
+
+        alert(`You have left ${org.name}`);
+
         // Reload data
         await loadOrganizationData();
         await loadLicenses();
     } catch (error) {
-        console.error('Error removing member:', error);
-        alert(`Error removing member: ${error.message}`);
+        console.error('Error leaving organization:', error);
+        alert(`Error leaving organization: ${error.message}`);
     }
 }
 
@@ -1345,35 +3712,33 @@ async function loadLicenses() {
         const user = authService.getCurrentUser();
         if (!user) return;
 
-        // Simple query: Get user's organizations (as owner)
-        const { data: userOrgs, error: orgsError } = await authService.supabase
-            .from('organizations')
-            .select('id, name')
-            .eq('owner_id', user.id);
-
-        if (orgsError) {
-            console.error('Error loading organizations:', orgsError);
-            return;
-        }
-
-        // Check if user is admin (organization owner)
-        const isAdmin = userOrgs && userOrgs.length > 0;
+        // Licenses are scoped to the organization selected in the header
+        const org = currentOrganization;
+        const canViewBilling = hasCapability(org?.role, CAPABILITIES.VIEW_BILLING);
 
         let orgId = null;
         
-        if (isAdmin) {
-            // Admin view - show full license management
-            await loadAdminLicenses(user, userOrgs);
-            orgId = userOrgs[0]?.id;
+        if (canViewBilling) {
+            // Billing view - show license overview (management depends on role)
+            await loadAdminLicenses(user, [org]);
+            orgId = org.id;
         } else {
             // Member view - show only personal license status
-            const memberOrgId = await loadMemberLicenseStatus(user);
+            const memberOrgId = await loadMemberLicenseStatus(user, org?.id);
             orgId = memberOrgId;
         }
         
+        // Drop the previous organization's banner and listeners
+        if (licenseExpirationManager) {
+            licenseExpirationManager.destroy();
+            licenseExpirationManager = null;
+        }
+
         // Initialize license expiration manager if user has an organization
         if (orgId) {
-            licenseExpirationManager = new LicenseExpirationManager(authService.supabase, orgId);
+            licenseExpirationManager = new LicenseExpirationManager(authService.supabase, orgId, {
+                canManageBilling: hasCapability(org?.role, CAPABILITIES.MANAGE_BILLING)
+            });
             await licenseExpirationManager.initialize();
         } else {
             // No organization - show no license status in Account Overview
@@ -1392,28 +3757,9 @@ function updateAccountOverviewNoLicense() {
     }
 }
 
-// Load full license information for admin users
+// Load full license information for users who can view billing
 async function loadAdminLicenses(user, userOrgs) {
-    // Simple query: Get organizations where user is an active member
-    const { data: memberships, error: membershipsError } = await authService.supabase
-        .from('organization_members')
-        .select('organization_id')
-        .eq('user_id', user.id)
-        .eq('status', 'active'); // Only load active memberships
-
-    if (membershipsError) {
-        console.error('Error loading memberships:', membershipsError);
-        return;
-    }
-
-    // Combine organization IDs
-    const orgIds = [
-        ...(userOrgs || []).map(org => org.id),
-        ...(memberships || []).map(m => m.organization_id)
-    ];
-
-    // Remove duplicates
-    const uniqueOrgIds = [...new Set(orgIds)];
+    const uniqueOrgIds = (userOrgs || []).map(org => org.id);
 
     if (uniqueOrgIds.length === 0) {
         // No organizations - show empty state
@@ -1431,6 +3777,38 @@ async function loadAdminLicenses(user, userOrgs) {
         return;
     }
 
+    // Floating licenses show leases in use instead of assigned seats
+    const floatingOrgIds = (licenses || []).filter(isFloatingLicense).map(l => l.organization_id);
+    if (floatingOrgIds.length > 0) {
+        const { data: leases, error: leasesError } = await authService.supabase
+            .from('license_leases')
+            .select('organization_id')
+            .in('organization_id', floatingOrgIds)
+            .is('released_at', null)
+            .gte('expires_at', new Date().toISOString());
+
+        if (leasesError) {
+            console.error('Error loading leases:', leasesError);
+        }
+
+        licenses.forEach(license => {
+            if (isFloatingLicense(license)) {
+                license.used_licenses = (leases || []).filter(l => l.organization_id === license.organization_id).length;
+            }
+        });
+    }
+
+    // Seat utilization from the desktop app heartbeats
+    await Promise.all((licenses || []).map(async license => {
+        const org = userOrgs.find(o => o.id === license.organization_id);
+        try {
+            const manager = new MembersManager(authService.supabase, license.organization_id, org?.role);
+            license.utilization = await manager.getUtilizationReport(license);
+        } catch (error) {
+            console.error('Error loading utilization report:', error);
+        }
+    }));
+
     // Calculate totals (for potential future use)
     const totalLicenses = licenses?.reduce((sum, l) => sum + (l.total_licenses || 0), 0) || 0;
     const usedLicenses = licenses?.reduce((sum, l) => sum + (l.used_licenses || 0), 0) || 0;
@@ -1444,12 +3822,18 @@ async function loadAdminLicenses(user, userOrgs) {
 }
 
 // Load personal license status for non-admin members
-async function loadMemberLicenseStatus(user) {
-    // Get user's active membership with license status
+async function loadMemberLicenseStatus(user, organizationId) {
+    if (!organizationId) {
+        displayMemberLicenseStatus(null, null);
+        return null;
+    }
+
+    // Get user's active membership in the selected organization
     const { data: membership, error: memberError } = await authService.supabase
         .from('organization_members')
         .select('organization_id, has_license, role')
         .eq('user_id', user.id)
+        .eq('organization_id', organizationId)
         .eq('status', 'active') // Only load active membership
         .maybeSingle(); // Use maybeSingle instead of single to avoid errors when no rows
 
@@ -1477,7 +3861,7 @@ async function loadMemberLicenseStatus(user) {
     }
 
     // Display member license card
-    displayMemberLicenseStatus(membership, orgLicense);
+    displayMemberLicenseStatus(membership, orgLicense, currentOrganization?.name);
     
     // Return organization ID for license expiration manager
     return membership.organization_id;
@@ -1488,15 +3872,19 @@ function displayLicenses(licenses, organizations, isAdmin = true) {
     const container = document.getElementById('licensesContainer');
     
     if (!licenses || licenses.length === 0) {
+        const canPurchase = isAdmin && organizations?.some(org => hasCapability(org.role, CAPABILITIES.MANAGE_BILLING));
+
         // Show buy license interface for first-time users
         container.innerHTML = `
             <div class="empty-state">
                 <div class="empty-state-icon">📦</div>
                 <h3>No Licenses Yet</h3>
-                <p>Purchase licenses to start using MepSketcher</p>
-                <button class="btn btn-primary" id="buyFirstLicenseBtn">
-                    Buy Now
-                </button>
+                ${canPurchase ? `
+                    <p>Purchase licenses to start using MepSketcher</p>
+                    <button class="btn btn-primary" id="buyFirstLicenseBtn">
+                        Buy Now
+                    </button>
+                ` : '<p>Ask a billing admin of your organization to purchase licenses.</p>'}
             </div>
         `;
 
@@ -1517,23 +3905,27 @@ function displayLicenses(licenses, organizations, isAdmin = true) {
         const org = organizations?.find(o => o.id === license.organization_id);
         const orgName = org?.name || 'Unknown Organization';
         
-        const licenseCard = createLicenseCard(license, orgName, isAdmin);
+        // Management controls require billing rights in that organization
+        const canManageBilling = isAdmin && hasCapability(org?.role, CAPABILITIES.MANAGE_BILLING);
+        
+        const licenseCard = createLicenseCard(license, orgName, canManageBilling);
         container.appendChild(licenseCard);
     });
 }
 
 // Display member license status (Non-admin view)
-function displayMemberLicenseStatus(membership, orgLicense) {
+function displayMemberLicenseStatus(membership, orgLicense, orgName) {
     const container = document.getElementById('licensesContainer');
+    const isFloating = isFloatingLicense(orgLicense);
     
-    if (!membership || !membership.has_license) {
+    if (!membership || (!membership.has_license && !isFloating)) {
         // No license assigned
         container.innerHTML = `
             <div class="empty-state">
                 <div class="empty-state-icon">🔒</div>
                 <h3>No License Assigned</h3>
                 <p>You don't currently have a license assigned to your account.</p>
-                <p style="margin-top: 1rem; color: #666;">Contact your organization administrator to request a license.</p>
+                <p style="margin-top: 1rem; color: #666;">Use "Request a Seat" in the Organization section to ask your administrators for a license.</p>
             </div>
         `;
         return;
@@ -1555,7 +3947,7 @@ function displayMemberLicenseStatus(membership, orgLicense) {
             <div class="license-card-header">
                 <div>
                     <h3 class="license-org-name">Your License</h3>
-                    <span class="license-type-badge">${(orgLicense?.license_type || 'standard').toUpperCase()}</span>
+                    <span class="license-type-badge">${getLicenseTypeLabel(orgLicense?.license_type).toUpperCase()}</span>
                 </div>
                 <span class="license-status-badge ${statusClass}">${statusText}</span>
             </div>
@@ -1564,10 +3956,20 @@ function displayMemberLicenseStatus(membership, orgLicense) {
                     <span class="detail-label">Status:</span>
                     <span class="detail-value ${statusClass}">${isActive ? '✓ Licensed' : '⚠ License Expired'}</span>
                 </div>
+                <div class="license-detail-row">
+                    <span class="detail-label">Paid by:</span>
+                    <span class="detail-value">${orgName || 'Your organization'}</span>
+                </div>
                 <div class="license-detail-row">
                     <span class="detail-label">License Type:</span>
-                    <span class="detail-value">${orgLicense?.license_type || 'Standard'}</span>
+                    <span class="detail-value">${getLicenseTypeLabel(orgLicense?.license_type)}</span>
                 </div>
+                ${isFloating ? `
+                    <div class="license-detail-row">
+                        <span class="detail-label">How it works:</span>
+                        <span class="detail-value">${LICENSE_TYPE_DESCRIPTIONS.floating}</span>
+                    </div>
+                ` : ''}
                 <div class="license-detail-row">
                     <span class="detail-label">Expires:</span>
                     <span class="detail-value">${formattedExpiry}</span>
@@ -1599,6 +4001,8 @@ function createLicenseCard(license, orgName, isAdmin = true) {
     });
 
     const availableLicenses = license.total_licenses - license.used_licenses;
+    const isFloating = isFloatingLicense(license);
+    const canSwitchType = isActive && [LICENSE_TYPES.STANDARD, LICENSE_TYPES.FLOATING].includes(license.license_type || LICENSE_TYPES.STANDARD);
 
     // Check for scheduled changes
     const hasScheduledChange = license.scheduled_total_licenses !== null && license.scheduled_total_licenses !== undefined;
@@ -1613,7 +4017,7 @@ function createLicenseCard(license, orgName, isAdmin = true) {
         <div class="license-card-header">
             <div>
                 <h3 class="license-org-name">${orgName}</h3>
-                <span class="license-type-badge">${(license.license_type || 'starter').toUpperCase()}</span>
+                <span class="license-type-badge">${getLicenseTypeLabel(license.license_type).toUpperCase()}</span>
                 ${hasScheduledChange ? `
                     <span class="scheduled-change-badge ${changeClass}">
                         ${isIncrease ? '↑' : isDecrease ? '↓' : '→'} ${license.scheduled_total_licenses} at renewal
@@ -1624,11 +4028,11 @@ function createLicenseCard(license, orgName, isAdmin = true) {
         </div>
         <div class="license-stats">
             <div class="stat-item">
-                <span class="stat-label">Total</span>
+                <span class="stat-label">${isFloating ? 'Concurrent' : 'Total'}</span>
                 <span class="stat-value">${license.total_licenses || 0}</span>
             </div>
             <div class="stat-item">
-                <span class="stat-label">Used</span>
+                <span class="stat-label">${isFloating ? 'In Use Now' : 'Used'}</span>
                 <span class="stat-value">${license.used_licenses || 0}</span>
             </div>
             <div class="stat-item">
@@ -1640,11 +4044,12 @@ function createLicenseCard(license, orgName, isAdmin = true) {
                 <span class="stat-value">${formattedExpiry}</span>
             </div>
         </div>
+        ${license.utilization ? renderUtilizationReport(license, isAdmin && isActive) : ''}
         ${hasScheduledChange ? `
             <div class="scheduled-change-info">
                 <p class="scheduled-change-text">
                     ${isDecrease ? '⚠' : '✓'} Scheduled: ${license.scheduled_total_licenses} license${license.scheduled_total_licenses !== 1 ? 's' : ''} on ${scheduledChangeDate}
-                    ${isDecrease && license.scheduled_total_licenses < license.used_licenses ? 
+                    ${isDecrease && !isFloating && license.scheduled_total_licenses < license.used_licenses ? 
                         `<br><small style="color: #e67e22;">Note: You'll need to unassign ${license.used_licenses - license.scheduled_total_licenses} member${license.used_licenses - license.scheduled_total_licenses !== 1 ? 's' : ''} before renewal.</small>` 
                         : ''}
                 </p>
@@ -1659,6 +4064,12 @@ function createLicenseCard(license, orgName, isAdmin = true) {
                     </button>
                 </div>
                 <div class="license-actions-buttons">
+                    ${!isFloating ? '<button class="btn btn-secondary btn-small offline-license-btn">Offline License</button>' : ''}
+                    ${canSwitchType ? `
+                        <button class="btn btn-secondary btn-small license-type-btn">
+                            ${isFloating ? 'Switch to Named Seats' : 'Switch to Floating'}
+                        </button>
+                    ` : ''}
                     ${!isActive ? '<button class="btn btn-success btn-small renew-btn">Renew License (+1 year)</button>' : ''}
                 </div>
             </div>
@@ -1680,11 +4091,121 @@ function createLicenseCard(license, orgName, isAdmin = true) {
                 handleRenewLicense(license);
             });
         }
+
+        const offlineLicenseBtn = card.querySelector('.offline-license-btn');
+        if (offlineLicenseBtn) {
+            offlineLicenseBtn.addEventListener('click', () => {
+                openOfflineLicenseModal(license);
+            });
+        }
+
+        const reduceToSuggestionBtn = card.querySelector('.reduce-to-suggestion-btn');
+        if (reduceToSuggestionBtn) {
+            reduceToSuggestionBtn.addEventListener('click', () => {
+                openLicenseManagementModal(license, license.utilization.suggestedTotal);
+            });
+        }
+
+        const licenseTypeBtn = card.querySelector('.license-type-btn');
+        if (licenseTypeBtn) {
+            licenseTypeBtn.addEventListener('click', () => {
+                handleChangeLicenseType(license, licenseTypeBtn);
+            });
+        }
     }
 
     return card;
 }
 
+// Render the seat utilization report of a license card
+function renderUtilizationReport(license, canReduce) {
+    const report = license.utilization;
+    const suggested = report.suggestedTotal;
+    const formatLastUsed = (value) => value ? `last used ${new Date(value).toLocaleDateString()}` : 'never used';
+
+    return `
+        <div class="utilization-report">
+            <h4>${report.isFloating ? 'Usage' : 'Seat Utilization'}</h4>
+            <div class="utilization-windows">
+                ${report.windows.map(window => `
+                    <div class="utilization-window">
+                        <span class="stat-label">Active, last ${window.days} days</span>
+                        <span class="stat-value">${window.active} / ${report.tracked}</span>
+                    </div>
+                `).join('')}
+                ${report.isFloating ? `
+                    <div class="utilization-window">
+                        <span class="stat-label">Peak at once, last ${IDLE_SEAT_DAYS} days</span>
+                        <span class="stat-value">${report.peakConcurrent} / ${license.total_licenses}</span>
+                    </div>
+                ` : `
+                    <div class="utilization-window">
+                        <span class="stat-label">Idle seats (${IDLE_SEAT_DAYS}+ days)</span>
+                        <span class="stat-value ${report.idleSeats.length > 0 ? 'negative' : ''}">${report.idleSeats.length}</span>
+                    </div>
+                `}
+            </div>
+            ${report.idleSeats.length > 0 ? `
+                <details class="utilization-idle-list">
+                    <summary>Show idle seats</summary>
+                    <ul>
+                        ${report.idleSeats.map(seat => `<li>${escapeHtml(seat.email || 'Unknown')} <small>(${formatLastUsed(seat.last_used_at)})</small></li>`).join('')}
+                    </ul>
+                </details>
+            ` : ''}
+            ${suggested ? `
+                <div class="utilization-hint">
+                    <span>💡 Usage suggests reducing to <strong>${suggested}</strong> license${suggested !== 1 ? 's' : ''} at renewal.</span>
+                    ${canReduce ? `
+                        <button class="btn btn-secondary btn-small reduce-to-suggestion-btn">Reduce to ${suggested}</button>
+                    ` : ''}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Handle switching a license between named seats and floating
+async function handleChangeLicenseType(license, btn) {
+    const toFloating = !isFloatingLicense(license);
+    const newType = toFloating ? LICENSE_TYPES.FLOATING : LICENSE_TYPES.STANDARD;
+
+    const message = toFloating
+        ? `Switch to a floating license?\n\n${LICENSE_TYPE_DESCRIPTIONS.floating} Up to ${license.total_licenses} members can use MepSketcher at the same time.\n\nSeat assignments are kept and apply again if you switch back.`
+        : `Switch to named seats?\n\n${LICENSE_TYPE_DESCRIPTIONS.standard} Everyone currently using a floating license is signed out of it, and members without a seat lose access.`;
+
+    if (!confirm(message)) return;
+
+    try {
+        btn.disabled = true;
+
+        const { data, error } = await authService.supabase.functions.invoke('set-license-type', {
+            body: {
+                organizationId: license.organization_id,
+                licenseType: newType
+            }
+        });
+
+        if (error) throw error;
+
+        const auditLog = new AuditLog(authService.supabase, license.organization_id);
+        await auditLog.record(AUDIT_ACTIONS.LICENSE_TYPE_CHANGED, {
+            details: { from: data.from, to: data.to }
+        });
+
+        if (!toFloating && data.assignedSeats > data.totalLicenses) {
+            alert(`Switched to named seats. ${data.assignedSeats} members hold a seat but only ${data.totalLicenses} licenses exist - unassign ${data.assignedSeats - data.totalLicenses} seat${data.assignedSeats - data.totalLicenses !== 1 ? 's' : ''} or buy more licenses.`);
+        }
+
+        await loadOrganizationData();
+        await loadLicenses();
+    } catch (error) {
+        console.error('Error changing license type:', error);
+        alert(`Error changing license type: ${error.message}`);
+        btn.disabled = false;
+    }
+}
+
 // Handle buying first license
 async function handleBuyFirstLicense() {
     // Check if Paddle is available
@@ -1695,7 +4216,7 @@ async function handleBuyFirstLicense() {
     }
 
     // Call purchase function directly - user will specify quantity in Paddle checkout
-    mepSketcherLicensing.purchaseYearlyLicense(1);
+    mepSketcherLicensing.purchaseYearlyLicense(1, currentOrganization?.id);
 }
 
 // Handle adding licenses to existing license
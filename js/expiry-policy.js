@@ -0,0 +1,93 @@
+/**
+ * License Expiry Policy
+ * Grace period, warning days and data retention after a license expires.
+ * Mirrors supabase/functions/_shared/license-status.ts - keep the defaults
+ * and limits in sync.
+ *
+ * organizations.expiry_policy (jsonb, set by the MepSketcher team) overrides
+ * the defaults per organization; missing keys fall back to the defaults.
+ */
+
+const DEFAULT_EXPIRY_POLICY = Object.freeze({
+    grace_days: 30,
+    warning_days: Object.freeze([30, 14, 7, 1]),
+    retention_days: 90
+});
+
+const EXPIRY_POLICY_LIMITS = Object.freeze({
+    MAX_GRACE_DAYS: 180,
+    MAX_WARNING_DAYS: 365,
+    MAX_WARNINGS: 10,
+    MAX_RETENTION_DAYS: 3650
+});
+
+const ExpiryPolicy = {
+    DEFAULT: DEFAULT_EXPIRY_POLICY,
+    LIMITS: EXPIRY_POLICY_LIMITS,
+
+    /**
+     * Complete an organization's stored policy with the defaults
+     * An out-of-range policy is ignored, as the edge functions do.
+     */
+    resolve(stored) {
+        if (!stored) return DEFAULT_EXPIRY_POLICY;
+
+        const policy = { ...DEFAULT_EXPIRY_POLICY, ...stored };
+        const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+        const valid = isWholeNumber(policy.grace_days, 0, EXPIRY_POLICY_LIMITS.MAX_GRACE_DAYS) &&
+            Array.isArray(policy.warning_days) &&
+            policy.warning_days.length > 0 &&
+            policy.warning_days.length <= EXPIRY_POLICY_LIMITS.MAX_WARNINGS &&
+            policy.warning_days.every(days => isWholeNumber(days, 1, EXPIRY_POLICY_LIMITS.MAX_WARNING_DAYS)) &&
+            isWholeNumber(policy.retention_days, policy.grace_days, EXPIRY_POLICY_LIMITS.MAX_RETENTION_DAYS);
+
+        if (!valid) {
+            console.error('Ignoring invalid expiry policy:', stored);
+            return DEFAULT_EXPIRY_POLICY;
+        }
+
+        return {
+            ...policy,
+            warning_days: [...new Set(policy.warning_days)].sort((a, b) => b - a)
+        };
+    },
+
+    /**
+     * End of the grace period for a license expiry date
+     */
+    getGracePeriodEnd(expiryDate, policy = DEFAULT_EXPIRY_POLICY) {
+        const graceEnd = new Date(expiryDate);
+        graceEnd.setDate(graceEnd.getDate() + policy.grace_days);
+        return graceEnd;
+    },
+
+    /**
+     * Check if a license expiry date is in grace period
+     */
+    isInGracePeriod(expiryDate, policy = DEFAULT_EXPIRY_POLICY) {
+        const expiry = new Date(expiryDate);
+        const now = new Date();
+
+        return expiry < now && now <= this.getGracePeriodEnd(expiry, policy);
+    },
+
+    /**
+     * First day a license starts showing warnings (largest warning day)
+     */
+    getWarningWindow(policy = DEFAULT_EXPIRY_POLICY) {
+        return Math.max(...policy.warning_days);
+    },
+
+    /**
+     * Warning the license is in for the days remaining, e.g. 7 when 5 days
+     * remain with warnings at 30/14/7/1, or null outside the warning window
+     */
+    getWarningThreshold(daysRemaining, policy = DEFAULT_EXPIRY_POLICY) {
+        const reached = policy.warning_days.filter(days => daysRemaining <= days);
+        return reached.length > 0 ? Math.min(...reached) : null;
+    }
+};
+
+// Export for use in the dashboard and LicenseExpirationManager
+window.ExpiryPolicy = ExpiryPolicy;
@@ -3,12 +3,30 @@
  * Handles license expiration alerts and renewal flows in the dashboard
  */
 
+// Trial members can ask for an extension once fewer days than this remain
+// (same as TRIAL_EXTENSION_REQUEST_DAYS in supabase/functions/_shared/trials.ts)
+const TRIAL_EXTENSION_REQUEST_DAYS = 3;
+
+// organization_licenses.payment_status values that mean payments stopped
+// (set by paddle-webhook, see supabase/functions/_shared/payment-status.ts)
+const PAYMENT_PROBLEM_STATUSES = ['past_due', 'paused'];
+
 class LicenseExpirationManager {
-    constructor(supabase, organizationId) {
+    /**
+     * @param {Object} supabase - Supabase client
+     * @param {string} organizationId - Organization whose license is checked
+     * @param {Object} [options]
+     * @param {boolean} [options.canManageBilling] - Offer to update the payment method when a payment failed
+     */
+    constructor(supabase, organizationId, { canManageBilling = false } = {}) {
         this.supabase = supabase;
         this.organizationId = organizationId;
+        this.canManageBilling = canManageBilling;
         this.currentLicense = null;
         this.currentOrganization = null;
+        this.pendingTrialExtension = null;
+        this.expiryPolicy = ExpiryPolicy.DEFAULT;
+        this.clickHandler = null;
     }
 
     /**
@@ -48,13 +66,13 @@ class LicenseExpirationManager {
     }
 
     /**
-     * Load organization information (for trial status)
+     * Load organization information (for trial status and expiry policy)
      */
     async loadOrganizationInfo() {
         try {
             const { data, error } = await this.supabase
                 .from('organizations')
-                .select('id, name, is_trial, trial_expires_at')
+                .select('id, name, is_trial, trial_expires_at, expiry_policy')
                 .eq('id', this.organizationId)
                 .maybeSingle();
 
@@ -64,6 +82,12 @@ class LicenseExpirationManager {
             }
 
             this.currentOrganization = data;
+            this.expiryPolicy = ExpiryPolicy.resolve(data?.expiry_policy);
+
+            if (data?.is_trial) {
+                await this.loadPendingTrialExtension();
+            }
+
             return data;
         } catch (error) {
             console.error('Exception loading organization:', error);
@@ -71,6 +95,25 @@ class LicenseExpirationManager {
         }
     }
 
+    /**
+     * Load the organization's open trial extension request, if any
+     */
+    async loadPendingTrialExtension() {
+        const { data, error } = await this.supabase
+            .from('trial_extension_requests')
+            .select('id, created_at')
+            .eq('organization_id', this.organizationId)
+            .eq('status', 'pending')
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error loading trial extension request:', error);
+        }
+
+        this.pendingTrialExtension = data || null;
+        return this.pendingTrialExtension;
+    }
+
     /**
      * Get license status using client-side logic
      */
@@ -81,24 +124,32 @@ class LicenseExpirationManager {
                 const trialExpiresAt = new Date(this.currentOrganization.trial_expires_at);
                 const now = new Date();
                 const daysRemaining = Math.ceil((trialExpiresAt - now) / (1000 * 60 * 60 * 24));
+                const extensionRequested = !!this.pendingTrialExtension;
+                const canRequestExtension = daysRemaining < TRIAL_EXTENSION_REQUEST_DAYS && !extensionRequested;
 
                 if (daysRemaining <= 0) {
                     return {
                         status: 'trial_expired',
                         license_type: 'trial',
                         days_remaining: daysRemaining,
+                        expires_at: this.currentOrganization.trial_expires_at,
                         message: 'Trial expired',
                         severity: 'critical',
-                        action_required: true
+                        action_required: true,
+                        can_request_extension: canRequestExtension,
+                        extension_requested: extensionRequested
                     };
                 } else {
                     return {
                         status: 'trial_active',
                         license_type: 'trial',
                         days_remaining: daysRemaining,
+                        expires_at: this.currentOrganization.trial_expires_at,
                         message: `Trial expires in ${daysRemaining} days`,
                         severity: daysRemaining <= 7 ? 'critical' : 'info',
-                        action_required: daysRemaining <= 7
+                        action_required: daysRemaining <= 7,
+                        can_request_extension: canRequestExtension,
+                        extension_requested: extensionRequested
                     };
                 }
             }
@@ -114,20 +165,21 @@ class LicenseExpirationManager {
             const now = new Date();
             const daysRemaining = Math.ceil((expiresAt - now) / (1000 * 60 * 60 * 24));
             const isInGracePeriod = this.isInGracePeriod(expiresAt);
+            const { grace_days: graceDays } = this.expiryPolicy;
 
             // Determine status based on days remaining
-            if (daysRemaining < -30) {
+            if (daysRemaining < -graceDays) {
                 return {
                     status: 'expired',
                     days_remaining: daysRemaining,
                     in_grace_period: false,
                     expires_at: this.currentLicense.expires_at,
-                    message: 'License expired more than 30 days ago',
+                    message: `License expired more than ${graceDays} days ago`,
                     severity: 'critical',
                     action_required: true
                 };
             } else if (isInGracePeriod) {
-                const graceDaysLeft = 30 + daysRemaining;
+                const graceDaysLeft = graceDays + daysRemaining;
                 return {
                     status: 'grace_period',
                     days_remaining: daysRemaining,
@@ -158,7 +210,7 @@ class LicenseExpirationManager {
                     severity: 'critical',
                     action_required: true
                 };
-            } else if (daysRemaining <= 30) {
+            } else if (daysRemaining <= ExpiryPolicy.getWarningWindow(this.expiryPolicy)) {
                 return {
                     status: 'expiring_soon',
                     days_remaining: daysRemaining,
@@ -185,17 +237,23 @@ class LicenseExpirationManager {
         }
     }
 
+    /**
+     * Payment status of the paid license when payments stopped
+     * @returns {string|null} 'past_due', 'paused' or null
+     */
+    getPaymentProblem() {
+        if (this.currentOrganization?.is_trial) return null;
+
+        const paymentStatus = this.currentLicense?.payment_status;
+        return PAYMENT_PROBLEM_STATUSES.includes(paymentStatus) ? paymentStatus : null;
+    }
+
     /**
      * Check if a license expiry date is in grace period
-     * Grace period is 30 days after expiry
+     * Grace period length comes from the organization's expiry policy
      */
     isInGracePeriod(expiryDate) {
-        const expiry = new Date(expiryDate);
-        const now = new Date();
-        const thirtyDaysAfterExpiry = new Date(expiry);
-        thirtyDaysAfterExpiry.setDate(thirtyDaysAfterExpiry.getDate() + 30);
-        
-        return expiry < now && now <= thirtyDaysAfterExpiry;
+        return ExpiryPolicy.isInGracePeriod(expiryDate, this.expiryPolicy);
     }
 
     /**
@@ -212,6 +270,13 @@ class LicenseExpirationManager {
         // Remove any existing banners
         this.removeBanner();
 
+        // A failed payment needs action before the license actually expires
+        const paymentProblem = this.getPaymentProblem();
+        if (paymentProblem && status.status !== 'expired') {
+            this.showPaymentProblemBanner(paymentProblem);
+            return;
+        }
+
         // Show banner based on status
         switch (status.status) {
             case 'expired':
@@ -224,9 +289,7 @@ class LicenseExpirationManager {
                 this.showJustExpiredBanner(status);
                 break;
             case 'expiring_soon':
-                if (status.days_remaining <= 30) {
-                    this.showExpiringSoonBanner(status);
-                }
+                this.showExpiringSoonBanner(status);
                 break;
         }
 
@@ -298,6 +361,11 @@ class LicenseExpirationManager {
             }
         }
 
+        const paymentProblem = this.getPaymentProblem();
+        if (paymentProblem) {
+            statusHTML += ` <span style="color: #dc3545;">· ${paymentProblem === 'paused' ? 'Subscription paused' : 'Payment past due'}</span>`;
+        }
+
         statusElement.innerHTML = statusHTML;
         statusElement.className = statusClass;
 
@@ -315,10 +383,71 @@ class LicenseExpirationManager {
                 statusElement.appendChild(renewBtn);
             }
         }
+
+        // Let trial members ask for more time near the end of the trial
+        if (status.license_type === 'trial') {
+            if (status.can_request_extension) {
+                const extendBtn = document.createElement('button');
+                extendBtn.id = 'requestTrialExtensionBtn';
+                extendBtn.className = 'btn btn-secondary btn-small';
+                extendBtn.style.marginLeft = '10px';
+                extendBtn.textContent = 'Request Extension';
+                extendBtn.onclick = () => this.requestTrialExtension(extendBtn);
+                statusElement.appendChild(extendBtn);
+            } else if (status.extension_requested) {
+                const requestedNote = document.createElement('span');
+                requestedNote.className = 'trial-extension-requested';
+                requestedNote.style.marginLeft = '10px';
+                requestedNote.textContent = 'Extension requested';
+                statusElement.appendChild(requestedNote);
+            }
+        }
     }
 
     /**
-     * Show banner for expired license (>30 days)
+     * Ask the MepSketcher team for a longer trial
+     */
+    async requestTrialExtension(button) {
+        const message = prompt('Need more time to evaluate MepSketcher? Tell us why (optional):', '');
+        if (message === null) return;
+
+        button.disabled = true;
+
+        try {
+            const { data, error } = await this.supabase.functions.invoke('request-trial-extension', {
+                body: {
+                    organizationId: this.organizationId,
+                    message: message.trim()
+                }
+            });
+
+            if (error) {
+                let errorMessage = error.message;
+                try {
+                    const errorBody = await error.context?.json();
+                    errorMessage = errorBody?.error || errorMessage;
+                } catch (parseError) {
+                    // Keep the generic message
+                }
+                throw new Error(errorMessage);
+            }
+
+            this.pendingTrialExtension = { id: data.requestId, created_at: data.createdAt };
+            alert('Your request has been sent to the MepSketcher team. Your trial end date will update here once it is extended.');
+
+            const status = await this.getLicenseStatus();
+            if (status) {
+                this.updateAccountOverviewStatus(status);
+            }
+        } catch (error) {
+            console.error('Error requesting trial extension:', error);
+            alert('Failed to request a trial extension: ' + error.message);
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Show banner for expired license (grace period over)
      */
     showExpiredBanner(status) {
         const banner = this.createBanner({
@@ -355,11 +484,14 @@ class LicenseExpirationManager {
      * Show banner for just expired license
      */
     showJustExpiredBanner(status) {
+        const graceDays = this.expiryPolicy.grace_days;
         const banner = this.createBanner({
             type: 'just-expired',
             icon: '⚠️',
             title: 'License Expired Today',
-            message: 'Your license expired today. You have a 30-day grace period. Please renew to maintain full access.',
+            message: graceDays > 0
+                ? `Your license expired today. You have a ${graceDays}-day grace period. Please renew to maintain full access.`
+                : 'Your license expired today. Please renew to restore access.',
             actionText: 'Renew Now',
             actionClass: 'btn-warning',
             severity: 'critical'
@@ -388,10 +520,85 @@ class LicenseExpirationManager {
         this.insertBanner(banner);
     }
 
+    /**
+     * Show banner for a failed renewal payment or a paused subscription
+     * Only billing managers get the button; others are asked to tell them.
+     */
+    showPaymentProblemBanner(paymentStatus) {
+        const paused = paymentStatus === 'paused';
+        const action = this.canManageBilling
+            ? (paused
+                ? 'Contact support@mepsketcher.com to resume it.'
+                : 'Update your payment method to pay now and avoid an interruption.')
+            : 'Please ask your organization\'s owner or billing admin to update the payment method.';
+
+        const banner = this.createBanner({
+            type: paused ? 'payment-paused' : 'payment-past-due',
+            icon: '💳',
+            title: paused ? 'Subscription Paused' : 'Payment Failed',
+            message: paused
+                ? `Your subscription is paused and will not renew. ${action}`
+                : `We couldn't collect your renewal payment and are retrying it. ${action}`,
+            actionText: this.canManageBilling && !paused ? 'Update Payment Method' : null,
+            actionClass: 'btn-danger',
+            actionId: 'bannerUpdatePaymentMethodBtn',
+            severity: paused ? 'warning' : 'critical'
+        });
+
+        this.insertBanner(banner);
+    }
+
+    /**
+     * Open Paddle's update-payment-method checkout (past due: pays the
+     * outstanding renewal)
+     */
+    async updatePaymentMethod(button) {
+        if (typeof mepSketcherLicensing === 'undefined' || !mepSketcherLicensing) {
+            alert('Payment system not available');
+            return;
+        }
+
+        button.disabled = true;
+
+        try {
+            const { data, error } = await this.supabase.functions.invoke('billing-details', {
+                body: {
+                    organizationId: this.organizationId,
+                    action: 'update_payment_method'
+                }
+            });
+
+            if (error) {
+                let errorMessage = error.message;
+                try {
+                    const errorBody = await error.context?.json();
+                    errorMessage = errorBody?.error || errorMessage;
+                } catch (parseError) {
+                    // Keep the generic message
+                }
+                throw new Error(errorMessage);
+            }
+
+            mepSketcherLicensing.updatePaymentMethod(data.transactionId, () => {
+                // paddle-webhook restores the license once Paddle confirms the payment
+                setTimeout(async () => {
+                    await this.loadLicenseInfo();
+                    await this.checkAndShowExpirationBanner();
+                }, 3000);
+            });
+        } catch (error) {
+            console.error('Error opening payment method update:', error);
+            alert('Failed to update the payment method: ' + error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
     /**
      * Create banner element
+     * Without actionText the banner has no action button.
      */
-    createBanner({ type, icon, title, message, actionText, actionClass, severity }) {
+    createBanner({ type, icon, title, message, actionText, actionClass, actionId = 'renewLicenseBtn', severity }) {
         const banner = document.createElement('div');
         banner.className = `license-expiration-banner ${severity}`;
         banner.id = 'license-expiration-banner';
@@ -402,9 +609,11 @@ class LicenseExpirationManager {
                     <strong>${title}</strong>
                     <p>${message}</p>
                 </div>
-                <button class="btn ${actionClass}" id="renewLicenseBtn">
+                ${actionText ? `
+                <button class="btn ${actionClass}" id="${actionId}">
                     ${actionText}
                 </button>
+                ` : ''}
                 <button class="btn btn-text" id="dismissBannerBtn" title="Dismiss">
                     ✕
                 </button>
@@ -441,18 +650,38 @@ class LicenseExpirationManager {
      * Setup event listeners for renewal actions
      */
     setupRenewalListeners() {
+        if (this.clickHandler) return;
+
         // Use event delegation for dynamic elements
-        document.addEventListener('click', (e) => {
+        this.clickHandler = (e) => {
             if (e.target.id === 'renewLicenseBtn' || e.target.closest('#renewLicenseBtn')) {
                 e.preventDefault();
                 this.openRenewalFlow();
             }
             
+            const paymentMethodBtn = e.target.closest('#bannerUpdatePaymentMethodBtn');
+            if (paymentMethodBtn) {
+                e.preventDefault();
+                this.updatePaymentMethod(paymentMethodBtn);
+            }
+            
             if (e.target.id === 'dismissBannerBtn' || e.target.closest('#dismissBannerBtn')) {
                 e.preventDefault();
                 this.removeBanner();
             }
-        });
+        };
+        document.addEventListener('click', this.clickHandler);
+    }
+
+    /**
+     * Remove the banner and listeners, e.g. when switching to another organization
+     */
+    destroy() {
+        if (this.clickHandler) {
+            document.removeEventListener('click', this.clickHandler);
+            this.clickHandler = null;
+        }
+        this.removeBanner();
     }
 
     /**
@@ -507,7 +736,7 @@ class LicenseExpirationManager {
             'standard': 'Standard renewal for 1 year',
             'grace_period': 'Renew from original expiry date',
             'early_renewal': 'Extend license from today',
-            'new_purchase': 'New license (expired >30 days ago)'
+            'new_purchase': `New license (expired >${this.expiryPolicy.grace_days} days ago)`
         };
 
         modal.innerHTML = `
@@ -675,7 +904,7 @@ class LicenseExpirationManager {
         }
 
         // Open Paddle checkout with renewal context
-        mepSketcherLicensing.purchaseYearlyLicense(totalLicenses);
+        mepSketcherLicensing.purchaseYearlyLicense(totalLicenses, this.organizationId);
     }
 
     /**
@@ -714,18 +943,15 @@ class LicenseExpirationManager {
         if (!this.currentLicense) return;
 
         try {
-            // Determine notification type
+            // Determine notification type from the policy's warning days
             let notificationType;
-            if (status.days_remaining <= 1 && status.days_remaining >= 0) {
-                notificationType = '1_day';
-            } else if (status.days_remaining <= 7 && status.days_remaining > 1) {
-                notificationType = '7_day';
-            } else if (status.days_remaining <= 14 && status.days_remaining > 7) {
-                notificationType = '14_day';
-            } else if (status.days_remaining <= 30 && status.days_remaining > 14) {
-                notificationType = '30_day';
-            } else if (status.days_remaining < 0) {
+            if (status.days_remaining < 0) {
                 notificationType = 'expired';
+            } else {
+                const threshold = ExpiryPolicy.getWarningThreshold(status.days_remaining, this.expiryPolicy);
+                if (threshold !== null) {
+                    notificationType = `${threshold}_day`;
+                }
             }
 
             if (notificationType) {
@@ -767,14 +993,15 @@ class LicenseExpirationManager {
         const expiresAt = new Date(this.currentLicense.expires_at);
         const now = new Date();
         const daysUntilExpiry = Math.ceil((expiresAt - now) / (1000 * 60 * 60 * 24));
+        const graceDays = this.expiryPolicy.grace_days;
 
-        if (daysUntilExpiry < -30) {
+        if (daysUntilExpiry < -graceDays) {
             return `<span class="expiration-status critical">Expired ${Math.abs(daysUntilExpiry)} days ago</span>`;
         } else if (daysUntilExpiry < 0) {
-            return `<span class="expiration-status warning">Grace period (${30 + daysUntilExpiry} days left)</span>`;
+            return `<span class="expiration-status warning">Grace period (${graceDays + daysUntilExpiry} days left)</span>`;
         } else if (daysUntilExpiry <= 7) {
             return `<span class="expiration-status critical">Expires in ${daysUntilExpiry} days</span>`;
-        } else if (daysUntilExpiry <= 30) {
+        } else if (daysUntilExpiry <= ExpiryPolicy.getWarningWindow(this.expiryPolicy)) {
             return `<span class="expiration-status warning">Expires in ${daysUntilExpiry} days</span>`;
         } else {
             return `<span class="expiration-status success">Active</span>`;
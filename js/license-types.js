@@ -0,0 +1,39 @@
+// License Types Module
+// organization_licenses.license_type values and their display labels.
+// Mirrors supabase/functions/_shared/leases.ts and set-license-type.
+
+export const LICENSE_TYPES = {
+  STANDARD: 'standard',
+  FLOATING: 'floating',
+  CANCELLED: 'cancelled'
+};
+
+export const LICENSE_TYPE_LABELS = {
+  standard: 'Named Seats',
+  floating: 'Floating',
+  cancelled: 'Cancelled',
+  trial: 'Trial'
+};
+
+export const LICENSE_TYPE_DESCRIPTIONS = {
+  standard: 'Each licensed member has a seat of their own.',
+  floating: 'Any member can use MepSketcher; the number of licenses caps how many at once.'
+};
+
+/**
+ * Get a human readable label for a license type
+ * @param {string} licenseType
+ * @returns {string}
+ */
+export function getLicenseTypeLabel(licenseType) {
+  return LICENSE_TYPE_LABELS[licenseType || LICENSE_TYPES.STANDARD] || licenseType;
+}
+
+/**
+ * Check if a license is floating (concurrent) rather than named seats
+ * @param {Object|null} license - organization_licenses row
+ * @returns {boolean}
+ */
+export function isFloatingLicense(license) {
+  return license?.license_type === LICENSE_TYPES.FLOATING;
+}
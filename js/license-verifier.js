@@ -0,0 +1,189 @@
+// License Verification Module
+// Verifies license tokens from activate-license and license-lease and offline
+// license files from issue-offline-license without calling Supabase. Only the
+// public key is needed (license-public-key edge function, cached while online).
+//
+// Uses WebCrypto Ed25519, available in current browsers, Node.js 20+ and
+// Electron - so the desktop app can ship this file as-is.
+
+export const OFFLINE_LICENSE_FORMAT = 'mepsketcher-offline-license';
+export const LICENSE_TOKEN_ISSUER = 'mepsketcher';
+
+/**
+ * Thrown when a token or license file is not valid
+ */
+export class LicenseVerificationError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - 'malformed' | 'unknown_key' | 'bad_signature' |
+   *   'expired' | 'not_yet_valid' | 'wrong_device' | 'wrong_issuer'
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'LicenseVerificationError';
+    this.code = code;
+  }
+}
+
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function decodeSegment(segment) {
+  try {
+    return base64UrlDecode(segment);
+  } catch (error) {
+    // atob() throws a DOMException for characters outside base64url
+    throw new LicenseVerificationError('License token is malformed', 'malformed');
+  }
+}
+
+function decodeJson(segment) {
+  let value;
+  try {
+    value = JSON.parse(new TextDecoder().decode(decodeSegment(segment)));
+  } catch (error) {
+    throw new LicenseVerificationError('License token is malformed', 'malformed');
+  }
+
+  if (!value || typeof value !== 'object') {
+    throw new LicenseVerificationError('License token is malformed', 'malformed');
+  }
+
+  return value;
+}
+
+/**
+ * Fetch the public keys (JWK Set) to cache for offline use
+ * @param {string} url - URL of the license-public-key edge function
+ * @returns {Promise<Object>} JWK Set ({ keys: [...] })
+ */
+export async function fetchLicensePublicKeys(url) {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch license public keys (${response.status})`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Verify a license token (EdDSA JWT)
+ * @param {string} token - Compact JWT
+ * @param {Object} jwks - JWK Set from fetchLicensePublicKeys()
+ * @param {Object} [options]
+ * @param {string} [options.deviceFingerprint] - This machine; required to match device-bound tokens
+ * @param {Date} [options.now] - Current time (defaults to the system clock)
+ * @returns {Promise<Object>} The verified claims, plus in_grace_period
+ * @throws {LicenseVerificationError}
+ */
+export async function verifyLicenseToken(token, jwks, { deviceFingerprint = null, now = new Date() } = {}) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new LicenseVerificationError('License token is malformed', 'malformed');
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = decodeJson(headerSegment);
+  const claims = decodeJson(payloadSegment);
+
+  if (header.alg !== 'EdDSA') {
+    throw new LicenseVerificationError(`Unsupported algorithm: ${header.alg}`, 'malformed');
+  }
+
+  const jwk = (jwks?.keys || []).find(key => key.kid === header.kid && key.crv === 'Ed25519');
+  if (!jwk) {
+    throw new LicenseVerificationError(`Unknown signing key: ${header.kid}`, 'unknown_key');
+  }
+
+  let publicKey;
+  try {
+    publicKey = await crypto.subtle.importKey(
+      'jwk',
+      { kty: 'OKP', crv: 'Ed25519', x: jwk.x },
+      { name: 'Ed25519' },
+      false,
+      ['verify']
+    );
+  } catch (error) {
+    throw new LicenseVerificationError(`Signing key ${header.kid} is malformed`, 'malformed');
+  }
+
+  const valid = await crypto.subtle.verify(
+    { name: 'Ed25519' },
+    publicKey,
+    decodeSegment(signatureSegment),
+    new TextEncoder().encode(`${headerSegment}.${payloadSegment}`)
+  );
+
+  if (!valid) {
+    throw new LicenseVerificationError('License signature is invalid', 'bad_signature');
+  }
+
+  if (claims.iss !== LICENSE_TOKEN_ISSUER) {
+    throw new LicenseVerificationError('License was not issued by MepSketcher', 'wrong_issuer');
+  }
+
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+
+  if (typeof claims.exp !== 'number' || claims.exp < nowSeconds) {
+    throw new LicenseVerificationError('License has expired', 'expired');
+  }
+
+  // Allow a few minutes of clock skew between the server and this machine
+  if (typeof claims.iat === 'number' && claims.iat > nowSeconds + 300) {
+    throw new LicenseVerificationError('License is not valid yet', 'not_yet_valid');
+  }
+
+  if (claims.device && claims.device !== deviceFingerprint) {
+    throw new LicenseVerificationError('License is bound to a different device', 'wrong_device');
+  }
+
+  return {
+    ...claims,
+    in_grace_period: !!claims.license_expires_at && new Date(claims.license_expires_at) < now
+  };
+}
+
+/**
+ * Verify an offline license file
+ * @param {string|Object} file - File contents (JSON text or parsed)
+ * @param {Object} jwks - JWK Set from fetchLicensePublicKeys()
+ * @param {Object} [options] - Same as verifyLicenseToken()
+ * @returns {Promise<Object>} The verified claims
+ * @throws {LicenseVerificationError}
+ */
+export async function verifyOfflineLicenseFile(file, jwks, options = {}) {
+  let parsed = file;
+
+  if (typeof file === 'string') {
+    try {
+      parsed = JSON.parse(file);
+    } catch (error) {
+      throw new LicenseVerificationError('License file is not valid JSON', 'malformed');
+    }
+  }
+
+  if (parsed?.format !== OFFLINE_LICENSE_FORMAT || !parsed.token) {
+    throw new LicenseVerificationError('Not a MepSketcher offline license file', 'malformed');
+  }
+
+  // Only the signed token counts; the readable "license" copy is ignored
+  const claims = await verifyLicenseToken(parsed.token, jwks, options);
+
+  if (claims.kind !== 'offline') {
+    throw new LicenseVerificationError('Not an offline license', 'malformed');
+  }
+
+  // Offline files are always issued for one device; older unbound files
+  // would otherwise work on any machine
+  if (!claims.device) {
+    throw new LicenseVerificationError('Offline license is not bound to a device', 'wrong_device');
+  }
+
+  return claims;
+}
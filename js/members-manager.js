@@ -2,13 +2,112 @@
 // Handles inviting, adding, removing, and managing organization members
 
 import { JWTClaimsHelper } from './jwt-claims-helper.js';
+import { AuditLog, AUDIT_ACTIONS } from './audit-log.js';
+import { isFloatingLicense } from './license-types.js';
+import {
+  ASSIGNABLE_ROLES,
+  CAPABILITIES,
+  canAssignRole,
+  getRoleLabel,
+  hasCapability,
+  resolveRole
+} from './permissions.js';
+
+// Default lifetime of an invitation link (send-invitation-email allows 1-30 days)
+export const DEFAULT_INVITATION_EXPIRY_DAYS = 7;
+
+// Devices per seat (mirrors supabase/functions/_shared/devices.ts)
+export const DEFAULT_DEVICE_LIMIT = 2;
+export const MAX_DEVICE_LIMIT = 20;
+
+// Utilization report: activity windows, and days without use after which a
+// seat counts as idle
+export const USAGE_WINDOWS_DAYS = [7, 30, 90];
+export const IDLE_SEAT_DAYS = 30;
+
+// Colleagues a team trial may invite when the organization has no
+// trial_max_colleagues (mirrors supabase/functions/_shared/trials.ts)
+export const DEFAULT_TRIAL_MAX_COLLEAGUES = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same check as the signup/signin edge functions
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 export class MembersManager {
-  constructor(supabase, organizationId) {
+  /**
+   * @param {Object} supabase - Supabase client
+   * @param {string} organizationId - Organization to manage
+   * @param {string} [currentRole] - Effective role of the signed-in user, if already known
+   */
+  constructor(supabase, organizationId, currentRole) {
     this.supabase = supabase;
     this.organizationId = organizationId;
     this.jwtHelper = new JWTClaimsHelper(supabase);
+    this.auditLog = new AuditLog(supabase, organizationId);
     this._claimsEnsured = false;
+    this._currentRole = currentRole;
+  }
+
+  /**
+   * Get the signed-in user's effective role in this organization
+   * @returns {Promise<string|null>} Role (see ROLES) or null if not a member
+   */
+  async getCurrentUserRole() {
+    if (this._currentRole !== undefined) {
+      return this._currentRole;
+    }
+
+    const { data: { user } } = await this.supabase.auth.getUser();
+    if (!user) {
+      return null;
+    }
+
+    const { data: org, error: orgError } = await this.supabase
+      .from('organizations')
+      .select('owner_id')
+      .eq('id', this.organizationId)
+      .maybeSingle();
+
+    if (orgError) {
+      console.error('Error fetching organization owner:', orgError);
+      throw orgError;
+    }
+
+    const { data: membership, error: membershipError } = await this.supabase
+      .from('organization_members')
+      .select('role')
+      .eq('user_id', user.id)
+      .eq('organization_id', this.organizationId)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (membershipError) {
+      console.error('Error fetching membership role:', membershipError);
+      throw membershipError;
+    }
+
+    this._currentRole = resolveRole(membership?.role || null, org?.owner_id || null, user.id);
+    return this._currentRole;
+  }
+
+  /**
+   * Check whether the signed-in user has a capability in this organization
+   * @param {string} capability - One of CAPABILITIES
+   * @returns {Promise<boolean>}
+   */
+  async can(capability) {
+    return hasCapability(await this.getCurrentUserRole(), capability);
+  }
+
+  /**
+   * Throw if the signed-in user lacks a capability
+   * @private
+   */
+  async _requireCapability(capability, message) {
+    if (!(await this.can(capability))) {
+      throw new Error(message);
+    }
   }
 
   /**
@@ -41,7 +140,7 @@ export class MembersManager {
       // Get organization info
       const { data: org, error: orgError } = await this.supabase
         .from('organizations')
-        .select('is_trial')
+        .select('is_trial, trial_expires_at, trial_max_colleagues')
         .eq('id', this.organizationId)
         .single();
 
@@ -53,16 +152,33 @@ export class MembersManager {
         };
       }
 
-      // If trial, can't add members
+      // Team trial: the owner plus a limited number of colleagues share the
+      // trial; seats are not queued since the trial can't buy more
       if (org.is_trial) {
+        const maxColleagues = org.trial_max_colleagues ?? DEFAULT_TRIAL_MAX_COLLEAGUES;
+        const totalSeats = 1 + maxColleagues;
+        const usedSeats = await this.countAssignedSeats();
+        const available = Math.max(totalSeats - usedSeats, 0);
+        const expired = !org.trial_expires_at || new Date(org.trial_expires_at) < new Date();
+
+        let message;
+        if (expired) {
+          message = 'Your trial has expired. Please upgrade to a paid plan to invite team members.';
+        } else if (available === 0) {
+          message = `Your trial includes up to ${maxColleagues} colleague${maxColleagues !== 1 ? 's' : ''}. Upgrade to a paid plan to invite more.`;
+        }
+
         return {
           success: true,
           is_trial: true,
-          can_add_member: false,
-          total_licenses: 0,
-          used_licenses: 0,
-          available_licenses: 0,
-          message: 'Please upgrade to a paid plan to invite team members'
+          can_add_member: !expired && available > 0,
+          can_queue_invites: false,
+          max_colleagues: maxColleagues,
+          total_licenses: totalSeats,
+          used_licenses: usedSeats,
+          available_licenses: expired ? 0 : available,
+          expires_at: org.trial_expires_at,
+          message
         };
       }
 
@@ -106,15 +222,37 @@ export class MembersManager {
         };
       }
 
-      // Calculate available licenses
-      const available = license.total_licenses - license.used_licenses;
+      // Floating licenses cap concurrent use, not members
+      if (isFloatingLicense(license)) {
+        const inUse = await this.countActiveLeases();
+        return {
+          success: true,
+          is_floating: true,
+          license_type: license.license_type,
+          can_add_member: true,
+          can_queue_invites: false,
+          total_licenses: license.total_licenses,
+          used_licenses: inUse,
+          available_licenses: Math.max(license.total_licenses - inUse, 0),
+          expires_at: license.expires_at,
+          subscription_id: license.subscription_id
+        };
+      }
+
+      // Calculate available licenses from the seats actually assigned
+      const usedLicenses = await this.countAssignedSeats();
+      const available = Math.max(license.total_licenses - usedLicenses, 0);
       return {
         success: true,
         can_add_member: available > 0,
+        // A full license can still take invitations; they wait for a seat
+        can_queue_invites: true,
+        license_type: license.license_type,
         total_licenses: license.total_licenses,
-        used_licenses: license.used_licenses,
+        used_licenses: usedLicenses,
         available_licenses: available,
-        expires_at: license.expires_at
+        expires_at: license.expires_at,
+        subscription_id: license.subscription_id
       };
     } catch (error) {
       console.error('Error in fallback license check:', error);
@@ -129,23 +267,49 @@ export class MembersManager {
    * Invite or add a member to the organization
    * - If user exists → Add as active member immediately
    * - If user doesn't exist → Create pending invitation
+   * - If a seat is requested but the license is full → Queue the invitation
+   *   until seats are bought (see queueInvitation())
    * 
    * @param {string} email - Email address of the user to invite
-   * @param {string} role - Role to assign (admin or member)
+   * @param {string} role - Role to assign (one of ASSIGNABLE_ROLES)
+   * @param {Object} [options]
+   * @param {number} [options.expiresInDays] - Days until a pending invitation expires
+   * @param {boolean} [options.assignSeat=true] - Give the member a license seat
    * @returns {Promise<Object>} Result with success status and action taken
    */
-  async inviteMember(email, role = 'member') {
+  async inviteMember(email, role = 'member', { expiresInDays = DEFAULT_INVITATION_EXPIRY_DAYS, assignSeat = true } = {}) {
     await this._ensureClaimsOnce();
-    
-    // 1. Check available licenses
-    const licenses = await this.checkAvailableLicenses();
-    
-    if (!licenses.success) {
-      throw new Error(licenses.error || 'Failed to check licenses');
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      throw new Error(`Invalid role: ${role}`);
     }
 
-    if (!licenses.can_add_member) {
-      throw new Error(licenses.message || 'Cannot add member at this time');
+    await this._requireCapability(
+      CAPABILITIES.MANAGE_MEMBERS,
+      'You do not have permission to invite members'
+    );
+
+    if (!canAssignRole(await this.getCurrentUserRole(), role)) {
+      throw new Error(`You do not have permission to assign the ${getRoleLabel(role)} role`);
+    }
+    
+    // 1. Check available licenses (members without a seat don't need one)
+    if (assignSeat) {
+      const licenses = await this.checkAvailableLicenses();
+      
+      if (!licenses.success) {
+        throw new Error(licenses.error || 'Failed to check licenses');
+      }
+
+      if (licenses.is_floating) {
+        // No named seats; members check out a floating lease in the app
+        assignSeat = false;
+      } else if (!licenses.can_add_member) {
+        if (licenses.can_queue_invites) {
+          return await this.queueInvitation(email, role, expiresInDays);
+        }
+        throw new Error(licenses.message || 'Cannot add member at this time');
+      }
     }
 
     // 2. Check if user already exists in user_profiles (simple query)
@@ -163,10 +327,10 @@ export class MembersManager {
 
     if (existingProfile) {
       // User exists - add directly as active member
-      return await this.addExistingUserToOrg(existingProfile.id, email, role);
+      return await this.addExistingUserToOrg(existingProfile.id, email, role, assignSeat);
     } else {
       // User doesn't exist - create pending invitation
-      return await this.createPendingInvitation(email, role);
+      return await this.createPendingInvitation(email, role, expiresInDays, assignSeat);
     }
   }
 
@@ -174,80 +338,22 @@ export class MembersManager {
    * Add an existing user to the organization as an active member
    * @private
    */
-  async addExistingUserToOrg(userId, email, role) {
-    // Check if already a member (in any status)
-    const { data: existingMember, error: checkError } = await this.supabase
-      .from('organization_members')
-      .select('id, status')
-      .eq('user_id', userId)
-      .eq('organization_id', this.organizationId)
-      .maybeSingle();
-
-    if (checkError && checkError.code !== 'PGRST116') {
-      console.error('Error checking existing membership:', checkError);
-      throw checkError;
-    }
-
-    if (existingMember) {
-      if (existingMember.status === 'active') {
-        throw new Error('User is already an active member of this organization');
-      }
-      
-      // Reactivate inactive member
-      const { error: updateError } = await this.supabase
-        .from('organization_members')
-        .update({ 
-          status: 'active',
-          has_license: true, // Assign license when reactivating
-          role: role,
-          email: email,
-          accepted_at: new Date().toISOString(),
-          removed_at: null
-        })
-        .eq('id', existingMember.id);
-
-      if (updateError) {
-        console.error('Error reactivating member:', updateError);
-        throw updateError;
-      }
+  async addExistingUserToOrg(userId, email, role, assignSeat = true) {
+    // Membership and seat are written server-side so used_licenses stays exact
+    const result = await this._invokeSeatAction('add', { userId, email, role, assignSeat });
 
-      // Increment used_licenses
-      await this.incrementUsedLicenses();
-
-      return { 
-        success: true, 
-        action: 'reactivated', 
-        email,
-        message: `${email} has been reactivated. They should refresh their page to update access.`
-      };
-    }
-
-    // Add new active member
-    const { error: insertError } = await this.supabase
-      .from('organization_members')
-      .insert({
-        user_id: userId,
-        organization_id: this.organizationId,
-        role: role,
-        email: email,
-        status: 'active',
-        has_license: true, // Assign license to new member
-        accepted_at: new Date().toISOString()
-      });
-
-    if (insertError) {
-      console.error('Error adding member:', insertError);
-      throw insertError;
-    }
-
-    // Increment used_licenses
-    await this.incrementUsedLicenses();
+    const seatNote = assignSeat && !result.seatAssigned
+      ? ' No seat was free, so they were added without a license.'
+      : '';
 
     return { 
       success: true, 
-      action: 'added', 
+      action: result.action, 
       email,
-      message: `${email} has been added to the organization. They should refresh their page to update access.`
+      seat_assigned: !!result.seatAssigned,
+      message: result.action === 'reactivated'
+        ? `${email} has been reactivated.${seatNote} They should refresh their page to update access.`
+        : `${email} has been added to the organization.${seatNote} They should refresh their page to update access.`
     };
   }
 
@@ -255,7 +361,7 @@ export class MembersManager {
    * Create a pending invitation for a user who doesn't exist yet
    * @private
    */
-  async createPendingInvitation(email, role) {
+  async createPendingInvitation(email, role, expiresInDays = DEFAULT_INVITATION_EXPIRY_DAYS, assignSeat = true) {
     // Check if invitation already exists
     const { data: existingInvite, error: checkError } = await this.supabase
       .from('organization_members')
@@ -271,9 +377,11 @@ export class MembersManager {
 
     if (existingInvite) {
       if (existingInvite.status === 'pending') {
-        throw new Error('An invitation has already been sent to this email');
+        throw new Error('An invitation has already been sent to this email. Use Resend in the pending invitations list.');
       } else if (existingInvite.status === 'active') {
         throw new Error('This email is already associated with an active member');
+      } else if (existingInvite.status === 'awaiting_seat') {
+        throw new Error('This email is already waiting for a seat. Buy more seats to complete the invitation.');
       }
     }
 
@@ -285,6 +393,7 @@ export class MembersManager {
         email: email,
         role: role,
         status: 'pending',
+        assign_seat_on_accept: assignSeat,
         invited_at: new Date().toISOString()
       })
       .select()
@@ -297,8 +406,13 @@ export class MembersManager {
 
     console.log('Pending invitation created:', invite.id);
 
+    await this.auditLog.record(AUDIT_ACTIONS.MEMBER_INVITED, {
+      targetEmail: email,
+      details: { role, assign_seat: assignSeat, expires_in_days: expiresInDays }
+    });
+
     // Send invitation email via Supabase Edge Function
-    const emailResult = await this.sendInvitationEmail(invite.id, email, role);
+    const emailResult = await this.sendInvitationEmail(invite.id, email, role, expiresInDays);
     
     if (!emailResult.success) {
       console.error('Failed to send invitation email:', emailResult.error);
@@ -314,7 +428,7 @@ export class MembersManager {
       };
     }
 
-    // Don't increment used_licenses yet - only when they accept
+    // The seat is only assigned when they accept
 
     return { 
       success: true, 
@@ -326,51 +440,365 @@ export class MembersManager {
   }
 
   /**
-   * Accept a pending invitation (called after signup)
-   * @param {string} userId - The user ID of the newly signed up user
-   * @param {string} email - The email address used for signup
+   * Queue an invitation that needs a seat while the license is full.
+   * It is completed server-side, oldest first, once seats are free: when
+   * Paddle confirms more seats (paddle-webhook) or via
+   * completeQueuedInvitations().
+   * @private
    */
-  async acceptInvitation(userId, email) {
-    // Find pending invitation by email
-    const { data: invite, error: findError } = await this.supabase
+  async queueInvitation(email, role, expiresInDays = DEFAULT_INVITATION_EXPIRY_DAYS) {
+    const result = await this._invokeSeatAction('queue', { email, role, expiresInDays });
+
+    return {
+      success: true,
+      action: 'awaiting_seat',
+      email,
+      inviteId: result.inviteId,
+      message: `No seat is free, so the invitation for ${email} is waiting for a seat. Buy more seats to complete it.`
+    };
+  }
+
+  /**
+   * Get invitations waiting for a seat
+   * @returns {Promise<Array>} Queued invitations, oldest first
+   */
+  async getQueuedInvitations() {
+    const { data, error } = await this.supabase
       .from('organization_members')
-      .select('*')
-      .eq('email', email)
+      .select('id, email, role, invited_at')
+      .eq('organization_id', this.organizationId)
+      .eq('status', 'awaiting_seat')
+      .order('invited_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching queued invitations:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Complete queued invitations while seats are free (oldest first).
+   * Existing users are added with a seat, everyone else is sent a normal
+   * invitation email.
+   * @returns {Promise<Object>} { completed: [{ email, action }], remaining }
+   */
+  async completeQueuedInvitations() {
+    await this._requireCapability(
+      CAPABILITIES.MANAGE_MEMBERS,
+      'You do not have permission to invite members'
+    );
+
+    const result = await this._invokeSeatAction('complete', {});
+
+    return {
+      success: true,
+      completed: result.completed || [],
+      remaining: result.remaining || 0
+    };
+  }
+
+  /**
+   * Parse a pasted list or CSV of invitations.
+   * One invitation per line: "email" or "email,role" (comma, semicolon or tab
+   * separated). A header line starting with "email" is ignored.
+   *
+   * @param {string} text - Raw list or CSV file contents
+   * @param {string} defaultRole - Role for lines without a role column
+   * @returns {Promise<Array>} Rows of { line, email, role, error }; error is
+   *   null for valid rows
+   */
+  async parseBulkInvites(text, defaultRole = 'member') {
+    const actorRole = await this.getCurrentUserRole();
+    const seen = new Set();
+    const rows = [];
+    let isFirstLine = true;
+
+    (text || '').split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      const columns = line.split(/[,;\t]/).map(col => col.trim().replace(/^"|"$/g, ''));
+
+      // Skip CSV header
+      const isHeader = isFirstLine && columns[0].toLowerCase() === 'email';
+      isFirstLine = false;
+      if (isHeader) return;
+
+      const email = columns[0].toLowerCase();
+      const role = (columns[1] || defaultRole).toLowerCase().replace(/\s+/g, '_');
+      let error = null;
+
+      if (!EMAIL_REGEX.test(email)) {
+        error = 'Invalid email address';
+      } else if (seen.has(email)) {
+        error = 'Duplicate email in list';
+      } else if (!ASSIGNABLE_ROLES.includes(role)) {
+        error = `Unknown role: ${columns[1]}`;
+      } else if (!canAssignRole(actorRole, role)) {
+        error = `You cannot assign the ${getRoleLabel(role)} role`;
+      }
+
+      seen.add(email);
+      rows.push({ line: index + 1, email, role, error });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Invite many members at once.
+   * All rows must be valid before anything is sent. New members get the free
+   * licenses in list order; once those run out the remaining invitations
+   * wait for a seat (see queueInvitation()). Each row is then processed
+   * with inviteMember().
+   *
+   * @param {Array} rows - Rows from parseBulkInvites()
+   * @param {number} [expiresInDays] - Days until pending invitations expire
+   * @returns {Promise<Array>} Rows of { email, role, status, message } where
+   *   status is 'added', 'invited', 'awaiting_seat', 'already_member' or
+   *   'failed'
+   */
+  async bulkInviteMembers(rows, expiresInDays = DEFAULT_INVITATION_EXPIRY_DAYS) {
+    await this._requireCapability(
+      CAPABILITIES.MANAGE_MEMBERS,
+      'You do not have permission to invite members'
+    );
+
+    if (!rows || rows.length === 0) {
+      throw new Error('No invitations to send');
+    }
+
+    const invalidRows = rows.filter(row => row.error);
+    if (invalidRows.length > 0) {
+      throw new Error(`${invalidRows.length} row${invalidRows.length !== 1 ? 's' : ''} could not be validated. Fix them and try again.`);
+    }
+
+    // Existing active members and open invitations need no new seat
+    const { data: existing, error: existingError } = await this.supabase
+      .from('organization_members')
+      .select('email, status')
+      .eq('organization_id', this.organizationId)
+      .in('status', ['active', 'pending', 'awaiting_seat']);
+
+    if (existingError) {
+      console.error('Error fetching existing members:', existingError);
+      throw existingError;
+    }
+
+    const existingByEmail = new Map(
+      (existing || []).filter(m => m.email).map(m => [m.email.toLowerCase(), m.status])
+    );
+
+    const newRows = rows.filter(row => !existingByEmail.has(row.email));
+
+    // Check the whole batch against available licenses up front
+    let seatsLeft = 0;
+    let canQueueInvites = false;
+    let seatsFullMessage = null;
+    if (newRows.length > 0) {
+      const licenses = await this.checkAvailableLicenses();
+
+      if (!licenses.success) {
+        throw new Error(licenses.error || 'Failed to check licenses');
+      }
+
+      if (!licenses.can_add_member && !licenses.can_queue_invites) {
+        throw new Error(licenses.message || 'Cannot add members at this time');
+      }
+
+      seatsLeft = licenses.is_floating ? newRows.length : licenses.available_licenses;
+      canQueueInvites = !!licenses.can_queue_invites;
+      seatsFullMessage = licenses.message;
+    }
+
+    const results = [];
+
+    // Sequential on purpose: inviteMember() updates used_licenses per member
+    for (const row of rows) {
+      const existingStatus = existingByEmail.get(row.email);
+
+      if (existingStatus) {
+        results.push({
+          email: row.email,
+          role: row.role,
+          status: 'already_member',
+          message: {
+            pending: 'Invitation already pending',
+            awaiting_seat: 'Already waiting for a seat'
+          }[existingStatus] || 'Already an active member'
+        });
+        continue;
+      }
+
+      try {
+        // A team trial can't queue invitations for seats it will never get
+        if (seatsLeft <= 0 && !canQueueInvites) {
+          throw new Error(seatsFullMessage || 'All trial seats are taken. Upgrade to a paid plan to invite more colleagues.');
+        }
+
+        // Pending invitations don't use a seat until accepted, so count them
+        // here to keep the batch within the free licenses
+        const result = seatsLeft > 0
+          ? await this.inviteMember(row.email, row.role, { expiresInDays })
+          : await this.queueInvitation(row.email, row.role, expiresInDays);
+
+        if (result.action !== 'awaiting_seat') {
+          seatsLeft--;
+        }
+
+        results.push({
+          email: row.email,
+          role: row.role,
+          status: ['invited', 'awaiting_seat'].includes(result.action) ? result.action : 'added',
+          message: result.message
+        });
+      } catch (error) {
+        console.error(`Error inviting ${row.email}:`, error);
+        results.push({
+          email: row.email,
+          role: row.role,
+          status: 'failed',
+          message: error.message || 'Unknown error'
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get pending invitations for the organization
+   * @returns {Promise<Array>} Pending invitations, oldest first. Each has an
+   *   is_expired flag derived from invitation_expires_at.
+   */
+  async getPendingInvitations() {
+    const { data, error } = await this.supabase
+      .from('organization_members')
+      .select('id, email, role, invited_at, invite_token_sent_at, invitation_expires_at')
+      .eq('organization_id', this.organizationId)
+      .eq('status', 'pending')
+      .order('invited_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching pending invitations:', error);
+      throw error;
+    }
+
+    const now = new Date();
+    return (data || []).map(invite => ({
+      ...invite,
+      is_expired: !!invite.invitation_expires_at && new Date(invite.invitation_expires_at) < now
+    }));
+  }
+
+  /**
+   * Resend a pending invitation with a fresh token.
+   * The previous link stops working because its token hash is replaced.
+   * @param {string} invitationId - organization_members.id of the invitation
+   * @param {number} [expiresInDays] - Days until the new link expires
+   * @returns {Promise<Object>} Result with the new expiry date
+   */
+  async resendInvitation(invitationId, expiresInDays = DEFAULT_INVITATION_EXPIRY_DAYS) {
+    await this._requireCapability(
+      CAPABILITIES.MANAGE_MEMBERS,
+      'You do not have permission to resend invitations'
+    );
+
+    const { data: invite, error } = await this.supabase
+      .from('organization_members')
+      .select('id, email, role')
+      .eq('id', invitationId)
       .eq('organization_id', this.organizationId)
       .eq('status', 'pending')
       .maybeSingle();
 
-    if (findError) {
-      console.error('Error finding invitation:', findError);
-      throw findError;
+    if (error) {
+      console.error('Error fetching invitation:', error);
+      throw error;
     }
 
     if (!invite) {
-      throw new Error('No pending invitation found for this email');
+      throw new Error('Invitation not found or already accepted');
+    }
+
+    const emailResult = await this.sendInvitationEmail(invite.id, invite.email, invite.role, expiresInDays);
+
+    if (!emailResult.success) {
+      throw new Error(emailResult.error || 'Failed to resend invitation');
     }
 
-    // Update invitation to active member
-    const { error: updateError } = await this.supabase
+    await this.auditLog.record(AUDIT_ACTIONS.INVITATION_RESENT, {
+      targetEmail: invite.email,
+      details: { expires_at: emailResult.expiresAt }
+    });
+
+    return {
+      success: true,
+      email: invite.email,
+      expiresAt: emailResult.expiresAt,
+      message: `A new invitation has been sent to ${invite.email}`
+    };
+  }
+
+  /**
+   * Revoke a pending or queued invitation. The invitation link stops working
+   * immediately.
+   * @param {string} invitationId - organization_members.id of the invitation
+   */
+  async revokeInvitation(invitationId) {
+    await this._requireCapability(
+      CAPABILITIES.MANAGE_MEMBERS,
+      'You do not have permission to revoke invitations'
+    );
+
+    // Pending and queued rows hold no license, so they can simply be deleted
+    const { data, error } = await this.supabase
       .from('organization_members')
-      .update({
-        user_id: userId,
-        status: 'active',
-        accepted_at: new Date().toISOString()
-      })
-      .eq('id', invite.id);
+      .delete()
+      .eq('id', invitationId)
+      .eq('organization_id', this.organizationId)
+      .in('status', ['pending', 'awaiting_seat'])
+      .select('id, email, role, status');
 
-    if (updateError) {
-      console.error('Error accepting invitation:', updateError);
-      throw updateError;
+    if (error) {
+      console.error('Error revoking invitation:', error);
+      throw error;
     }
 
-    // NOW increment used_licenses (user activated their license)
-    await this.incrementUsedLicenses();
+    if (!data || data.length === 0) {
+      throw new Error('Invitation not found or already accepted');
+    }
+
+    await this.auditLog.record(AUDIT_ACTIONS.INVITATION_REVOKED, {
+      targetEmail: data[0].email,
+      details: { role: data[0].role, awaiting_seat: data[0].status === 'awaiting_seat' }
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Accept a pending invitation (called after signup)
+   * Must be called by the invited user; the invitation is matched by their
+   * signed-in email and the seat is claimed server-side.
+   * @param {string} userId - The user ID of the newly signed up user
+   * @param {string} email - The email address used for signup
+   */
+  async acceptInvitation(userId, email) {
+    const result = await this._invokeSeatAction('accept', { userId, email });
+
+    await this.auditLog.record(AUDIT_ACTIONS.INVITATION_ACCEPTED, {
+      targetUserId: userId,
+      targetEmail: email,
+      details: { seat_assigned: !!result.seatAssigned }
+    });
 
     // Refresh session to get new JWT with claims
     await this.supabase.auth.refreshSession();
 
-    return { success: true };
+    return { success: true, seat_assigned: !!result.seatAssigned };
   }
 
   /**
@@ -378,28 +806,545 @@ export class MembersManager {
    * @param {string} userId - User ID to remove
    */
   async removeMember(userId) {
-    const { error } = await this.supabase
+    await this._requireCapability(
+      CAPABILITIES.MANAGE_MEMBERS,
+      'You do not have permission to remove members'
+    );
+
+    // Deactivation and seat release happen together server-side
+    await this._invokeSeatAction('remove', { userId });
+
+    return { success: true };
+  }
+
+  /**
+   * Give an active member a license seat
+   * @param {string} userId - User ID of the member
+   */
+  async assignSeat(userId) {
+    await this._requireCapability(
+      CAPABILITIES.MANAGE_MEMBERS,
+      'You do not have permission to assign licenses'
+    );
+
+    await this._invokeSeatAction('assign', { userId });
+
+    return { success: true };
+  }
+
+  /**
+   * Take the license seat from an active member without removing them
+   * @param {string} userId - User ID of the member
+   */
+  async unassignSeat(userId) {
+    await this._requireCapability(
+      CAPABILITIES.MANAGE_MEMBERS,
+      'You do not have permission to unassign licenses'
+    );
+
+    await this._invokeSeatAction('unassign', { userId });
+
+    return { success: true };
+  }
+
+  /**
+   * Leave the organization as the signed-in user, freeing their seat.
+   * The owner must transfer ownership first, and the last admin can't leave.
+   */
+  async leaveOrganization() {
+    // Logged server-side: after leaving we can no longer write the audit log
+    await this._invokeSeatAction('leave', {});
+
+    this._currentRole = undefined;
+
+    return { success: true };
+  }
+
+  /**
+   * Ask the organization's admins for a license seat.
+   * Admins are emailed and see the request in their dashboard.
+   * @param {string} [message] - Optional note for the admins
+   * @returns {Promise<Object>} Result with the request id
+   */
+  async requestSeat(message = '') {
+    const data = await this._invokeFunction('request-seat', {
+      organizationId: this.organizationId,
+      message: message
+    });
+
+    await this.auditLog.record(AUDIT_ACTIONS.SEAT_REQUESTED, {
+      details: message ? { message } : {}
+    });
+
+    return { success: true, requestId: data.requestId, notified: data.notified };
+  }
+
+  /**
+   * Get the signed-in user's pending seat request, if any
+   * @returns {Promise<Object|null>}
+   */
+  async getMySeatRequest() {
+    const { data: { user } } = await this.supabase.auth.getUser();
+    if (!user) return null;
+
+    const { data, error } = await this.supabase
+      .from('seat_requests')
+      .select('id, message, created_at')
+      .eq('organization_id', this.organizationId)
+      .eq('user_id', user.id)
+      .eq('status', 'pending')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching seat request:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get pending seat requests for the organization
+   * @returns {Promise<Array>} Requests, oldest first
+   */
+  async getSeatRequests() {
+    const { data, error } = await this.supabase
+      .from('seat_requests')
+      .select('id, user_id, email, message, created_at')
+      .eq('organization_id', this.organizationId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching seat requests:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Approve a seat request, assigning the member a seat
+   * @param {string} requestId - seat_requests.id
+   */
+  async approveSeatRequest(requestId) {
+    await this._requireCapability(
+      CAPABILITIES.MANAGE_MEMBERS,
+      'You do not have permission to assign licenses'
+    );
+
+    const result = await this._invokeSeatAction('approve', { requestId });
+
+    await this.auditLog.record(AUDIT_ACTIONS.SEAT_REQUEST_APPROVED, {
+      targetUserId: result.userId,
+      targetEmail: result.email
+    });
+
+    return { success: true, email: result.email };
+  }
+
+  /**
+   * Decline a seat request
+   * @param {string} requestId - seat_requests.id
+   */
+  async declineSeatRequest(requestId) {
+    await this._requireCapability(
+      CAPABILITIES.MANAGE_MEMBERS,
+      'You do not have permission to manage seat requests'
+    );
+
+    const result = await this._invokeSeatAction('decline', { requestId });
+
+    await this.auditLog.record(AUDIT_ACTIONS.SEAT_REQUEST_DECLINED, {
+      targetUserId: result.userId,
+      targetEmail: result.email
+    });
+
+    return { success: true, email: result.email };
+  }
+
+  /**
+   * Get the organization's license type (see LICENSE_TYPES)
+   * @returns {Promise<string|null>} null if the organization has no license
+   */
+  async getLicenseType() {
+    const { data, error } = await this.supabase
+      .from('organization_licenses')
+      .select('license_type')
+      .eq('organization_id', this.organizationId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching license type:', error);
+      throw error;
+    }
+
+    return data?.license_type || null;
+  }
+
+  /**
+   * Build the seat utilization report from organization_members.last_used_at
+   * (recorded by the license-heartbeat edge function)
+   *
+   * Named seats: seat holders active per window, idle seats, and a suggested
+   * license count covering everyone active within IDLE_SEAT_DAYS plus
+   * pending invitations that will take a seat.
+   * Floating: members active per window and the peak of concurrent leases
+   * within IDLE_SEAT_DAYS, which is the suggested license count.
+   *
+   * @param {Object} license - organization_licenses row
+   * @returns {Promise<Object>} { isFloating, windows: [{ days, active }],
+   *   tracked, idleSeats: [{ user_id, email, last_used_at }], peakConcurrent,
+   *   suggestedTotal }
+   */
+  async getUtilizationReport(license) {
+    const isFloating = isFloatingLicense(license);
+    const now = Date.now();
+
+    const { data: members, error } = await this.supabase
       .from('organization_members')
-      .update({ 
-        status: 'inactive',
-        has_license: false, // Remove license assignment
-        removed_at: new Date().toISOString()
-      })
-      .eq('user_id', userId)
+      .select('user_id, email, has_license, last_used_at')
+      .eq('organization_id', this.organizationId)
+      .eq('status', 'active');
+
+    if (error) {
+      console.error('Error fetching member usage:', error);
+      throw error;
+    }
+
+    // Named seats only count seat holders; floating counts every member
+    const tracked = (members || []).filter(member => isFloating || member.has_license);
+    const usedWithin = (member, days) =>
+      !!member.last_used_at && now - new Date(member.last_used_at).getTime() <= days * DAY_MS;
+
+    const windows = USAGE_WINDOWS_DAYS.map(days => ({
+      days,
+      active: tracked.filter(member => usedWithin(member, days)).length
+    }));
+
+    const idleSeats = isFloating ? [] : tracked
+      .filter(member => !usedWithin(member, IDLE_SEAT_DAYS))
+      .map(({ user_id, email, last_used_at }) => ({ user_id, email, last_used_at }));
+
+    let peakConcurrent = null;
+    let suggestedTotal;
+
+    if (isFloating) {
+      peakConcurrent = await this._getPeakConcurrentLeases(new Date(now - IDLE_SEAT_DAYS * DAY_MS));
+      suggestedTotal = Math.max(peakConcurrent, 1);
+    } else {
+      const { count: pendingSeats, error: pendingError } = await this.supabase
+        .from('organization_members')
+        .select('id', { count: 'exact', head: true })
+        .eq('organization_id', this.organizationId)
+        .eq('status', 'pending')
+        .eq('assign_seat_on_accept', true);
+
+      if (pendingError) {
+        console.error('Error counting pending invitations:', pendingError);
+        throw pendingError;
+      }
+
+      suggestedTotal = Math.max(tracked.length - idleSeats.length + (pendingSeats || 0), 1);
+    }
+
+    return {
+      isFloating,
+      windows,
+      tracked: tracked.length,
+      idleSeats,
+      peakConcurrent,
+      // Only a reduction is suggested here; buying more is a separate flow
+      suggestedTotal: suggestedTotal < license.total_licenses ? suggestedTotal : null
+    };
+  }
+
+  /**
+   * Highest number of leases held at the same time since a date
+   * @private
+   */
+  async _getPeakConcurrentLeases(since) {
+    const { data, error } = await this.supabase
+      .from('license_leases')
+      .select('checked_out_at, released_at, expires_at')
+      .eq('organization_id', this.organizationId)
+      .gte('expires_at', since.toISOString());
+
+    if (error) {
+      console.error('Error fetching lease history:', error);
+      throw error;
+    }
+
+    const now = Date.now();
+    const events = [];
+    (data || []).forEach(lease => {
+      const end = Math.min(new Date(lease.released_at || lease.expires_at).getTime(), now);
+      events.push([new Date(lease.checked_out_at).getTime(), 1], [end, -1]);
+    });
+
+    // Releases sort before checkouts at the same instant
+    events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    let current = 0;
+    let peak = 0;
+    events.forEach(([, delta]) => {
+      current += delta;
+      peak = Math.max(peak, current);
+    });
+
+    return peak;
+  }
+
+  /**
+   * Count floating license leases currently checked out
+   * @returns {Promise<number>}
+   */
+  async countActiveLeases() {
+    const { count, error } = await this.supabase
+      .from('license_leases')
+      .select('id', { count: 'exact', head: true })
+      .eq('organization_id', this.organizationId)
+      .is('released_at', null)
+      .gte('expires_at', new Date().toISOString());
+
+    if (error) {
+      console.error('Error counting leases:', error);
+      throw error;
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Get the floating license leases currently checked out
+   * RLS returns every lease to member managers and only their own to others.
+   * @returns {Promise<Array>} Leases, oldest checkout first
+   */
+  async getActiveLeases() {
+    const { data, error } = await this.supabase
+      .from('license_leases')
+      .select('id, user_id, device_name, checked_out_at, heartbeat_at, expires_at, organization_members(email)')
+      .eq('organization_id', this.organizationId)
+      .is('released_at', null)
+      .gte('expires_at', new Date().toISOString())
+      .order('checked_out_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching leases:', error);
+      throw error;
+    }
+
+    return (data || []).map(lease => ({
+      ...lease,
+      email: lease.organization_members?.email || null
+    }));
+  }
+
+  /**
+   * Get members waiting for a floating license lease
+   * @returns {Promise<Array>} Queue entries, first in line first
+   */
+  async getLeaseQueue() {
+    const { data, error } = await this.supabase
+      .from('license_lease_queue')
+      .select('id, user_id, queued_at, last_polled_at, organization_members(email)')
       .eq('organization_id', this.organizationId)
-      .eq('status', 'active'); // Only remove active members
+      .order('queued_at', { ascending: true });
 
     if (error) {
-      console.error('Error removing member:', error);
+      console.error('Error fetching lease queue:', error);
       throw error;
     }
 
-    // Decrement used_licenses
-    await this.decrementUsedLicenses();
+    return (data || []).map(entry => ({
+      ...entry,
+      email: entry.organization_members?.email || null
+    }));
+  }
+
+  /**
+   * Get the machines seats are active on (license_activations)
+   * RLS returns every device to member managers and only their own to others.
+   * @returns {Promise<Array>} Active devices, most recently seen first
+   */
+  async getDevices() {
+    const { data, error } = await this.supabase
+      .from('license_activations')
+      .select('id, user_id, member_id, device_name, os, app_version, activated_at, last_seen_at, organization_members(email)')
+      .eq('organization_id', this.organizationId)
+      .is('deactivated_at', null)
+      .order('last_seen_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching devices:', error);
+      throw error;
+    }
+
+    return (data || []).map(device => ({
+      ...device,
+      email: device.organization_members?.email || null
+    }));
+  }
+
+  /**
+   * Deactivate a device, freeing a slot of the seat's device limit
+   * Members may deactivate their own devices; member managers any device.
+   * @param {string} activationId - license_activations.id
+   */
+  async deactivateDevice(activationId) {
+    const result = await this._invokeFunction('manage-devices', {
+      action: 'deactivate',
+      organizationId: this.organizationId,
+      activationId: activationId
+    });
+
+    await this.auditLog.record(AUDIT_ACTIONS.DEVICE_DEACTIVATED, {
+      targetUserId: result.userId,
+      details: { device_name: result.deviceName }
+    });
 
     return { success: true };
   }
 
+  /**
+   * Get the number of devices allowed per seat
+   * @returns {Promise<number>}
+   */
+  async getDeviceLimit() {
+    const { data, error } = await this.supabase
+      .from('organizations')
+      .select('max_devices_per_seat')
+      .eq('id', this.organizationId)
+      .single();
+
+    if (error) {
+      console.error('Error fetching device limit:', error);
+      throw error;
+    }
+
+    return data?.max_devices_per_seat || DEFAULT_DEVICE_LIMIT;
+  }
+
+  /**
+   * Change the number of devices allowed per seat
+   * @param {number} limit - 1 to MAX_DEVICE_LIMIT
+   */
+  async setDeviceLimit(limit) {
+    await this._requireCapability(
+      CAPABILITIES.EDIT_ORGANIZATION,
+      'You do not have permission to change the device limit'
+    );
+
+    const result = await this._invokeFunction('manage-devices', {
+      action: 'set_limit',
+      organizationId: this.organizationId,
+      limit: limit
+    });
+
+    await this.auditLog.record(AUDIT_ACTIONS.DEVICE_LIMIT_CHANGED, {
+      details: { from: result.from, to: result.to }
+    });
+
+    return { success: true, limit: result.to };
+  }
+
+  /**
+   * Run a seat-changing action in the manage-seats edge function, which
+   * recomputes used_licenses atomically on the server
+   * @private
+   */
+  async _invokeSeatAction(action, payload) {
+    return await this._invokeFunction('manage-seats', {
+      action: action,
+      organizationId: this.organizationId,
+      ...payload
+    });
+  }
+
+  /**
+   * Invoke an edge function, surfacing its own error message on failure
+   * @private
+   */
+  async _invokeFunction(functionName, body) {
+    const { data, error } = await this.supabase.functions.invoke(functionName, { body });
+
+    if (error) {
+      let message = error.message;
+      try {
+        const errorBody = await error.context?.json();
+        message = errorBody?.error || message;
+      } catch (parseError) {
+        // Keep the generic message
+      }
+      console.error(`Error in ${functionName}${body.action ? ` "${body.action}"` : ''}:`, message);
+      throw new Error(message);
+    }
+
+    return data;
+  }
+
+  /**
+   * Change the role of an active member
+   * Handled by the manage-seats edge function, which checks the caller's
+   * rights and never demotes the last admin. Ownership cannot be changed
+   * here - use transferOwnership() instead.
+   * @param {string} userId - User ID of the member
+   * @param {string} newRole - Role to assign (one of ASSIGNABLE_ROLES)
+   * @returns {Promise<Object>} Result with the previous and new role
+   */
+  async updateMemberRole(userId, newRole) {
+    if (!ASSIGNABLE_ROLES.includes(newRole)) {
+      throw new Error(`Invalid role: ${newRole}`);
+    }
+
+    await this._requireCapability(
+      CAPABILITIES.MANAGE_MEMBERS,
+      'You do not have permission to change member roles'
+    );
+
+    const result = await this._invokeSeatAction('role', { userId, role: newRole });
+
+    return { success: true, previousRole: result.previousRole, role: result.role };
+  }
+
+  /**
+   * Transfer organization ownership to another active member
+   * Handled by the transfer-ownership edge function so owner_id and the
+   * membership roles change together.
+   * @param {string} newOwnerId - User ID of the new owner
+   * @returns {Promise<Object>} Result from the edge function
+   */
+  async transferOwnership(newOwnerId) {
+    await this._requireCapability(
+      CAPABILITIES.TRANSFER_OWNERSHIP,
+      'Only the organization owner can transfer ownership'
+    );
+
+    const { data, error } = await this.supabase.functions.invoke(
+      'transfer-ownership',
+      {
+        body: {
+          organizationId: this.organizationId,
+          newOwnerId: newOwnerId
+        }
+      }
+    );
+
+    if (error) {
+      console.error('Error transferring ownership:', error);
+      throw error;
+    }
+
+    if (!data?.success) {
+      throw new Error(data?.error || 'Failed to transfer ownership');
+    }
+
+    // Our own role has changed
+    this._currentRole = undefined;
+
+    return data;
+  }
+
   /**
    * Get all members of the organization (simple query, no joins)
    * @param {boolean} includeInactive - Whether to include inactive members
@@ -408,7 +1353,7 @@ export class MembersManager {
   async getMembers(includeInactive = false) {
     let query = this.supabase
       .from('organization_members')
-      .select('user_id, email, role, created_at')
+      .select('user_id, email, role, has_license, created_at')
       .eq('organization_id', this.organizationId);
 
     if (!includeInactive) {
@@ -428,41 +1373,30 @@ export class MembersManager {
   }
 
   /**
-   * Increment used licenses count
-   * @private
+   * Count active members holding a license seat
+   * @returns {Promise<number>}
    */
-  async incrementUsedLicenses() {
-    // Get current license count
-    const { data: license, error: fetchError } = await this.supabase
-      .from('organization_licenses')
-      .select('used_licenses')
+  async countAssignedSeats() {
+    const { count, error } = await this.supabase
+      .from('organization_members')
+      .select('id', { count: 'exact', head: true })
       .eq('organization_id', this.organizationId)
-      .single();
-
-    if (fetchError) {
-      console.error('Error fetching license for increment:', fetchError);
-      throw fetchError;
-    }
-
-    // Increment by 1
-    const { error } = await this.supabase
-      .from('organization_licenses')
-      .update({ 
-        used_licenses: license.used_licenses + 1
-      })
-      .eq('organization_id', this.organizationId);
+      .eq('status', 'active')
+      .eq('has_license', true);
 
     if (error) {
-      console.error('Error incrementing licenses:', error);
+      console.error('Error counting assigned seats:', error);
       throw error;
     }
+
+    return count || 0;
   }
 
   /**
    * Send invitation email via edge function
    * @private
    */
-  async sendInvitationEmail(invitationId, email, role) {
+  async sendInvitationEmail(invitationId, email, role, expiresInDays = DEFAULT_INVITATION_EXPIRY_DAYS) {
     try {
       // Get current user and organization info
       const { data: { user } } = await this.supabase.auth.getUser();
@@ -505,7 +1439,8 @@ export class MembersManager {
             email: email,
             organizationName: org.name,
             inviterName: userProfile.name,
-            role: role
+            role: role,
+            expiresInDays: expiresInDays
           }
         }
       );
@@ -516,43 +1451,10 @@ export class MembersManager {
       }
 
       console.log('Invitation email sent successfully:', data);
-      return { success: true, emailId: data.emailId };
+      return { success: true, emailId: data.emailId, expiresAt: data.expiresAt };
     } catch (error) {
       console.error('Error sending invitation email:', error);
       return { success: false, error: error.message };
     }
   }
-
-  /**
-   * Decrement used licenses count (never go below 1 for owner)
-   * @private
-   */
-  async decrementUsedLicenses() {
-    // Get current license count
-    const { data: license, error: fetchError } = await this.supabase
-      .from('organization_licenses')
-      .select('used_licenses')
-      .eq('organization_id', this.organizationId)
-      .single();
-
-    if (fetchError) {
-      console.error('Error fetching license for decrement:', fetchError);
-      throw fetchError;
-    }
-
-    // Decrement by 1, but never go below 1
-    const newCount = Math.max(license.used_licenses - 1, 1);
-    
-    const { error } = await this.supabase
-      .from('organization_licenses')
-      .update({ 
-        used_licenses: newCount
-      })
-      .eq('organization_id', this.organizationId);
-
-    if (error) {
-      console.error('Error decrementing licenses:', error);
-      throw error;
-    }
-  }
 }
@@ -0,0 +1,176 @@
+// Notification Center Module
+// Reads the signed-in user's notifications table rows and their per-type
+// preferences (user_profiles.notification_preferences).
+// Notifications are created by edge functions through
+// supabase/functions/_shared/notifications.ts - keep the types in sync.
+
+export const NOTIFICATION_TYPES = {
+  LICENSE_EXPIRY: 'license_expiry',
+  SCHEDULED_CHANGE: 'scheduled_change',
+  PAYMENT_FAILED: 'payment_failed',
+  INVITATION_ACCEPTED: 'invitation_accepted',
+  SEAT_REQUEST: 'seat_request'
+};
+
+export const NOTIFICATION_TYPE_LABELS = {
+  license_expiry: 'License expiry',
+  scheduled_change: 'Scheduled license changes',
+  payment_failed: 'Failed payments',
+  invitation_accepted: 'Accepted invitations',
+  seat_request: 'Seat requests'
+};
+
+export const NOTIFICATION_TYPE_ICONS = {
+  license_expiry: '⏰',
+  scheduled_change: '📅',
+  payment_failed: '💳',
+  invitation_accepted: '👋',
+  seat_request: '🙋'
+};
+
+// Notifications shown in the panel, newest first
+const MAX_NOTIFICATIONS = 50;
+
+/**
+ * Get a human readable label for a notification type
+ * @param {string} type
+ * @returns {string}
+ */
+export function getNotificationTypeLabel(type) {
+  return NOTIFICATION_TYPE_LABELS[type] || type;
+}
+
+export class NotificationCenter {
+  /**
+   * @param {Object} supabase - Supabase client
+   * @param {string} userId - Signed-in user the notifications belong to
+   */
+  constructor(supabase, userId) {
+    this.supabase = supabase;
+    this.userId = userId;
+  }
+
+  /**
+   * Fetch the latest notifications, newest first
+   * @returns {Promise<Array>} Notifications (read_at is null while unread)
+   */
+  async fetchNotifications() {
+    const { data, error } = await this.supabase
+      .from('notifications')
+      .select('id, organization_id, type, title, body, link, data, read_at, created_at')
+      .eq('user_id', this.userId)
+      .order('created_at', { ascending: false })
+      .limit(MAX_NOTIFICATIONS);
+
+    if (error) {
+      console.error('Error fetching notifications:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Count unread notifications
+   * @returns {Promise<number>}
+   */
+  async getUnreadCount() {
+    const { count, error } = await this.supabase
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', this.userId)
+      .is('read_at', null);
+
+    if (error) {
+      console.error('Error counting unread notifications:', error);
+      throw error;
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Mark notifications as read
+   * @param {string[]} ids - Notification ids
+   */
+  async markRead(ids) {
+    if (ids.length === 0) return;
+
+    const { error } = await this.supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', this.userId)
+      .in('id', ids)
+      .is('read_at', null);
+
+    if (error) {
+      console.error('Error marking notifications read:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every notification of the user as read
+   */
+  async markAllRead() {
+    const { error } = await this.supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', this.userId)
+      .is('read_at', null);
+
+    if (error) {
+      console.error('Error marking all notifications read:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get which notification types are on
+   * @returns {Promise<Object>} Map of type -> boolean for every NOTIFICATION_TYPES value
+   */
+  async getPreferences() {
+    const { data, error } = await this.supabase
+      .from('user_profiles')
+      .select('notification_preferences')
+      .eq('id', this.userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading notification preferences:', error);
+      throw error;
+    }
+
+    const stored = data?.notification_preferences || {};
+    const preferences = {};
+    Object.values(NOTIFICATION_TYPES).forEach(type => {
+      preferences[type] = stored[type] !== false;
+    });
+
+    return preferences;
+  }
+
+  /**
+   * Save which notification types are on
+   * Only turned-off types are stored, so new types start on.
+   * @param {Object} preferences - Map of type -> boolean
+   */
+  async setPreferences(preferences) {
+    const stored = {};
+    Object.entries(preferences).forEach(([type, enabled]) => {
+      if (!enabled) {
+        stored[type] = false;
+      }
+    });
+
+    const { error } = await this.supabase
+      .from('user_profiles')
+      .update({ notification_preferences: stored })
+      .eq('id', this.userId);
+
+    if (error) {
+      console.error('Error saving notification preferences:', error);
+      throw error;
+    }
+  }
+}
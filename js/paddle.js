@@ -1,11 +1,23 @@
 /**
  * Paddle Integration for MepSketcher Licensing
- * Handles trial registration, yearly license purchases, and custom quotes
+ * Handles trial registration, yearly license purchases, payment method
+ * updates, and custom quotes
  */
 
+// localStorage key prefix of the organization picked in the dashboard switcher;
+// the full key ends with the user ID (see getSelectedOrgStorageKey in dashboard.js)
+const SELECTED_ORG_STORAGE_KEY = 'mepsketcher.selectedOrganizationId';
+
+// URL of js/permissions.js, the role and capability model. This is a classic
+// script, so the module is loaded with import() when it is needed.
+const PERMISSIONS_MODULE_URL = new URL('permissions.js', document.currentScript?.src || window.location.href).href;
+
 class MepSketcherLicensing {
     constructor() {
         this.isInitialized = false;
+        // Set while Paddle's update-payment-method checkout is open, so its
+        // checkout.completed is not treated as a purchase
+        this.paymentMethodUpdate = null;
         this.init();
     }
 
@@ -52,11 +64,16 @@ class MepSketcherLicensing {
         switch(event.name) {
             case 'checkout.completed':
                 console.log('Checkout completed:', event.data);
-                this.handlePurchaseSuccess(event.data);
+                if (this.paymentMethodUpdate) {
+                    this.handlePaymentMethodUpdated(event.data);
+                } else {
+                    this.handlePurchaseSuccess(event.data);
+                }
                 break;
                 
             case 'checkout.closed':
                 console.log('Checkout closed:', event.data);
+                this.paymentMethodUpdate = null;
                 break;
                 
             case 'checkout.error':
@@ -138,8 +155,12 @@ class MepSketcherLicensing {
 
     /**
      * Purchase yearly license using Paddle v2
+     * @param {number} quantity - Number of licenses
+     * @param {string} [organizationId] - Organization to buy for. Defaults to the
+     *   organization selected on the dashboard; only when none is selected, to the
+     *   user's first real organization.
      */
-    async purchaseYearlyLicense(quantity = 1) {
+    async purchaseYearlyLicense(quantity = 1, organizationId = null) {
         // // TEMPORARILY DISABLED: Show message instead of opening Paddle checkout
         // alert('We are working on getting the license system up and running soon. Please go ahead and use the trial version for now');
         // return;
@@ -174,22 +195,50 @@ class MepSketcherLicensing {
 
         console.log('User is authenticated:', user.email);
 
-        // Get user's organization (prefer non-trial organization)
-        console.log('Fetching user organization...');
-        const { data: organizations, error: orgError } = await window.supabase
-            .from('organizations')
-            .select('id, is_personal_trial_org')
-            .eq('owner_id', user.id)
-            .order('is_personal_trial_org', { ascending: true }); // Get non-trial org first
+        let orgData = null;
 
-        if (orgError || !organizations || organizations.length === 0) {
-            console.error('Failed to fetch organization:', orgError);
-            this.showError('Could not find your organization. Please contact support.');
-            return;
+        if (organizationId) {
+            // Never pay for a different organization than the one passed in
+            console.log('Fetching selected organization...');
+            orgData = await this.getBillableOrganization(user, organizationId);
+
+            if (!orgData) {
+                this.showError('You can\'t buy licenses for the selected organization. Ask its owner or a billing admin, or switch to an organization you manage billing for.');
+                return;
+            }
+        } else {
+            // Organization picked in the dashboard org switcher. One the user
+            // can't pay for (any more) is forgotten, falling back to their own.
+            const storageKey = `${SELECTED_ORG_STORAGE_KEY}:${user.id}`;
+            const savedOrgId = localStorage.getItem(storageKey);
+
+            if (savedOrgId) {
+                orgData = await this.getBillableOrganization(user, savedOrgId);
+                if (!orgData) {
+                    localStorage.removeItem(storageKey);
+                }
+            }
+        }
+
+        if (!orgData) {
+            // Get user's organization (prefer non-trial organization)
+            console.log('Fetching user organization...');
+            const { data: organizations, error: orgError } = await window.supabase
+                .from('organizations')
+                .select('id, is_personal_trial_org')
+                .eq('owner_id', user.id)
+                .order('is_personal_trial_org', { ascending: true }); // Get non-trial org first
+
+            if (orgError || !organizations || organizations.length === 0) {
+                console.error('Failed to fetch organization:', orgError);
+                this.showError('Could not find your organization. Please contact support.');
+                return;
+            }
+
+            // Use the real organization (not personal trial org if both exist)
+            orgData = organizations[0];
         }
 
-        // Use the real organization (not personal trial org if both exist)
-        const orgData = organizations[0];
         console.log('Found organization:', orgData.id, '(trial org:', orgData.is_personal_trial_org, ')');
 
         // Check if organization has existing licenses
@@ -299,6 +348,53 @@ class MepSketcherLicensing {
         }
     }
 
+    /**
+     * Load an organization the user may buy licenses for
+     * @param {Object} user - Signed-in user
+     * @param {string} organizationId - Organization to check
+     * @returns {Promise<Object|null>} { id, is_personal_trial_org } or null if not allowed
+     */
+    async getBillableOrganization(user, organizationId) {
+        const { data: org, error: orgError } = await window.supabase
+            .from('organizations')
+            .select('id, owner_id, is_personal_trial_org')
+            .eq('id', organizationId)
+            .maybeSingle();
+
+        if (orgError || !org) {
+            console.error('Failed to fetch selected organization:', orgError);
+            return null;
+        }
+
+        let membershipRole = null;
+
+        if (org.owner_id !== user.id) {
+            const { data: membership, error: memberError } = await window.supabase
+                .from('organization_members')
+                .select('role')
+                .eq('organization_id', organizationId)
+                .eq('user_id', user.id)
+                .eq('status', 'active')
+                .maybeSingle();
+
+            if (memberError) {
+                console.error('Failed to fetch membership:', memberError);
+                return null;
+            }
+
+            membershipRole = membership?.role || null;
+        }
+
+        const { resolveRole, hasCapability, CAPABILITIES } = await import(PERMISSIONS_MODULE_URL);
+
+        if (!hasCapability(resolveRole(membershipRole, org.owner_id, user.id), CAPABILITIES.MANAGE_BILLING)) {
+            console.warn('User cannot purchase licenses for organization', organizationId);
+            return null;
+        }
+
+        return org;
+    }
+
     /**
      * Add licenses to an existing subscription
      * This is called when a user with an active subscription wants to purchase additional licenses
@@ -472,6 +568,49 @@ class MepSketcherLicensing {
         }
     }
 
+    /**
+     * Open Paddle's update-payment-method checkout
+     * @param {string} transactionId - Transaction from billing-details (action update_payment_method)
+     * @param {Function} [onComplete] - Called with the checkout data once Paddle saved the new payment method
+     */
+    updatePaymentMethod(transactionId, onComplete = null) {
+        if (!this.isInitialized) {
+            this.showError('Payment system unavailable. Please try again later.');
+            return;
+        }
+
+        this.paymentMethodUpdate = { transactionId, onComplete };
+
+        try {
+            Paddle.Checkout.open({
+                settings: {
+                    displayMode: "overlay",
+                    theme: "light",
+                    locale: "en"
+                },
+                transactionId: transactionId
+            });
+        } catch (error) {
+            console.error('Failed to open payment method checkout:', error);
+            this.paymentMethodUpdate = null;
+            this.showError('Payment system unavailable. Please try again later.');
+        }
+    }
+
+    /**
+     * Handle a saved payment method (no purchase, so no redirect)
+     */
+    handlePaymentMethodUpdated(data) {
+        console.log('Payment method updated:', data);
+
+        const { onComplete } = this.paymentMethodUpdate;
+        this.paymentMethodUpdate = null;
+
+        if (typeof onComplete === 'function') {
+            onComplete(data);
+        }
+    }
+
     /**
      * Request custom quote for enterprise customers
      */
@@ -755,9 +894,17 @@ function startTrial() {
     }
 }
 
-function purchaseYearlyLicense(quantity = 1) {
+function purchaseYearlyLicense(quantity = 1, organizationId = null) {
+    if (mepSketcherLicensing) {
+        mepSketcherLicensing.purchaseYearlyLicense(quantity, organizationId);
+    } else {
+        console.error('Licensing system not initialized');
+    }
+}
+
+function updatePaymentMethod(transactionId, onComplete = null) {
     if (mepSketcherLicensing) {
-        mepSketcherLicensing.purchaseYearlyLicense(quantity);
+        mepSketcherLicensing.updatePaymentMethod(transactionId, onComplete);
     } else {
         console.error('Licensing system not initialized');
     }
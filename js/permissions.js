@@ -0,0 +1,135 @@
+// Organization Permissions Module
+// Central role and capability model used by the dashboard and MembersManager.
+// Keep in sync with supabase/functions/_shared/permissions.ts
+
+export const ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  BILLING_ADMIN: 'billing_admin',
+  MEMBER_ADMIN: 'member_admin',
+  MEMBER: 'member',
+  VIEWER: 'viewer'
+};
+
+export const CAPABILITIES = {
+  VIEW_MEMBERS: 'members.view',
+  MANAGE_MEMBERS: 'members.manage',
+  VIEW_BILLING: 'billing.view',
+  MANAGE_BILLING: 'billing.manage',
+  EDIT_ORGANIZATION: 'organization.edit',
+  TRANSFER_OWNERSHIP: 'organization.transfer',
+  VIEW_AUDIT_LOG: 'audit.view'
+};
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  billing_admin: 'Billing Admin',
+  member_admin: 'Member Admin',
+  member: 'Member',
+  viewer: 'Viewer'
+};
+
+export const ROLE_DESCRIPTIONS = {
+  admin: 'Can manage members, licenses and billing.',
+  billing_admin: 'Can manage licenses and billing, but not members.',
+  member_admin: 'Can invite and remove members, but not change the subscription.',
+  member: 'Uses MepSketcher with an assigned license.',
+  viewer: 'Read-only access to the organization and its billing.'
+};
+
+const ROLE_CAPABILITIES = {
+  owner: Object.values(CAPABILITIES),
+  admin: [
+    CAPABILITIES.VIEW_MEMBERS,
+    CAPABILITIES.MANAGE_MEMBERS,
+    CAPABILITIES.VIEW_BILLING,
+    CAPABILITIES.MANAGE_BILLING,
+    CAPABILITIES.EDIT_ORGANIZATION,
+    CAPABILITIES.VIEW_AUDIT_LOG
+  ],
+  billing_admin: [
+    CAPABILITIES.VIEW_MEMBERS,
+    CAPABILITIES.VIEW_BILLING,
+    CAPABILITIES.MANAGE_BILLING,
+    CAPABILITIES.VIEW_AUDIT_LOG
+  ],
+  member_admin: [
+    CAPABILITIES.VIEW_MEMBERS,
+    CAPABILITIES.MANAGE_MEMBERS,
+    CAPABILITIES.VIEW_AUDIT_LOG
+  ],
+  member: [
+    CAPABILITIES.VIEW_MEMBERS
+  ],
+  viewer: [
+    CAPABILITIES.VIEW_MEMBERS,
+    CAPABILITIES.VIEW_BILLING
+  ]
+};
+
+/**
+ * Roles that can be given to a member through an invitation or role change.
+ * Ownership is held via organizations.owner_id and is never assigned directly.
+ */
+export const ASSIGNABLE_ROLES = [
+  ROLES.ADMIN,
+  ROLES.BILLING_ADMIN,
+  ROLES.MEMBER_ADMIN,
+  ROLES.MEMBER,
+  ROLES.VIEWER
+];
+
+/**
+ * Resolve the effective role of a user in an organization
+ * @param {string|null} membershipRole - Role stored in organization_members
+ * @param {string|null} ownerId - organizations.owner_id
+ * @param {string} userId - The user to resolve the role for
+ * @returns {string|null} Effective role, or null if the user has no role
+ */
+export function resolveRole(membershipRole, ownerId, userId) {
+  if (ownerId && userId && ownerId === userId) {
+    return ROLES.OWNER;
+  }
+
+  return ROLE_CAPABILITIES[membershipRole] ? membershipRole : null;
+}
+
+/**
+ * Check whether a role grants a capability
+ * @param {string|null} role - Effective role (see resolveRole)
+ * @param {string} capability - One of CAPABILITIES
+ * @returns {boolean}
+ */
+export function hasCapability(role, capability) {
+  const capabilities = ROLE_CAPABILITIES[role];
+  return !!capabilities && capabilities.includes(capability);
+}
+
+/**
+ * Check whether a user with actorRole may give targetRole to someone.
+ * A role can only be assigned if it grants nothing the actor doesn't have.
+ * @param {string|null} actorRole - Effective role of the acting user
+ * @param {string} targetRole - Role to assign
+ * @returns {boolean}
+ */
+export function canAssignRole(actorRole, targetRole) {
+  if (!hasCapability(actorRole, CAPABILITIES.MANAGE_MEMBERS)) {
+    return false;
+  }
+
+  if (!ASSIGNABLE_ROLES.includes(targetRole)) {
+    return false;
+  }
+
+  return ROLE_CAPABILITIES[targetRole].every(capability => hasCapability(actorRole, capability));
+}
+
+/**
+ * Get a human readable label for a role
+ * @param {string} role
+ * @returns {string}
+ */
+export function getRoleLabel(role) {
+  return ROLE_LABELS[role] || role || 'Unknown';
+}
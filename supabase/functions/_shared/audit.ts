@@ -0,0 +1,69 @@
+/**
+ * Organization audit log shared by edge functions.
+ * Mirrors the action names in js/audit-log.js - keep them in sync.
+ *
+ * organization_audit_log is append-only: rows are inserted, never updated or
+ * deleted. Events written here without an actor are shown as "System".
+ */
+
+export const AUDIT_ACTIONS = {
+  MEMBER_INVITED: "member.invited",
+  MEMBER_ADDED: "member.added",
+  MEMBER_REMOVED: "member.removed",
+  MEMBER_ROLE_CHANGED: "member.role_changed",
+  MEMBER_LEFT: "member.left",
+  LICENSE_PURCHASED: "license.purchased",
+  SUBSCRIPTION_UPDATED: "license.subscription_updated",
+  LICENSE_CANCELED: "license.canceled",
+  LICENSE_SCHEDULED_CHANGE_APPLIED: "license.scheduled_change_applied",
+  LICENSE_PAYMENT_PAST_DUE: "license.payment_past_due",
+  LICENSE_PAUSED: "license.paused",
+  LICENSE_PAYMENT_RESTORED: "license.payment_restored",
+  OFFLINE_LICENSE_ISSUED: "license.offline_issued",
+  SEAT_ASSIGNED: "seat.assigned",
+  SEAT_UNASSIGNED: "seat.unassigned",
+  INVITATION_QUEUED: "invitation.queued",
+  TRIAL_EXTENSION_REQUESTED: "trial.extension_requested",
+  TRIAL_EXTENDED: "trial.extended",
+  TRIAL_CONVERTED: "trial.converted",
+  EXPIRY_POLICY_CHANGED: "organization.expiry_policy_changed",
+  EXPIRY_REMINDERS_CHANGED: "organization.expiry_reminders_changed",
+  BILLING_DETAILS_UPDATED: "organization.billing_details_updated",
+  OWNERSHIP_TRANSFERRED: "organization.ownership_transferred",
+} as const;
+
+export type AuditAction = (typeof AUDIT_ACTIONS)[keyof typeof AUDIT_ACTIONS];
+
+export interface AuditEvent {
+  organizationId: string;
+  action: AuditAction;
+  actorId?: string | null;
+  actorEmail?: string | null;
+  targetUserId?: string | null;
+  targetEmail?: string | null;
+  details?: Record<string, unknown>;
+}
+
+/**
+ * Append an event to the audit log.
+ * Failures are logged but never thrown - auditing must not break the
+ * operation being audited.
+ */
+export async function recordAuditEvent(
+  supabase: any,
+  event: AuditEvent,
+): Promise<void> {
+  const { error } = await supabase.from("organization_audit_log").insert({
+    organization_id: event.organizationId,
+    action: event.action,
+    actor_id: event.actorId || null,
+    actor_email: event.actorEmail || null,
+    target_user_id: event.targetUserId || null,
+    target_email: event.targetEmail || null,
+    details: event.details || {},
+  });
+
+  if (error) {
+    console.error(`Failed to record audit event ${event.action}:`, error);
+  }
+}
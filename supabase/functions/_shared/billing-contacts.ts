@@ -0,0 +1,56 @@
+/**
+ * Billing contacts shared by edge functions.
+ * The people told about renewals and payments: the organization owner and
+ * every active member who can manage billing (billing.manage).
+ */
+import { CAPABILITIES, hasCapability, ROLES } from "./permissions.ts";
+
+/**
+ * Email addresses of an organization's billing contacts, lowercased and
+ * without duplicates (owner first)
+ */
+export async function getBillingContactEmails(
+  supabase: any,
+  organizationId: string,
+): Promise<string[]> {
+  const { data: org, error: orgError } = await supabase
+    .from("organizations")
+    .select("owner_id")
+    .eq("id", organizationId)
+    .single();
+
+  if (orgError) {
+    throw new Error(`Failed to load organization: ${orgError.message}`);
+  }
+
+  const recipients = new Set<string>();
+
+  const { data: ownerProfile } = await supabase
+    .from("user_profiles")
+    .select("email")
+    .eq("id", org.owner_id)
+    .maybeSingle();
+
+  if (ownerProfile?.email) {
+    recipients.add(ownerProfile.email.toLowerCase());
+  }
+
+  const { data: members, error: membersError } = await supabase
+    .from("organization_members")
+    .select("user_id, email, role")
+    .eq("organization_id", organizationId)
+    .eq("status", "active");
+
+  if (membersError) {
+    throw new Error(`Failed to load billing contacts: ${membersError.message}`);
+  }
+
+  (members || []).forEach((member: any) => {
+    const role = member.user_id === org.owner_id ? ROLES.OWNER : member.role;
+    if (member.email && hasCapability(role, CAPABILITIES.MANAGE_BILLING)) {
+      recipients.add(member.email.toLowerCase());
+    }
+  });
+
+  return Array.from(recipients);
+}
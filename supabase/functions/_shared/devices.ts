@@ -0,0 +1,57 @@
+/**
+ * Device activations shared by edge functions.
+ * Each seat (organization_members row holding has_license) may be active on
+ * a limited number of machines, configured per organization in
+ * organizations.max_devices_per_seat.
+ */
+
+export const DEFAULT_DEVICE_LIMIT = 2;
+export const MAX_DEVICE_LIMIT = 20;
+
+/**
+ * Devices allowed per seat in an organization
+ */
+export async function getDeviceLimit(
+  supabase: any,
+  organizationId: string,
+): Promise<number> {
+  const { data, error } = await supabase
+    .from("organizations")
+    .select("max_devices_per_seat")
+    .eq("id", organizationId)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to load device limit: ${error.message}`);
+  }
+
+  return data?.max_devices_per_seat || DEFAULT_DEVICE_LIMIT;
+}
+
+/**
+ * Count the machines a seat is active on, optionally ignoring one device
+ * (re-activating a known device never counts against the limit)
+ */
+export async function countActiveDevices(
+  supabase: any,
+  memberId: string,
+  excludeFingerprint?: string,
+): Promise<number> {
+  let query = supabase
+    .from("license_activations")
+    .select("id", { count: "exact", head: true })
+    .eq("member_id", memberId)
+    .is("deactivated_at", null);
+
+  if (excludeFingerprint) {
+    query = query.neq("device_fingerprint", excludeFingerprint);
+  }
+
+  const { count, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to count devices: ${error.message}`);
+  }
+
+  return count || 0;
+}
@@ -0,0 +1,224 @@
+/**
+ * Transactional email helpers shared by edge functions.
+ * Emails go out through Resend (RESEND_API_KEY). Rate limits (429) and
+ * server errors (5xx) are retried with a short backoff; other errors are
+ * returned right away.
+ *
+ * Dry run: with dryRun set (or EMAIL_DRY_RUN=true) nothing is sent and the
+ * rendered email is written as an .html file to EMAIL_DRY_RUN_DIR (default
+ * /tmp/mepsketcher-emails) so templates can be checked locally in a browser.
+ */
+
+const RESEND_API_KEY = Deno.env.get("RESEND_API_KEY");
+
+export const EMAIL_FROM = "MepSketcher <noreply@mepsketcher.com>";
+
+export const SITE_URL = Deno.env.get("SITE_URL") || "https://mepsketcher.com";
+
+// Attempts per email within one call (the first try included)
+export const DEFAULT_EMAIL_ATTEMPTS = 3;
+
+const RETRY_DELAY_MS = 1000;
+
+export interface EmailMessage {
+  to: string[];
+  subject: string;
+  html: string;
+}
+
+export interface EmailResult {
+  sent: boolean;
+  attempts: number;
+  error: string | null;
+  // Rendered file when dry running
+  file?: string;
+}
+
+/**
+ * Whether emails should be rendered to files instead of sent
+ */
+export function isEmailDryRun(): boolean {
+  return Deno.env.get("EMAIL_DRY_RUN") === "true";
+}
+
+/**
+ * Send an email, retrying rate limits and server errors
+ * Never throws - the result says whether it went out and why not.
+ */
+export async function sendEmail(
+  message: EmailMessage,
+  options: { attempts?: number; dryRun?: boolean } = {},
+): Promise<EmailResult> {
+  if (options.dryRun || isEmailDryRun()) {
+    return await renderEmailToFile(message);
+  }
+
+  if (!RESEND_API_KEY) {
+    console.error("RESEND_API_KEY not configured");
+    return { sent: false, attempts: 0, error: "RESEND_API_KEY not configured" };
+  }
+
+  if (message.to.length === 0) {
+    return { sent: false, attempts: 0, error: "No recipients" };
+  }
+
+  const maxAttempts = Math.max(1, options.attempts ?? DEFAULT_EMAIL_ATTEMPTS);
+  let lastError = "";
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const response = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${RESEND_API_KEY}`,
+        },
+        body: JSON.stringify({
+          from: EMAIL_FROM,
+          to: message.to,
+          subject: message.subject,
+          html: message.html,
+        }),
+      });
+
+      if (response.ok) {
+        return { sent: true, attempts: attempt, error: null };
+      }
+
+      lastError = `Resend API error (${response.status}): ${await response.text()}`;
+
+      if (response.status !== 429 && response.status < 500) {
+        console.error(lastError);
+        return { sent: false, attempts: attempt, error: lastError };
+      }
+    } catch (error) {
+      lastError = `Resend request failed: ${error.message}`;
+    }
+
+    console.warn(`Email attempt ${attempt}/${maxAttempts} failed: ${lastError}`);
+
+    if (attempt < maxAttempts) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, RETRY_DELAY_MS * 2 ** (attempt - 1))
+      );
+    }
+  }
+
+  console.error(`Giving up on email "${message.subject}": ${lastError}`);
+  return { sent: false, attempts: maxAttempts, error: lastError };
+}
+
+/**
+ * Write an email to EMAIL_DRY_RUN_DIR instead of sending it
+ */
+async function renderEmailToFile(message: EmailMessage): Promise<EmailResult> {
+  const dir = Deno.env.get("EMAIL_DRY_RUN_DIR") || "/tmp/mepsketcher-emails";
+  const slug = message.subject
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 60);
+  const file = `${dir}/${Date.now()}-${slug}.html`;
+
+  try {
+    await Deno.mkdir(dir, { recursive: true });
+    await Deno.writeTextFile(
+      file,
+      `<!-- To: ${message.to.join(", ")} -->\n<!-- Subject: ${message.subject} -->\n${message.html}\n`,
+    );
+    console.log(`[dry run] Email "${message.subject}" to ${message.to.join(", ")} written to ${file}`);
+    return { sent: false, attempts: 0, error: null, file };
+  } catch (error) {
+    console.error("Failed to write dry run email:", error);
+    return { sent: false, attempts: 0, error: error.message };
+  }
+}
+
+export function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Label/value table for an email body (values are already escaped)
+ */
+export function renderDetailsTable(rows: [string, string][]): string {
+  return `
+              <table width="100%" cellpadding="0" cellspacing="0" style="margin: 0 0 20px; background-color: #f8f9fa; border-radius: 6px;">
+                ${rows.map(([label, value]) => `
+                <tr>
+                  <td style="padding: 10px 16px; color: #666666; font-size: 14px; border-bottom: 1px solid #eeeeee;">${label}</td>
+                  <td style="padding: 10px 16px; color: #333333; font-size: 14px; font-weight: 600; text-align: right; border-bottom: 1px solid #eeeeee;">${value}</td>
+                </tr>
+                `).join("")}
+              </table>`;
+}
+
+/**
+ * Layout of the license and billing emails: content, a button to the
+ * dashboard and a footer saying why the recipient gets the email (content
+ * and footer are already escaped)
+ */
+export function renderEmailLayout(params: {
+  title: string;
+  content: string;
+  buttonText: string;
+  buttonColor: string;
+  footer: string;
+}): string {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(params.title)}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 40px 0;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="padding: 40px 40px 20px; text-align: center;">
+              <h1 style="margin: 0; color: #333333; font-size: 24px;">MepSketcher</h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 20px 40px;">
+              ${params.content}
+              <table width="100%" cellpadding="0" cellspacing="0">
+                <tr>
+                  <td align="center" style="padding: 10px 0 20px;">
+                    <a href="${SITE_URL}/dashboard.html" style="display: inline-block; padding: 14px 32px; background-color: ${params.buttonColor}; color: #ffffff; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 16px;">
+                      ${escapeHtml(params.buttonText)}
+                    </a>
+                  </td>
+                </tr>
+              </table>
+              <p style="margin: 0; color: #666666; font-size: 14px; line-height: 1.5;">
+                Questions? Contact us at support@mepsketcher.com.
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 30px 40px; border-top: 1px solid #eeeeee; text-align: center;">
+              <p style="margin: 0; color: #999999; font-size: 12px;">
+                ${params.footer}
+              </p>
+              <p style="margin: 10px 0 0; color: #999999; font-size: 12px;">
+                © ${new Date().getFullYear()} MepSketcher. All rights reserved.
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `.trim();
+}
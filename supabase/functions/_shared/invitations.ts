@@ -0,0 +1,232 @@
+/**
+ * Invitation tokens and emails shared by edge functions.
+ * Used by send-invitation-email (sent by a member manager) and by
+ * queued-invitations (sent once a seat frees up).
+ */
+
+const RESEND_API_KEY = Deno.env.get("RESEND_API_KEY");
+const SITE_URL = Deno.env.get("SITE_URL") || "https://mepsketcher.com";
+
+// Invitation lifetime in days; callers may override within the allowed range
+export const DEFAULT_EXPIRY_DAYS = parseInt(
+  Deno.env.get("INVITATION_EXPIRY_DAYS") || "7",
+);
+export const MIN_EXPIRY_DAYS = 1;
+export const MAX_EXPIRY_DAYS = 30;
+
+export interface SendInvitationParams {
+  invitationId: string;
+  email: string;
+  organizationName: string;
+  inviterName: string;
+  role: string;
+  expiresInDays?: number;
+}
+
+/**
+ * Generate secure random token (128 bits of entropy)
+ */
+function generateSecureToken(): string {
+  const array = new Uint8Array(16);
+  crypto.getRandomValues(array);
+  return Array.from(array, (byte) => byte.toString(16).padStart(2, "0")).join(
+    "",
+  );
+}
+
+/**
+ * Hash token using SHA-256 (one-way hash)
+ */
+async function hashToken(token: string): Promise<string> {
+  const encoder = new TextEncoder();
+  const data = encoder.encode(token);
+  const hashBuffer = await crypto.subtle.digest("SHA-256", data);
+  const hashArray = Array.from(new Uint8Array(hashBuffer));
+  return hashArray.map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Clamp the requested invitation lifetime to the allowed range
+ */
+export function resolveExpiryDays(requested?: number | null): number {
+  const days = Number.isFinite(requested)
+    ? Math.floor(requested as number)
+    : DEFAULT_EXPIRY_DAYS;
+  return Math.min(Math.max(days, MIN_EXPIRY_DAYS), MAX_EXPIRY_DAYS);
+}
+
+/**
+ * Issue a fresh token for a pending invitation and email the link.
+ * A resend overwrites the previous hash, invalidating the old link.
+ */
+export async function sendInvitation(
+  supabase: any,
+  params: SendInvitationParams,
+): Promise<{ emailId: string; expiresAt: string }> {
+  const plainToken = generateSecureToken();
+  const tokenHash = await hashToken(plainToken);
+
+  // Set expiration
+  const expiryDays = resolveExpiryDays(params.expiresInDays);
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + expiryDays);
+
+  console.log(
+    `Generated invitation token for ${params.email} (hash: ${tokenHash.substring(
+      0,
+      16,
+    )}...)`,
+  );
+
+  // Update invitation with hashed token
+  const { error: updateError } = await supabase
+    .from("organization_members")
+    .update({
+      invite_token_hash: tokenHash,
+      invite_token_sent_at: new Date().toISOString(),
+      invitation_expires_at: expiresAt.toISOString(),
+    })
+    .eq("id", params.invitationId);
+
+  if (updateError) {
+    console.error("Error updating invitation token:", updateError);
+    throw new Error("Failed to generate invitation token");
+  }
+
+  // Generate invitation URL with PLAIN token (user needs this)
+  // The plain token is only sent via email, never stored
+  // Include email and organization name as URL parameters for pre-filling the signup form
+  const invitationUrl = `${SITE_URL}/accept-invitation.html?token=${plainToken}&email=${encodeURIComponent(
+    params.email,
+  )}&org=${encodeURIComponent(params.organizationName)}`;
+
+  console.log(`Sending invitation email to ${params.email}`);
+
+  if (!RESEND_API_KEY) {
+    console.error("RESEND_API_KEY not configured");
+    throw new Error("Email service not configured");
+  }
+
+  // Send email via Resend
+  const emailResponse = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${RESEND_API_KEY}`,
+    },
+    body: JSON.stringify({
+      from: "MepSketcher <noreply@mepsketcher.com>",
+      to: [params.email],
+      subject: `${params.inviterName} invited you to join ${params.organizationName} on MepSketcher`,
+      html: generateInvitationEmailHTML({
+        inviterName: params.inviterName,
+        organizationName: params.organizationName,
+        role: params.role,
+        invitationUrl,
+        expiresAt: expiresAt.toLocaleDateString(),
+      }),
+    }),
+  });
+
+  if (!emailResponse.ok) {
+    const errorText = await emailResponse.text();
+    console.error("Resend API error:", errorText);
+    throw new Error(`Failed to send invitation email: ${errorText}`);
+  }
+
+  const emailData = await emailResponse.json();
+  console.log("Invitation email sent successfully:", emailData.id);
+
+  return { emailId: emailData.id, expiresAt: expiresAt.toISOString() };
+}
+
+function generateInvitationEmailHTML(params: {
+  inviterName: string;
+  organizationName: string;
+  role: string;
+  invitationUrl: string;
+  expiresAt: string;
+}): string {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>You're invited to ${params.organizationName}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 40px 0;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="padding: 40px 40px 20px; text-align: center;">
+              <h1 style="margin: 0; color: #333333; font-size: 24px;">MepSketcher</h1>
+            </td>
+          </tr>
+
+          <!-- Content -->
+          <tr>
+            <td style="padding: 20px 40px;">
+              <h2 style="margin: 0 0 20px; color: #333333; font-size: 20px;">
+                You've been invited!
+              </h2>
+
+              <p style="margin: 0 0 15px; color: #666666; font-size: 16px; line-height: 1.5;">
+                <strong>${params.inviterName}</strong> has invited you to join
+                <strong>${params.organizationName}</strong> on MepSketcher as a
+                <strong>${params.role}</strong>.
+              </p>
+
+              <p style="margin: 0 0 30px; color: #666666; font-size: 16px; line-height: 1.5;">
+                MepSketcher is a specialized CAD application for designing MEP (Mechanical, Electrical, and Plumbing) systems on PDF drawings.
+              </p>
+
+              <!-- CTA Button -->
+              <table width="100%" cellpadding="0" cellspacing="0">
+                <tr>
+                  <td align="center" style="padding: 20px 0;">
+                    <a href="${params.invitationUrl}"
+                       style="display: inline-block; padding: 14px 40px; background-color: #0066cc; color: #ffffff; text-decoration: none; border-radius: 4px; font-size: 16px; font-weight: 600;">
+                      Accept Invitation
+                    </a>
+                  </td>
+                </tr>
+              </table>
+
+              <p style="margin: 20px 0 0; color: #999999; font-size: 14px; line-height: 1.5;">
+                This invitation expires on <strong>${params.expiresAt}</strong>
+              </p>
+
+              <p style="margin: 15px 0 0; color: #999999; font-size: 14px; line-height: 1.5;">
+                If the button doesn't work, copy and paste this link into your browser:<br>
+                <a href="${
+                  params.invitationUrl
+                }" style="color: #0066cc; word-break: break-all;">
+                  ${params.invitationUrl}
+                </a>
+              </p>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 30px 40px; border-top: 1px solid #eeeeee; text-align: center;">
+              <p style="margin: 0; color: #999999; font-size: 12px;">
+                If you weren't expecting this invitation, you can safely ignore this email.
+              </p>
+              <p style="margin: 10px 0 0; color: #999999; font-size: 12px;">
+                © ${new Date().getFullYear()} MepSketcher. All rights reserved.
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `.trim();
+}
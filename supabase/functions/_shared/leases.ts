@@ -0,0 +1,482 @@
+/**
+ * Floating (concurrent) license leases shared by edge functions.
+ *
+ * An organization whose license_type is "floating" has no named seats:
+ * any active member may use MepSketcher, and total_licenses caps how many
+ * do so at once. The desktop app checks out a lease (license_leases) and
+ * renews it with heartbeats; a lease that isn't renewed within
+ * LEASE_TTL_MINUTES expires and frees its slot.
+ *
+ * Members who find every lease taken wait in license_lease_queue. Free
+ * leases go to the longest waiting members first; a queue entry that isn't
+ * polled within LEASE_TTL_MINUTES is dropped.
+ */
+
+export const FLOATING_LICENSE_TYPE = "floating";
+
+export const LEASE_TTL_MINUTES = parseInt(
+  Deno.env.get("LICENSE_LEASE_TTL_MINUTES") || "15",
+);
+
+// Heartbeat a few times per lease so one missed request doesn't drop it
+export const HEARTBEAT_INTERVAL_SECONDS = Math.max(
+  Math.floor((LEASE_TTL_MINUTES * 60) / 3),
+  30,
+);
+
+/**
+ * Check if a license row is a floating license
+ */
+export function isFloatingLicense(
+  license: { license_type?: string | null } | null,
+): boolean {
+  return license?.license_type === FLOATING_LICENSE_TYPE;
+}
+
+/**
+ * Thrown when every lease is taken; the member has been queued
+ */
+export class LeaseUnavailableError extends Error {
+  position: number;
+  inUse: number;
+  total: number;
+
+  constructor(position: number, inUse: number, total: number) {
+    super(
+      `All ${total} floating licenses are in use. You are number ${position} in the queue.`,
+    );
+    this.name = "LeaseUnavailableError";
+    this.position = position;
+    this.inUse = inUse;
+    this.total = total;
+  }
+}
+
+function leaseExpiry(): string {
+  return new Date(Date.now() + LEASE_TTL_MINUTES * 60 * 1000).toISOString();
+}
+
+/**
+ * Mark leases whose heartbeat stopped as released
+ */
+export async function expireStaleLeases(
+  supabase: any,
+  organizationId: string,
+): Promise<void> {
+  const { error } = await supabase
+    .from("license_leases")
+    .update({ released_at: new Date().toISOString(), release_reason: "expired" })
+    .eq("organization_id", organizationId)
+    .is("released_at", null)
+    .lt("expires_at", new Date().toISOString());
+
+  if (error) {
+    throw new Error(`Failed to expire leases: ${error.message}`);
+  }
+}
+
+/**
+ * Count leases currently checked out
+ */
+export async function countActiveLeases(
+  supabase: any,
+  organizationId: string,
+): Promise<number> {
+  const { count, error } = await supabase
+    .from("license_leases")
+    .select("id", { count: "exact", head: true })
+    .eq("organization_id", organizationId)
+    .is("released_at", null)
+    .gte("expires_at", new Date().toISOString());
+
+  if (error) {
+    throw new Error(`Failed to count leases: ${error.message}`);
+  }
+
+  return count || 0;
+}
+
+/**
+ * Drop queue entries of members who stopped waiting
+ */
+async function pruneQueue(
+  supabase: any,
+  organizationId: string,
+): Promise<void> {
+  const cutoff = new Date(Date.now() - LEASE_TTL_MINUTES * 60 * 1000);
+
+  const { error } = await supabase
+    .from("license_lease_queue")
+    .delete()
+    .eq("organization_id", organizationId)
+    .lt("last_polled_at", cutoff.toISOString());
+
+  if (error) {
+    throw new Error(`Failed to prune lease queue: ${error.message}`);
+  }
+}
+
+/**
+ * Add a member to the queue (or keep their place) and return their position
+ */
+async function enqueue(
+  supabase: any,
+  organizationId: string,
+  memberId: string,
+  userId: string,
+  deviceFingerprint: string,
+): Promise<number> {
+  const now = new Date().toISOString();
+
+  const { data: existing, error: existingError } = await supabase
+    .from("license_lease_queue")
+    .select("id, queued_at")
+    .eq("member_id", memberId)
+    .maybeSingle();
+
+  if (existingError) {
+    throw new Error(`Failed to load queue entry: ${existingError.message}`);
+  }
+
+  let queuedAt = now;
+
+  if (existing) {
+    queuedAt = existing.queued_at;
+
+    const { error } = await supabase
+      .from("license_lease_queue")
+      .update({ last_polled_at: now, device_fingerprint: deviceFingerprint })
+      .eq("id", existing.id);
+
+    if (error) {
+      throw new Error(`Failed to update queue entry: ${error.message}`);
+    }
+  } else {
+    const { error } = await supabase.from("license_lease_queue").insert({
+      organization_id: organizationId,
+      member_id: memberId,
+      user_id: userId,
+      device_fingerprint: deviceFingerprint,
+      queued_at: now,
+      last_polled_at: now,
+    });
+
+    if (error) {
+      throw new Error(`Failed to join lease queue: ${error.message}`);
+    }
+  }
+
+  return (await countQueuedBefore(supabase, organizationId, queuedAt)) + 1;
+}
+
+/**
+ * Count members queued before a point in time
+ */
+async function countQueuedBefore(
+  supabase: any,
+  organizationId: string,
+  queuedAt: string | null,
+): Promise<number> {
+  let query = supabase
+    .from("license_lease_queue")
+    .select("id", { count: "exact", head: true })
+    .eq("organization_id", organizationId);
+
+  if (queuedAt) {
+    query = query.lt("queued_at", queuedAt);
+  }
+
+  const { count, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to count lease queue: ${error.message}`);
+  }
+
+  return count || 0;
+}
+
+/**
+ * Remove a member from the queue
+ */
+export async function leaveQueue(
+  supabase: any,
+  memberId: string,
+): Promise<void> {
+  const { error } = await supabase
+    .from("license_lease_queue")
+    .delete()
+    .eq("member_id", memberId);
+
+  if (error) {
+    throw new Error(`Failed to leave lease queue: ${error.message}`);
+  }
+}
+
+/**
+ * Load a member's open lease, if any
+ */
+async function findOpenLease(
+  supabase: any,
+  memberId: string,
+): Promise<{ id: string } | null> {
+  const { data, error } = await supabase
+    .from("license_leases")
+    .select("id")
+    .eq("member_id", memberId)
+    .is("released_at", null)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load lease: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Move an open lease to a device and extend it
+ */
+async function refreshLease(
+  supabase: any,
+  leaseId: string,
+  deviceFingerprint: string,
+  deviceName?: string | null,
+): Promise<any> {
+  const { data: lease, error } = await supabase
+    .from("license_leases")
+    .update({
+      device_fingerprint: deviceFingerprint,
+      device_name: deviceName || null,
+      heartbeat_at: new Date().toISOString(),
+      expires_at: leaseExpiry(),
+    })
+    .eq("id", leaseId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to refresh lease: ${error.message}`);
+  }
+
+  return lease;
+}
+
+// Slot claims per checkout: the first one and a retry after losing a race
+const MAX_CHECKOUT_ATTEMPTS = 2;
+
+/**
+ * Check out a lease for a member on a device.
+ *
+ * A member holds at most one lease: checking out again refreshes it, and
+ * checking out on another device moves it there. Otherwise a lease is only
+ * granted while fewer members are queued ahead than leases are free;
+ * everyone else is queued and LeaseUnavailableError is thrown.
+ *
+ * Like claimSeat(), the lease is inserted first and the count verified
+ * afterwards, since PostgREST offers no transactions. Two checkouts racing
+ * for the last slot can both go over and both release their lease, so the
+ * claim is retried once after a random delay before queueing.
+ */
+export async function checkoutLease(
+  supabase: any,
+  {
+    organizationId,
+    memberId,
+    userId,
+    deviceFingerprint,
+    deviceName,
+    totalLicenses,
+  }: {
+    organizationId: string;
+    memberId: string;
+    userId: string;
+    deviceFingerprint: string;
+    deviceName?: string | null;
+    totalLicenses: number;
+  },
+): Promise<any> {
+  await expireStaleLeases(supabase, organizationId);
+
+  const existing = await findOpenLease(supabase, memberId);
+
+  if (existing) {
+    return await refreshLease(
+      supabase,
+      existing.id,
+      deviceFingerprint,
+      deviceName,
+    );
+  }
+
+  await pruneQueue(supabase, organizationId);
+
+  const { data: queued, error: queuedError } = await supabase
+    .from("license_lease_queue")
+    .select("queued_at")
+    .eq("member_id", memberId)
+    .maybeSingle();
+
+  if (queuedError) {
+    throw new Error(`Failed to load queue entry: ${queuedError.message}`);
+  }
+
+  for (let attempt = 1;; attempt++) {
+    const inUse = await countActiveLeases(supabase, organizationId);
+    // Members not in the queue yet wait behind everyone who is
+    const ahead = await countQueuedBefore(
+      supabase,
+      organizationId,
+      queued?.queued_at || null,
+    );
+
+    if (ahead >= totalLicenses - inUse) {
+      const position = await enqueue(
+        supabase,
+        organizationId,
+        memberId,
+        userId,
+        deviceFingerprint,
+      );
+      throw new LeaseUnavailableError(position, inUse, totalLicenses);
+    }
+
+    const now = new Date().toISOString();
+
+    const { data: lease, error: insertError } = await supabase
+      .from("license_leases")
+      .insert({
+        organization_id: organizationId,
+        member_id: memberId,
+        user_id: userId,
+        device_fingerprint: deviceFingerprint,
+        device_name: deviceName || null,
+        checked_out_at: now,
+        heartbeat_at: now,
+        expires_at: leaseExpiry(),
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      // A concurrent checkout of the same member opened their one lease
+      // first; hand out that lease instead
+      const current = insertError.code === "23505"
+        ? await findOpenLease(supabase, memberId)
+        : null;
+
+      if (!current) {
+        throw new Error(`Failed to check out lease: ${insertError.message}`);
+      }
+
+      await leaveQueue(supabase, memberId);
+      return await refreshLease(
+        supabase,
+        current.id,
+        deviceFingerprint,
+        deviceName,
+      );
+    }
+
+    const checkedOut = await countActiveLeases(supabase, organizationId);
+
+    if (checkedOut <= totalLicenses) {
+      await leaveQueue(supabase, memberId);
+      return lease;
+    }
+
+    await releaseLease(supabase, lease.id, "conflict");
+
+    if (attempt === MAX_CHECKOUT_ATTEMPTS) {
+      const position = await enqueue(
+        supabase,
+        organizationId,
+        memberId,
+        userId,
+        deviceFingerprint,
+      );
+      throw new LeaseUnavailableError(position, totalLicenses, totalLicenses);
+    }
+
+    await new Promise((resolve) =>
+      setTimeout(resolve, 50 + Math.random() * 200)
+    );
+  }
+}
+
+/**
+ * Extend a lease after a heartbeat
+ * @returns The renewed lease, or null if it was released or expired
+ */
+export async function renewLease(
+  supabase: any,
+  leaseId: string,
+  userId: string,
+  deviceFingerprint: string,
+): Promise<any | null> {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from("license_leases")
+    .update({ heartbeat_at: now, expires_at: leaseExpiry() })
+    .eq("id", leaseId)
+    .eq("user_id", userId)
+    .eq("device_fingerprint", deviceFingerprint)
+    .is("released_at", null)
+    .gte("expires_at", now)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to renew lease: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Release a lease, freeing its slot
+ */
+export async function releaseLease(
+  supabase: any,
+  leaseId: string,
+  reason = "released",
+): Promise<void> {
+  const { error } = await supabase
+    .from("license_leases")
+    .update({ released_at: new Date().toISOString(), release_reason: reason })
+    .eq("id", leaseId)
+    .is("released_at", null);
+
+  if (error) {
+    throw new Error(`Failed to release lease: ${error.message}`);
+  }
+}
+
+/**
+ * Release every lease of an organization and empty its queue
+ * (the license stopped being floating or was cancelled)
+ */
+export async function releaseAllLeases(
+  supabase: any,
+  organizationId: string,
+  reason: string,
+): Promise<void> {
+  const { error } = await supabase
+    .from("license_leases")
+    .update({ released_at: new Date().toISOString(), release_reason: reason })
+    .eq("organization_id", organizationId)
+    .is("released_at", null);
+
+  if (error) {
+    throw new Error(`Failed to release leases: ${error.message}`);
+  }
+
+  const { error: queueError } = await supabase
+    .from("license_lease_queue")
+    .delete()
+    .eq("organization_id", organizationId);
+
+  if (queueError) {
+    throw new Error(`Failed to clear lease queue: ${queueError.message}`);
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * License expiry rules shared by edge functions.
+ * Mirrors js/expiry-policy.js (read by LicenseExpirationManager and the
+ * dashboard) - keep the defaults and limits in sync.
+ *
+ * Every organization follows an expiry policy: a license keeps working for
+ * grace_days after expires_at, warnings go out warning_days before expiry and
+ * data is kept for retention_days after expiry. organizations.expiry_policy
+ * (jsonb, set by ops through set-expiry-policy) overrides the defaults per
+ * organization; missing keys fall back to DEFAULT_EXPIRY_POLICY.
+ */
+
+export interface ExpiryPolicy {
+  grace_days: number;
+  warning_days: number[];
+  retention_days: number;
+}
+
+export const DEFAULT_EXPIRY_POLICY: ExpiryPolicy = {
+  grace_days: 30,
+  warning_days: [30, 14, 7, 1],
+  retention_days: 90,
+};
+
+export const EXPIRY_POLICY_LIMITS = {
+  MAX_GRACE_DAYS: 180,
+  MAX_WARNING_DAYS: 365,
+  MAX_WARNINGS: 10,
+  MAX_RETENTION_DAYS: 3650,
+};
+
+/**
+ * Thrown when a policy override is out of range
+ */
+export class InvalidExpiryPolicyError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "InvalidExpiryPolicyError";
+  }
+}
+
+/**
+ * Check a policy override, throwing InvalidExpiryPolicyError if a value is
+ * out of range. Returns the complete policy it produces.
+ */
+export function validateExpiryPolicy(
+  override: Partial<ExpiryPolicy>,
+): ExpiryPolicy {
+  const policy = { ...DEFAULT_EXPIRY_POLICY, ...override };
+  const { MAX_GRACE_DAYS, MAX_WARNING_DAYS, MAX_WARNINGS, MAX_RETENTION_DAYS } =
+    EXPIRY_POLICY_LIMITS;
+
+  if (
+    !Number.isInteger(policy.grace_days) || policy.grace_days < 0 ||
+    policy.grace_days > MAX_GRACE_DAYS
+  ) {
+    throw new InvalidExpiryPolicyError(
+      `grace_days must be a whole number between 0 and ${MAX_GRACE_DAYS}`,
+    );
+  }
+
+  if (
+    !Array.isArray(policy.warning_days) ||
+    policy.warning_days.length === 0 ||
+    policy.warning_days.length > MAX_WARNINGS ||
+    policy.warning_days.some((days) =>
+      !Number.isInteger(days) || days < 1 || days > MAX_WARNING_DAYS
+    )
+  ) {
+    throw new InvalidExpiryPolicyError(
+      `warning_days must list 1 to ${MAX_WARNINGS} whole numbers between 1 and ${MAX_WARNING_DAYS}`,
+    );
+  }
+
+  if (
+    !Number.isInteger(policy.retention_days) ||
+    policy.retention_days < policy.grace_days ||
+    policy.retention_days > MAX_RETENTION_DAYS
+  ) {
+    throw new InvalidExpiryPolicyError(
+      `retention_days must be a whole number between grace_days and ${MAX_RETENTION_DAYS}`,
+    );
+  }
+
+  return {
+    ...policy,
+    warning_days: [...new Set(policy.warning_days)].sort((a, b) => b - a),
+  };
+}
+
+/**
+ * Complete an organization's stored policy with the defaults
+ * A stored policy that is out of range is ignored (with a log) rather than
+ * locking anyone out.
+ */
+export function resolveExpiryPolicy(
+  stored?: Partial<ExpiryPolicy> | null,
+): ExpiryPolicy {
+  if (!stored) {
+    return DEFAULT_EXPIRY_POLICY;
+  }
+
+  try {
+    return validateExpiryPolicy(stored);
+  } catch (error) {
+    console.error("Ignoring invalid expiry policy:", error.message);
+    return DEFAULT_EXPIRY_POLICY;
+  }
+}
+
+/**
+ * Load an organization's expiry policy
+ */
+export async function getExpiryPolicy(
+  supabase: any,
+  organizationId: string,
+): Promise<ExpiryPolicy> {
+  const { data, error } = await supabase
+    .from("organizations")
+    .select("expiry_policy")
+    .eq("id", organizationId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load expiry policy: ${error.message}`);
+  }
+
+  return resolveExpiryPolicy(data?.expiry_policy);
+}
+
+/**
+ * End of the grace period for a license expiry date
+ */
+export function getGracePeriodEnd(
+  expiryDate: string | Date,
+  policy: ExpiryPolicy = DEFAULT_EXPIRY_POLICY,
+): Date {
+  const graceEnd = new Date(expiryDate);
+  graceEnd.setDate(graceEnd.getDate() + policy.grace_days);
+  return graceEnd;
+}
+
+/**
+ * Check if a license expiry date is in grace period
+ */
+export function isInGracePeriod(
+  expiryDate: string | Date,
+  policy: ExpiryPolicy = DEFAULT_EXPIRY_POLICY,
+): boolean {
+  const expiry = new Date(expiryDate);
+  const now = new Date();
+
+  return expiry < now && now <= getGracePeriodEnd(expiry, policy);
+}
+
+/**
+ * Message for a license whose grace period has ended
+ */
+export function getGraceEndedMessage(policy: ExpiryPolicy): string {
+  return policy.grace_days > 0
+    ? `License expired more than ${policy.grace_days} days ago. Please renew.`
+    : "License has expired. Please renew.";
+}
@@ -0,0 +1,129 @@
+/**
+ * Signed license tokens for the MepSketcher desktop app.
+ *
+ * Tokens are compact JWTs signed with Ed25519 ("alg": "EdDSA"), so the app
+ * only needs the public key to verify them (see license-public-key and
+ * js/license-verifier.js). The private key never leaves the edge functions.
+ *
+ * - "activation" tokens come from activate-license and are short-lived
+ * - "offline" tokens come from issue-offline-license and are saved as a
+ *   license file for machines without connectivity
+ * - "lease" tokens come from license-lease (floating licenses) and expire
+ *   with the lease unless it is renewed by a heartbeat
+ *
+ * Environment:
+ * - LICENSE_SIGNING_PRIVATE_KEY: base64 PKCS#8 Ed25519 private key
+ * - LICENSE_SIGNING_KEY_ID: key id put in the token header ("kid")
+ */
+
+const LICENSE_SIGNING_PRIVATE_KEY = Deno.env.get("LICENSE_SIGNING_PRIVATE_KEY");
+const LICENSE_SIGNING_KEY_ID = Deno.env.get("LICENSE_SIGNING_KEY_ID") ||
+  "mepsketcher-license-1";
+
+export const LICENSE_TOKEN_ISSUER = "mepsketcher";
+
+export type LicenseTokenKind = "activation" | "offline" | "lease";
+
+export interface LicenseTokenClaims {
+  kind: LicenseTokenKind;
+  sub: string; // user id
+  email: string;
+  org: string; // organization id
+  org_name: string;
+  seat: string; // organization_members.id holding the seat
+  device: string | null; // device fingerprint the token is bound to
+  jti: string; // license_activations.id, offline_licenses.id or license_leases.id
+  license_type: string;
+  status: string; // "active" | "grace_period" | "trial"
+  license_expires_at: string;
+  grace_ends_at: string | null;
+  exp: number; // seconds since epoch
+  [claim: string]: unknown;
+}
+
+let cachedKey: CryptoKey | null = null;
+let cachedPublicJwk: Record<string, string> | null = null;
+
+function base64UrlEncode(bytes: Uint8Array): string {
+  let binary = "";
+  bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64Decode(value: string): Uint8Array {
+  const binary = atob(value.replace(/\s+/g, ""));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+async function importPrivateKey(extractable: boolean): Promise<CryptoKey> {
+  if (!LICENSE_SIGNING_PRIVATE_KEY) {
+    throw new Error("LICENSE_SIGNING_PRIVATE_KEY not configured");
+  }
+
+  return await crypto.subtle.importKey(
+    "pkcs8",
+    base64Decode(LICENSE_SIGNING_PRIVATE_KEY),
+    { name: "Ed25519" },
+    extractable,
+    ["sign"],
+  );
+}
+
+async function getSigningKey(): Promise<CryptoKey> {
+  if (!cachedKey) {
+    cachedKey = await importPrivateKey(false);
+  }
+  return cachedKey;
+}
+
+/**
+ * Public half of the signing key as a JWK (RFC 8037), for verifiers
+ */
+export async function getPublicJwk(): Promise<Record<string, string>> {
+  if (cachedPublicJwk) return cachedPublicJwk;
+
+  // The private JWK carries the public key in "x"; only that is published
+  const jwk = await crypto.subtle.exportKey(
+    "jwk",
+    await importPrivateKey(true),
+  );
+
+  cachedPublicJwk = {
+    kty: "OKP",
+    crv: "Ed25519",
+    x: jwk.x as string,
+    kid: LICENSE_SIGNING_KEY_ID,
+    alg: "EdDSA",
+    use: "sig",
+  };
+
+  return cachedPublicJwk;
+}
+
+/**
+ * Sign license claims into a compact EdDSA JWT
+ */
+export async function signLicenseToken(
+  claims: LicenseTokenClaims,
+): Promise<string> {
+  const encoder = new TextEncoder();
+
+  const header = { alg: "EdDSA", typ: "JWT", kid: LICENSE_SIGNING_KEY_ID };
+  const payload = {
+    iss: LICENSE_TOKEN_ISSUER,
+    iat: Math.floor(Date.now() / 1000),
+    ...claims,
+  };
+
+  const signingInput = `${base64UrlEncode(
+    encoder.encode(JSON.stringify(header)),
+  )}.${base64UrlEncode(encoder.encode(JSON.stringify(payload)))}`;
+
+  const signature = await crypto.subtle.sign(
+    { name: "Ed25519" },
+    await getSigningKey(),
+    encoder.encode(signingInput),
+  );
+
+  return `${signingInput}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
@@ -0,0 +1,198 @@
+/**
+ * In-dashboard notifications shared by edge functions.
+ * Mirrors js/notifications.js (the notification center) - keep the types in
+ * sync.
+ *
+ * Notifications are per user (notifications table, read by the bell in the
+ * dashboard header). Users turn types off in
+ * user_profiles.notification_preferences ({ "<type>": false }); a type
+ * missing from the preferences is on.
+ */
+import {
+  Capability,
+  CAPABILITIES,
+  hasCapability,
+  ROLES,
+} from "./permissions.ts";
+
+export const NOTIFICATION_TYPES = {
+  LICENSE_EXPIRY: "license_expiry",
+  SCHEDULED_CHANGE: "scheduled_change",
+  PAYMENT_FAILED: "payment_failed",
+  INVITATION_ACCEPTED: "invitation_accepted",
+  SEAT_REQUEST: "seat_request",
+} as const;
+
+export type NotificationType =
+  (typeof NOTIFICATION_TYPES)[keyof typeof NOTIFICATION_TYPES];
+
+export interface NotificationParams {
+  organizationId: string;
+  type: NotificationType;
+  title: string;
+  body?: string | null;
+  // Dashboard location to open, e.g. "dashboard.html#members"
+  link?: string | null;
+  data?: Record<string, unknown>;
+  // Stops the same event from notifying a user twice (reruns, retries)
+  dedupeKey?: string | null;
+}
+
+/**
+ * User ids of the owner and every active member holding a capability
+ */
+export async function getUserIdsWithCapability(
+  supabase: any,
+  organizationId: string,
+  capability: Capability,
+): Promise<string[]> {
+  const { data: org, error: orgError } = await supabase
+    .from("organizations")
+    .select("owner_id")
+    .eq("id", organizationId)
+    .single();
+
+  if (orgError) {
+    throw new Error(`Failed to load organization: ${orgError.message}`);
+  }
+
+  const { data: members, error: membersError } = await supabase
+    .from("organization_members")
+    .select("user_id, role")
+    .eq("organization_id", organizationId)
+    .eq("status", "active");
+
+  if (membersError) {
+    throw new Error(`Failed to load members: ${membersError.message}`);
+  }
+
+  const userIds = new Set<string>([org.owner_id]);
+
+  (members || []).forEach((member: any) => {
+    const role = member.user_id === org.owner_id ? ROLES.OWNER : member.role;
+    if (member.user_id && hasCapability(role, capability)) {
+      userIds.add(member.user_id);
+    }
+  });
+
+  return Array.from(userIds);
+}
+
+/**
+ * Create a notification for each user who has not turned the type off
+ * Returns the number of notifications created. Never throws - a missed
+ * notification must not fail the action that triggered it.
+ */
+export async function createNotifications(
+  supabase: any,
+  userIds: string[],
+  params: NotificationParams,
+): Promise<number> {
+  if (userIds.length === 0) {
+    return 0;
+  }
+
+  try {
+    const { data: profiles, error: profilesError } = await supabase
+      .from("user_profiles")
+      .select("id, notification_preferences")
+      .in("id", userIds);
+
+    if (profilesError) {
+      throw new Error(`Failed to load notification preferences: ${profilesError.message}`);
+    }
+
+    const optedOut = new Set(
+      (profiles || [])
+        .filter((profile: any) =>
+          profile.notification_preferences?.[params.type] === false
+        )
+        .map((profile: any) => profile.id),
+    );
+
+    const rows = userIds
+      .filter((userId) => !optedOut.has(userId))
+      .map((userId) => ({
+        user_id: userId,
+        organization_id: params.organizationId,
+        type: params.type,
+        title: params.title,
+        body: params.body || null,
+        link: params.link || null,
+        data: params.data || {},
+        dedupe_key: params.dedupeKey || null,
+      }));
+
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    const { data: inserted, error: insertError } = await supabase
+      .from("notifications")
+      .upsert(rows, {
+        onConflict: "user_id,dedupe_key",
+        ignoreDuplicates: true,
+      })
+      .select("id");
+
+    if (insertError) {
+      throw new Error(`Failed to create notifications: ${insertError.message}`);
+    }
+
+    return inserted?.length || 0;
+  } catch (error) {
+    console.error(`Error creating "${params.type}" notifications:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Notify the owner and every active member holding a capability
+ * Never throws, like createNotifications.
+ */
+export async function notifyOrganization(
+  supabase: any,
+  capability: Capability,
+  params: NotificationParams,
+  options: { excludeUserId?: string | null } = {},
+): Promise<number> {
+  try {
+    const userIds = (
+      await getUserIdsWithCapability(supabase, params.organizationId, capability)
+    ).filter((userId) => userId !== options.excludeUserId);
+
+    return await createNotifications(supabase, userIds, params);
+  } catch (error) {
+    console.error(`Error creating "${params.type}" notifications:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Tell the member managers that someone accepted their invitation
+ */
+export async function notifyInvitationAccepted(
+  supabase: any,
+  organizationId: string,
+  member: { memberId: string; userId: string; email: string },
+): Promise<number> {
+  const { data: org } = await supabase
+    .from("organizations")
+    .select("name")
+    .eq("id", organizationId)
+    .maybeSingle();
+
+  return await notifyOrganization(
+    supabase,
+    CAPABILITIES.MANAGE_MEMBERS,
+    {
+      organizationId,
+      type: NOTIFICATION_TYPES.INVITATION_ACCEPTED,
+      title: `${member.email} joined ${org?.name || "your organization"}`,
+      body: "They accepted your invitation.",
+      link: "dashboard.html",
+      data: { member_id: member.memberId, email: member.email },
+    },
+    { excludeUserId: member.userId },
+  );
+}
@@ -0,0 +1,28 @@
+/**
+ * MepSketcher operations team access shared by edge functions.
+ * Ops admins are not members of customer organizations; they are listed by
+ * email in the OPS_ADMIN_EMAILS secret (comma-separated).
+ */
+
+/**
+ * Email addresses of the ops team, lowercased
+ */
+export function getOpsAdminEmails(): string[] {
+  return (Deno.env.get("OPS_ADMIN_EMAILS") || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Check whether an authenticated user belongs to the ops team
+ * The email must be confirmed so an unverified signup cannot claim it.
+ */
+export function isOpsAdmin(
+  user: { email?: string | null; email_confirmed_at?: string | null },
+): boolean {
+  if (!user.email || !user.email_confirmed_at) {
+    return false;
+  }
+  return getOpsAdminEmails().includes(user.email.toLowerCase());
+}
@@ -0,0 +1,142 @@
+/**
+ * Tests for the Paddle webhook signature check
+ * Run with: deno test supabase/functions/_shared/paddle-signature.test.ts
+ */
+import { assertEquals } from "jsr:@std/assert@1";
+import {
+  computeSignature,
+  DEFAULT_SIGNATURE_TOLERANCE_SECONDS,
+  extractPaddleSignature,
+  parseToleranceSeconds,
+  verifyPaddleSignature,
+} from "./paddle-signature.ts";
+
+const BODY = '{"event_id":"evt_01","event_type":"transaction.completed"}';
+const SECRET = "pdl_ntfset_current";
+const SECONDARY_SECRET = "pdl_ntfset_next";
+
+// Fixed clock: the delivery was signed "now"
+const NOW = Date.UTC(2025, 9, 20, 12, 0, 0);
+const TIMESTAMP = Math.floor(NOW / 1000);
+
+async function sign(secret: string, timestamp = TIMESTAMP): Promise<string> {
+  return await computeSignature(`${timestamp}:${BODY}`, secret);
+}
+
+Deno.test("accepts a valid signature", async () => {
+  const header = `ts=${TIMESTAMP};h1=${await sign(SECRET)}`;
+
+  assertEquals(
+    await verifyPaddleSignature(BODY, header, [SECRET], { now: NOW }),
+    { valid: true },
+  );
+});
+
+Deno.test("accepts a second h1 signed with the secondary secret", async () => {
+  const oldSignature = await sign("pdl_ntfset_old");
+  const newSignature = await sign(SECONDARY_SECRET);
+  const header = `ts=${TIMESTAMP};h1=${oldSignature};h1=${newSignature}`;
+
+  assertEquals(
+    await verifyPaddleSignature(BODY, header, [SECRET, SECONDARY_SECRET], {
+      now: NOW,
+    }),
+    { valid: true },
+  );
+});
+
+Deno.test("rejects a timestamp older than the tolerance", async () => {
+  const timestamp = TIMESTAMP - DEFAULT_SIGNATURE_TOLERANCE_SECONDS - 1;
+  const header = `ts=${timestamp};h1=${await sign(SECRET, timestamp)}`;
+
+  assertEquals(
+    await verifyPaddleSignature(BODY, header, [SECRET], { now: NOW }),
+    { valid: false, reason: "stale" },
+  );
+});
+
+Deno.test("rejects a timestamp in the future beyond the tolerance", async () => {
+  const timestamp = TIMESTAMP + 60;
+  const header = `ts=${timestamp};h1=${await sign(SECRET, timestamp)}`;
+
+  assertEquals(
+    await verifyPaddleSignature(BODY, header, [SECRET], {
+      now: NOW,
+      toleranceSeconds: 30,
+    }),
+    { valid: false, reason: "stale" },
+  );
+});
+
+Deno.test("accepts an older timestamp within a configured tolerance", async () => {
+  const timestamp = TIMESTAMP - 60;
+  const header = `ts=${timestamp};h1=${await sign(SECRET, timestamp)}`;
+
+  assertEquals(
+    await verifyPaddleSignature(BODY, header, [SECRET], {
+      now: NOW,
+      toleranceSeconds: 120,
+    }),
+    { valid: true },
+  );
+});
+
+Deno.test("rejects malformed headers", async () => {
+  const signature = await sign(SECRET);
+
+  for (
+    const header of [
+      null,
+      "",
+      `h1=${signature}`,
+      `ts=abc;h1=${signature}`,
+      `ts=${TIMESTAMP}`,
+      `ts=${TIMESTAMP};h1=`,
+    ]
+  ) {
+    assertEquals(
+      await verifyPaddleSignature(BODY, header, [SECRET], { now: NOW }),
+      { valid: false, reason: "malformed" },
+      `header: ${header}`,
+    );
+  }
+});
+
+Deno.test("rejects a signature made with another secret", async () => {
+  const header = `ts=${TIMESTAMP};h1=${await sign("pdl_ntfset_other")}`;
+
+  assertEquals(
+    await verifyPaddleSignature(BODY, header, [SECRET, SECONDARY_SECRET], {
+      now: NOW,
+    }),
+    { valid: false, reason: "mismatch" },
+  );
+});
+
+Deno.test("rejects a signature over a different body", async () => {
+  const header = `ts=${TIMESTAMP};h1=${await sign(SECRET)}`;
+
+  assertEquals(
+    await verifyPaddleSignature(`${BODY} `, header, [SECRET], { now: NOW }),
+    { valid: false, reason: "mismatch" },
+  );
+});
+
+Deno.test("extracts the timestamp and every h1 signature", () => {
+  assertEquals(extractPaddleSignature("ts=1700000000; h1=ABC ;h1=def"), {
+    timestamp: "1700000000",
+    signatures: ["abc", "def"],
+  });
+});
+
+Deno.test("parses the tolerance setting", () => {
+  for (const value of [undefined, null, "", "0", "-5", "2.5", "abc"]) {
+    assertEquals(
+      parseToleranceSeconds(value),
+      DEFAULT_SIGNATURE_TOLERANCE_SECONDS,
+      `value: ${value}`,
+    );
+  }
+
+  assertEquals(parseToleranceSeconds("30"), 30);
+});
@@ -0,0 +1,154 @@
+/**
+ * Paddle webhook signature verification (used by paddle-webhook).
+ *
+ * Paddle signs every delivery with the destination's secret key:
+ *   Paddle-Signature: ts=<unix seconds>;h1=<hex HMAC-SHA256 of "ts:body">
+ * While a secret is being rotated the header can carry several h1= values,
+ * and we accept any of our configured secrets, so the old and new secret
+ * both work until the rotation is done.
+ *
+ * The timestamp is signed too: a delivery older (or further in the future)
+ * than the tolerance is rejected so a captured request can't be replayed.
+ * Paddle re-signs retries, so they always carry a fresh timestamp.
+ */
+
+// Paddle's own SDKs allow 5 seconds
+export const DEFAULT_SIGNATURE_TOLERANCE_SECONDS = 5;
+
+export interface PaddleSignature {
+  timestamp: string;
+  signatures: string[];
+}
+
+export type SignatureCheck =
+  | { valid: true }
+  | { valid: false; reason: "malformed" | "stale" | "mismatch" };
+
+/**
+ * Split a Paddle-Signature header into its timestamp and h1 signatures
+ * Returns null unless there is a numeric ts= and at least one h1=.
+ */
+export function extractPaddleSignature(
+  signatureHeader: string | null,
+): PaddleSignature | null {
+  if (!signatureHeader) return null;
+
+  let timestamp: string | null = null;
+  const signatures: string[] = [];
+
+  for (const part of signatureHeader.split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    const value = rest.join("=").trim();
+
+    if (key === "ts") {
+      timestamp = value;
+    } else if (key === "h1" && value) {
+      signatures.push(value.toLowerCase());
+    }
+  }
+
+  if (!timestamp || !/^\d+$/.test(timestamp) || signatures.length === 0) {
+    return null;
+  }
+
+  return { timestamp, signatures };
+}
+
+/**
+ * Parse the tolerance setting (PADDLE_WEBHOOK_TOLERANCE_SECONDS)
+ * Falls back to the default when unset or not a positive whole number.
+ */
+export function parseToleranceSeconds(
+  value: string | null | undefined,
+): number {
+  const seconds = Number(value);
+  return value && Number.isInteger(seconds) && seconds > 0
+    ? seconds
+    : DEFAULT_SIGNATURE_TOLERANCE_SECONDS;
+}
+
+/**
+ * Check a delivery's Paddle-Signature header against the raw body
+ * Valid when the timestamp is within the tolerance and any h1 signature
+ * matches any of the secrets.
+ */
+export async function verifyPaddleSignature(
+  body: string,
+  signatureHeader: string | null,
+  secrets: string[],
+  options: { toleranceSeconds?: number; now?: number } = {},
+): Promise<SignatureCheck> {
+  const signature = extractPaddleSignature(signatureHeader);
+  if (!signature) {
+    return { valid: false, reason: "malformed" };
+  }
+
+  const toleranceSeconds = options.toleranceSeconds ??
+    DEFAULT_SIGNATURE_TOLERANCE_SECONDS;
+  const nowSeconds = Math.floor((options.now ?? Date.now()) / 1000);
+
+  if (Math.abs(nowSeconds - Number(signature.timestamp)) > toleranceSeconds) {
+    return { valid: false, reason: "stale" };
+  }
+
+  // Paddle signature format: ts + : + body
+  const payload = signature.timestamp + ":" + body;
+
+  for (const secret of secrets) {
+    const expected = await computeSignature(payload, secret);
+
+    for (const candidate of signature.signatures) {
+      if (timingSafeEqual(expected, candidate)) {
+        return { valid: true };
+      }
+    }
+  }
+
+  return { valid: false, reason: "mismatch" };
+}
+
+/**
+ * Hex HMAC-SHA256 of a payload
+ */
+export async function computeSignature(
+  payload: string,
+  secret: string,
+): Promise<string> {
+  const encoder = new TextEncoder();
+
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+
+  const signatureData = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    encoder.encode(payload),
+  );
+
+  return Array.from(new Uint8Array(signatureData))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Constant-time string comparison to prevent timing attacks
+ */
+function timingSafeEqual(a: string, b: string): boolean {
+  const bytesA = new TextEncoder().encode(a);
+  const bytesB = new TextEncoder().encode(b);
+
+  if (bytesA.byteLength !== bytesB.byteLength) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < bytesA.byteLength; i++) {
+    diff |= bytesA[i] ^ bytesB[i];
+  }
+  return diff === 0;
+}
@@ -0,0 +1,267 @@
+/**
+ * Subscription payment status shared by edge functions.
+ * Mirrors Paddle's dunning on organization_licenses.payment_status:
+ * - active:   payments are collected
+ * - past_due: a renewal payment failed and Paddle is retrying it
+ * - paused:   the subscription is paused and collects no payments
+ *
+ * paddle-webhook moves a license between the statuses. Going into past_due or
+ * paused emails the billing contacts once; any successful payment (or a
+ * resumed subscription) sets the license back to active. Paddle may deliver
+ * events out of order, so a change older than the last one is ignored.
+ */
+import { AUDIT_ACTIONS, recordAuditEvent } from "./audit.ts";
+import { getBillingContactEmails } from "./billing-contacts.ts";
+import {
+  escapeHtml,
+  renderDetailsTable,
+  renderEmailLayout,
+  sendEmail,
+} from "./email.ts";
+
+export const PAYMENT_STATUSES = {
+  ACTIVE: "active",
+  PAST_DUE: "past_due",
+  PAUSED: "paused",
+} as const;
+
+export type PaymentStatus =
+  (typeof PAYMENT_STATUSES)[keyof typeof PAYMENT_STATUSES];
+
+const STATUS_AUDIT_ACTIONS = {
+  [PAYMENT_STATUSES.ACTIVE]: AUDIT_ACTIONS.LICENSE_PAYMENT_RESTORED,
+  [PAYMENT_STATUSES.PAST_DUE]: AUDIT_ACTIONS.LICENSE_PAYMENT_PAST_DUE,
+  [PAYMENT_STATUSES.PAUSED]: AUDIT_ACTIONS.LICENSE_PAUSED,
+};
+
+export interface PaymentStatusChange {
+  // Paddle transaction that caused the change, if any
+  transactionId?: string | null;
+  // Paddle payment error code, e.g. "declined" or "expired_card"
+  errorCode?: string | null;
+  // When Paddle raised the event (occurred_at); defaults to now
+  occurredAt?: string | null;
+}
+
+/**
+ * Set the payment status of the license on a subscription
+ * Returns whether the status changed (false if it already had it, the change
+ * is older than the last one, another event changed it first or no license
+ * uses the subscription), so repeated and late webhooks are harmless.
+ */
+export async function updatePaymentStatus(
+  supabase: any,
+  subscriptionId: string,
+  status: PaymentStatus,
+  change: PaymentStatusChange = {},
+): Promise<boolean> {
+  const { data: license, error: findError } = await supabase
+    .from("organization_licenses")
+    .select(
+      "id, organization_id, total_licenses, payment_status, payment_status_changed_at, organizations(name)",
+    )
+    .eq("subscription_id", subscriptionId)
+    .maybeSingle();
+
+  if (findError) {
+    throw new Error(`Failed to load license: ${findError.message}`);
+  }
+
+  if (!license) {
+    console.log(`No license found for subscription ${subscriptionId}`);
+    return false;
+  }
+
+  // Compare with the last change first, so a late older event can't undo a
+  // newer one even when the status hasn't moved since
+  const changedAt = change.occurredAt || new Date().toISOString();
+  if (
+    license.payment_status_changed_at &&
+    new Date(changedAt) < new Date(license.payment_status_changed_at)
+  ) {
+    console.log(
+      `Ignoring ${status} for license ${license.id}: older than its last payment status change`,
+    );
+    return false;
+  }
+
+  const previousStatus = license.payment_status || PAYMENT_STATUSES.ACTIVE;
+
+  // An unchanged status still records the newer event's time
+  const fields = previousStatus === status
+    ? { payment_status_changed_at: changedAt }
+    : {
+      payment_status: status,
+      payment_status_changed_at: changedAt,
+      updated_at: new Date().toISOString(),
+    };
+
+  // Only write if nobody changed the status in the meantime
+  let query = supabase
+    .from("organization_licenses")
+    .update(fields)
+    .eq("id", license.id);
+
+  query = license.payment_status
+    ? query.eq("payment_status", license.payment_status)
+    : query.is("payment_status", null);
+  query = license.payment_status_changed_at
+    ? query.eq("payment_status_changed_at", license.payment_status_changed_at)
+    : query.is("payment_status_changed_at", null);
+
+  const { data: updated, error: updateError } = await query.select("id");
+
+  if (updateError) {
+    throw new Error(
+      `Failed to update payment status: ${updateError.message}`,
+    );
+  }
+
+  if (previousStatus === status) {
+    return false;
+  }
+
+  if (!updated || updated.length === 0) {
+    console.log(
+      `Ignoring ${status} for license ${license.id}: its payment status changed concurrently`,
+    );
+    return false;
+  }
+
+  console.log(
+    `Payment status of license ${license.id} changed from ${previousStatus} to ${status}`,
+  );
+
+  await recordAuditEvent(supabase, {
+    organizationId: license.organization_id,
+    action: STATUS_AUDIT_ACTIONS[status],
+    details: {
+      from: previousStatus,
+      to: status,
+      subscription_id: subscriptionId,
+      transaction_id: change.transactionId || null,
+      error_code: change.errorCode || null,
+    },
+  });
+
+  if (status !== PAYMENT_STATUSES.ACTIVE) {
+    await emailPaymentProblem(supabase, license, status, change);
+  }
+
+  return true;
+}
+
+/**
+ * Tell the billing contacts that payments stopped
+ * Never throws - the status change already happened.
+ */
+async function emailPaymentProblem(
+  supabase: any,
+  license: any,
+  status: PaymentStatus,
+  change: PaymentStatusChange,
+): Promise<void> {
+  try {
+    const recipients = await getBillingContactEmails(
+      supabase,
+      license.organization_id,
+    );
+
+    if (recipients.length === 0) {
+      console.error(
+        `No billing contacts for organization ${license.organization_id}`,
+      );
+      return;
+    }
+
+    const email = status === PAYMENT_STATUSES.PAUSED
+      ? generatePausedEmail(license)
+      : generatePastDueEmail(license, change.errorCode || null);
+
+    const result = await sendEmail({ to: recipients, ...email });
+
+    if (!result.sent && !result.file) {
+      console.error(
+        `Failed to email ${status} notice for license ${license.id}:`,
+        result.error,
+      );
+    }
+  } catch (error) {
+    console.error(
+      `Error emailing ${status} notice for license ${license.id}:`,
+      error,
+    );
+  }
+}
+
+function generatePastDueEmail(
+  license: any,
+  errorCode: string | null,
+): { subject: string; html: string } {
+  const subject = "Action needed: your MepSketcher payment failed";
+  const organizationName = escapeHtml(license.organizations?.name || "");
+
+  const content = `
+              <h2 style="margin: 0 0 20px; color: #dc3545; font-size: 20px;">
+                We couldn't collect your payment
+              </h2>
+              <p style="margin: 0 0 15px; color: #666666; font-size: 16px; line-height: 1.5;">
+                The renewal payment for the MepSketcher subscription of <strong>${organizationName}</strong>
+                failed. Our payment provider Paddle will retry it over the next days.
+              </p>
+              ${renderDetailsTable([
+    ["Organization", organizationName],
+    ["Licenses", `${license.total_licenses}`],
+    ...(errorCode
+      ? [["Reason", escapeHtml(errorCode.replace(/_/g, " "))] as [string, string]]
+      : []),
+  ])}
+              <p style="margin: 0 0 20px; color: #666666; font-size: 16px; line-height: 1.5;">
+                Update your payment method in the dashboard's Billing tab to pay now and keep your team working
+                without interruption.
+              </p>`;
+
+  return {
+    subject,
+    html: renderEmailLayout({
+      title: subject,
+      content,
+      buttonText: "Update Payment Method",
+      buttonColor: "#dc3545",
+      footer: billingFooter(organizationName),
+    }),
+  };
+}
+
+function generatePausedEmail(license: any): { subject: string; html: string } {
+  const subject = "Your MepSketcher subscription is paused";
+  const organizationName = escapeHtml(license.organizations?.name || "");
+
+  const content = `
+              <h2 style="margin: 0 0 20px; color: #333333; font-size: 20px;">
+                Your subscription is paused
+              </h2>
+              <p style="margin: 0 0 15px; color: #666666; font-size: 16px; line-height: 1.5;">
+                The MepSketcher subscription of <strong>${organizationName}</strong> has been paused,
+                so no payments are collected and it will not renew.
+              </p>
+              <p style="margin: 0 0 20px; color: #666666; font-size: 16px; line-height: 1.5;">
+                Contact us at support@mepsketcher.com to resume it. Your license status updates in the dashboard
+                as soon as it is resumed.
+              </p>`;
+
+  return {
+    subject,
+    html: renderEmailLayout({
+      title: subject,
+      content,
+      buttonText: "Open Dashboard",
+      buttonColor: "#0066cc",
+      footer: billingFooter(organizationName),
+    }),
+  };
+}
+
+function billingFooter(organizationName: string): string {
+  return `You receive this email as the owner or a billing admin of ${organizationName}.`;
+}
@@ -0,0 +1,133 @@
+/**
+ * Organization permission model shared by edge functions.
+ * Mirrors js/permissions.js - keep the role/capability maps in sync.
+ *
+ * Ownership is stored in organizations.owner_id; every other role lives in
+ * organization_members.role.
+ */
+
+export const ROLES = {
+  OWNER: "owner",
+  ADMIN: "admin",
+  BILLING_ADMIN: "billing_admin",
+  MEMBER_ADMIN: "member_admin",
+  MEMBER: "member",
+  VIEWER: "viewer",
+} as const;
+
+export type Role = (typeof ROLES)[keyof typeof ROLES];
+
+export const CAPABILITIES = {
+  VIEW_MEMBERS: "members.view",
+  MANAGE_MEMBERS: "members.manage",
+  VIEW_BILLING: "billing.view",
+  MANAGE_BILLING: "billing.manage",
+  EDIT_ORGANIZATION: "organization.edit",
+  TRANSFER_OWNERSHIP: "organization.transfer",
+  VIEW_AUDIT_LOG: "audit.view",
+} as const;
+
+export type Capability = (typeof CAPABILITIES)[keyof typeof CAPABILITIES];
+
+const ROLE_CAPABILITIES: Record<Role, Capability[]> = {
+  owner: Object.values(CAPABILITIES),
+  admin: [
+    CAPABILITIES.VIEW_MEMBERS,
+    CAPABILITIES.MANAGE_MEMBERS,
+    CAPABILITIES.VIEW_BILLING,
+    CAPABILITIES.MANAGE_BILLING,
+    CAPABILITIES.EDIT_ORGANIZATION,
+    CAPABILITIES.VIEW_AUDIT_LOG,
+  ],
+  billing_admin: [
+    CAPABILITIES.VIEW_MEMBERS,
+    CAPABILITIES.VIEW_BILLING,
+    CAPABILITIES.MANAGE_BILLING,
+    CAPABILITIES.VIEW_AUDIT_LOG,
+  ],
+  member_admin: [
+    CAPABILITIES.VIEW_MEMBERS,
+    CAPABILITIES.MANAGE_MEMBERS,
+    CAPABILITIES.VIEW_AUDIT_LOG,
+  ],
+  member: [CAPABILITIES.VIEW_MEMBERS],
+  viewer: [CAPABILITIES.VIEW_MEMBERS, CAPABILITIES.VIEW_BILLING],
+};
+
+/**
+ * Roles that can be stored in organization_members.role
+ */
+export const ASSIGNABLE_ROLES: Role[] = [
+  ROLES.ADMIN,
+  ROLES.BILLING_ADMIN,
+  ROLES.MEMBER_ADMIN,
+  ROLES.MEMBER,
+  ROLES.VIEWER,
+];
+
+/**
+ * Check whether a role grants a capability
+ */
+export function hasCapability(
+  role: string | null | undefined,
+  capability: Capability,
+): boolean {
+  if (!role || !(role in ROLE_CAPABILITIES)) return false;
+  return ROLE_CAPABILITIES[role as Role].includes(capability);
+}
+
+/**
+ * Check whether actorRole may assign targetRole (no privilege escalation)
+ */
+export function canAssignRole(
+  actorRole: string | null | undefined,
+  targetRole: string,
+): boolean {
+  if (!hasCapability(actorRole, CAPABILITIES.MANAGE_MEMBERS)) return false;
+  if (!ASSIGNABLE_ROLES.includes(targetRole as Role)) return false;
+
+  return ROLE_CAPABILITIES[targetRole as Role].every((capability) =>
+    hasCapability(actorRole, capability)
+  );
+}
+
+/**
+ * Resolve a user's effective role in an organization.
+ * Returns null if the user is neither the owner nor an active member.
+ */
+export async function getOrganizationRole(
+  supabase: any,
+  userId: string,
+  organizationId: string,
+): Promise<Role | null> {
+  const { data: organization, error: orgError } = await supabase
+    .from("organizations")
+    .select("owner_id")
+    .eq("id", organizationId)
+    .maybeSingle();
+
+  if (orgError || !organization) {
+    console.error("Error loading organization for role check:", orgError);
+    return null;
+  }
+
+  if (organization.owner_id === userId) {
+    return ROLES.OWNER;
+  }
+
+  const { data: membership, error: membershipError } = await supabase
+    .from("organization_members")
+    .select("role")
+    .eq("user_id", userId)
+    .eq("organization_id", organizationId)
+    .eq("status", "active")
+    .maybeSingle();
+
+  if (membershipError || !membership) {
+    return null;
+  }
+
+  return membership.role in ROLE_CAPABILITIES
+    ? (membership.role as Role)
+    : null;
+}
@@ -0,0 +1,296 @@
+/**
+ * Invitations waiting for a seat.
+ *
+ * When a member manager invites someone with a seat but the license is full,
+ * the invitation is stored as an organization_members row with status
+ * "awaiting_seat" instead of being rejected. Once seats free up (more seats
+ * bought, see paddle-webhook subscription.updated, or a seat released) the
+ * queued rows are completed oldest first:
+ *
+ * - existing users become active members holding a seat
+ * - everyone else becomes a normal pending invitation and gets the email
+ */
+
+import {
+  claimSeat,
+  countAssignedSeats,
+  SeatUnavailableError,
+} from "./seats.ts";
+import { sendInvitation } from "./invitations.ts";
+import { AUDIT_ACTIONS, recordAuditEvent } from "./audit.ts";
+
+export interface QueueInvitationParams {
+  organizationId: string;
+  email: string;
+  role: string;
+  invitedBy: string;
+  expiresInDays?: number;
+}
+
+export interface CompletedInvitation {
+  email: string;
+  action: "added" | "invited";
+  emailSent?: boolean;
+}
+
+/**
+ * Thrown when the email already belongs to a member or an open invitation
+ */
+export class InvitationConflictError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "InvitationConflictError";
+  }
+}
+
+/**
+ * Store an invitation that will be completed once a seat is free
+ */
+export async function queueInvitation(
+  supabase: any,
+  params: QueueInvitationParams,
+): Promise<{ id: string; userId: string | null }> {
+  const email = params.email.toLowerCase();
+
+  const { data: profile, error: profileError } = await supabase
+    .from("user_profiles")
+    .select("id")
+    .eq("email", email)
+    .maybeSingle();
+
+  if (profileError) {
+    throw new Error(`Failed to look up user: ${profileError.message}`);
+  }
+
+  const userId = profile?.id || null;
+
+  const { data: byEmail, error: existingError } = await supabase
+    .from("organization_members")
+    .select("id, status")
+    .eq("organization_id", params.organizationId)
+    .eq("email", email)
+    .maybeSingle();
+
+  if (existingError) {
+    throw new Error(`Failed to check membership: ${existingError.message}`);
+  }
+
+  let existing = byEmail;
+
+  // An existing user may have an old membership under a different email
+  if (!existing && userId) {
+    const { data: byUser, error: userError } = await supabase
+      .from("organization_members")
+      .select("id, status")
+      .eq("organization_id", params.organizationId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (userError) {
+      throw new Error(`Failed to check membership: ${userError.message}`);
+    }
+
+    existing = byUser;
+  }
+
+  if (existing?.status === "active") {
+    throw new InvitationConflictError(
+      "This email is already associated with an active member",
+    );
+  }
+  if (existing?.status === "pending") {
+    throw new InvitationConflictError(
+      "An invitation has already been sent to this email",
+    );
+  }
+  if (existing?.status === "awaiting_seat") {
+    throw new InvitationConflictError(
+      "This email is already waiting for a seat",
+    );
+  }
+
+  const queued = {
+    organization_id: params.organizationId,
+    user_id: userId,
+    email: email,
+    role: params.role,
+    status: "awaiting_seat",
+    has_license: false,
+    assign_seat_on_accept: true,
+    invited_by: params.invitedBy,
+    invitation_expiry_days: params.expiresInDays ?? null,
+    invited_at: new Date().toISOString(),
+    removed_at: null,
+  };
+
+  // Reuse an old (inactive) membership row rather than duplicating it
+  const { data: row, error: writeError } = existing
+    ? await supabase
+      .from("organization_members")
+      .update(queued)
+      .eq("id", existing.id)
+      .select("id")
+      .single()
+    : await supabase
+      .from("organization_members")
+      .insert(queued)
+      .select("id")
+      .single();
+
+  if (writeError) {
+    throw new Error(`Failed to queue invitation: ${writeError.message}`);
+  }
+
+  return { id: row.id, userId };
+}
+
+/**
+ * Complete queued invitations, oldest first, while seats are free.
+ * Safe to call at any time; does nothing when nothing is queued.
+ */
+export async function finalizeQueuedInvitations(
+  supabase: any,
+  organizationId: string,
+): Promise<{ completed: CompletedInvitation[]; remaining: number }> {
+  const { data: queued, error: queuedError } = await supabase
+    .from("organization_members")
+    .select("id, user_id, email, role, invited_by, invitation_expiry_days")
+    .eq("organization_id", organizationId)
+    .eq("status", "awaiting_seat")
+    .order("invited_at", { ascending: true });
+
+  if (queuedError) {
+    throw new Error(
+      `Failed to load queued invitations: ${queuedError.message}`,
+    );
+  }
+
+  if (!queued || queued.length === 0) {
+    return { completed: [], remaining: 0 };
+  }
+
+  const { data: license, error: licenseError } = await supabase
+    .from("organization_licenses")
+    .select("total_licenses, expires_at")
+    .eq("organization_id", organizationId)
+    .maybeSingle();
+
+  if (licenseError) {
+    throw new Error(`Failed to load license: ${licenseError.message}`);
+  }
+
+  if (!license || new Date(license.expires_at) < new Date()) {
+    return { completed: [], remaining: queued.length };
+  }
+
+  let free = license.total_licenses -
+    (await countAssignedSeats(supabase, organizationId));
+
+  const { data: org } = await supabase
+    .from("organizations")
+    .select("name")
+    .eq("id", organizationId)
+    .single();
+
+  const completed: CompletedInvitation[] = [];
+
+  for (const invite of queued) {
+    if (free <= 0) break;
+
+    if (invite.user_id) {
+      const { error: activateError } = await supabase
+        .from("organization_members")
+        .update({
+          status: "active",
+          has_license: false,
+          accepted_at: new Date().toISOString(),
+        })
+        .eq("id", invite.id);
+
+      if (activateError) {
+        throw new Error(
+          `Failed to activate queued member: ${activateError.message}`,
+        );
+      }
+
+      try {
+        await claimSeat(supabase, organizationId, invite.id);
+      } catch (error) {
+        if (error instanceof SeatUnavailableError) {
+          // Someone else took the seat meanwhile; keep the invite queued
+          await supabase
+            .from("organization_members")
+            .update({ status: "awaiting_seat", accepted_at: null })
+            .eq("id", invite.id);
+          break;
+        }
+        throw error;
+      }
+
+      await recordAuditEvent(supabase, {
+        organizationId,
+        action: AUDIT_ACTIONS.MEMBER_ADDED,
+        targetUserId: invite.user_id,
+        targetEmail: invite.email,
+        details: { role: invite.role, seat_assigned: true, queued: true },
+      });
+
+      completed.push({ email: invite.email, action: "added" });
+    } else {
+      const { error: pendingError } = await supabase
+        .from("organization_members")
+        .update({ status: "pending" })
+        .eq("id", invite.id);
+
+      if (pendingError) {
+        throw new Error(
+          `Failed to release queued invitation: ${pendingError.message}`,
+        );
+      }
+
+      const { data: inviter } = invite.invited_by
+        ? await supabase
+          .from("user_profiles")
+          .select("name")
+          .eq("id", invite.invited_by)
+          .maybeSingle()
+        : { data: null };
+
+      // The invitation stands even if the email fails; it can be resent
+      let emailSent = true;
+      try {
+        await sendInvitation(supabase, {
+          invitationId: invite.id,
+          email: invite.email,
+          organizationName: org?.name || "your organization",
+          inviterName: inviter?.name || org?.name || "Your team",
+          role: invite.role,
+          expiresInDays: invite.invitation_expiry_days ?? undefined,
+        });
+      } catch (error) {
+        console.error(
+          `Failed to send queued invitation to ${invite.email}:`,
+          error,
+        );
+        emailSent = false;
+      }
+
+      await recordAuditEvent(supabase, {
+        organizationId,
+        action: AUDIT_ACTIONS.MEMBER_INVITED,
+        targetEmail: invite.email,
+        details: { role: invite.role, assign_seat: true, queued: true },
+      });
+
+      completed.push({ email: invite.email, action: "invited", emailSent });
+    }
+
+    free--;
+  }
+
+  console.log(
+    `Completed ${completed.length} queued invitation(s) for organization ${organizationId}`,
+  );
+
+  return { completed, remaining: queued.length - completed.length };
+}
@@ -0,0 +1,291 @@
+/**
+ * Seat accounting shared by edge functions.
+ * All seat changes go through here (see manage-seats) so the browser never
+ * writes used_licenses itself.
+ *
+ * organization_licenses.used_licenses is derived from the number of active
+ * members holding a seat (organization_members.has_license = true) and is
+ * never incremented or decremented directly.
+ */
+
+import { isFloatingLicense } from "./leases.ts";
+import { getTrialSeatLimit } from "./trials.ts";
+
+/**
+ * Count active members holding a license seat
+ */
+export async function countAssignedSeats(
+  supabase: any,
+  organizationId: string,
+): Promise<number> {
+  const { count, error } = await supabase
+    .from("organization_members")
+    .select("id", { count: "exact", head: true })
+    .eq("organization_id", organizationId)
+    .eq("status", "active")
+    .eq("has_license", true);
+
+  if (error) {
+    throw new Error(`Failed to count assigned seats: ${error.message}`);
+  }
+
+  return count || 0;
+}
+
+/**
+ * Recompute used_licenses from the assigned seats
+ */
+export async function syncUsedLicenses(
+  supabase: any,
+  organizationId: string,
+): Promise<number> {
+  const usedLicenses = await countAssignedSeats(supabase, organizationId);
+
+  const { error } = await supabase
+    .from("organization_licenses")
+    .update({
+      used_licenses: usedLicenses,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("organization_id", organizationId);
+
+  if (error) {
+    throw new Error(`Failed to update used licenses: ${error.message}`);
+  }
+
+  return usedLicenses;
+}
+
+/**
+ * Thrown when no seat is free for an assignment
+ */
+export class SeatUnavailableError extends Error {
+  constructor(message = "No licenses available") {
+    super(message);
+    this.name = "SeatUnavailableError";
+  }
+}
+
+/**
+ * Give a membership row a seat without over-allocating the license.
+ *
+ * PostgREST offers no transactions, so the seat is claimed first and the
+ * assigned count verified afterwards. If a concurrent claim pushed the count
+ * over total_licenses (or the seat limit of a team trial), this claim is
+ * rolled back and SeatUnavailableError is thrown. used_licenses is
+ * recomputed either way.
+ */
+export async function claimSeat(
+  supabase: any,
+  organizationId: string,
+  memberId: string,
+): Promise<number> {
+  const { data: license, error: licenseError } = await supabase
+    .from("organization_licenses")
+    .select("total_licenses, expires_at, license_type")
+    .eq("organization_id", organizationId)
+    .maybeSingle();
+
+  if (licenseError) {
+    throw new Error(`Failed to load license: ${licenseError.message}`);
+  }
+
+  if (!license) {
+    // Trial organizations have no license row; the trial caps the seats
+    return await claimTrialSeat(supabase, organizationId, memberId);
+  }
+
+  // Floating licenses are shared through leases (see leases.ts)
+  if (isFloatingLicense(license)) {
+    throw new SeatUnavailableError(
+      "This organization has a floating license; members don't need a seat",
+    );
+  }
+
+  if (new Date(license.expires_at) < new Date()) {
+    throw new SeatUnavailableError("License has expired. Please renew.");
+  }
+
+  return await claimSeatWithinLimit(
+    supabase,
+    organizationId,
+    memberId,
+    license.total_licenses,
+    "No licenses available. Unassign a seat or purchase more licenses.",
+  );
+}
+
+/**
+ * Give a member of a team trial one of the trial's seats
+ */
+async function claimTrialSeat(
+  supabase: any,
+  organizationId: string,
+  memberId: string,
+): Promise<number> {
+  const { data: org, error: orgError } = await supabase
+    .from("organizations")
+    .select("is_trial, trial_expires_at, trial_max_colleagues")
+    .eq("id", organizationId)
+    .single();
+
+  if (orgError) {
+    throw new Error(`Failed to load organization: ${orgError.message}`);
+  }
+
+  if (!org.is_trial) {
+    throw new SeatUnavailableError("No license found for this organization");
+  }
+
+  if (!org.trial_expires_at || new Date(org.trial_expires_at) < new Date()) {
+    throw new SeatUnavailableError(
+      "Your trial has expired. Upgrade to a paid plan to assign seats.",
+    );
+  }
+
+  return await claimSeatWithinLimit(
+    supabase,
+    organizationId,
+    memberId,
+    getTrialSeatLimit(org),
+    "All trial seats are taken. Upgrade to a paid plan to add more colleagues.",
+  );
+}
+
+// Attempts for a claim that lost a race for the last seat
+const MAX_CLAIM_ATTEMPTS = 3;
+
+/**
+ * Claim the seat, then roll it back if the assigned count exceeds limit
+ * Two claims racing for the last seat can both go over the limit and both
+ * roll back; a claim retries after a random delay while a seat is still
+ * free, so one of them gets it.
+ */
+async function claimSeatWithinLimit(
+  supabase: any,
+  organizationId: string,
+  memberId: string,
+  limit: number,
+  fullMessage: string,
+): Promise<number> {
+  for (let attempt = 1; attempt <= MAX_CLAIM_ATTEMPTS; attempt++) {
+    // Only flip rows that don't hold a seat yet, so a retry can't double count
+    const { data: claimed, error: claimError } = await supabase
+      .from("organization_members")
+      .update({ has_license: true })
+      .eq("id", memberId)
+      .eq("organization_id", organizationId)
+      .eq("has_license", false)
+      .select("id");
+
+    if (claimError) {
+      throw new Error(`Failed to assign seat: ${claimError.message}`);
+    }
+
+    const assigned = await countAssignedSeats(supabase, organizationId);
+
+    if (!claimed || claimed.length === 0 || assigned <= limit) {
+      return await syncUsedLicenses(supabase, organizationId);
+    }
+
+    const { error: rollbackError } = await supabase
+      .from("organization_members")
+      .update({ has_license: false })
+      .eq("id", memberId)
+      .eq("organization_id", organizationId);
+
+    if (rollbackError) {
+      // The seat is still held, so the license stays over-allocated until
+      // it is released or reconcile-seat-counts reports it
+      throw new Error(
+        `Failed to roll back seat of member ${memberId} beyond the license limit: ${rollbackError.message}`,
+      );
+    }
+
+    const remaining = await countAssignedSeats(supabase, organizationId);
+    if (remaining >= limit || attempt === MAX_CLAIM_ATTEMPTS) {
+      break;
+    }
+
+    await new Promise((resolve) =>
+      setTimeout(resolve, 50 + Math.random() * 200 * attempt)
+    );
+  }
+
+  await syncUsedLicenses(supabase, organizationId);
+  throw new SeatUnavailableError(fullMessage);
+}
+
+/**
+ * Take the seat from a membership row and recompute used_licenses
+ */
+export async function releaseSeat(
+  supabase: any,
+  organizationId: string,
+  memberId: string,
+): Promise<number> {
+  const { error } = await supabase
+    .from("organization_members")
+    .update({ has_license: false })
+    .eq("id", memberId)
+    .eq("organization_id", organizationId);
+
+  if (error) {
+    throw new Error(`Failed to unassign seat: ${error.message}`);
+  }
+
+  return await syncUsedLicenses(supabase, organizationId);
+}
+
+/**
+ * Keep at most totalLicenses seats, e.g. when a team trial becomes a paid
+ * license: the owner keeps theirs, then members who joined first. Seats
+ * beyond the limit are released. Returns the number of seats released.
+ */
+export async function keepSeatsWithinLicense(
+  supabase: any,
+  organizationId: string,
+  totalLicenses: number,
+): Promise<number> {
+  const { data: org, error: orgError } = await supabase
+    .from("organizations")
+    .select("owner_id")
+    .eq("id", organizationId)
+    .single();
+
+  if (orgError) {
+    throw new Error(`Failed to load organization: ${orgError.message}`);
+  }
+
+  const { data: seatHolders, error: seatsError } = await supabase
+    .from("organization_members")
+    .select("id, user_id")
+    .eq("organization_id", organizationId)
+    .eq("status", "active")
+    .eq("has_license", true)
+    .order("accepted_at", { ascending: true });
+
+  if (seatsError) {
+    throw new Error(`Failed to load seat holders: ${seatsError.message}`);
+  }
+
+  const ordered = [
+    ...(seatHolders || []).filter((m: any) => m.user_id === org.owner_id),
+    ...(seatHolders || []).filter((m: any) => m.user_id !== org.owner_id),
+  ];
+  const released = ordered.slice(Math.max(totalLicenses, 0));
+
+  if (released.length > 0) {
+    const { error: releaseError } = await supabase
+      .from("organization_members")
+      .update({ has_license: false })
+      .in("id", released.map((m: any) => m.id));
+
+    if (releaseError) {
+      throw new Error(`Failed to release seats: ${releaseError.message}`);
+    }
+  }
+
+  await syncUsedLicenses(supabase, organizationId);
+  return released.length;
+}
@@ -0,0 +1,154 @@
+/**
+ * Trial helpers shared by edge functions.
+ * A trial organization has organizations.is_trial set and ends at
+ * trial_expires_at (no grace period). Ops can extend a trial through
+ * extend-trial; paddle-webhook records the conversion when it is paid for.
+ *
+ * Team trials: the owner can invite up to trial_max_colleagues colleagues
+ * with a trial seat (has_license) that ends with the trial. They keep their
+ * seats when the trial converts (see keepSeatsWithinLicense in seats.ts).
+ */
+import { AUDIT_ACTIONS, recordAuditEvent } from "./audit.ts";
+
+// Customers can ask for more time once fewer days than this remain
+export const TRIAL_EXTENSION_REQUEST_DAYS = 3;
+
+// Longest single extension ops can grant
+export const MAX_TRIAL_EXTENSION_DAYS = 30;
+
+// Colleagues a new trial may invite (stored per organization at signup)
+export const DEFAULT_TRIAL_MAX_COLLEAGUES = parseInt(
+  Deno.env.get("TRIAL_MAX_COLLEAGUES") || "4",
+);
+
+/**
+ * Number of trial seats: the owner plus the invited colleagues
+ */
+export function getTrialSeatLimit(
+  org: { trial_max_colleagues?: number | null },
+): number {
+  return 1 + (org.trial_max_colleagues ?? DEFAULT_TRIAL_MAX_COLLEAGUES);
+}
+
+/**
+ * Whole days until a trial ends (0 or negative once it has ended)
+ */
+export function getTrialDaysRemaining(trialExpiresAt: string): number {
+  return Math.ceil(
+    (new Date(trialExpiresAt).getTime() - Date.now()) / (1000 * 60 * 60 * 24),
+  );
+}
+
+export type TrialConversionSource = "upgrade" | "new_organization";
+
+/**
+ * Record that a trial became paid
+ * trialOrganizationId is the personal trial organization when the purchase
+ * created a new organization to replace it, otherwise the trial is
+ * organizationId itself. Does nothing (returns false) if neither was on a
+ * trial. Failures are logged but never thrown - tracking must not fail the
+ * purchase.
+ */
+export async function recordTrialConversion(
+  supabase: any,
+  params: {
+    organizationId: string;
+    trialOrganizationId?: string | null;
+    transactionId: string;
+    quantity: number;
+    actorId?: string | null;
+    actorEmail?: string | null;
+  },
+): Promise<boolean> {
+  const trialOrganizationId = params.trialOrganizationId ||
+    params.organizationId;
+
+  try {
+    const { data: trialOrg, error: trialOrgError } = await supabase
+      .from("organizations")
+      .select("id, is_trial, trial_expires_at, created_at")
+      .eq("id", trialOrganizationId)
+      .maybeSingle();
+
+    if (trialOrgError) {
+      throw new Error(`Failed to load trial organization: ${trialOrgError.message}`);
+    }
+
+    if (!trialOrg?.is_trial) {
+      return false;
+    }
+
+    const { count: extensions, error: extensionsError } = await supabase
+      .from("trial_extensions")
+      .select("id", { count: "exact", head: true })
+      .eq("organization_id", trialOrganizationId);
+
+    if (extensionsError) {
+      throw new Error(`Failed to count trial extensions: ${extensionsError.message}`);
+    }
+
+    const convertedAt = new Date();
+    const source: TrialConversionSource =
+      trialOrganizationId === params.organizationId
+        ? "upgrade"
+        : "new_organization";
+    const daysIntoTrial = Math.floor(
+      (convertedAt.getTime() - new Date(trialOrg.created_at).getTime()) /
+        (1000 * 60 * 60 * 24),
+    );
+    const afterExpiry = !!trialOrg.trial_expires_at &&
+      new Date(trialOrg.trial_expires_at) < convertedAt;
+
+    const { error: insertError } = await supabase
+      .from("trial_conversions")
+      .insert({
+        organization_id: params.organizationId,
+        trial_organization_id: trialOrganizationId,
+        source,
+        trial_started_at: trialOrg.created_at,
+        trial_expires_at: trialOrg.trial_expires_at,
+        converted_at: convertedAt.toISOString(),
+        days_into_trial: daysIntoTrial,
+        converted_after_expiry: afterExpiry,
+        extensions: extensions || 0,
+        transaction_id: params.transactionId,
+        quantity: params.quantity,
+      });
+
+    if (insertError) {
+      throw new Error(`Failed to record trial conversion: ${insertError.message}`);
+    }
+
+    const { error: orgUpdateError } = await supabase
+      .from("organizations")
+      .update({ converted_at: convertedAt.toISOString() })
+      .eq("id", params.organizationId);
+
+    if (orgUpdateError) {
+      throw new Error(`Failed to mark organization converted: ${orgUpdateError.message}`);
+    }
+
+    await recordAuditEvent(supabase, {
+      organizationId: params.organizationId,
+      action: AUDIT_ACTIONS.TRIAL_CONVERTED,
+      actorId: params.actorId,
+      actorEmail: params.actorEmail,
+      details: {
+        source,
+        days_into_trial: daysIntoTrial,
+        converted_after_expiry: afterExpiry,
+        extensions: extensions || 0,
+        transaction_id: params.transactionId,
+        quantity: params.quantity,
+      },
+    });
+
+    console.log(
+      `Trial ${trialOrganizationId} converted to paid (${source}, day ${daysIntoTrial})`,
+    );
+    return true;
+  } catch (error) {
+    console.error("Error recording trial conversion:", error);
+    return false;
+  }
+}
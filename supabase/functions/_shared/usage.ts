@@ -0,0 +1,29 @@
+/**
+ * Seat usage tracking shared by edge functions.
+ * organization_members.last_used_at is the last time the member's desktop
+ * app checked in (activation, heartbeat or floating lease). The dashboard
+ * utilization report derives active and idle seats from it.
+ */
+
+/**
+ * Mark a membership as used now
+ * Failures are logged but never thrown - usage tracking must not block the
+ * app from starting.
+ */
+export async function recordSeatUsage(
+  supabase: any,
+  memberId: string,
+): Promise<string> {
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from("organization_members")
+    .update({ last_used_at: now })
+    .eq("id", memberId);
+
+  if (error) {
+    console.error(`Failed to record usage for member ${memberId}:`, error);
+  }
+
+  return now;
+}
@@ -0,0 +1,333 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  getGracePeriodEnd,
+  getGraceEndedMessage,
+  isInGracePeriod,
+  resolveExpiryPolicy,
+} from "../_shared/license-status.ts";
+import { signLicenseToken } from "../_shared/license-token.ts";
+import { countActiveDevices, getDeviceLimit } from "../_shared/devices.ts";
+import { FLOATING_LICENSE_TYPE } from "../_shared/leases.ts";
+import { recordSeatUsage } from "../_shared/usage.ts";
+
+// Longest a token stays valid before the app has to activate again
+const TOKEN_TTL_DAYS = parseInt(
+  Deno.env.get("LICENSE_TOKEN_TTL_DAYS") || "7",
+);
+
+const MAX_FINGERPRINT_LENGTH = 256;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+interface ActivateLicenseRequest {
+  deviceFingerprint: string;
+  organizationId?: string;
+  deviceName?: string;
+  os?: string;
+  appVersion?: string;
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Activate License Edge Function
+ * Called by the MepSketcher desktop app to activate the signed-in user's seat
+ * on a machine.
+ *
+ * - Finds the caller's seat (organization_members.has_license), in the given
+ *   organization or the first one where they hold a seat; with a floating
+ *   license every active member qualifies and the app then checks out a
+ *   lease (license-lease)
+ * - Checks organization_licenses.expires_at, allowing the organization's
+ *   grace period (expiry policy)
+ *   (trial organizations use trial_expires_at, without grace)
+ * - Enforces the organization's device limit per seat
+ *   (organizations.max_devices_per_seat); known devices always re-activate
+ * - Records the device in license_activations (one row per seat and device)
+ *   and the seat's last use (see license-heartbeat)
+ * - Returns an Ed25519-signed token the app verifies with the public key
+ */
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return jsonResponse({ error: "Missing authorization header" }, 401);
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    // Parse request body
+    let body: ActivateLicenseRequest;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return jsonResponse({ error: "Invalid JSON in request body" }, 400);
+    }
+
+    const deviceFingerprint = (body.deviceFingerprint || "").trim();
+
+    if (!deviceFingerprint) {
+      return jsonResponse(
+        { error: "Missing required field: deviceFingerprint" },
+        400,
+      );
+    }
+
+    if (deviceFingerprint.length > MAX_FINGERPRINT_LENGTH) {
+      return jsonResponse({ error: "Invalid device fingerprint" }, 400);
+    }
+
+    // 1. Find the caller's seat (any membership counts where the license is
+    //    floating; the app checks out a lease from license-lease afterwards)
+    let membershipQuery = supabaseClient
+      .from("organization_members")
+      .select(
+        "id, organization_id, email, has_license, organizations(id, name, is_trial, trial_expires_at, expiry_policy)",
+      )
+      .eq("user_id", user.id)
+      .eq("status", "active");
+
+    if (body.organizationId) {
+      membershipQuery = membershipQuery.eq(
+        "organization_id",
+        body.organizationId,
+      );
+    }
+
+    const { data: memberships, error: seatsError } = await membershipQuery;
+
+    if (seatsError) {
+      console.error("Error loading seats:", seatsError);
+      throw seatsError;
+    }
+
+    let seat = (memberships || []).find((m) => m.has_license);
+
+    if (!seat && memberships && memberships.length > 0) {
+      const { data: floatingLicenses, error: floatingError } =
+        await supabaseClient
+          .from("organization_licenses")
+          .select("organization_id")
+          .in(
+            "organization_id",
+            memberships.map((m) => m.organization_id),
+          )
+          .eq("license_type", FLOATING_LICENSE_TYPE);
+
+      if (floatingError) {
+        console.error("Error loading floating licenses:", floatingError);
+        throw floatingError;
+      }
+
+      seat = memberships.find((m) =>
+        (floatingLicenses || []).some(
+          (l) => l.organization_id === m.organization_id,
+        )
+      );
+    }
+
+    if (!seat) {
+      return jsonResponse(
+        {
+          error: "You do not have a license seat. Ask your organization admin to assign one.",
+          status: "no_seat",
+        },
+        403,
+      );
+    }
+
+    const organization = seat.organizations;
+
+    // 2. Check the license (or trial) is still usable
+    let licenseType: string;
+    let licenseExpiresAt: string;
+    let graceEndsAt: Date | null = null;
+    let status: string;
+
+    if (organization?.is_trial) {
+      if (
+        !organization.trial_expires_at ||
+        new Date(organization.trial_expires_at) < new Date()
+      ) {
+        return jsonResponse(
+          { error: "Your trial has expired", status: "trial_expired" },
+          403,
+        );
+      }
+
+      licenseType = "trial";
+      licenseExpiresAt = organization.trial_expires_at;
+      status = "trial";
+    } else {
+      const { data: license, error: licenseError } = await supabaseClient
+        .from("organization_licenses")
+        .select("license_type, expires_at")
+        .eq("organization_id", seat.organization_id)
+        .maybeSingle();
+
+      if (licenseError) {
+        console.error("Error loading license:", licenseError);
+        throw licenseError;
+      }
+
+      if (!license) {
+        return jsonResponse(
+          {
+            error: "No license found for this organization",
+            status: "no_license",
+          },
+          403,
+        );
+      }
+
+      const policy = resolveExpiryPolicy(organization?.expiry_policy);
+      const expired = new Date(license.expires_at) < new Date();
+
+      if (expired && !isInGracePeriod(license.expires_at, policy)) {
+        return jsonResponse(
+          {
+            error: getGraceEndedMessage(policy),
+            status: "expired",
+          },
+          403,
+        );
+      }
+
+      licenseType = license.license_type;
+      licenseExpiresAt = license.expires_at;
+      graceEndsAt = getGracePeriodEnd(license.expires_at, policy);
+      status = expired ? "grace_period" : "active";
+    }
+
+    // 3. Enforce the per-seat device limit
+    const deviceLimit = await getDeviceLimit(
+      supabaseClient,
+      seat.organization_id,
+    );
+    const otherDevices = await countActiveDevices(
+      supabaseClient,
+      seat.id,
+      deviceFingerprint,
+    );
+
+    if (otherDevices >= deviceLimit) {
+      return jsonResponse(
+        {
+          error: `This seat is already active on ${otherDevices} device${otherDevices !== 1 ? "s" : ""} (limit ${deviceLimit}). Deactivate a device from the dashboard first.`,
+          status: "device_limit",
+          deviceLimit,
+        },
+        409,
+      );
+    }
+
+    // 4. Record the activation (re-activating a device refreshes its row)
+    const now = new Date().toISOString();
+
+    const { data: activation, error: activationError } = await supabaseClient
+      .from("license_activations")
+      .upsert(
+        {
+          organization_id: seat.organization_id,
+          user_id: user.id,
+          member_id: seat.id,
+          device_fingerprint: deviceFingerprint,
+          device_name: body.deviceName?.slice(0, 200) || null,
+          os: body.os?.slice(0, 100) || null,
+          app_version: body.appVersion?.slice(0, 50) || null,
+          last_seen_at: now,
+          deactivated_at: null,
+        },
+        { onConflict: "member_id,device_fingerprint" },
+      )
+      .select("id, activated_at")
+      .single();
+
+    if (activationError) {
+      console.error("Error recording activation:", activationError);
+      throw activationError;
+    }
+
+    await recordSeatUsage(supabaseClient, seat.id);
+
+    // 5. Sign the token; it never outlives the license (or its grace period)
+    const tokenExpiry = new Date();
+    tokenExpiry.setDate(tokenExpiry.getDate() + TOKEN_TTL_DAYS);
+
+    const usableUntil = graceEndsAt || new Date(licenseExpiresAt);
+    const expiresAt = tokenExpiry < usableUntil ? tokenExpiry : usableUntil;
+
+    const licenseToken = await signLicenseToken({
+      kind: "activation",
+      sub: user.id,
+      email: seat.email || user.email || "",
+      org: seat.organization_id,
+      org_name: organization?.name || "",
+      seat: seat.id,
+      device: deviceFingerprint,
+      jti: activation.id,
+      license_type: licenseType,
+      status,
+      license_expires_at: licenseExpiresAt,
+      grace_ends_at: graceEndsAt ? graceEndsAt.toISOString() : null,
+      exp: Math.floor(expiresAt.getTime() / 1000),
+    });
+
+    console.log(
+      `Activated seat ${seat.id} for ${user.email} on device ${deviceFingerprint.substring(0, 8)}... (${status})`,
+    );
+
+    return jsonResponse({
+      success: true,
+      token: licenseToken,
+      expiresAt: expiresAt.toISOString(),
+      activationId: activation.id,
+      license: {
+        organizationId: seat.organization_id,
+        organizationName: organization?.name || null,
+        licenseType,
+        status,
+        licenseExpiresAt,
+        graceEndsAt: graceEndsAt ? graceEndsAt.toISOString() : null,
+      },
+    });
+  } catch (error) {
+    console.error("Error in activate-license function:", error);
+    return jsonResponse(
+      { error: error.message || "Internal server error" },
+      500,
+    );
+  }
+});
@@ -1,5 +1,10 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  CAPABILITIES,
+  getOrganizationRole,
+  hasCapability,
+} from "../_shared/permissions.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -92,19 +97,17 @@ Deno.serve(async (req) => {
       );
     }
 
-    // Verify user is an admin of the organization
-    const { data: membership, error: membershipError } = await supabaseClient
-      .from("organization_members")
-      .select("role, status")
-      .eq("user_id", user.id)
-      .eq("organization_id", organizationId)
-      .eq("status", "active")
-      .single();
+    // Verify user is allowed to manage billing for the organization
+    const role = await getOrganizationRole(
+      supabaseClient,
+      user.id,
+      organizationId,
+    );
 
-    if (membershipError || !membership || membership.role !== "admin") {
+    if (!hasCapability(role, CAPABILITIES.MANAGE_BILLING)) {
       return new Response(
         JSON.stringify({
-          error: "Only organization admins can purchase additional licenses",
+          error: "Only billing admins can purchase additional licenses",
         }),
         {
           status: 403,
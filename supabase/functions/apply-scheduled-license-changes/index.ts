@@ -1,5 +1,7 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from "jsr:@supabase/supabase-js@2";
+import { countAssignedSeats } from "../_shared/seats.ts";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../_shared/audit.ts";
 
 /**
  * Apply Scheduled License Changes Edge Function
@@ -169,8 +171,12 @@ async function applyScheduledChange(
     }
 
     // Step 2: Handle member unassignment if needed
-    if (newQuantity < license.used_licenses) {
-      const membersToUnassign = license.used_licenses - newQuantity;
+    const assignedSeats = await countAssignedSeats(
+      supabase,
+      license.organization_id,
+    );
+    if (newQuantity < assignedSeats) {
+      const membersToUnassign = assignedSeats - newQuantity;
       console.log(
         `Need to unassign ${membersToUnassign} member(s) for organization ${license.organization_id}`,
       );
@@ -184,7 +190,10 @@ async function applyScheduledChange(
     // Step 3: Update database - apply scheduled change and clear scheduling fields
     const updateData: any = {
       total_licenses: newQuantity,
-      used_licenses: Math.min(license.used_licenses, newQuantity), // Adjust if we unassigned members
+      used_licenses: await countAssignedSeats(
+        supabase,
+        license.organization_id,
+      ), // Recount after unassigning members
       scheduled_total_licenses: null,
       scheduled_change_at: null,
       scheduled_change_note: null,
@@ -223,6 +232,17 @@ async function applyScheduledChange(
       console.warn("Failed to log to renewal history:", historyError);
     }
 
+    await recordAuditEvent(supabase, {
+      organizationId: license.organization_id,
+      action: AUDIT_ACTIONS.LICENSE_SCHEDULED_CHANGE_APPLIED,
+      details: {
+        from: license.total_licenses,
+        to: newQuantity,
+        cancelled: isCancellation,
+        note: license.scheduled_change_note,
+      },
+    });
+
     console.log(
       `Successfully applied scheduled change for license ${license.id}`,
     );
@@ -401,6 +421,16 @@ async function unassignExcessMembers(
     `Unassigned ${members.length} member(s) for organization ${organizationId}`,
   );
 
+  for (const member of members) {
+    await recordAuditEvent(supabase, {
+      organizationId,
+      action: AUDIT_ACTIONS.SEAT_UNASSIGNED,
+      targetUserId: member.user_id,
+      targetEmail: member.email,
+      details: { reason: "scheduled_license_reduction" },
+    });
+  }
+
   // TODO: Send email notifications to unassigned members
   // This would integrate with your email service
 }
@@ -0,0 +1,509 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../_shared/audit.ts";
+import {
+  CAPABILITIES,
+  getOrganizationRole,
+  hasCapability,
+} from "../_shared/permissions.ts";
+
+/**
+ * Billing Details Edge Function
+ * Self-service payment method and billing address for an organization.
+ *
+ * Actions:
+ * - get (billing.view):                     stored billing details and the card
+ *                                           of the last payment
+ * - update (billing.manage):                save company name, VAT ID and
+ *                                           address, then push them to the
+ *                                           Paddle customer's address/business
+ * - update_payment_method (billing.manage): a Paddle transaction to open in
+ *                                           Paddle.Checkout for a new card
+ *
+ * Details are stored in organization_billing_details first, so they are kept
+ * even while the organization has no subscription or Paddle is unreachable.
+ */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+// Paddle API configuration
+const PADDLE_API_URL =
+  Deno.env.get("PADDLE_ENVIRONMENT") === "production"
+    ? "https://api.paddle.com"
+    : "https://sandbox-api.paddle.com";
+
+const PADDLE_API_KEY = Deno.env.get("PADDLE_API_KEY");
+
+// Longest value accepted for any billing detail
+const MAX_FIELD_LENGTH = 200;
+
+const BILLING_DETAIL_FIELDS = [
+  "company_name",
+  "tax_identifier",
+  "first_line",
+  "second_line",
+  "city",
+  "region",
+  "postal_code",
+  "country_code",
+] as const;
+
+type BillingDetailField = (typeof BILLING_DETAIL_FIELDS)[number];
+type BillingDetails = Record<BillingDetailField, string | null>;
+
+type BillingDetailsAction = "get" | "update" | "update_payment_method";
+
+interface BillingDetailsRequest {
+  action?: BillingDetailsAction;
+  organizationId: string;
+  details?: Partial<Record<BillingDetailField, string | null>>;
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return jsonResponse({ error: "Missing authorization header" }, 401);
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    // Parse request body
+    let body: BillingDetailsRequest;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return jsonResponse({ error: "Invalid JSON in request body" }, 400);
+    }
+
+    const { organizationId } = body;
+    const action = body.action || "get";
+
+    if (!organizationId) {
+      return jsonResponse(
+        { error: "Missing required field: organizationId" },
+        400,
+      );
+    }
+
+    if (!["get", "update", "update_payment_method"].includes(action)) {
+      return jsonResponse({ error: `Unknown action: ${action}` }, 400);
+    }
+
+    // 1. Reading needs billing.view, changing needs billing.manage
+    const callerRole = await getOrganizationRole(
+      supabaseClient,
+      user.id,
+      organizationId,
+    );
+
+    const capability = action === "get"
+      ? CAPABILITIES.VIEW_BILLING
+      : CAPABILITIES.MANAGE_BILLING;
+
+    if (!hasCapability(callerRole, capability)) {
+      return jsonResponse(
+        {
+          error: action === "get"
+            ? "You do not have permission to view billing"
+            : "You do not have permission to manage billing",
+        },
+        403,
+      );
+    }
+
+    // 2. The subscription the payment method and address belong to
+    const { data: license, error: licenseError } = await supabaseClient
+      .from("organization_licenses")
+      .select("subscription_id")
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (licenseError) {
+      console.error("Error loading license:", licenseError);
+      throw licenseError;
+    }
+
+    const subscriptionId: string | null = license?.subscription_id || null;
+
+    if (action === "update_payment_method") {
+      if (!subscriptionId) {
+        return jsonResponse(
+          { error: "This organization has no subscription to update" },
+          400,
+        );
+      }
+
+      if (!PADDLE_API_KEY) {
+        console.error("PADDLE_API_KEY not configured");
+        return jsonResponse({ error: "Billing is not configured" }, 500);
+      }
+
+      // 3a. Paddle creates a zero-amount transaction that collects the new
+      // payment method; checkout.completed means the card was saved
+      const transaction = await paddleRequest(
+        "GET",
+        `/subscriptions/${encodeURIComponent(subscriptionId)}/update-payment-method-transaction`,
+      );
+
+      return jsonResponse({
+        success: true,
+        subscriptionId,
+        transactionId: transaction.id,
+      });
+    }
+
+    if (action === "get") {
+      // 3b. Stored details and, when Paddle is configured, the current card
+      const details = await loadBillingDetails(supabaseClient, organizationId);
+
+      let paymentMethod = null;
+      if (subscriptionId && PADDLE_API_KEY) {
+        try {
+          paymentMethod = await getPaymentMethod(subscriptionId);
+        } catch (error) {
+          // Non-fatal - the details can still be edited
+          console.error("Error loading payment method:", error);
+        }
+      }
+
+      return jsonResponse({
+        success: true,
+        subscriptionId,
+        details,
+        paymentMethod,
+      });
+    }
+
+    // 3c. Validate and save the new details
+    const validation = validateBillingDetails(body.details || {});
+    if ("error" in validation) {
+      return jsonResponse({ error: validation.error }, 400);
+    }
+
+    const details = validation.details;
+    const previous = await loadBillingDetails(supabaseClient, organizationId);
+
+    const { error: saveError } = await supabaseClient
+      .from("organization_billing_details")
+      .upsert({
+        organization_id: organizationId,
+        ...details,
+        updated_by: user.id,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: "organization_id" });
+
+    if (saveError) {
+      console.error("Error saving billing details:", saveError);
+      throw saveError;
+    }
+
+    // 4. Push them to Paddle so the next invoices carry them
+    let synced = false;
+    let syncError: string | null = null;
+
+    if (subscriptionId && PADDLE_API_KEY) {
+      try {
+        const paddleIds = await pushBillingDetailsToPaddle(
+          subscriptionId,
+          details,
+        );
+
+        await supabaseClient
+          .from("organization_billing_details")
+          .update({
+            paddle_customer_id: paddleIds.customerId,
+            paddle_address_id: paddleIds.addressId,
+            paddle_business_id: paddleIds.businessId,
+            synced_at: new Date().toISOString(),
+          })
+          .eq("organization_id", organizationId);
+
+        synced = true;
+      } catch (error) {
+        console.error("Error pushing billing details to Paddle:", error);
+        syncError = error.message || "Paddle could not be updated";
+      }
+    }
+
+    await recordAuditEvent(supabaseClient, {
+      organizationId,
+      action: AUDIT_ACTIONS.BILLING_DETAILS_UPDATED,
+      actorId: user.id,
+      actorEmail: user.email,
+      details: {
+        changed: BILLING_DETAIL_FIELDS.filter((field) =>
+          (previous?.[field] || null) !== details[field]
+        ),
+        synced,
+      },
+    });
+
+    return jsonResponse({
+      success: true,
+      details: await loadBillingDetails(supabaseClient, organizationId),
+      synced,
+      syncError,
+    });
+  } catch (error) {
+    console.error("Error in billing-details function:", error);
+    return jsonResponse(
+      { error: error.message || "Internal server error" },
+      500,
+    );
+  }
+});
+
+/**
+ * Stored billing details of an organization (null if never saved)
+ */
+async function loadBillingDetails(
+  supabase: any,
+  organizationId: string,
+): Promise<Record<string, any> | null> {
+  const { data, error } = await supabase
+    .from("organization_billing_details")
+    .select(`${BILLING_DETAIL_FIELDS.join(", ")}, updated_at, synced_at`)
+    .eq("organization_id", organizationId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load billing details: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Trim the submitted details and check them
+ * Empty values become null. Paddle needs a country for every address and a
+ * company for a VAT ID.
+ */
+function validateBillingDetails(
+  input: Partial<Record<BillingDetailField, string | null>>,
+): { details: BillingDetails } | { error: string } {
+  const details = {} as BillingDetails;
+
+  for (const field of BILLING_DETAIL_FIELDS) {
+    const value = input[field];
+
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      return { error: `Invalid value for ${field}` };
+    }
+
+    const trimmed = (value || "").trim();
+
+    if (trimmed.length > MAX_FIELD_LENGTH) {
+      return {
+        error: `${field} must be at most ${MAX_FIELD_LENGTH} characters`,
+      };
+    }
+
+    details[field] = trimmed || null;
+  }
+
+  details.country_code = details.country_code?.toUpperCase() || null;
+
+  if (!details.country_code || !/^[A-Z]{2}$/.test(details.country_code)) {
+    return { error: "country_code must be a two-letter country code" };
+  }
+
+  if (details.tax_identifier && !details.company_name) {
+    return { error: "A VAT ID needs a company name" };
+  }
+
+  return { details };
+}
+
+/**
+ * Card (or other method) used for the subscription's last payment
+ */
+async function getPaymentMethod(
+  subscriptionId: string,
+): Promise<Record<string, unknown> | null> {
+  const params = new URLSearchParams({
+    subscription_id: subscriptionId,
+    status: "completed,paid,past_due",
+    order_by: "billed_at[DESC]",
+    per_page: "5",
+  });
+
+  const transactions = await paddleRequest("GET", `/transactions?${params}`);
+
+  for (const transaction of transactions || []) {
+    const payment = (transaction.payments || []).find((p: any) =>
+      p.status === "captured" && p.method_details
+    );
+
+    if (payment) {
+      const card = payment.method_details.card;
+      return {
+        type: payment.method_details.type,
+        card_type: card?.type || null,
+        last4: card?.last4 || null,
+        expiry_month: card?.expiry_month || null,
+        expiry_year: card?.expiry_year || null,
+        captured_at: payment.captured_at || null,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Write the details to the subscription's Paddle customer
+ * The address is updated in place unless the country changed (Paddle keeps
+ * an address's country), in which case a new address is created. A company
+ * name becomes the customer's business; without one the subscription is
+ * billed to the customer alone.
+ */
+async function pushBillingDetailsToPaddle(
+  subscriptionId: string,
+  details: BillingDetails,
+): Promise<{
+  customerId: string;
+  addressId: string;
+  businessId: string | null;
+}> {
+  const subscription = await paddleRequest(
+    "GET",
+    `/subscriptions/${encodeURIComponent(subscriptionId)}`,
+  );
+
+  const customerId: string = subscription.customer_id;
+  const customerPath = `/customers/${encodeURIComponent(customerId)}`;
+  const subscriptionChanges: Record<string, string | null> = {};
+
+  // Address
+  const address = {
+    first_line: details.first_line,
+    second_line: details.second_line,
+    city: details.city,
+    region: details.region,
+    postal_code: details.postal_code,
+  };
+
+  const currentAddress = subscription.address_id
+    ? await paddleRequest(
+      "GET",
+      `${customerPath}/addresses/${encodeURIComponent(subscription.address_id)}`,
+    )
+    : null;
+
+  let addressId: string;
+
+  if (currentAddress?.country_code === details.country_code) {
+    await paddleRequest(
+      "PATCH",
+      `${customerPath}/addresses/${encodeURIComponent(currentAddress.id)}`,
+      address,
+    );
+    addressId = currentAddress.id;
+  } else {
+    const created = await paddleRequest("POST", `${customerPath}/addresses`, {
+      ...address,
+      country_code: details.country_code,
+    });
+    addressId = created.id;
+    subscriptionChanges.address_id = addressId;
+  }
+
+  // Business (company name and VAT ID)
+  let businessId: string | null = subscription.business_id || null;
+
+  if (details.company_name) {
+    const business = {
+      name: details.company_name,
+      tax_identifier: details.tax_identifier,
+    };
+
+    if (businessId) {
+      await paddleRequest(
+        "PATCH",
+        `${customerPath}/businesses/${encodeURIComponent(businessId)}`,
+        business,
+      );
+    } else {
+      const created = await paddleRequest(
+        "POST",
+        `${customerPath}/businesses`,
+        business,
+      );
+      businessId = created.id;
+      subscriptionChanges.business_id = businessId;
+    }
+  } else if (businessId) {
+    businessId = null;
+    subscriptionChanges.business_id = null;
+  }
+
+  if (Object.keys(subscriptionChanges).length > 0) {
+    await paddleRequest(
+      "PATCH",
+      `/subscriptions/${encodeURIComponent(subscriptionId)}`,
+      subscriptionChanges,
+    );
+  }
+
+  return { customerId, addressId, businessId };
+}
+
+/**
+ * Call the Paddle API and return the response data
+ */
+async function paddleRequest(
+  method: "GET" | "POST" | "PATCH",
+  path: string,
+  body?: Record<string, unknown>,
+): Promise<any> {
+  const response = await fetch(`${PADDLE_API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${PADDLE_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Paddle API error: ${errorText}`);
+  }
+
+  const result = await response.json();
+  return result.data;
+}
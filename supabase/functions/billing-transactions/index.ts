@@ -0,0 +1,427 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  CAPABILITIES,
+  getOrganizationRole,
+  hasCapability,
+} from "../_shared/permissions.ts";
+
+/**
+ * Billing Transactions Edge Function
+ * Payment history of an organization, read from the Paddle transactions API
+ * so customers can find their invoices in the dashboard's Billing tab.
+ *
+ * Actions (billing.view):
+ * - list:    the organization's transactions (newest first) and the license
+ *            changes recorded in license_renewal_history
+ * - invoice: a short-lived invoice PDF link for one of those transactions
+ *
+ * An organization's transactions are the ones on its subscription plus the
+ * purchases recorded by service-written sources: organization_licenses.paddle_id
+ * and processed transaction.completed events in paddle_webhook_events whose
+ * custom_data names the organization. A recorded purchase is only shown if
+ * Paddle agrees it was made for the organization (custom_data or customer).
+ */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+// Paddle API configuration
+const PADDLE_API_URL =
+  Deno.env.get("PADDLE_ENVIRONMENT") === "production"
+    ? "https://api.paddle.com"
+    : "https://sandbox-api.paddle.com";
+
+const PADDLE_API_KEY = Deno.env.get("PADDLE_API_KEY");
+
+// Draft and ready transactions were never billed and have no invoice
+const BILLED_STATUSES = "billed,paid,completed,canceled,past_due";
+
+// Statuses Paddle issues an invoice for
+const INVOICE_STATUSES = ["billed", "paid", "completed", "past_due"];
+
+// Paddle pages to read per subscription (100 transactions each)
+const MAX_PAGES = 5;
+
+type BillingAction = "list" | "invoice";
+
+interface BillingTransactionsRequest {
+  action?: BillingAction;
+  organizationId: string;
+  transactionId?: string;
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return jsonResponse({ error: "Missing authorization header" }, 401);
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    // Parse request body
+    let body: BillingTransactionsRequest;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return jsonResponse({ error: "Invalid JSON in request body" }, 400);
+    }
+
+    const { organizationId } = body;
+    const action = body.action || "list";
+
+    if (!organizationId) {
+      return jsonResponse(
+        { error: "Missing required field: organizationId" },
+        400,
+      );
+    }
+
+    if (action !== "list" && action !== "invoice") {
+      return jsonResponse({ error: `Unknown action: ${action}` }, 400);
+    }
+
+    // 1. Only roles that can see billing
+    const callerRole = await getOrganizationRole(
+      supabaseClient,
+      user.id,
+      organizationId,
+    );
+
+    if (!hasCapability(callerRole, CAPABILITIES.VIEW_BILLING)) {
+      return jsonResponse(
+        { error: "You do not have permission to view billing" },
+        403,
+      );
+    }
+
+    if (!PADDLE_API_KEY) {
+      console.error("PADDLE_API_KEY not configured");
+      return jsonResponse({ error: "Billing is not configured" }, 500);
+    }
+
+    // 2. Find the organization's subscription, purchases and Paddle customers
+    const billing = await getOrganizationBilling(
+      supabaseClient,
+      organizationId,
+    );
+
+    if (action === "invoice") {
+      if (!body.transactionId) {
+        return jsonResponse(
+          { error: "Missing required field: transactionId" },
+          400,
+        );
+      }
+
+      // 3a. The transaction must belong to the organization
+      const transaction = await paddleRequest(
+        `/transactions/${encodeURIComponent(body.transactionId)}`,
+      );
+
+      if (
+        !transaction ||
+        !belongsToOrganization(transaction, organizationId, billing)
+      ) {
+        return jsonResponse({ error: "Transaction not found" }, 404);
+      }
+
+      if (!INVOICE_STATUSES.includes(transaction.status)) {
+        return jsonResponse(
+          { error: "No invoice is available for this transaction" },
+          400,
+        );
+      }
+
+      const invoice = await paddleRequest(
+        `/transactions/${encodeURIComponent(transaction.id)}/invoice?disposition=attachment`,
+      );
+
+      if (!invoice?.url) {
+        return jsonResponse(
+          { error: "No invoice is available for this transaction" },
+          404,
+        );
+      }
+
+      return jsonResponse({
+        success: true,
+        transactionId: transaction.id,
+        invoiceNumber: transaction.invoice_number || null,
+        url: invoice.url,
+      });
+    }
+
+    // 3b. Collect the transactions and the license change history
+    const transactions = new Map<string, any>();
+
+    for (const subscriptionId of billing.subscriptionIds) {
+      for (
+        const transaction of await listTransactions({
+          subscription_id: subscriptionId,
+        })
+      ) {
+        transactions.set(transaction.id, transaction);
+      }
+    }
+
+    const missingIds = billing.transactionIds.filter((id) =>
+      !transactions.has(id)
+    );
+    if (missingIds.length > 0) {
+      for (
+        const transaction of await listTransactions({ id: missingIds.join(",") })
+      ) {
+        if (belongsToOrganization(transaction, organizationId, billing)) {
+          transactions.set(transaction.id, transaction);
+        }
+      }
+    }
+
+    const { data: history, error: historyError } = await supabaseClient
+      .from("license_renewal_history")
+      .select("id, action, previous_quantity, new_quantity, note, created_at")
+      .eq("organization_id", organizationId)
+      .order("created_at", { ascending: false });
+
+    if (historyError) {
+      // Non-fatal - the transactions are what customers come for
+      console.error("Error loading license renewal history:", historyError);
+    }
+
+    const sorted = Array.from(transactions.values())
+      .map(toBillingTransaction)
+      .sort((a, b) => b.date.localeCompare(a.date));
+
+    return jsonResponse({
+      success: true,
+      transactions: sorted,
+      history: history || [],
+    });
+  } catch (error) {
+    console.error("Error in billing-transactions function:", error);
+    return jsonResponse(
+      { error: error.message || "Internal server error" },
+      500,
+    );
+  }
+});
+
+interface OrganizationBilling {
+  subscriptionIds: string[];
+  transactionIds: string[];
+  customerIds: string[];
+}
+
+/**
+ * Subscription, transaction and Paddle customer ids recorded for an
+ * organization
+ * Only read from tables the browser can't write to; members can insert audit
+ * events, so license.purchased events are no proof of a purchase.
+ */
+async function getOrganizationBilling(
+  supabase: any,
+  organizationId: string,
+): Promise<OrganizationBilling> {
+  const { data: licenses, error: licenseError } = await supabase
+    .from("organization_licenses")
+    .select("subscription_id, paddle_id")
+    .eq("organization_id", organizationId);
+
+  if (licenseError) {
+    throw new Error(`Failed to load license: ${licenseError.message}`);
+  }
+
+  const { data: purchases, error: purchasesError } = await supabase
+    .from("paddle_webhook_events")
+    .select("transaction_id:payload->data->>id")
+    .eq("event_type", "transaction.completed")
+    .eq("status", "processed")
+    .eq("payload->data->custom_data->>organizationId", organizationId);
+
+  if (purchasesError) {
+    throw new Error(`Failed to load purchases: ${purchasesError.message}`);
+  }
+
+  const { data: details, error: detailsError } = await supabase
+    .from("organization_billing_details")
+    .select("paddle_customer_id")
+    .eq("organization_id", organizationId)
+    .maybeSingle();
+
+  if (detailsError) {
+    throw new Error(`Failed to load billing details: ${detailsError.message}`);
+  }
+
+  const subscriptionIds = new Set<string>();
+  const transactionIds = new Set<string>();
+  const customerIds = new Set<string>();
+
+  (licenses || []).forEach((license: any) => {
+    if (license.subscription_id) subscriptionIds.add(license.subscription_id);
+    if (license.paddle_id) transactionIds.add(license.paddle_id);
+  });
+
+  (purchases || []).forEach((event: any) => {
+    if (event.transaction_id) transactionIds.add(event.transaction_id);
+  });
+
+  if (details?.paddle_customer_id) customerIds.add(details.paddle_customer_id);
+
+  for (const subscriptionId of subscriptionIds) {
+    const subscription = await paddleRequest(
+      `/subscriptions/${encodeURIComponent(subscriptionId)}`,
+    );
+    if (subscription?.customer_id) customerIds.add(subscription.customer_id);
+  }
+
+  return {
+    subscriptionIds: Array.from(subscriptionIds),
+    transactionIds: Array.from(transactionIds),
+    customerIds: Array.from(customerIds),
+  };
+}
+
+/**
+ * Whether a Paddle transaction is the organization's: on one of its
+ * subscriptions, or a recorded purchase that Paddle also ties to it through
+ * custom_data or the paying customer
+ */
+function belongsToOrganization(
+  transaction: any,
+  organizationId: string,
+  billing: OrganizationBilling,
+): boolean {
+  if (
+    transaction.subscription_id &&
+    billing.subscriptionIds.includes(transaction.subscription_id)
+  ) {
+    return true;
+  }
+
+  if (!billing.transactionIds.includes(transaction.id)) {
+    return false;
+  }
+
+  const customOrganizationId = transaction.custom_data?.organizationId ||
+    transaction.custom_data?.organization_id;
+
+  return customOrganizationId === organizationId ||
+    (!!transaction.customer_id &&
+      billing.customerIds.includes(transaction.customer_id));
+}
+
+/**
+ * List billed transactions matching a Paddle filter, following pagination
+ */
+async function listTransactions(
+  filter: Record<string, string>,
+): Promise<any[]> {
+  const params = new URLSearchParams({
+    ...filter,
+    status: BILLED_STATUSES,
+    order_by: "billed_at[DESC]",
+    per_page: "100",
+  });
+
+  const transactions: any[] = [];
+  let path: string | null = `/transactions?${params}`;
+
+  for (let page = 0; path && page < MAX_PAGES; page++) {
+    const response = await fetch(
+      path.startsWith("http") ? path : `${PADDLE_API_URL}${path}`,
+      {
+        headers: { Authorization: `Bearer ${PADDLE_API_KEY}` },
+      },
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Paddle API error: ${errorText}`);
+    }
+
+    const result = await response.json();
+    transactions.push(...(result.data || []));
+
+    path = result.meta?.pagination?.has_more
+      ? result.meta.pagination.next
+      : null;
+  }
+
+  return transactions;
+}
+
+/**
+ * GET a single Paddle resource and return its data (null if not found)
+ */
+async function paddleRequest(path: string): Promise<any> {
+  const response = await fetch(`${PADDLE_API_URL}${path}`, {
+    headers: { Authorization: `Bearer ${PADDLE_API_KEY}` },
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Paddle API error: ${errorText}`);
+  }
+
+  const result = await response.json();
+  return result.data;
+}
+
+/**
+ * The fields the Billing tab shows
+ * Amounts stay in the currency's lowest denomination, as Paddle sends them.
+ */
+function toBillingTransaction(transaction: any) {
+  return {
+    id: transaction.id,
+    date: transaction.billed_at || transaction.created_at,
+    status: transaction.status,
+    origin: transaction.origin,
+    invoice_number: transaction.invoice_number || null,
+    seats: (transaction.items || []).reduce(
+      (sum: number, item: any) => sum + (item.quantity || 0),
+      0,
+    ),
+    amount: transaction.details?.totals?.grand_total ?? null,
+    currency: transaction.currency_code,
+    has_invoice: INVOICE_STATUSES.includes(transaction.status),
+  };
+}
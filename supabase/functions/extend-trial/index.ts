@@ -0,0 +1,213 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../_shared/audit.ts";
+import { isOpsAdmin } from "../_shared/ops.ts";
+import { MAX_TRIAL_EXTENSION_DAYS } from "../_shared/trials.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+interface ExtendTrialRequest {
+  organizationId: string;
+  days: number;
+  reason: string;
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Extend Trial Edge Function
+ * Ops only (OPS_ADMIN_EMAILS): extends an organization's trial by N days.
+ *
+ * - The extension counts from the current expiry, or from now if the trial
+ *   has already ended
+ * - Every extension is kept in trial_extensions with its reason
+ * - Pending trial_extension_requests of the organization are approved
+ */
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return jsonResponse({ error: "Missing authorization header" }, 401);
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    if (!isOpsAdmin(user)) {
+      return jsonResponse(
+        { error: "Only the MepSketcher team can extend trials" },
+        403,
+      );
+    }
+
+    // Parse request body
+    let body: ExtendTrialRequest;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return jsonResponse({ error: "Invalid JSON in request body" }, 400);
+    }
+
+    const { organizationId, days } = body;
+    const reason = (body.reason || "").trim().slice(0, 500);
+
+    if (!organizationId || days === undefined || !reason) {
+      return jsonResponse(
+        { error: "Missing required fields: organizationId, days, reason" },
+        400,
+      );
+    }
+
+    if (
+      !Number.isInteger(days) || days < 1 || days > MAX_TRIAL_EXTENSION_DAYS
+    ) {
+      return jsonResponse(
+        {
+          error: `days must be a whole number between 1 and ${MAX_TRIAL_EXTENSION_DAYS}`,
+        },
+        400,
+      );
+    }
+
+    // 1. Load the trial
+    const { data: org, error: orgError } = await supabaseClient
+      .from("organizations")
+      .select("id, name, is_trial, trial_expires_at")
+      .eq("id", organizationId)
+      .maybeSingle();
+
+    if (orgError) {
+      console.error("Error loading organization:", orgError);
+      throw orgError;
+    }
+
+    if (!org) {
+      return jsonResponse({ error: "Organization not found" }, 404);
+    }
+
+    if (!org.is_trial) {
+      return jsonResponse(
+        { error: "This organization is not on a trial" },
+        400,
+      );
+    }
+
+    // 2. Extend from the later of now and the current expiry
+    const now = new Date();
+    const currentExpiry = org.trial_expires_at
+      ? new Date(org.trial_expires_at)
+      : now;
+    const base = currentExpiry > now ? currentExpiry : now;
+    const newExpiry = new Date(base.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const { error: updateError } = await supabaseClient
+      .from("organizations")
+      .update({ trial_expires_at: newExpiry.toISOString() })
+      .eq("id", organizationId);
+
+    if (updateError) {
+      console.error("Error extending trial:", updateError);
+      throw updateError;
+    }
+
+    // 3. Keep the history
+    const { data: extension, error: insertError } = await supabaseClient
+      .from("trial_extensions")
+      .insert({
+        organization_id: organizationId,
+        days,
+        reason,
+        extended_by: user.id,
+        extended_by_email: user.email,
+        previous_expires_at: org.trial_expires_at,
+        new_expires_at: newExpiry.toISOString(),
+      })
+      .select("id")
+      .single();
+
+    if (insertError) {
+      console.error("Error recording trial extension:", insertError);
+      throw insertError;
+    }
+
+    // 4. Answer pending customer requests
+    const { data: approvedRequests, error: requestsError } =
+      await supabaseClient
+        .from("trial_extension_requests")
+        .update({
+          status: "approved",
+          resolved_at: now.toISOString(),
+          resolved_by: user.id,
+          extension_id: extension.id,
+        })
+        .eq("organization_id", organizationId)
+        .eq("status", "pending")
+        .select("id");
+
+    if (requestsError) {
+      // Non-fatal - the trial is already extended
+      console.error("Error resolving trial extension requests:", requestsError);
+    }
+
+    await recordAuditEvent(supabaseClient, {
+      organizationId,
+      action: AUDIT_ACTIONS.TRIAL_EXTENDED,
+      actorId: user.id,
+      actorEmail: user.email,
+      details: {
+        days,
+        reason,
+        previous_expires_at: org.trial_expires_at,
+        new_expires_at: newExpiry.toISOString(),
+      },
+    });
+
+    console.log(
+      `Trial of ${org.name} (${organizationId}) extended by ${days} day(s) to ${newExpiry.toISOString()} by ${user.email}`,
+    );
+
+    return jsonResponse({
+      success: true,
+      extensionId: extension.id,
+      previousExpiresAt: org.trial_expires_at,
+      trialExpiresAt: newExpiry.toISOString(),
+      requestsApproved: approvedRequests?.length || 0,
+    });
+  } catch (error) {
+    console.error("Error in extend-trial function:", error);
+    return jsonResponse(
+      { error: error.message || "Internal server error" },
+      500,
+    );
+  }
+});
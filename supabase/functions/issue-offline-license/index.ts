@@ -0,0 +1,312 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  CAPABILITIES,
+  getOrganizationRole,
+  hasCapability,
+} from "../_shared/permissions.ts";
+import {
+  getGracePeriodEnd,
+  getGraceEndedMessage,
+  isInGracePeriod,
+  resolveExpiryPolicy,
+} from "../_shared/license-status.ts";
+import { signLicenseToken } from "../_shared/license-token.ts";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../_shared/audit.ts";
+import { countActiveDevices, getDeviceLimit } from "../_shared/devices.ts";
+
+// Offline files are time-limited; callers pick a validity within this range
+const DEFAULT_VALID_DAYS = 30;
+const MAX_VALID_DAYS = parseInt(
+  Deno.env.get("OFFLINE_LICENSE_MAX_DAYS") || "90",
+);
+
+const MAX_FINGERPRINT_LENGTH = 256;
+
+const OFFLINE_LICENSE_FORMAT = "mepsketcher-offline-license";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+interface IssueOfflineLicenseRequest {
+  organizationId: string;
+  userId?: string;
+  validDays?: number;
+  deviceFingerprint: string;
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Issue Offline License Edge Function
+ * Creates a signed, time-limited license file for a seat holder who works
+ * without connectivity (e.g. on a construction site).
+ *
+ * - Members may issue a file for their own seat; member managers and billing
+ *   managers may issue one for any seat holder of the organization
+ * - The file never outlives the license grace period
+ * - Bound to one device fingerprint, which is recorded in license_activations
+ *   and counts against the seat's device limit like an activation
+ * - Recorded in offline_licenses and the audit log
+ */
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return jsonResponse({ error: "Missing authorization header" }, 401);
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    // Parse request body
+    let body: IssueOfflineLicenseRequest;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return jsonResponse({ error: "Invalid JSON in request body" }, 400);
+    }
+
+    const { organizationId } = body;
+    const targetUserId = body.userId || user.id;
+    const deviceFingerprint = (body.deviceFingerprint || "").trim();
+
+    if (!organizationId || !deviceFingerprint) {
+      return jsonResponse(
+        {
+          error: "Missing required fields: organizationId, deviceFingerprint",
+        },
+        400,
+      );
+    }
+
+    if (deviceFingerprint.length > MAX_FINGERPRINT_LENGTH) {
+      return jsonResponse({ error: "Invalid device fingerprint" }, 400);
+    }
+
+    const validDays = Math.min(
+      Math.max(Math.floor(Number(body.validDays) || DEFAULT_VALID_DAYS), 1),
+      MAX_VALID_DAYS,
+    );
+
+    // Issuing for someone else needs a manager role
+    if (targetUserId !== user.id) {
+      const callerRole = await getOrganizationRole(
+        supabaseClient,
+        user.id,
+        organizationId,
+      );
+
+      if (
+        !hasCapability(callerRole, CAPABILITIES.MANAGE_MEMBERS) &&
+        !hasCapability(callerRole, CAPABILITIES.MANAGE_BILLING)
+      ) {
+        return jsonResponse(
+          {
+            error:
+              "You do not have permission to issue offline licenses for other members",
+          },
+          403,
+        );
+      }
+    }
+
+    // 1. The target must hold a seat
+    const { data: seat, error: seatError } = await supabaseClient
+      .from("organization_members")
+      .select("id, email, organizations(name, expiry_policy)")
+      .eq("organization_id", organizationId)
+      .eq("user_id", targetUserId)
+      .eq("status", "active")
+      .eq("has_license", true)
+      .maybeSingle();
+
+    if (seatError) {
+      console.error("Error loading seat:", seatError);
+      throw seatError;
+    }
+
+    if (!seat) {
+      return jsonResponse(
+        { error: "This member does not have a license seat" },
+        400,
+      );
+    }
+
+    // 2. The license must be active or in its grace period
+    const { data: license, error: licenseError } = await supabaseClient
+      .from("organization_licenses")
+      .select("license_type, expires_at")
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (licenseError) {
+      console.error("Error loading license:", licenseError);
+      throw licenseError;
+    }
+
+    if (!license) {
+      return jsonResponse(
+        { error: "No license found for this organization" },
+        400,
+      );
+    }
+
+    const policy = resolveExpiryPolicy(seat.organizations?.expiry_policy);
+    const expired = new Date(license.expires_at) < new Date();
+
+    if (expired && !isInGracePeriod(license.expires_at, policy)) {
+      return jsonResponse({ error: getGraceEndedMessage(policy) }, 400);
+    }
+
+    const graceEndsAt = getGracePeriodEnd(license.expires_at, policy);
+    const requestedExpiry = new Date();
+    requestedExpiry.setDate(requestedExpiry.getDate() + validDays);
+    const expiresAt = requestedExpiry < graceEndsAt
+      ? requestedExpiry
+      : graceEndsAt;
+
+    // 3. Enforce the per-seat device limit (a known device never counts)
+    const deviceLimit = await getDeviceLimit(supabaseClient, organizationId);
+    const otherDevices = await countActiveDevices(
+      supabaseClient,
+      seat.id,
+      deviceFingerprint,
+    );
+
+    if (otherDevices >= deviceLimit) {
+      return jsonResponse(
+        {
+          error: `This seat is already active on ${otherDevices} device${otherDevices !== 1 ? "s" : ""} (limit ${deviceLimit}). Deactivate a device from the dashboard first.`,
+          status: "device_limit",
+          deviceLimit,
+        },
+        409,
+      );
+    }
+
+    // Known devices keep their name, OS and app version
+    const { error: activationError } = await supabaseClient
+      .from("license_activations")
+      .upsert(
+        {
+          organization_id: organizationId,
+          user_id: targetUserId,
+          member_id: seat.id,
+          device_fingerprint: deviceFingerprint,
+          deactivated_at: null,
+        },
+        { onConflict: "member_id,device_fingerprint" },
+      );
+
+    if (activationError) {
+      console.error("Error recording device:", activationError);
+      throw activationError;
+    }
+
+    // 4. Record the file so it can be listed and audited
+    const { data: offlineLicense, error: insertError } = await supabaseClient
+      .from("offline_licenses")
+      .insert({
+        organization_id: organizationId,
+        user_id: targetUserId,
+        member_id: seat.id,
+        issued_by: user.id,
+        device_fingerprint: deviceFingerprint,
+        expires_at: expiresAt.toISOString(),
+      })
+      .select("id, issued_at")
+      .single();
+
+    if (insertError) {
+      console.error("Error recording offline license:", insertError);
+      throw insertError;
+    }
+
+    // 5. Sign it
+    const claims = {
+      kind: "offline" as const,
+      sub: targetUserId,
+      email: seat.email || "",
+      org: organizationId,
+      org_name: seat.organizations?.name || "",
+      seat: seat.id,
+      device: deviceFingerprint,
+      jti: offlineLicense.id,
+      license_type: license.license_type,
+      status: expired ? "grace_period" : "active",
+      license_expires_at: license.expires_at,
+      grace_ends_at: graceEndsAt.toISOString(),
+      exp: Math.floor(expiresAt.getTime() / 1000),
+    };
+
+    const licenseFile = {
+      format: OFFLINE_LICENSE_FORMAT,
+      version: 1,
+      issued_at: offlineLicense.issued_at,
+      // Readable copy for support; verifiers trust only the signed token
+      license: claims,
+      token: await signLicenseToken(claims),
+    };
+
+    await recordAuditEvent(supabaseClient, {
+      organizationId,
+      action: AUDIT_ACTIONS.OFFLINE_LICENSE_ISSUED,
+      actorId: user.id,
+      actorEmail: user.email,
+      targetUserId,
+      targetEmail: seat.email,
+      details: {
+        offline_license_id: offlineLicense.id,
+        expires_at: expiresAt.toISOString(),
+        device_fingerprint: deviceFingerprint,
+      },
+    });
+
+    console.log(
+      `Issued offline license ${offlineLicense.id} for ${seat.email} (valid until ${expiresAt.toISOString()})`,
+    );
+
+    return jsonResponse({
+      success: true,
+      offlineLicenseId: offlineLicense.id,
+      expiresAt: expiresAt.toISOString(),
+      file: licenseFile,
+    });
+  } catch (error) {
+    console.error("Error in issue-offline-license function:", error);
+    return jsonResponse(
+      { error: error.message || "Internal server error" },
+      500,
+    );
+  }
+});
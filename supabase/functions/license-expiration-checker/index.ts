@@ -1,25 +1,74 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from "jsr:@supabase/supabase-js@2";
+import { getBillingContactEmails } from "../_shared/billing-contacts.ts";
+import {
+  EmailResult,
+  escapeHtml,
+  renderDetailsTable,
+  renderEmailLayout,
+  sendEmail,
+} from "../_shared/email.ts";
+import {
+  EXPIRY_POLICY_LIMITS,
+  ExpiryPolicy,
+  resolveExpiryPolicy,
+} from "../_shared/license-status.ts";
+import {
+  NOTIFICATION_TYPES,
+  notifyOrganization,
+} from "../_shared/notifications.ts";
+import { CAPABILITIES } from "../_shared/permissions.ts";
 
 /**
  * License Expiration Checker Edge Function
- * Runs daily via cron job to check for expiring licenses and send notifications
+ * Runs daily via cron job to check for expiring licenses and email reminders
+ * to the organization's billing contacts (owner and billing admins)
+ *
+ * Warning days, grace period and data retention follow each organization's
+ * expiry policy (see _shared/license-status.ts). Organizations that turned
+ * off organizations.expiry_reminders_enabled get no emails.
+ *
+ * Every email is recorded in license_notifications. One that fails (after
+ * the retries in sendEmail) is sent again by the following runs until it
+ * goes out, MAX_EMAIL_ATTEMPTS is reached or RETRY_WINDOW_DAYS have passed.
+ *
+ * Billing managers also get a dashboard notification on each warning day,
+ * when the license expires and SCHEDULED_CHANGE_REMINDER_DAYS before a
+ * scheduled license change (whatever expiry_reminders_enabled says).
+ *
+ * ?dryRun=true renders the emails to files (see _shared/email.ts) without
+ * sending them or recording notifications.
  *
  * Schedule: Run daily at 9 AM UTC
  * Cron: 0 9 * * *
  */
 
-/**
- * Check if a license expiry date is in grace period
- * Grace period is 30 days after expiry
- */
-function isInGracePeriod(expiryDate: string): boolean {
-  const expiry = new Date(expiryDate);
-  const now = new Date();
-  const thirtyDaysAfterExpiry = new Date(expiry);
-  thirtyDaysAfterExpiry.setDate(thirtyDaysAfterExpiry.getDate() + 30);
+// Total send attempts for one notification across runs
+const MAX_EMAIL_ATTEMPTS = 9;
+
+// Failed notifications older than this are not retried (the reminder is stale)
+const RETRY_WINDOW_DAYS = 3;
+
+// An expired license is reminded at most once in this many days
+const EXPIRED_REMINDER_INTERVAL_DAYS = 7;
 
-  return expiry < now && now <= thirtyDaysAfterExpiry;
+// Days before a scheduled license change that billing managers are reminded
+const SCHEDULED_CHANGE_REMINDER_DAYS = 7;
+
+const LICENSE_WITH_ORGANIZATION = `
+  *,
+  organizations (
+    id,
+    name,
+    owner_id,
+    expiry_policy,
+    expiry_reminders_enabled
+  )
+`;
+
+interface ReminderCounts {
+  sent: number;
+  failed: number;
 }
 
 /**
@@ -31,33 +80,75 @@ function daysUntilExpiry(expiryDate: string): number {
   return Math.ceil((expiry.getTime() - now.getTime()) / (1000 * 60 * 60 * 24));
 }
 
+/**
+ * Calculate days since expiry (0 or negative if not expired yet)
+ */
+function daysSinceExpiry(expiryDate: string): number {
+  const expiry = new Date(expiryDate);
+  const now = new Date();
+  return Math.ceil((now.getTime() - expiry.getTime()) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Count a reminder as sent (or rendered, in a dry run) or failed
+ */
+function countResult(counts: ReminderCounts, result: EmailResult): void {
+  if (result.sent || result.file) {
+    counts.sent++;
+  } else {
+    counts.failed++;
+  }
+}
+
 Deno.serve(async (req) => {
   try {
     const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
     const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
     const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
-    console.log("Starting license expiration check...");
+    const dryRun = new URL(req.url).searchParams.get("dryRun") === "true";
 
-    // Check for licenses expiring in 30, 14, 7, or 1 days
-    const targetDays = [30, 14, 7, 1];
-    let totalNotificationsSent = 0;
+    console.log(
+      `Starting license expiration check${dryRun ? " (dry run)" : ""}...`,
+    );
 
-    for (const days of targetDays) {
-      const count = await checkAndNotifyExpiringLicenses(supabase, days);
-      totalNotificationsSent += count;
-      console.log(`Sent ${count} notifications for ${days}-day expiry`);
-    }
+    // Send again what failed in earlier runs (before new failures are added)
+    const retried = dryRun
+      ? { sent: 0, failed: 0 }
+      : await retryFailedNotifications(supabase);
+    console.log(
+      `Retried failed notifications: ${retried.sent} sent, ${retried.failed} failed`,
+    );
+
+    // Check for licenses reaching one of their policy's warning days
+    const expiring = await checkAndNotifyExpiringLicenses(supabase, dryRun);
+    console.log(
+      `Expiring licenses: ${expiring.sent} sent, ${expiring.failed} failed`,
+    );
 
     // Check for expired licenses (grace period)
-    const expiredCount = await checkAndNotifyExpiredLicenses(supabase);
-    totalNotificationsSent += expiredCount;
-    console.log(`Sent ${expiredCount} notifications for expired licenses`);
+    const expired = await checkAndNotifyExpiredLicenses(supabase, dryRun);
+    console.log(
+      `Expired licenses: ${expired.sent} sent, ${expired.failed} failed`,
+    );
+
+    // Remind billing managers of scheduled license changes
+    const scheduledChangeReminders = dryRun
+      ? 0
+      : await notifyScheduledChanges(supabase);
+    console.log(
+      `Created ${scheduledChangeReminders} scheduled change notifications`,
+    );
 
     return new Response(
       JSON.stringify({
         success: true,
-        notifications_sent: totalNotificationsSent,
+        dry_run: dryRun,
+        notifications_sent: retried.sent + expiring.sent + expired.sent,
+        notifications_failed: retried.failed + expiring.failed +
+          expired.failed,
+        retried: retried.sent + retried.failed,
+        scheduled_change_notifications: scheduledChangeReminders,
         timestamp: new Date().toISOString(),
       }),
       {
@@ -81,415 +172,577 @@ Deno.serve(async (req) => {
 });
 
 /**
- * Check and notify for licenses expiring in X days
+ * Check and notify for licenses expiring on one of their warning days
  */
 async function checkAndNotifyExpiringLicenses(
   supabase: any,
-  daysUntilExpiry: number,
-): Promise<number> {
-  const targetDate = new Date();
-  targetDate.setDate(targetDate.getDate() + daysUntilExpiry);
-  targetDate.setHours(0, 0, 0, 0);
-
-  const nextDay = new Date(targetDate);
-  nextDay.setDate(nextDay.getDate() + 1);
+  dryRun: boolean,
+): Promise<ReminderCounts> {
+  const counts: ReminderCounts = { sent: 0, failed: 0 };
+  const now = new Date();
+  const horizon = new Date();
+  horizon.setDate(horizon.getDate() + EXPIRY_POLICY_LIMITS.MAX_WARNING_DAYS);
 
-  // Get licenses expiring on this date
+  // Get licenses that could be within any organization's warning window
   const { data: expiringLicenses, error: licenseError } = await supabase
     .from("organization_licenses")
-    .select(
-      `
-      *,
-      organizations (
-        id,
-        name,
-        owner_id
-      )
-    `,
-    )
-    .gte("expires_at", targetDate.toISOString())
-    .lt("expires_at", nextDay.toISOString())
+    .select(LICENSE_WITH_ORGANIZATION)
+    .gte("expires_at", now.toISOString())
+    .lt("expires_at", horizon.toISOString())
     .order("expires_at", { ascending: true });
 
   if (licenseError) {
-    console.error(
-      `Error fetching ${daysUntilExpiry}-day expiring licenses:`,
-      licenseError,
-    );
-    return 0;
+    console.error("Error fetching expiring licenses:", licenseError);
+    return counts;
   }
 
   if (!expiringLicenses || expiringLicenses.length === 0) {
-    console.log(`No licenses expiring in ${daysUntilExpiry} days`);
-    return 0;
+    console.log("No expiring licenses");
+    return counts;
   }
 
-  let sentCount = 0;
-
   for (const license of expiringLicenses) {
-    const notificationType = `${daysUntilExpiry}_day`;
+    const policy = resolveExpiryPolicy(license.organizations?.expiry_policy);
+    const daysLeft = daysUntilExpiry(license.expires_at);
 
-    // Check if notification already sent today
-    const { data: existingNotification } = await supabase
-      .from("license_notifications")
-      .select("id")
-      .eq("license_id", license.id)
-      .eq("notification_type", notificationType)
-      .gte("sent_at", new Date().toISOString().split("T")[0]) // Today
-      .maybeSingle();
+    if (!policy.warning_days.includes(daysLeft)) {
+      continue;
+    }
 
-    if (existingNotification) {
+    if (!dryRun) {
+      await notifyOrganization(supabase, CAPABILITIES.MANAGE_BILLING, {
+        organizationId: license.organization_id,
+        type: NOTIFICATION_TYPES.LICENSE_EXPIRY,
+        title: daysLeft === 1
+          ? "Your license expires tomorrow"
+          : `Your license expires in ${daysLeft} days`,
+        body: `The MepSketcher license of ${license.organizations.name} expires on ${
+          formatDate(license.expires_at)
+        }.`,
+        link: "dashboard.html",
+        data: { license_id: license.id, expires_at: license.expires_at },
+        dedupeKey: `license_expiry:${license.id}:${license.expires_at}:${daysLeft}`,
+      });
+    }
+
+    if (license.organizations?.expiry_reminders_enabled === false) {
       console.log(
-        `Notification already sent for license ${license.id} (${notificationType})`,
+        `Expiry reminders turned off for organization ${license.organization_id}`,
       );
       continue;
     }
 
-    // Get organization owner email
-    const { data: owner } = await supabase.auth.admin.getUserById(
-      license.organizations.owner_id,
-    );
+    const notificationType = `${daysLeft}_day`;
 
-    if (!owner || !owner.user) {
-      console.error(
-        `Owner not found for organization ${license.organizations.id}`,
+    // Check if the email was already sent (or tried) today
+    const today = new Date().toISOString().split("T")[0];
+    if (
+      await hasEmailNotification(supabase, license.id, notificationType, today)
+    ) {
+      console.log(
+        `Notification already sent for license ${license.id} (${notificationType})`,
       );
       continue;
     }
 
-    // Send email notification
-    const emailSent = await sendExpirationEmail(
+    const result = await sendReminder(
+      supabase,
       license,
-      license.organizations,
-      owner.user,
-      daysUntilExpiry,
+      notificationType,
+      policy,
+      dryRun,
     );
+    if (!result) {
+      continue;
+    }
 
-    // Record notification
-    await supabase.from("license_notifications").insert({
-      organization_id: license.organization_id,
-      license_id: license.id,
-      notification_type: notificationType,
-      email_sent: emailSent,
-    });
-
-    if (emailSent) {
-      sentCount++;
+    if (!dryRun) {
+      await recordNotification(supabase, license, notificationType, result);
     }
+
+    countResult(counts, result);
   }
 
-  return sentCount;
+  return counts;
 }
 
 /**
  * Check and notify for expired licenses (in grace period or beyond)
  */
-async function checkAndNotifyExpiredLicenses(supabase: any): Promise<number> {
+async function checkAndNotifyExpiredLicenses(
+  supabase: any,
+  dryRun: boolean,
+): Promise<ReminderCounts> {
+  const counts: ReminderCounts = { sent: 0, failed: 0 };
   const now = new Date();
-  const gracePeriodEnd = new Date();
-  gracePeriodEnd.setDate(gracePeriodEnd.getDate() - 30); // 30 days ago
 
   // Get expired licenses
   const { data: expiredLicenses, error } = await supabase
     .from("organization_licenses")
-    .select(
-      `
-      *,
-      organizations (
-        id,
-        name,
-        owner_id
-      )
-    `,
-    )
+    .select(LICENSE_WITH_ORGANIZATION)
     .lt("expires_at", now.toISOString())
     .order("expires_at", { ascending: true });
 
   if (error) {
     console.error("Error fetching expired licenses:", error);
-    return 0;
+    return counts;
   }
 
   if (!expiredLicenses || expiredLicenses.length === 0) {
-    return 0;
+    return counts;
   }
 
-  let sentCount = 0;
-
   for (const license of expiredLicenses) {
-    const expiryDate = new Date(license.expires_at);
-    const daysExpired = Math.ceil(
-      (now.getTime() - expiryDate.getTime()) / (1000 * 60 * 60 * 24),
-    );
+    const policy = resolveExpiryPolicy(license.organizations?.expiry_policy);
+    const daysExpired = daysSinceExpiry(license.expires_at);
+
+    // Only send notifications during the grace period
+    if (daysExpired < 1 || daysExpired > policy.grace_days) {
+      continue;
+    }
+
+    if (!dryRun) {
+      await notifyOrganization(supabase, CAPABILITIES.MANAGE_BILLING, {
+        organizationId: license.organization_id,
+        type: NOTIFICATION_TYPES.LICENSE_EXPIRY,
+        title: "Your license has expired",
+        body: policy.grace_days > 0
+          ? `The MepSketcher license of ${license.organizations.name} expired on ${
+            formatDate(license.expires_at)
+          }. Renew within the ${policy.grace_days}-day grace period to keep access.`
+          : `The MepSketcher license of ${license.organizations.name} expired on ${
+            formatDate(license.expires_at)
+          }.`,
+        link: "dashboard.html",
+        data: { license_id: license.id, expires_at: license.expires_at },
+        // Once per expiry, not on every reminder email
+        dedupeKey: `license_expired:${license.id}:${license.expires_at}`,
+      });
+    }
 
-    // Only send notifications for licenses expired 1-30 days (grace period)
-    if (daysExpired < 1 || daysExpired > 30) {
+    if (license.organizations?.expiry_reminders_enabled === false) {
       continue;
     }
 
-    // Check if expired notification already sent recently (within last 7 days)
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    // Check if expired notification already sent recently
+    const since = new Date();
+    since.setDate(since.getDate() - EXPIRED_REMINDER_INTERVAL_DAYS);
 
-    const { data: recentNotification } = await supabase
-      .from("license_notifications")
-      .select("id")
-      .eq("license_id", license.id)
-      .eq("notification_type", "expired")
-      .gte("sent_at", sevenDaysAgo.toISOString())
-      .maybeSingle();
+    if (
+      await hasEmailNotification(
+        supabase,
+        license.id,
+        "expired",
+        since.toISOString(),
+      )
+    ) {
+      continue;
+    }
 
-    if (recentNotification) {
+    const result = await sendReminder(
+      supabase,
+      license,
+      "expired",
+      policy,
+      dryRun,
+    );
+    if (!result) {
       continue;
     }
 
-    // Get organization owner
-    const { data: owner } = await supabase.auth.admin.getUserById(
-      license.organizations.owner_id,
+    if (!dryRun) {
+      await recordNotification(supabase, license, "expired", result);
+    }
+
+    countResult(counts, result);
+  }
+
+  return counts;
+}
+
+/**
+ * Notify billing managers of license changes scheduled within
+ * SCHEDULED_CHANGE_REMINDER_DAYS (once per scheduled change)
+ */
+async function notifyScheduledChanges(supabase: any): Promise<number> {
+  const now = new Date();
+  const horizon = new Date();
+  horizon.setDate(horizon.getDate() + SCHEDULED_CHANGE_REMINDER_DAYS);
+
+  const { data: licenses, error } = await supabase
+    .from("organization_licenses")
+    .select(
+      "id, organization_id, total_licenses, used_licenses, scheduled_total_licenses, scheduled_change_at",
+    )
+    .not("scheduled_total_licenses", "is", null)
+    .gte("scheduled_change_at", now.toISOString())
+    .lt("scheduled_change_at", horizon.toISOString());
+
+  if (error) {
+    console.error("Error fetching scheduled license changes:", error);
+    return 0;
+  }
+
+  let created = 0;
+
+  for (const license of licenses || []) {
+    const scheduled = license.scheduled_total_licenses;
+    const toUnassign = Math.max(0, license.used_licenses - scheduled);
+
+    created += await notifyOrganization(
+      supabase,
+      CAPABILITIES.MANAGE_BILLING,
+      {
+        organizationId: license.organization_id,
+        type: NOTIFICATION_TYPES.SCHEDULED_CHANGE,
+        title: `License change on ${formatDate(license.scheduled_change_at)}`,
+        body: `Your license changes from ${license.total_licenses} to ${scheduled} license${
+          scheduled === 1 ? "" : "s"
+        } at renewal.${
+          toUnassign > 0
+            ? ` Unassign ${toUnassign} seat${toUnassign === 1 ? "" : "s"} before then.`
+            : ""
+        }`,
+        link: "dashboard.html",
+        data: {
+          license_id: license.id,
+          from: license.total_licenses,
+          to: scheduled,
+          scheduled_change_at: license.scheduled_change_at,
+        },
+        dedupeKey:
+          `scheduled_change:${license.id}:${license.scheduled_change_at}:${scheduled}`,
+      },
     );
+  }
+
+  return created;
+}
+
+/**
+ * Send again the emails of earlier runs that failed
+ * The license is loaded again, so a renewed license or an organization that
+ * turned reminders off in the meantime gets nothing.
+ */
+async function retryFailedNotifications(
+  supabase: any,
+): Promise<ReminderCounts> {
+  const counts: ReminderCounts = { sent: 0, failed: 0 };
+  const since = new Date();
+  since.setDate(since.getDate() - RETRY_WINDOW_DAYS);
+
+  // email_attempts > 0 leaves out the rows the dashboard records
+  const { data: failed, error } = await supabase
+    .from("license_notifications")
+    .select("id, license_id, notification_type, email_attempts")
+    .eq("email_sent", false)
+    .gt("email_attempts", 0)
+    .lt("email_attempts", MAX_EMAIL_ATTEMPTS)
+    .gte("sent_at", since.toISOString())
+    .order("sent_at", { ascending: true });
+
+  if (error) {
+    console.error("Error fetching failed notifications:", error);
+    return counts;
+  }
 
-    if (!owner || !owner.user) {
+  for (const notification of failed || []) {
+    const { data: license, error: licenseError } = await supabase
+      .from("organization_licenses")
+      .select(LICENSE_WITH_ORGANIZATION)
+      .eq("id", notification.license_id)
+      .maybeSingle();
+
+    if (licenseError) {
+      console.error(
+        `Error loading license ${notification.license_id}:`,
+        licenseError,
+      );
+      continue;
+    }
+
+    if (!license || license.organizations?.expiry_reminders_enabled === false) {
+      continue;
+    }
+
+    const policy = resolveExpiryPolicy(license.organizations?.expiry_policy);
+    const daysExpired = daysSinceExpiry(license.expires_at);
+    const stillApplies = notification.notification_type === "expired"
+      ? daysExpired >= 1 && daysExpired <= policy.grace_days
+      : new Date(license.expires_at) > new Date() &&
+        daysUntilExpiry(license.expires_at) <=
+          parseInt(notification.notification_type, 10);
+
+    if (!stillApplies) {
       continue;
     }
 
-    // Send expired notification
-    const emailSent = await sendExpiredEmail(
+    const result = await sendReminder(
+      supabase,
       license,
-      license.organizations,
-      owner.user,
-      daysExpired,
+      notification.notification_type,
+      policy,
+      false,
     );
+    if (!result) {
+      continue;
+    }
 
-    // Record notification
-    await supabase.from("license_notifications").insert({
-      organization_id: license.organization_id,
-      license_id: license.id,
-      notification_type: "expired",
-      email_sent: emailSent,
-    });
-
-    if (emailSent) {
-      sentCount++;
+    const { error: updateError } = await supabase
+      .from("license_notifications")
+      .update({
+        email_sent: result.sent,
+        email_attempts: notification.email_attempts + result.attempts,
+        email_error: result.error,
+      })
+      .eq("id", notification.id);
+
+    if (updateError) {
+      console.error(
+        `Error updating notification ${notification.id}:`,
+        updateError,
+      );
     }
+
+    countResult(counts, result);
   }
 
-  return sentCount;
+  return counts;
 }
 
 /**
- * Send expiration warning email
+ * Check whether a reminder email was already sent (or tried) since a date
+ * Rows recorded by the dashboard (no email attempts) do not count.
  */
-async function sendExpirationEmail(
-  license: any,
-  organization: any,
-  owner: any,
-  daysUntilExpiry: number,
+async function hasEmailNotification(
+  supabase: any,
+  licenseId: string,
+  notificationType: string,
+  since: string,
 ): Promise<boolean> {
+  const { data: existing, error } = await supabase
+    .from("license_notifications")
+    .select("id")
+    .eq("license_id", licenseId)
+    .eq("notification_type", notificationType)
+    .gt("email_attempts", 0)
+    .gte("sent_at", since)
+    .limit(1);
+
+  if (error) {
+    // Better to skip a reminder than to send it twice
+    console.error(`Error checking notifications of license ${licenseId}:`, error);
+    return true;
+  }
+
+  return existing.length > 0;
+}
+
+/**
+ * Email a reminder to the organization's billing contacts
+ * Returns null when there is nobody to send it to.
+ */
+async function sendReminder(
+  supabase: any,
+  license: any,
+  notificationType: string,
+  policy: ExpiryPolicy,
+  dryRun: boolean,
+): Promise<EmailResult | null> {
+  let recipients: string[];
   try {
-    const subject = `Your MepSketcher license expires in ${daysUntilExpiry} days`;
-    const expiryDate = new Date(license.expires_at).toLocaleDateString(
-      "en-US",
-      {
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-      },
+    recipients = await getBillingContactEmails(
+      supabase,
+      license.organization_id,
     );
-
-    const htmlContent = `
-<!DOCTYPE html>
-<html>
-<head>
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background: linear-gradient(135deg, #007bff 0%, #0056b3 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
-        .content { background: white; padding: 30px; border: 1px solid #e0e0e0; }
-        .warning-box { background: #fff3cd; border-left: 4px solid #ff9800; padding: 16px; margin: 20px 0; border-radius: 4px; }
-        .button { display: inline-block; padding: 14px 28px; background: #007bff; color: white; text-decoration: none; border-radius: 6px; font-weight: 600; margin: 20px 0; }
-        .details { background: #f8f9fa; padding: 20px; border-radius: 6px; margin: 20px 0; }
-        .details-row { display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e0e0e0; }
-        .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>License Expiration Notice</h1>
-        </div>
-        <div class="content">
-            <p>Hello,</p>
-            
-            <div class="warning-box">
-                <strong>⚠️ Your MepSketcher license expires in ${daysUntilExpiry} days</strong>
-            </div>
-            
-            <p>This is a reminder that your MepSketcher license for <strong>${organization.name}</strong> will expire soon.</p>
-            
-            <div class="details">
-                <h3>License Details</h3>
-                <div class="details-row">
-                    <span>Organization:</span>
-                    <span><strong>${organization.name}</strong></span>
-                </div>
-                <div class="details-row">
-                    <span>License Count:</span>
-                    <span><strong>${license.total_licenses} licenses</strong></span>
-                </div>
-                <div class="details-row">
-                    <span>Expiry Date:</span>
-                    <span><strong>${expiryDate}</strong></span>
-                </div>
-                <div class="details-row">
-                    <span>Days Remaining:</span>
-                    <span><strong style="color: #dc3545;">${daysUntilExpiry} days</strong></span>
-                </div>
-            </div>
-            
-            <p><strong>What happens when your license expires?</strong></p>
-            <ul>
-                <li>You'll have a 30-day grace period with limited functionality</li>
-                <li>After 30 days, access will be suspended</li>
-                <li>Your data will be preserved for future renewal</li>
-            </ul>
-            
-            <center>
-                <a href="https://mepsketcher.com/dashboard" class="button">Renew License Now</a>
-            </center>
-            
-            <p style="margin-top: 30px;">If you have any questions, please don't hesitate to contact our support team at support@mepsketcher.com</p>
-            
-            <p>Best regards,<br>The MepSketcher Team</p>
-        </div>
-        <div class="footer">
-            <p>© ${new Date().getFullYear()} MepSketcher. All rights reserved.</p>
-            <p>This is an automated notification about your license status.</p>
-        </div>
-    </div>
-</body>
-</html>
-    `;
-
-    // Send email using Supabase Auth (or integrate with SendGrid/Resend)
-    // For now, using console log as placeholder
-    console.log(`Would send email to ${owner.email}: ${subject}`);
-
-    // TODO: Integrate with actual email service
-    // Example with Resend:
-    // const resendApiKey = Deno.env.get("RESEND_API_KEY");
-    // const response = await fetch("https://api.resend.com/emails", {
-    //   method: "POST",
-    //   headers: {
-    //     "Authorization": `Bearer ${resendApiKey}`,
-    //     "Content-Type": "application/json",
-    //   },
-    //   body: JSON.stringify({
-    //     from: "MepSketcher <notifications@mepsketcher.com>",
-    //     to: owner.email,
-    //     subject: subject,
-    //     html: htmlContent,
-    //   }),
-    // });
-
-    return true; // Change to actual send result
   } catch (error) {
-    console.error("Error sending expiration email:", error);
-    return false;
+    console.error(
+      `Error loading billing contacts of organization ${license.organization_id}:`,
+      error,
+    );
+    return null;
+  }
+
+  if (recipients.length === 0) {
+    console.error(
+      `No billing contacts for organization ${license.organization_id}`,
+    );
+    return null;
+  }
+
+  const email = notificationType === "expired"
+    ? generateExpiredEmail(
+      license,
+      license.organizations,
+      daysSinceExpiry(license.expires_at),
+      policy,
+    )
+    : generateExpirationEmail(
+      license,
+      license.organizations,
+      daysUntilExpiry(license.expires_at),
+      policy,
+    );
+
+  const result = await sendEmail({ to: recipients, ...email }, { dryRun });
+
+  if (result.sent) {
+    console.log(
+      `Sent ${notificationType} reminder for license ${license.id} to ${recipients.length} recipient(s)`,
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Record a reminder email in license_notifications
+ */
+async function recordNotification(
+  supabase: any,
+  license: any,
+  notificationType: string,
+  result: EmailResult,
+): Promise<void> {
+  const { error } = await supabase.from("license_notifications").insert({
+    organization_id: license.organization_id,
+    license_id: license.id,
+    notification_type: notificationType,
+    email_sent: result.sent,
+    email_attempts: result.attempts,
+    email_error: result.error,
+  });
+
+  if (error) {
+    console.error(
+      `Error recording notification for license ${license.id}:`,
+      error,
+    );
   }
 }
 
+function formatDate(date: string): string {
+  return new Date(date).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+function pluralizeDays(days: number): string {
+  return `${days} day${days === 1 ? "" : "s"}`;
+}
+
+/**
+ * Expiration warning email (one of the policy's warning days)
+ */
+function generateExpirationEmail(
+  license: any,
+  organization: any,
+  daysUntilExpiry: number,
+  policy: ExpiryPolicy,
+): { subject: string; html: string } {
+  const subject = daysUntilExpiry === 1
+    ? "Your MepSketcher license expires tomorrow"
+    : `Your MepSketcher license expires in ${daysUntilExpiry} days`;
+  const organizationName = escapeHtml(organization.name);
+
+  const content = `
+              <h2 style="margin: 0 0 20px; color: #333333; font-size: 20px;">
+                Your license expires in ${pluralizeDays(daysUntilExpiry)}
+              </h2>
+              <p style="margin: 0 0 15px; color: #666666; font-size: 16px; line-height: 1.5;">
+                The MepSketcher license of <strong>${organizationName}</strong> expires on
+                <strong>${formatDate(license.expires_at)}</strong>. Renew it to keep your team working without interruption.
+              </p>
+              ${renderDetailsTable([
+    ["Organization", organizationName],
+    ["Licenses", `${license.total_licenses}`],
+    ["Expiry date", formatDate(license.expires_at)],
+    ["Days remaining", pluralizeDays(daysUntilExpiry)],
+  ])}
+              <p style="margin: 0 0 10px; color: #333333; font-size: 16px; font-weight: 600;">
+                What happens when the license expires?
+              </p>
+              <ul style="margin: 0 0 20px; padding-left: 20px; color: #666666; font-size: 15px; line-height: 1.6;">
+                ${policy.grace_days > 0 ? `
+                <li>MepSketcher keeps working for a ${policy.grace_days}-day grace period</li>
+                <li>After ${pluralizeDays(policy.grace_days)}, access is suspended</li>
+                ` : `
+                <li>Access is suspended right away</li>
+                `}
+                <li>Your data is kept for ${pluralizeDays(policy.retention_days)} after expiry</li>
+              </ul>`;
+
+  return {
+    subject,
+    html: renderEmailLayout({
+      title: subject,
+      content,
+      buttonText: "Renew License",
+      buttonColor: "#0066cc",
+      footer: reminderFooter(organizationName),
+    }),
+  };
+}
+
 /**
- * Send expired license email (grace period)
+ * Expired license email (during the grace period)
  */
-async function sendExpiredEmail(
+function generateExpiredEmail(
   license: any,
   organization: any,
-  owner: any,
   daysExpired: number,
-): Promise<boolean> {
-  try {
-    const graceDaysRemaining = Math.max(0, 30 - daysExpired);
-    const subject =
-      graceDaysRemaining > 0
-        ? `Your MepSketcher license has expired - ${graceDaysRemaining} days left in grace period`
-        : `Your MepSketcher license has been suspended`;
-
-    const htmlContent = `
-<!DOCTYPE html>
-<html>
-<head>
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background: linear-gradient(135deg, #dc3545 0%, #c82333 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
-        .content { background: white; padding: 30px; border: 1px solid #e0e0e0; }
-        .critical-box { background: #f8d7da; border-left: 4px solid #dc3545; padding: 16px; margin: 20px 0; border-radius: 4px; }
-        .button { display: inline-block; padding: 14px 28px; background: #dc3545; color: white; text-decoration: none; border-radius: 6px; font-weight: 600; margin: 20px 0; }
-        .details { background: #f8f9fa; padding: 20px; border-radius: 6px; margin: 20px 0; }
-        .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🚫 License Expired</h1>
-        </div>
-        <div class="content">
-            <p>Hello,</p>
-            
-            <div class="critical-box">
-                <strong>Your MepSketcher license has expired</strong>
-            </div>
-            
-            ${
-              graceDaysRemaining > 0
-                ? `
-                <p>Your license for <strong>${organization.name}</strong> expired ${daysExpired} days ago. You have <strong>${graceDaysRemaining} days remaining</strong> in your grace period.</p>
-                
-                <p><strong>During the grace period:</strong></p>
-                <ul>
-                    <li>You have limited access to MepSketcher</li>
-                    <li>Some features may be restricted</li>
-                    <li>Your data is safe and preserved</li>
-                </ul>
-                
-                <p style="color: #dc3545;"><strong>Renew within ${graceDaysRemaining} days to restore full access.</strong></p>
-            `
-                : `
-                <p>Your license for <strong>${organization.name}</strong> expired over 30 days ago and your grace period has ended.</p>
-                
-                <p><strong>Your account status:</strong></p>
-                <ul>
-                    <li>Access to MepSketcher is suspended</li>
-                    <li>Your data is preserved for 90 days</li>
-                    <li>Renew to restore immediate access</li>
-                </ul>
-            `
-            }
-            
-            <center>
-                <a href="https://mepsketcher.com/dashboard" class="button">Renew License Now</a>
-            </center>
-            
-            <p style="margin-top: 30px;">Need help? Contact us at support@mepsketcher.com</p>
-            
-            <p>Best regards,<br>The MepSketcher Team</p>
-        </div>
-        <div class="footer">
-            <p>© ${new Date().getFullYear()} MepSketcher. All rights reserved.</p>
-        </div>
-    </div>
-</body>
-</html>
-    `;
-
-    console.log(`Would send expired email to ${owner.email}: ${subject}`);
-
-    // TODO: Integrate with actual email service
-
-    return true; // Change to actual send result
-  } catch (error) {
-    console.error("Error sending expired email:", error);
-    return false;
-  }
+  policy: ExpiryPolicy,
+): { subject: string; html: string } {
+  const graceDaysRemaining = Math.max(0, policy.grace_days - daysExpired);
+  const subject = graceDaysRemaining > 0
+    ? `Your MepSketcher license has expired - ${pluralizeDays(graceDaysRemaining)} left in grace period`
+    : "Your MepSketcher license has been suspended";
+  const organizationName = escapeHtml(organization.name);
+
+  const content = graceDaysRemaining > 0
+    ? `
+              <h2 style="margin: 0 0 20px; color: #dc3545; font-size: 20px;">
+                Your license has expired
+              </h2>
+              <p style="margin: 0 0 15px; color: #666666; font-size: 16px; line-height: 1.5;">
+                The MepSketcher license of <strong>${organizationName}</strong> expired on
+                ${formatDate(license.expires_at)}. MepSketcher keeps working for
+                <strong>${pluralizeDays(graceDaysRemaining)}</strong> more.
+              </p>
+              <p style="margin: 0 0 20px; color: #dc3545; font-size: 16px; line-height: 1.5;">
+                <strong>Renew within ${pluralizeDays(graceDaysRemaining)} to avoid losing access.</strong>
+                Your data is safe in the meantime.
+              </p>`
+    : `
+              <h2 style="margin: 0 0 20px; color: #dc3545; font-size: 20px;">
+                Your license has been suspended
+              </h2>
+              <p style="margin: 0 0 15px; color: #666666; font-size: 16px; line-height: 1.5;">
+                The MepSketcher license of <strong>${organizationName}</strong> expired on
+                ${formatDate(license.expires_at)} and the grace period has ended. Access to MepSketcher is suspended.
+              </p>
+              <p style="margin: 0 0 20px; color: #666666; font-size: 16px; line-height: 1.5;">
+                Your data is kept for ${pluralizeDays(policy.retention_days)} after expiry. Renew to restore access right away.
+              </p>`;
+
+  return {
+    subject,
+    html: renderEmailLayout({
+      title: subject,
+      content,
+      buttonText: "Renew License",
+      buttonColor: "#dc3545",
+      footer: reminderFooter(organizationName),
+    }),
+  };
+}
+
+/**
+ * Why the recipient gets reminders and how to stop them
+ */
+function reminderFooter(organizationName: string): string {
+  return `You receive this email as the owner or a billing admin of ${organizationName}.
+                Reminders can be turned off in the dashboard's Organization section.`;
 }
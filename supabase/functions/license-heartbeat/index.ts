@@ -0,0 +1,161 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { recordSeatUsage } from "../_shared/usage.ts";
+
+const MAX_FINGERPRINT_LENGTH = 256;
+
+// How often the desktop app should call in while it is running
+const HEARTBEAT_INTERVAL_SECONDS = 60 * 60;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+interface LicenseHeartbeatRequest {
+  deviceFingerprint: string;
+  organizationId?: string;
+  appVersion?: string;
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * License Heartbeat Edge Function
+ * Called by the MepSketcher desktop app while it is in use (on start and
+ * then every heartbeatIntervalSeconds) to record seat usage.
+ *
+ * - Refreshes last_seen_at (and app_version) of the device's activations
+ * - Sets organization_members.last_used_at, which feeds the dashboard
+ *   utilization report (active in the last 7/30/90 days, idle seats)
+ *
+ * Only usage is recorded here; license validity comes from the token
+ * returned by activate-license.
+ */
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return jsonResponse({ error: "Missing authorization header" }, 401);
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    // Parse request body
+    let body: LicenseHeartbeatRequest;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return jsonResponse({ error: "Invalid JSON in request body" }, 400);
+    }
+
+    const deviceFingerprint = (body.deviceFingerprint || "").trim();
+
+    if (!deviceFingerprint) {
+      return jsonResponse(
+        { error: "Missing required field: deviceFingerprint" },
+        400,
+      );
+    }
+
+    if (deviceFingerprint.length > MAX_FINGERPRINT_LENGTH) {
+      return jsonResponse({ error: "Invalid device fingerprint" }, 400);
+    }
+
+    // 1. Find the device's activations (one per seat it was activated for)
+    let activationQuery = supabaseClient
+      .from("license_activations")
+      .select("id, member_id, organization_id")
+      .eq("user_id", user.id)
+      .eq("device_fingerprint", deviceFingerprint)
+      .is("deactivated_at", null);
+
+    if (body.organizationId) {
+      activationQuery = activationQuery.eq(
+        "organization_id",
+        body.organizationId,
+      );
+    }
+
+    const { data: activations, error: activationsError } =
+      await activationQuery;
+
+    if (activationsError) {
+      console.error("Error loading activations:", activationsError);
+      throw activationsError;
+    }
+
+    if (!activations || activations.length === 0) {
+      return jsonResponse(
+        {
+          error: "This device is not activated. Activate MepSketcher again.",
+          status: "not_activated",
+        },
+        404,
+      );
+    }
+
+    // 2. Refresh the device
+    const now = new Date().toISOString();
+    const deviceUpdate: Record<string, unknown> = { last_seen_at: now };
+
+    if (body.appVersion) {
+      deviceUpdate.app_version = body.appVersion.slice(0, 50);
+    }
+
+    const { error: updateError } = await supabaseClient
+      .from("license_activations")
+      .update(deviceUpdate)
+      .in("id", activations.map((activation) => activation.id));
+
+    if (updateError) {
+      console.error("Error updating activations:", updateError);
+      throw updateError;
+    }
+
+    // 3. Record seat usage
+    for (const activation of activations) {
+      await recordSeatUsage(supabaseClient, activation.member_id);
+    }
+
+    return jsonResponse({
+      success: true,
+      lastUsedAt: now,
+      heartbeatIntervalSeconds: HEARTBEAT_INTERVAL_SECONDS,
+    });
+  } catch (error) {
+    console.error("Error in license-heartbeat function:", error);
+    return jsonResponse(
+      { error: error.message || "Internal server error" },
+      500,
+    );
+  }
+});
@@ -0,0 +1,341 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  getGracePeriodEnd,
+  getGraceEndedMessage,
+  isInGracePeriod,
+  resolveExpiryPolicy,
+} from "../_shared/license-status.ts";
+import { signLicenseToken } from "../_shared/license-token.ts";
+import {
+  checkoutLease,
+  FLOATING_LICENSE_TYPE,
+  HEARTBEAT_INTERVAL_SECONDS,
+  isFloatingLicense,
+  LeaseUnavailableError,
+  leaveQueue,
+  releaseLease,
+  renewLease,
+} from "../_shared/leases.ts";
+import { recordSeatUsage } from "../_shared/usage.ts";
+
+const MAX_FINGERPRINT_LENGTH = 256;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+type LeaseAction = "checkout" | "heartbeat" | "release";
+
+interface LicenseLeaseRequest {
+  action: LeaseAction;
+  deviceFingerprint: string;
+  organizationId?: string;
+  leaseId?: string;
+  deviceName?: string;
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * License Lease Edge Function
+ * Called by the MepSketcher desktop app in organizations with a floating
+ * (concurrent) license.
+ *
+ * Actions:
+ * - checkout:  take a lease, or join the queue when all are in use (409 with
+ *              status "queued" and the queue position; retry to keep the
+ *              place)
+ * - heartbeat: renew the lease every heartbeatIntervalSeconds; 409 with
+ *              status "lease_lost" means the app must check out again
+ * - release:   give the lease back on exit (without leaseId: leave the queue)
+ *
+ * Checkout and heartbeat return a signed "lease" token that expires with
+ * the lease.
+ */
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return jsonResponse({ error: "Missing authorization header" }, 401);
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    // Parse request body
+    let body: LicenseLeaseRequest;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return jsonResponse({ error: "Invalid JSON in request body" }, 400);
+    }
+
+    const { action } = body;
+    const deviceFingerprint = (body.deviceFingerprint || "").trim();
+
+    if (!action || !deviceFingerprint) {
+      return jsonResponse(
+        { error: "Missing required fields: action, deviceFingerprint" },
+        400,
+      );
+    }
+
+    if (deviceFingerprint.length > MAX_FINGERPRINT_LENGTH) {
+      return jsonResponse({ error: "Invalid device fingerprint" }, 400);
+    }
+
+    // 1. Find the caller's membership in an organization with a floating license
+    const membership = await findFloatingMembership(
+      supabaseClient,
+      user.id,
+      body.organizationId,
+    );
+
+    if (!membership) {
+      return jsonResponse(
+        {
+          error: "You are not a member of an organization with a floating license",
+          status: "not_floating",
+        },
+        403,
+      );
+    }
+
+    const { member, license } = membership;
+
+    if (action === "release") {
+      if (body.leaseId) {
+        await releaseLeaseOf(supabaseClient, body.leaseId, user.id);
+      } else {
+        await leaveQueue(supabaseClient, member.id);
+      }
+      return jsonResponse({ success: true, action: "released" });
+    }
+
+    if (action !== "checkout" && action !== "heartbeat") {
+      return jsonResponse({ error: `Unknown action: ${action}` }, 400);
+    }
+
+    // 2. The license must be active or in its grace period
+    const policy = resolveExpiryPolicy(member.organizations?.expiry_policy);
+    const expired = new Date(license.expires_at) < new Date();
+
+    if (expired && !isInGracePeriod(license.expires_at, policy)) {
+      if (body.leaseId) {
+        await releaseLeaseOf(supabaseClient, body.leaseId, user.id, "expired");
+      }
+      return jsonResponse(
+        {
+          error: getGraceEndedMessage(policy),
+          status: "expired",
+        },
+        403,
+      );
+    }
+
+    // 3. Check out or renew the lease
+    let lease;
+
+    if (action === "checkout") {
+      try {
+        lease = await checkoutLease(supabaseClient, {
+          organizationId: member.organization_id,
+          memberId: member.id,
+          userId: user.id,
+          deviceFingerprint,
+          deviceName: body.deviceName?.slice(0, 200),
+          totalLicenses: license.total_licenses,
+        });
+      } catch (error) {
+        if (error instanceof LeaseUnavailableError) {
+          return jsonResponse(
+            {
+              error: error.message,
+              status: "queued",
+              position: error.position,
+              inUse: error.inUse,
+              total: error.total,
+              retryAfterSeconds: HEARTBEAT_INTERVAL_SECONDS,
+            },
+            409,
+          );
+        }
+        throw error;
+      }
+    } else {
+      if (!body.leaseId) {
+        return jsonResponse(
+          { error: "Missing required field: leaseId" },
+          400,
+        );
+      }
+
+      lease = await renewLease(
+        supabaseClient,
+        body.leaseId,
+        user.id,
+        deviceFingerprint,
+      );
+
+      if (!lease) {
+        return jsonResponse(
+          {
+            error: "Your floating license lease has ended. Check out a new one.",
+            status: "lease_lost",
+          },
+          409,
+        );
+      }
+    }
+
+    await recordSeatUsage(supabaseClient, member.id);
+
+    // 4. Sign the lease token
+    const graceEndsAt = getGracePeriodEnd(license.expires_at, policy);
+    const leaseExpiresAt = new Date(lease.expires_at);
+    const expiresAt = leaseExpiresAt < graceEndsAt
+      ? leaseExpiresAt
+      : graceEndsAt;
+
+    const leaseToken = await signLicenseToken({
+      kind: "lease",
+      sub: user.id,
+      email: member.email || user.email || "",
+      org: member.organization_id,
+      org_name: member.organizations?.name || "",
+      seat: member.id,
+      device: deviceFingerprint,
+      jti: lease.id,
+      license_type: FLOATING_LICENSE_TYPE,
+      status: expired ? "grace_period" : "active",
+      license_expires_at: license.expires_at,
+      grace_ends_at: graceEndsAt.toISOString(),
+      exp: Math.floor(expiresAt.getTime() / 1000),
+    });
+
+    if (action === "checkout") {
+      console.log(
+        `Checked out lease ${lease.id} for ${user.email} in organization ${member.organization_id}`,
+      );
+    }
+
+    return jsonResponse({
+      success: true,
+      leaseId: lease.id,
+      token: leaseToken,
+      expiresAt: expiresAt.toISOString(),
+      heartbeatIntervalSeconds: HEARTBEAT_INTERVAL_SECONDS,
+    });
+  } catch (error) {
+    console.error("Error in license-lease function:", error);
+    return jsonResponse(
+      { error: error.message || "Internal server error" },
+      500,
+    );
+  }
+});
+
+/**
+ * Find the caller's active membership in an organization whose license is
+ * floating (in the given organization, or the first one found)
+ */
+async function findFloatingMembership(
+  supabase: any,
+  userId: string,
+  organizationId?: string,
+): Promise<{ member: any; license: any } | null> {
+  let membershipQuery = supabase
+    .from("organization_members")
+    .select("id, organization_id, email, organizations(name, expiry_policy)")
+    .eq("user_id", userId)
+    .eq("status", "active");
+
+  if (organizationId) {
+    membershipQuery = membershipQuery.eq("organization_id", organizationId);
+  }
+
+  const { data: members, error: membersError } = await membershipQuery;
+
+  if (membersError) {
+    throw new Error(`Failed to load memberships: ${membersError.message}`);
+  }
+
+  if (!members || members.length === 0) {
+    return null;
+  }
+
+  const { data: licenses, error: licensesError } = await supabase
+    .from("organization_licenses")
+    .select("organization_id, license_type, total_licenses, expires_at")
+    .in("organization_id", members.map((member: any) => member.organization_id))
+    .eq("license_type", FLOATING_LICENSE_TYPE);
+
+  if (licensesError) {
+    throw new Error(`Failed to load licenses: ${licensesError.message}`);
+  }
+
+  for (const member of members) {
+    const license = (licenses || []).find(
+      (l: any) => l.organization_id === member.organization_id,
+    );
+    if (isFloatingLicense(license)) {
+      return { member, license };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Release one of the caller's own leases
+ */
+async function releaseLeaseOf(
+  supabase: any,
+  leaseId: string,
+  userId: string,
+  reason = "released",
+): Promise<void> {
+  const { data: lease, error } = await supabase
+    .from("license_leases")
+    .select("id")
+    .eq("id", leaseId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load lease: ${error.message}`);
+  }
+
+  if (lease) {
+    await releaseLease(supabase, lease.id, reason);
+  }
+}
@@ -0,0 +1,47 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { getPublicJwk } from "../_shared/license-token.ts";
+
+/**
+ * License Public Key Edge Function
+ * Publishes the Ed25519 public key that license tokens and offline license
+ * files are signed with, as a JWK Set. Public and unauthenticated - deploy
+ * with --no-verify-jwt.
+ *
+ * The desktop app fetches this while online and caches it, so it can verify
+ * offline license files later without calling Supabase.
+ */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const jwk = await getPublicJwk();
+
+    return new Response(JSON.stringify({ keys: [jwk] }), {
+      status: 200,
+      headers: {
+        ...corsHeaders,
+        "Content-Type": "application/json",
+        "Cache-Control": "public, max-age=3600",
+      },
+    });
+  } catch (error) {
+    console.error("Error in license-public-key function:", error);
+    return new Response(
+      JSON.stringify({ error: error.message || "Internal server error" }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      },
+    );
+  }
+});
@@ -0,0 +1,238 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  CAPABILITIES,
+  getOrganizationRole,
+  hasCapability,
+} from "../_shared/permissions.ts";
+import { MAX_DEVICE_LIMIT } from "../_shared/devices.ts";
+
+/**
+ * Manage Devices Edge Function
+ * Server-side changes to desktop app activations (license_activations).
+ *
+ * Actions:
+ * - deactivate: free a device slot; allowed for the device's own user and
+ *               for member managers
+ * - set_limit:  change organizations.max_devices_per_seat (organization.edit)
+ *
+ * A deactivated device keeps its current token until it expires
+ * (LICENSE_TOKEN_TTL_DAYS) but has to activate again afterwards, which
+ * counts against the limit.
+ */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+type DeviceAction = "deactivate" | "set_limit";
+
+interface ManageDevicesRequest {
+  action: DeviceAction;
+  organizationId: string;
+  activationId?: string;
+  limit?: number;
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return jsonResponse({ error: "Missing authorization header" }, 401);
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    // Parse request body
+    let body: ManageDevicesRequest;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return jsonResponse({ error: "Invalid JSON in request body" }, 400);
+    }
+
+    const { action, organizationId } = body;
+
+    if (!action || !organizationId) {
+      return jsonResponse(
+        { error: "Missing required fields: action, organizationId" },
+        400,
+      );
+    }
+
+    const callerRole = await getOrganizationRole(
+      supabaseClient,
+      user.id,
+      organizationId,
+    );
+
+    if (!callerRole) {
+      return jsonResponse(
+        { error: "You are not a member of this organization" },
+        403,
+      );
+    }
+
+    switch (action) {
+      case "deactivate":
+        if (!body.activationId) {
+          return jsonResponse(
+            { error: "Missing required field: activationId" },
+            400,
+          );
+        }
+        return await deactivateDevice(
+          supabaseClient,
+          organizationId,
+          body.activationId,
+          user.id,
+          hasCapability(callerRole, CAPABILITIES.MANAGE_MEMBERS),
+        );
+      case "set_limit":
+        if (!hasCapability(callerRole, CAPABILITIES.EDIT_ORGANIZATION)) {
+          return jsonResponse(
+            { error: "You do not have permission to change the device limit" },
+            403,
+          );
+        }
+        return await setDeviceLimit(supabaseClient, organizationId, body.limit);
+      default:
+        return jsonResponse({ error: `Unknown action: ${action}` }, 400);
+    }
+  } catch (error) {
+    console.error("Error in manage-devices function:", error);
+    return jsonResponse(
+      { error: error.message || "Internal server error" },
+      500,
+    );
+  }
+});
+
+/**
+ * Deactivate one device of a seat
+ */
+async function deactivateDevice(
+  supabase: any,
+  organizationId: string,
+  activationId: string,
+  callerId: string,
+  canManageMembers: boolean,
+): Promise<Response> {
+  const { data: activation, error } = await supabase
+    .from("license_activations")
+    .select("id, user_id, device_name, deactivated_at")
+    .eq("id", activationId)
+    .eq("organization_id", organizationId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load device: ${error.message}`);
+  }
+
+  if (!activation || activation.deactivated_at) {
+    return jsonResponse({ error: "Device not found or already deactivated" }, 404);
+  }
+
+  if (activation.user_id !== callerId && !canManageMembers) {
+    return jsonResponse(
+      { error: "You can only deactivate your own devices" },
+      403,
+    );
+  }
+
+  const { error: updateError } = await supabase
+    .from("license_activations")
+    .update({ deactivated_at: new Date().toISOString() })
+    .eq("id", activation.id);
+
+  if (updateError) {
+    throw new Error(`Failed to deactivate device: ${updateError.message}`);
+  }
+
+  return jsonResponse({
+    success: true,
+    action: "deactivated",
+    userId: activation.user_id,
+    deviceName: activation.device_name,
+  });
+}
+
+/**
+ * Change the number of devices allowed per seat
+ */
+async function setDeviceLimit(
+  supabase: any,
+  organizationId: string,
+  limit: number | undefined,
+): Promise<Response> {
+  const value = Math.floor(Number(limit));
+
+  if (!Number.isFinite(value) || value < 1 || value > MAX_DEVICE_LIMIT) {
+    return jsonResponse(
+      { error: `Device limit must be between 1 and ${MAX_DEVICE_LIMIT}` },
+      400,
+    );
+  }
+
+  const { data: org, error: orgError } = await supabase
+    .from("organizations")
+    .select("max_devices_per_seat")
+    .eq("id", organizationId)
+    .single();
+
+  if (orgError) {
+    throw new Error(`Failed to load organization: ${orgError.message}`);
+  }
+
+  const { error: updateError } = await supabase
+    .from("organizations")
+    .update({
+      max_devices_per_seat: value,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", organizationId);
+
+  if (updateError) {
+    throw new Error(`Failed to update device limit: ${updateError.message}`);
+  }
+
+  // Lowering the limit doesn't deactivate devices; they count once they
+  // activate again
+  return jsonResponse({
+    success: true,
+    action: "limit_changed",
+    from: org.max_devices_per_seat,
+    to: value,
+  });
+}
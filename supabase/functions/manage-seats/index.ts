@@ -0,0 +1,994 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  ASSIGNABLE_ROLES,
+  canAssignRole,
+  CAPABILITIES,
+  getOrganizationRole,
+  hasCapability,
+  type Role,
+  ROLES,
+} from "../_shared/permissions.ts";
+import {
+  claimSeat,
+  releaseSeat,
+  SeatUnavailableError,
+  syncUsedLicenses,
+} from "../_shared/seats.ts";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../_shared/audit.ts";
+import {
+  finalizeQueuedInvitations,
+  InvitationConflictError,
+  queueInvitation,
+} from "../_shared/queued-invitations.ts";
+import { notifyInvitationAccepted } from "../_shared/notifications.ts";
+
+/**
+ * Manage Seats Edge Function
+ * Server-side membership and seat changes that affect used_licenses.
+ *
+ * Actions:
+ * - add:      add an existing user as an active member (optionally with a seat)
+ * - accept:   accept the caller's own pending invitation
+ * - leave:    the caller leaves the organization and frees their seat
+ * - remove:   deactivate a member and free their seat
+ * - assign:   give an active member a seat
+ * - unassign: take the seat from an active member
+ * - approve:  approve a pending seat request (assigns the seat)
+ * - decline:  decline a pending seat request
+ * - queue:    store an invitation that waits for a seat (license is full)
+ * - complete: complete queued invitations while seats are free
+ * - role:     change an active member's role (never the owner's)
+ *
+ * used_licenses is always recomputed from the assigned seats afterwards, so
+ * concurrent requests can't leave the counter out of sync.
+ */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+type SeatAction =
+  | "add"
+  | "accept"
+  | "leave"
+  | "remove"
+  | "assign"
+  | "unassign"
+  | "approve"
+  | "decline"
+  | "queue"
+  | "complete"
+  | "role";
+
+interface ManageSeatsRequest {
+  action: SeatAction;
+  organizationId: string;
+  userId?: string;
+  email?: string;
+  role?: string;
+  assignSeat?: boolean;
+  requestId?: string;
+  expiresInDays?: number;
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return jsonResponse({ error: "Missing authorization header" }, 401);
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    // Parse request body
+    let body: ManageSeatsRequest;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return jsonResponse({ error: "Invalid JSON in request body" }, 400);
+    }
+
+    const { action, organizationId } = body;
+
+    if (!action || !organizationId) {
+      return jsonResponse(
+        { error: "Missing required fields: action, organizationId" },
+        400,
+      );
+    }
+
+    // Accepting an invitation is done by the invitee, not a member manager
+    if (action === "accept") {
+      return await acceptInvitation(supabaseClient, user, organizationId);
+    }
+
+    // Any member may leave on their own
+    if (action === "leave") {
+      return await leaveOrganization(supabaseClient, user, organizationId);
+    }
+
+    const callerRole = await getOrganizationRole(
+      supabaseClient,
+      user.id,
+      organizationId,
+    );
+
+    if (!hasCapability(callerRole, CAPABILITIES.MANAGE_MEMBERS)) {
+      return jsonResponse(
+        { error: "You do not have permission to manage members" },
+        403,
+      );
+    }
+
+    if (action === "approve" || action === "decline") {
+      if (!body.requestId) {
+        return jsonResponse(
+          { error: "Missing required field: requestId" },
+          400,
+        );
+      }
+      return await resolveSeatRequest(
+        supabaseClient,
+        organizationId,
+        body.requestId,
+        user.id,
+        action === "approve",
+      );
+    }
+
+    if (action === "queue") {
+      const role = body.role || "member";
+      if (!body.email) {
+        return jsonResponse({ error: "Missing required field: email" }, 400);
+      }
+      if (!canAssignRole(callerRole, role)) {
+        return jsonResponse(
+          { error: `You do not have permission to assign the ${role} role` },
+          403,
+        );
+      }
+
+      const queued = await queueInvitation(supabaseClient, {
+        organizationId,
+        email: body.email,
+        role,
+        invitedBy: user.id,
+        expiresInDays: body.expiresInDays,
+      });
+
+      await recordAuditEvent(supabaseClient, {
+        organizationId,
+        action: AUDIT_ACTIONS.INVITATION_QUEUED,
+        actorId: user.id,
+        actorEmail: user.email,
+        targetEmail: body.email,
+        details: { role, existing_user: !!queued.userId },
+      });
+
+      return jsonResponse({
+        success: true,
+        action: "awaiting_seat",
+        inviteId: queued.id,
+        existingUser: !!queued.userId,
+      });
+    }
+
+    if (action === "complete") {
+      const result = await finalizeQueuedInvitations(
+        supabaseClient,
+        organizationId,
+      );
+      return jsonResponse({ success: true, action: "completed", ...result });
+    }
+
+    if (!body.userId) {
+      return jsonResponse({ error: "Missing required field: userId" }, 400);
+    }
+
+    switch (action) {
+      case "add": {
+        const role = body.role || "member";
+        if (!canAssignRole(callerRole, role)) {
+          return jsonResponse(
+            { error: `You do not have permission to assign the ${role} role` },
+            403,
+          );
+        }
+        return await addMember(
+          supabaseClient,
+          user,
+          organizationId,
+          body.userId,
+          body.email || "",
+          role,
+          body.assignSeat !== false,
+        );
+      }
+      case "remove":
+        return await removeMember(
+          supabaseClient,
+          user,
+          callerRole,
+          organizationId,
+          body.userId,
+        );
+      case "role":
+        if (!body.role) {
+          return jsonResponse({ error: "Missing required field: role" }, 400);
+        }
+        return await changeRole(
+          supabaseClient,
+          user,
+          callerRole,
+          organizationId,
+          body.userId,
+          body.role,
+        );
+      case "assign":
+      case "unassign":
+        return await changeSeat(
+          supabaseClient,
+          user,
+          organizationId,
+          body.userId,
+          action === "assign",
+        );
+      default:
+        return jsonResponse({ error: `Unknown action: ${action}` }, 400);
+    }
+  } catch (error) {
+    if (
+      error instanceof SeatUnavailableError ||
+      error instanceof InvitationConflictError
+    ) {
+      return jsonResponse({ error: error.message }, 409);
+    }
+
+    console.error("Error in manage-seats function:", error);
+    return jsonResponse(
+      { error: error.message || "Internal server error" },
+      500,
+    );
+  }
+});
+
+/**
+ * Try to give a member a seat; a full license is reported, not thrown
+ */
+async function tryClaimSeat(
+  supabase: any,
+  organizationId: string,
+  memberId: string,
+): Promise<{ seatAssigned: boolean; seatMessage?: string }> {
+  try {
+    await claimSeat(supabase, organizationId, memberId);
+    return { seatAssigned: true };
+  } catch (error) {
+    if (error instanceof SeatUnavailableError) {
+      await syncUsedLicenses(supabase, organizationId);
+      return { seatAssigned: false, seatMessage: error.message };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Add an existing user as an active member, reactivating an old membership
+ */
+async function addMember(
+  supabase: any,
+  actor: { id: string; email?: string },
+  organizationId: string,
+  userId: string,
+  email: string,
+  role: string,
+  assignSeat: boolean,
+): Promise<Response> {
+  const { data: existingMember, error: checkError } = await supabase
+    .from("organization_members")
+    .select("id, status")
+    .eq("user_id", userId)
+    .eq("organization_id", organizationId)
+    .maybeSingle();
+
+  if (checkError) {
+    throw new Error(`Failed to check membership: ${checkError.message}`);
+  }
+
+  if (existingMember?.status === "active") {
+    return jsonResponse(
+      { error: "User is already an active member of this organization" },
+      409,
+    );
+  }
+
+  let memberId: string;
+
+  if (existingMember) {
+    const { error: updateError } = await supabase
+      .from("organization_members")
+      .update({
+        status: "active",
+        has_license: false,
+        role: role,
+        email: email,
+        accepted_at: new Date().toISOString(),
+        removed_at: null,
+      })
+      .eq("id", existingMember.id);
+
+    if (updateError) {
+      throw new Error(`Failed to reactivate member: ${updateError.message}`);
+    }
+
+    memberId = existingMember.id;
+  } else {
+    const { data: inserted, error: insertError } = await supabase
+      .from("organization_members")
+      .insert({
+        user_id: userId,
+        organization_id: organizationId,
+        role: role,
+        email: email,
+        status: "active",
+        has_license: false,
+        accepted_at: new Date().toISOString(),
+      })
+      .select("id")
+      .single();
+
+    if (insertError) {
+      throw new Error(`Failed to add member: ${insertError.message}`);
+    }
+
+    memberId = inserted.id;
+  }
+
+  const seat = assignSeat
+    ? await tryClaimSeat(supabase, organizationId, memberId)
+    : { seatAssigned: false };
+
+  await recordAuditEvent(supabase, {
+    organizationId,
+    action: AUDIT_ACTIONS.MEMBER_ADDED,
+    actorId: actor.id,
+    actorEmail: actor.email,
+    targetUserId: userId,
+    targetEmail: email,
+    details: {
+      role,
+      seat_assigned: seat.seatAssigned,
+      reactivated: !!existingMember,
+    },
+  });
+
+  return jsonResponse({
+    success: true,
+    action: existingMember ? "reactivated" : "added",
+    ...seat,
+  });
+}
+
+/**
+ * Accept the caller's pending invitation to an organization
+ */
+async function acceptInvitation(
+  supabase: any,
+  user: { id: string; email?: string },
+  organizationId: string,
+): Promise<Response> {
+  const { data: invite, error: findError } = await supabase
+    .from("organization_members")
+    .select("id, assign_seat_on_accept, invitation_expires_at")
+    .eq("email", user.email)
+    .eq("organization_id", organizationId)
+    .eq("status", "pending")
+    .maybeSingle();
+
+  if (findError) {
+    throw new Error(`Failed to find invitation: ${findError.message}`);
+  }
+
+  if (!invite) {
+    return jsonResponse(
+      { error: "No pending invitation found for this email" },
+      404,
+    );
+  }
+
+  if (
+    invite.invitation_expires_at &&
+    new Date(invite.invitation_expires_at) < new Date()
+  ) {
+    return jsonResponse(
+      { error: "This invitation has expired", status: "expired" },
+      410,
+    );
+  }
+
+  const { error: updateError } = await supabase
+    .from("organization_members")
+    .update({
+      user_id: user.id,
+      status: "active",
+      has_license: false,
+      accepted_at: new Date().toISOString(),
+      invite_token_hash: null,
+      invite_token_sent_at: null,
+      invitation_expires_at: null,
+    })
+    .eq("id", invite.id);
+
+  if (updateError) {
+    throw new Error(`Failed to accept invitation: ${updateError.message}`);
+  }
+
+  const seat = invite.assign_seat_on_accept !== false
+    ? await tryClaimSeat(supabase, organizationId, invite.id)
+    : { seatAssigned: false };
+
+  await notifyInvitationAccepted(supabase, organizationId, {
+    memberId: invite.id,
+    userId: user.id,
+    email: user.email!,
+  });
+
+  return jsonResponse({ success: true, action: "accepted", ...seat });
+}
+
+/**
+ * Deactivate a member and free their seat
+ */
+async function removeMember(
+  supabase: any,
+  actor: { id: string; email?: string },
+  callerRole: string | null,
+  organizationId: string,
+  userId: string,
+): Promise<Response> {
+  const { data: org, error: orgError } = await supabase
+    .from("organizations")
+    .select("owner_id")
+    .eq("id", organizationId)
+    .single();
+
+  if (orgError) {
+    throw new Error(`Failed to load organization: ${orgError.message}`);
+  }
+
+  if (org.owner_id === userId) {
+    return jsonResponse(
+      { error: "The organization owner cannot be removed" },
+      400,
+    );
+  }
+
+  const { data: member, error: memberError } = await supabase
+    .from("organization_members")
+    .select("id, email, role, has_license")
+    .eq("user_id", userId)
+    .eq("organization_id", organizationId)
+    .eq("status", "active")
+    .maybeSingle();
+
+  if (memberError) {
+    throw new Error(`Failed to load member: ${memberError.message}`);
+  }
+
+  if (!member) {
+    return jsonResponse({ error: "Member not found" }, 404);
+  }
+
+  // Only members whose role the caller could assign, as for role changes
+  if (!canAssignRole(callerRole, member.role)) {
+    return jsonResponse(
+      { error: `You do not have permission to remove a ${member.role}` },
+      403,
+    );
+  }
+
+  const { data: removed, error } = await supabase
+    .from("organization_members")
+    .update({
+      status: "inactive",
+      has_license: false,
+      removed_at: new Date().toISOString(),
+    })
+    .eq("id", member.id)
+    .eq("status", "active")
+    .eq("role", member.role)
+    .select("id");
+
+  if (error) {
+    throw new Error(`Failed to remove member: ${error.message}`);
+  }
+
+  if (!removed || removed.length === 0) {
+    return jsonResponse(
+      { error: "The member was changed by someone else. Please reload." },
+      409,
+    );
+  }
+
+  // Never leave the organization without an admin (see changeRole)
+  if (member.role === ROLES.ADMIN) {
+    const { count, error: countError } = await supabase
+      .from("organization_members")
+      .select("id", { count: "exact", head: true })
+      .eq("organization_id", organizationId)
+      .eq("status", "active")
+      .eq("role", ROLES.ADMIN);
+
+    if (countError) {
+      throw new Error(`Failed to count admins: ${countError.message}`);
+    }
+
+    if ((count || 0) === 0) {
+      const { error: restoreError } = await supabase
+        .from("organization_members")
+        .update({
+          status: "active",
+          has_license: member.has_license,
+          removed_at: null,
+        })
+        .eq("id", member.id)
+        .eq("status", "inactive");
+
+      if (restoreError) {
+        throw new Error(
+          `Failed to restore the last admin (member ${member.id}): ${restoreError.message}`,
+        );
+      }
+
+      await syncUsedLicenses(supabase, organizationId);
+
+      return jsonResponse(
+        { error: "Cannot remove the last admin of the organization" },
+        400,
+      );
+    }
+  }
+
+  const usedLicenses = await syncUsedLicenses(supabase, organizationId);
+
+  await recordAuditEvent(supabase, {
+    organizationId,
+    action: AUDIT_ACTIONS.MEMBER_REMOVED,
+    actorId: actor.id,
+    actorEmail: actor.email,
+    targetUserId: userId,
+    targetEmail: member.email,
+  });
+
+  return jsonResponse({
+    success: true,
+    action: "removed",
+    email: member.email,
+    usedLicenses,
+  });
+}
+
+/**
+ * Change an active member's role
+ * Both the member's current and new role must be within the caller's own
+ * rights. An admin is demoted first and the remaining admins counted
+ * afterwards: if two admins demote each other at the same time, at least one
+ * of them sees no admin left and is restored, so the organization always
+ * keeps one.
+ */
+async function changeRole(
+  supabase: any,
+  actor: { id: string; email?: string },
+  actorRole: string | null,
+  organizationId: string,
+  userId: string,
+  newRole: string,
+): Promise<Response> {
+  if (!ASSIGNABLE_ROLES.includes(newRole as Role)) {
+    return jsonResponse({ error: `Invalid role: ${newRole}` }, 400);
+  }
+
+  const { data: org, error: orgError } = await supabase
+    .from("organizations")
+    .select("owner_id")
+    .eq("id", organizationId)
+    .single();
+
+  if (orgError) {
+    throw new Error(`Failed to load organization: ${orgError.message}`);
+  }
+
+  if (org.owner_id === userId) {
+    return jsonResponse(
+      {
+        error:
+          "The owner's role cannot be changed. Transfer ownership first.",
+      },
+      400,
+    );
+  }
+
+  const { data: member, error: memberError } = await supabase
+    .from("organization_members")
+    .select("id, email, role")
+    .eq("user_id", userId)
+    .eq("organization_id", organizationId)
+    .eq("status", "active")
+    .maybeSingle();
+
+  if (memberError) {
+    throw new Error(`Failed to load member: ${memberError.message}`);
+  }
+
+  if (!member) {
+    return jsonResponse({ error: "Member not found" }, 404);
+  }
+
+  if (
+    !canAssignRole(actorRole, member.role) || !canAssignRole(actorRole, newRole)
+  ) {
+    return jsonResponse(
+      {
+        error:
+          `You do not have permission to change this member to ${newRole}`,
+      },
+      403,
+    );
+  }
+
+  if (member.role === newRole) {
+    return jsonResponse({
+      success: true,
+      action: "role_unchanged",
+      email: member.email,
+      previousRole: newRole,
+      role: newRole,
+    });
+  }
+
+  // Only change the role the caller's rights were checked against
+  const { data: changed, error: changeError } = await supabase
+    .from("organization_members")
+    .update({ role: newRole })
+    .eq("id", member.id)
+    .eq("status", "active")
+    .eq("role", member.role)
+    .select("id");
+
+  if (changeError) {
+    throw new Error(`Failed to change role: ${changeError.message}`);
+  }
+
+  if (!changed || changed.length === 0) {
+    return jsonResponse(
+      { error: "The member's role was changed by someone else. Please reload." },
+      409,
+    );
+  }
+
+  // Never leave the organization without an admin
+  if (member.role === ROLES.ADMIN) {
+    const { count, error: countError } = await supabase
+      .from("organization_members")
+      .select("id", { count: "exact", head: true })
+      .eq("organization_id", organizationId)
+      .eq("status", "active")
+      .eq("role", ROLES.ADMIN);
+
+    if (countError) {
+      throw new Error(`Failed to count admins: ${countError.message}`);
+    }
+
+    if ((count || 0) === 0) {
+      const { error: revertError } = await supabase
+        .from("organization_members")
+        .update({ role: ROLES.ADMIN })
+        .eq("id", member.id)
+        .eq("role", newRole);
+
+      if (revertError) {
+        throw new Error(
+          `Failed to restore the last admin (member ${member.id}): ${revertError.message}`,
+        );
+      }
+
+      return jsonResponse(
+        { error: "Cannot demote the last admin of the organization" },
+        400,
+      );
+    }
+  }
+
+  await recordAuditEvent(supabase, {
+    organizationId,
+    action: AUDIT_ACTIONS.MEMBER_ROLE_CHANGED,
+    actorId: actor.id,
+    actorEmail: actor.email,
+    targetUserId: userId,
+    targetEmail: member.email,
+    details: { from: member.role, to: newRole },
+  });
+
+  return jsonResponse({
+    success: true,
+    action: "role_changed",
+    email: member.email,
+    previousRole: member.role,
+    role: newRole,
+  });
+}
+
+/**
+ * Let the caller leave an organization, freeing their seat
+ */
+async function leaveOrganization(
+  supabase: any,
+  user: { id: string; email?: string },
+  organizationId: string,
+): Promise<Response> {
+  const userId = user.id;
+
+  const { data: org, error: orgError } = await supabase
+    .from("organizations")
+    .select("owner_id")
+    .eq("id", organizationId)
+    .single();
+
+  if (orgError) {
+    throw new Error(`Failed to load organization: ${orgError.message}`);
+  }
+
+  if (org.owner_id === userId) {
+    return jsonResponse(
+      {
+        error:
+          "The organization owner cannot leave. Transfer ownership first.",
+      },
+      400,
+    );
+  }
+
+  const { data: member, error: memberError } = await supabase
+    .from("organization_members")
+    .select("id, email, role")
+    .eq("user_id", userId)
+    .eq("organization_id", organizationId)
+    .eq("status", "active")
+    .maybeSingle();
+
+  if (memberError) {
+    throw new Error(`Failed to load membership: ${memberError.message}`);
+  }
+
+  if (!member) {
+    return jsonResponse(
+      { error: "You are not an active member of this organization" },
+      404,
+    );
+  }
+
+  // Never leave the organization without an admin
+  if (member.role === ROLES.ADMIN) {
+    const { count, error: countError } = await supabase
+      .from("organization_members")
+      .select("id", { count: "exact", head: true })
+      .eq("organization_id", organizationId)
+      .eq("status", "active")
+      .eq("role", ROLES.ADMIN);
+
+    if (countError) {
+      throw new Error(`Failed to count admins: ${countError.message}`);
+    }
+
+    if ((count || 0) <= 1) {
+      return jsonResponse(
+        { error: "You are the last admin of this organization" },
+        400,
+      );
+    }
+  }
+
+  const { error: updateError } = await supabase
+    .from("organization_members")
+    .update({
+      status: "inactive",
+      has_license: false,
+      removed_at: new Date().toISOString(),
+    })
+    .eq("id", member.id);
+
+  if (updateError) {
+    throw new Error(`Failed to leave organization: ${updateError.message}`);
+  }
+
+  // Open seat requests no longer apply
+  const { error: requestError } = await supabase
+    .from("seat_requests")
+    .update({ status: "cancelled", resolved_at: new Date().toISOString() })
+    .eq("organization_id", organizationId)
+    .eq("user_id", userId)
+    .eq("status", "pending");
+
+  if (requestError) {
+    console.error("Failed to cancel seat requests:", requestError);
+  }
+
+  const usedLicenses = await syncUsedLicenses(supabase, organizationId);
+
+  // Recorded here because the member can't write to the audit log once gone
+  await recordAuditEvent(supabase, {
+    organizationId,
+    action: AUDIT_ACTIONS.MEMBER_LEFT,
+    actorId: userId,
+    actorEmail: user.email,
+    targetUserId: userId,
+    targetEmail: member.email,
+    details: { role: member.role },
+  });
+
+  return jsonResponse({
+    success: true,
+    action: "left",
+    email: member.email,
+    usedLicenses,
+  });
+}
+
+/**
+ * Approve (assigning the seat) or decline a pending seat request
+ */
+async function resolveSeatRequest(
+  supabase: any,
+  organizationId: string,
+  requestId: string,
+  resolvedBy: string,
+  approve: boolean,
+): Promise<Response> {
+  const { data: request, error: requestError } = await supabase
+    .from("seat_requests")
+    .select("id, user_id, email")
+    .eq("id", requestId)
+    .eq("organization_id", organizationId)
+    .eq("status", "pending")
+    .maybeSingle();
+
+  if (requestError) {
+    throw new Error(`Failed to load seat request: ${requestError.message}`);
+  }
+
+  if (!request) {
+    return jsonResponse(
+      { error: "Seat request not found or already handled" },
+      404,
+    );
+  }
+
+  let usedLicenses: number | undefined;
+
+  if (approve) {
+    const { data: member, error: memberError } = await supabase
+      .from("organization_members")
+      .select("id")
+      .eq("user_id", request.user_id)
+      .eq("organization_id", organizationId)
+      .eq("status", "active")
+      .maybeSingle();
+
+    if (memberError) {
+      throw new Error(`Failed to load member: ${memberError.message}`);
+    }
+
+    if (!member) {
+      return jsonResponse(
+        { error: "The requesting member is no longer active" },
+        404,
+      );
+    }
+
+    // SeatUnavailableError is turned into a 409 by the handler
+    usedLicenses = await claimSeat(supabase, organizationId, member.id);
+  }
+
+  const { error: updateError } = await supabase
+    .from("seat_requests")
+    .update({
+      status: approve ? "approved" : "declined",
+      resolved_at: new Date().toISOString(),
+      resolved_by: resolvedBy,
+    })
+    .eq("id", request.id);
+
+  if (updateError) {
+    throw new Error(`Failed to update seat request: ${updateError.message}`);
+  }
+
+  return jsonResponse({
+    success: true,
+    action: approve ? "approved" : "declined",
+    userId: request.user_id,
+    email: request.email,
+    usedLicenses,
+  });
+}
+
+/**
+ * Assign or unassign an active member's seat
+ */
+async function changeSeat(
+  supabase: any,
+  actor: { id: string; email?: string },
+  organizationId: string,
+  userId: string,
+  assign: boolean,
+): Promise<Response> {
+  const { data: member, error } = await supabase
+    .from("organization_members")
+    .select("id, email")
+    .eq("user_id", userId)
+    .eq("organization_id", organizationId)
+    .eq("status", "active")
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load member: ${error.message}`);
+  }
+
+  if (!member) {
+    return jsonResponse({ error: "Member not found" }, 404);
+  }
+
+  // SeatUnavailableError is turned into a 409 by the handler
+  const usedLicenses = assign
+    ? await claimSeat(supabase, organizationId, member.id)
+    : await releaseSeat(supabase, organizationId, member.id);
+
+  await recordAuditEvent(supabase, {
+    organizationId,
+    action: assign
+      ? AUDIT_ACTIONS.SEAT_ASSIGNED
+      : AUDIT_ACTIONS.SEAT_UNASSIGNED,
+    actorId: actor.id,
+    actorEmail: actor.email,
+    targetUserId: userId,
+    targetEmail: member.email,
+  });
+
+  return jsonResponse({
+    success: true,
+    action: assign ? "assigned" : "unassigned",
+    email: member.email,
+    usedLicenses,
+  });
+}
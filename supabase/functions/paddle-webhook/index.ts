@@ -1,83 +1,52 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  countAssignedSeats,
+  keepSeatsWithinLicense,
+} from "../_shared/seats.ts";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../_shared/audit.ts";
+import { finalizeQueuedInvitations } from "../_shared/queued-invitations.ts";
+import { recordTrialConversion } from "../_shared/trials.ts";
+import {
+  NOTIFICATION_TYPES,
+  notifyOrganization,
+} from "../_shared/notifications.ts";
+import { CAPABILITIES } from "../_shared/permissions.ts";
+import { isOpsAdmin } from "../_shared/ops.ts";
+import {
+  parseToleranceSeconds,
+  verifyPaddleSignature,
+} from "../_shared/paddle-signature.ts";
+import {
+  PAYMENT_STATUSES,
+  PaymentStatus,
+  updatePaymentStatus,
+} from "../_shared/payment-status.ts";
+
+// A delivery still "processing" after this long died midway and may be re-run
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Most events re-run by one replay request
+const MAX_REPLAY_EVENTS = 100;
+
+// Events applyEvent acts on; others are recorded as skipped
+const HANDLED_EVENT_TYPES = [
+  "transaction.completed",
+  "transaction.payment_failed",
+  "subscription.updated",
+  "subscription.canceled",
+  "subscription.past_due",
+  "subscription.paused",
+  "subscription.resumed",
+];
+
+// Events that apply the whole subscription snapshot (quantity, status,
+// dates). Only a newer one of these supersedes an older one; the payment
+// status events keep their own order (see _shared/payment-status.ts).
+const SNAPSHOT_EVENT_TYPES = ["subscription.updated", "subscription.canceled"];
+
+type WebhookEventStatus = "processing" | "processed" | "failed" | "skipped";
 
-// Paddle sends signature in format: ts=timestamp;h1=signature
-// We need to extract and verify it properly
-function extractPaddleSignature(signatureHeader: string | null): {
-  timestamp: string;
-  signature: string;
-} | null {
-  if (!signatureHeader) return null;
-
-  const parts = signatureHeader.split(";");
-  const tsMatch = parts.find((p) => p.startsWith("ts="));
-  const h1Match = parts.find((p) => p.startsWith("h1="));
-
-  if (!tsMatch || !h1Match) return null;
-
-  return {
-    timestamp: tsMatch.substring(3),
-    signature: h1Match.substring(3),
-  };
-}
-
-async function verifyPaddleSignature(
-  body: string,
-  timestamp: string,
-  signature: string,
-  secret: string,
-): Promise<boolean> {
-  // Paddle signature format: ts + : + body
-  const payload = timestamp + ":" + body;
-
-  const encoder = new TextEncoder();
-  const keyData = encoder.encode(secret);
-
-  const key = await crypto.subtle.importKey(
-    "raw",
-    keyData,
-    { name: "HMAC", hash: "SHA-256" },
-    false,
-    ["sign"],
-  );
-
-  const signatureData = await crypto.subtle.sign(
-    "HMAC",
-    key,
-    encoder.encode(payload),
-  );
-
-  const calculatedSignature = Array.from(new Uint8Array(signatureData))
-    .map((b) => b.toString(16).padStart(2, "0"))
-    .join("");
-
-  // Use timing-safe comparison to prevent timing attacks
-  if (calculatedSignature.length !== signature.length) {
-    return false;
-  }
-
-  // Constant-time comparison
-  const calculatedBuffer = new TextEncoder().encode(calculatedSignature);
-  const signatureBuffer = new TextEncoder().encode(signature);
-
-  return timingSafeEqual(calculatedBuffer.buffer, signatureBuffer.buffer);
-}
-
-/**
- * Constant-time comparison to prevent timing attacks
- */
-function timingSafeEqual(a: ArrayBuffer, b: ArrayBuffer): boolean {
-  if (a.byteLength !== b.byteLength) {
-    return false;
-  }
-  const view1 = new DataView(a);
-  const view2 = new DataView(b);
-  let diff = 0;
-  for (let i = 0; i < a.byteLength; i++) {
-    diff |= view1.getUint8(i) ^ view2.getUint8(i);
-  }
-  return diff === 0;
-}
 Deno.serve(async (req) => {
   // Log incoming request immediately for debugging
   console.log("=== Webhook request received ===");
@@ -87,7 +56,18 @@ Deno.serve(async (req) => {
   try {
     const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
     const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
-    const paddleWebhookSecret = Deno.env.get("PADDLE_WEBHOOK_SECRET")!;
+    // During a rotation both the current and the next secret are accepted
+    const webhookSecrets = [
+      Deno.env.get("PADDLE_WEBHOOK_SECRET"),
+      Deno.env.get("PADDLE_WEBHOOK_SECRET_SECONDARY"),
+    ].filter((secret): secret is string => !!secret);
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Ops re-run failed events: POST /paddle-webhook/replay
+    if (new URL(req.url).pathname.endsWith("/replay")) {
+      return await handleReplayRequest(req, supabase);
+    }
 
     const bodyText = await req.text();
     console.log("Body length:", bodyText.length, "characters");
@@ -107,550 +87,1117 @@ Deno.serve(async (req) => {
       return new Response("Unauthorized", { status: 401 });
     }
 
-    const signatureData = extractPaddleSignature(signatureHeader);
-    if (!signatureData) {
-      console.error("Invalid signature format:", signatureHeader);
-      return new Response("Invalid signature format", { status: 401 });
+    if (webhookSecrets.length === 0) {
+      console.error("PADDLE_WEBHOOK_SECRET not configured");
+      return new Response("Webhook secret not configured", { status: 500 });
     }
 
-    const isValid = await verifyPaddleSignature(
+    const signatureCheck = await verifyPaddleSignature(
       bodyText,
-      signatureData.timestamp,
-      signatureData.signature,
-      paddleWebhookSecret,
+      signatureHeader,
+      webhookSecrets,
+      {
+        toleranceSeconds: parseToleranceSeconds(
+          Deno.env.get("PADDLE_WEBHOOK_TOLERANCE_SECONDS"),
+        ),
+      },
     );
 
-    if (!isValid) {
-      console.error("Invalid signature verification failed");
-      return new Response("Invalid signature", { status: 401 });
+    if (!signatureCheck.valid) {
+      switch (signatureCheck.reason) {
+        case "malformed":
+          console.error("Invalid signature format:", signatureHeader);
+          return new Response("Invalid signature format", { status: 401 });
+        case "stale":
+          console.error("Signature timestamp outside tolerance:", signatureHeader);
+          return new Response("Signature expired", { status: 401 });
+        default:
+          console.error("Invalid signature verification failed");
+          return new Response("Invalid signature", { status: 401 });
+      }
     }
 
     const event = JSON.parse(bodyText);
-    console.log("Received Paddle event:", event.event_type);
+    console.log("Received Paddle event:", event.event_type, event.event_id);
 
-    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+    return await processWebhookEvent(supabase, event);
+  } catch (error) {
+    console.error("=== WEBHOOK ERROR ===");
+    console.error("Error processing webhook:", error);
+    console.error("Error type:", error?.constructor?.name);
+    console.error(
+      "Error message:",
+      error instanceof Error ? error.message : "Unknown error",
+    );
+    console.error(
+      "Stack trace:",
+      error instanceof Error ? error.stack : "No stack trace",
+    );
 
-    // Handle transaction.completed event
-    if (event.event_type === "transaction.completed") {
-      const { data: transactionData } = event;
-      const {
-        items,
-        custom_data,
-        customer,
-        id: transactionId,
-        subscription_id: subscriptionId,
-        origin,
-      } = transactionData;
+    const errorMessage =
+      error instanceof Error ? error.message : "Unknown error";
+    return new Response(JSON.stringify({ error: errorMessage }), {
+      status: 500,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+});
 
-      // If this is a subscription update (adding licenses to existing subscription),
-      // the subscription.updated event will handle the database update.
-      // Skip processing here to avoid double-counting.
-      if (origin === "subscription_update") {
-        console.log(
-          `Transaction ${transactionId} is from subscription update - skipping license count update`,
-        );
-        console.log(
-          "The subscription.updated event will handle the license count",
-        );
-        return new Response(
-          JSON.stringify({
-            success: true,
-            message:
-              "Transaction acknowledged - license count will be updated via subscription.updated event",
-          }),
-          {
-            status: 200,
-            headers: { "Content-Type": "application/json" },
-          },
-        );
-      }
+/**
+ * Record, dedupe and apply a verified Paddle event
+ * Every event is kept in paddle_webhook_events. A redelivery of an event that
+ * was already applied (or skipped) is acknowledged without running it again;
+ * a failed one is run again.
+ */
+async function processWebhookEvent(
+  supabase: any,
+  event: any,
+): Promise<Response> {
+  if (!event.event_id) {
+    console.error("Event without event_id:", event.event_type);
+    return new Response("Missing event_id", { status: 400 });
+  }
+
+  // 1. Claim the event
+  const claim = await claimWebhookEvent(supabase, event);
+
+  if (claim === "duplicate") {
+    console.log(`Event ${event.event_id} already processed - skipping`);
+    return jsonResponse({ success: true, message: "Event already processed" });
+  }
+
+  if (claim === "in_progress") {
+    // Paddle retries later; by then the other delivery has finished
+    console.log(`Event ${event.event_id} is being processed - retry later`);
+    return jsonResponse({ error: "Event is being processed" }, 409);
+  }
+
+  // 2. Events nothing is done for are kept, but not reported as processed
+  if (!HANDLED_EVENT_TYPES.includes(event.event_type)) {
+    console.log("Event type not handled:", event.event_type);
+    await finishWebhookEvent(
+      supabase,
+      event.event_id,
+      "skipped",
+      "Event type not handled",
+    );
+    return jsonResponse({ success: true, message: "Event type not handled" });
+  }
 
-      const quantity = items[0]?.quantity || 1;
-      const userId = custom_data?.userId || custom_data?.user_id;
-      const organizationIdFromCustomData =
-        custom_data?.organizationId || custom_data?.organization_id;
-      const userEmail = custom_data?.email || customer?.email;
+  // 3. Paddle doesn't guarantee order: an older subscription snapshot must
+  // not overwrite a newer one
+  if (await isSupersededEvent(supabase, event)) {
+    console.log(
+      `Event ${event.event_id} is older than an applied event for the same subscription - skipping`,
+    );
+    await finishWebhookEvent(
+      supabase,
+      event.event_id,
+      "skipped",
+      "Superseded by a newer event for the same subscription",
+    );
+    return jsonResponse({ success: true, message: "Superseded event skipped" });
+  }
+
+  // 4. Apply it and record the outcome
+  let response: Response;
+  try {
+    response = await applyEvent(supabase, event);
+  } catch (error) {
+    await finishWebhookEvent(
+      supabase,
+      event.event_id,
+      "failed",
+      error instanceof Error ? error.message : String(error),
+    );
+    throw error;
+  }
+
+  if (response.ok) {
+    await finishWebhookEvent(supabase, event.event_id, "processed");
+  } else {
+    await finishWebhookEvent(
+      supabase,
+      event.event_id,
+      "failed",
+      `${response.status}: ${await response.clone().text()}`,
+    );
+  }
 
-      if (!userId) {
-        console.error("No userId in custom_data");
-        return new Response("Missing userId", { status: 400 });
+  return response;
+}
+
+/**
+ * Insert the event as "processing", or take over a failed or stale delivery
+ * of it. Attempts double as a version so only one delivery wins the claim.
+ */
+async function claimWebhookEvent(
+  supabase: any,
+  event: any,
+): Promise<"claimed" | "duplicate" | "in_progress"> {
+  const now = new Date().toISOString();
+
+  const { error: insertError } = await supabase
+    .from("paddle_webhook_events")
+    .insert({
+      event_id: event.event_id,
+      event_type: event.event_type,
+      occurred_at: event.occurred_at || now,
+      subscription_id: getEventSubscriptionId(event),
+      payload: event,
+      status: "processing",
+      attempts: 1,
+      started_at: now,
+    });
+
+  if (!insertError) {
+    return "claimed";
+  }
+
+  if (insertError.code !== "23505") {
+    throw new Error(`Failed to record webhook event: ${insertError.message}`);
+  }
+
+  // Seen before
+  const { data: existing, error: loadError } = await supabase
+    .from("paddle_webhook_events")
+    .select("status, attempts, started_at")
+    .eq("event_id", event.event_id)
+    .single();
+
+  if (loadError) {
+    throw new Error(`Failed to load webhook event: ${loadError.message}`);
+  }
+
+  if (existing.status === "processed" || existing.status === "skipped") {
+    return "duplicate";
+  }
+
+  if (
+    existing.status === "processing" &&
+    Date.now() - new Date(existing.started_at).getTime() < STALE_PROCESSING_MS
+  ) {
+    return "in_progress";
+  }
+
+  const { data: claimed, error: claimError } = await supabase
+    .from("paddle_webhook_events")
+    .update({
+      status: "processing",
+      attempts: existing.attempts + 1,
+      started_at: now,
+      error: null,
+    })
+    .eq("event_id", event.event_id)
+    .eq("attempts", existing.attempts)
+    .select("event_id");
+
+  if (claimError) {
+    throw new Error(`Failed to claim webhook event: ${claimError.message}`);
+  }
+
+  return claimed?.length ? "claimed" : "in_progress";
+}
+
+/**
+ * Record how processing an event ended
+ * Failures are logged but not thrown - the event itself was handled.
+ */
+async function finishWebhookEvent(
+  supabase: any,
+  eventId: string,
+  status: WebhookEventStatus,
+  error: string | null = null,
+): Promise<void> {
+  const { error: updateError } = await supabase
+    .from("paddle_webhook_events")
+    .update({
+      status,
+      error,
+      processed_at: new Date().toISOString(),
+    })
+    .eq("event_id", eventId);
+
+  if (updateError) {
+    console.error(`Failed to record outcome of event ${eventId}:`, updateError);
+  }
+}
+
+/**
+ * Subscription an event is about (subscription events carry the whole
+ * subscription, transaction events reference it)
+ */
+function getEventSubscriptionId(event: any): string | null {
+  if (event.event_type?.startsWith("subscription.")) {
+    return event.data?.id || null;
+  }
+  return event.data?.subscription_id || null;
+}
+
+/**
+ * Whether a newer snapshot event for the same subscription was applied
+ * Snapshot events carry the whole subscription, so the newest one wins.
+ */
+async function isSupersededEvent(supabase: any, event: any): Promise<boolean> {
+  const subscriptionId = getEventSubscriptionId(event);
+
+  if (
+    !SNAPSHOT_EVENT_TYPES.includes(event.event_type) || !subscriptionId ||
+    !event.occurred_at
+  ) {
+    return false;
+  }
+
+  const { data: newer, error } = await supabase
+    .from("paddle_webhook_events")
+    .select("event_id")
+    .eq("subscription_id", subscriptionId)
+    .in("event_type", SNAPSHOT_EVENT_TYPES)
+    .eq("status", "processed")
+    .gt("occurred_at", event.occurred_at)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to check event order: ${error.message}`);
+  }
+
+  return (newer || []).length > 0;
+}
+
+/**
+ * Re-run recorded events (ops only, OPS_ADMIN_EMAILS)
+ * Body: { "eventIds": ["evt_..."] } for specific events, or {} for every
+ * failed event; oldest first, at most MAX_REPLAY_EVENTS.
+ */
+async function handleReplayRequest(
+  req: Request,
+  supabase: any,
+): Promise<Response> {
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+
+  // 1. Authenticate the ops user
+  const authHeader = req.headers.get("Authorization");
+  if (!authHeader) {
+    return jsonResponse({ error: "Missing authorization header" }, 401);
+  }
+
+  const token = authHeader.replace("Bearer ", "");
+  const {
+    data: { user },
+    error: userError,
+  } = await supabase.auth.getUser(token);
+
+  if (userError || !user) {
+    return jsonResponse({ error: "Unauthorized" }, 401);
+  }
+
+  if (!isOpsAdmin(user)) {
+    return jsonResponse(
+      { error: "Only the MepSketcher team can replay webhook events" },
+      403,
+    );
+  }
+
+  let body: { eventIds?: string[] } = {};
+  try {
+    const text = await req.text();
+    body = text ? JSON.parse(text) : {};
+  } catch (parseError) {
+    console.error("Failed to parse request body:", parseError);
+    return jsonResponse({ error: "Invalid JSON in request body" }, 400);
+  }
+
+  if (
+    body.eventIds !== undefined &&
+    (!Array.isArray(body.eventIds) || body.eventIds.length === 0)
+  ) {
+    return jsonResponse(
+      { error: "eventIds must be a non-empty list of event ids" },
+      400,
+    );
+  }
+
+  // 2. Load the events to re-run
+  let query = supabase
+    .from("paddle_webhook_events")
+    .select("event_id, payload")
+    .order("occurred_at", { ascending: true })
+    .limit(MAX_REPLAY_EVENTS);
+
+  query = body.eventIds
+    ? query.in("event_id", body.eventIds)
+    : query.eq("status", "failed");
+
+  const { data: events, error: eventsError } = await query;
+
+  if (eventsError) {
+    throw new Error(`Failed to load webhook events: ${eventsError.message}`);
+  }
+
+  console.log(
+    `Replaying ${events?.length || 0} webhook event(s) for ${user.email}`,
+  );
+
+  // 3. Re-run them one by one, in the order Paddle created them
+  const results = [];
+
+  for (const { event_id: eventId, payload } of events || []) {
+    let responseStatus: number;
+    try {
+      responseStatus = (await processWebhookEvent(supabase, payload)).status;
+    } catch (error) {
+      console.error(`Error replaying event ${eventId}:`, error);
+      responseStatus = 500;
+    }
+
+    const { data: outcome } = await supabase
+      .from("paddle_webhook_events")
+      .select("status, error, attempts")
+      .eq("event_id", eventId)
+      .single();
+
+    results.push({
+      event_id: eventId,
+      response_status: responseStatus,
+      status: outcome?.status || null,
+      error: outcome?.error || null,
+      attempts: outcome?.attempts || null,
+    });
+  }
+
+  return jsonResponse({
+    success: true,
+    replayed: results.length,
+    results,
+  });
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Apply a verified Paddle event
+ * Called through processWebhookEvent, which records the outcome; a non-2xx
+ * response marks the event failed.
+ */
+async function applyEvent(supabase: any, event: any): Promise<Response> {
+  // Handle transaction.completed event
+  if (event.event_type === "transaction.completed") {
+    const { data: transactionData } = event;
+    const {
+      items,
+      custom_data,
+      customer,
+      id: transactionId,
+      subscription_id: subscriptionId,
+      origin,
+    } = transactionData;
+
+    // A successful payment ends any past-due period of the subscription
+    if (subscriptionId) {
+      try {
+        await updatePaymentStatus(
+          supabase,
+          subscriptionId,
+          PAYMENT_STATUSES.ACTIVE,
+          { transactionId, occurredAt: event.occurred_at },
+        );
+      } catch (statusError) {
+        console.error("Error restoring payment status:", statusError);
+        // Non-fatal - subscription.updated restores it as well
       }
+    }
 
+    // If this is a subscription update (adding licenses to existing subscription),
+    // the subscription.updated event will handle the database update.
+    // Skip processing here to avoid double-counting.
+    if (origin === "subscription_update") {
       console.log(
-        `Processing purchase: ${quantity} license(s) for user ${userId}`,
+        `Transaction ${transactionId} is from subscription update - skipping license count update`,
       );
+      console.log(
+        "The subscription.updated event will handle the license count",
+      );
+      return new Response(
+        JSON.stringify({
+          success: true,
+          message:
+            "Transaction acknowledged - license count will be updated via subscription.updated event",
+        }),
+        {
+          status: 200,
+          headers: { "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    const quantity = items[0]?.quantity || 1;
+    const userId = custom_data?.userId || custom_data?.user_id;
+    const organizationIdFromCustomData =
+      custom_data?.organizationId || custom_data?.organization_id;
+    const userEmail = custom_data?.email || customer?.email;
+
+    if (!userId) {
+      console.error("No userId in custom_data");
+      return new Response("Missing userId", { status: 400 });
+    }
 
-      // 1. Determine organization ID (from custom_data or lookup)
-      let organizationId: string | null = organizationIdFromCustomData || null;
-      let oldPersonalOrgId: string | null = null; // Track personal trial org for cleanup
+    console.log(
+      `Processing purchase: ${quantity} license(s) for user ${userId}`,
+    );
+
+    // 1. Determine organization ID (from custom_data or lookup)
+    let organizationId: string | null = organizationIdFromCustomData || null;
+    let oldPersonalOrgId: string | null = null; // Track personal trial org for cleanup
+
+    if (!organizationId) {
+      // No organization ID provided, try to find existing membership
+      console.log(
+        "No organizationId in custom_data, checking for existing membership",
+      );
+      const { data: existingMember } = await supabase
+        .from("organization_members")
+        .select("organization_id")
+        .eq("user_id", userId)
+        .maybeSingle();
 
-      if (!organizationId) {
-        // No organization ID provided, try to find existing membership
+      if (existingMember) {
+        organizationId = existingMember.organization_id;
         console.log(
-          "No organizationId in custom_data, checking for existing membership",
+          "Found existing organization from membership:",
+          organizationId,
         );
-        const { data: existingMember } = await supabase
-          .from("organization_members")
-          .select("organization_id")
-          .eq("user_id", userId)
-          .maybeSingle();
+      }
+    } else {
+      console.log("Using organization from custom_data:", organizationId);
+    }
+
+    // 2. If still no organization, check for personal trial org
+    if (!organizationId) {
+      console.log("No organization found, checking for personal trial org");
+
+      // Check if user has a personal trial organization via organization_members
+      const { data: existingMemberships } = await supabase
+        .from("organization_members")
+        .select(
+          "organization_id, organizations(id, name, is_personal_trial_org)",
+        )
+        .eq("user_id", userId)
+        .eq("role", "owner")
+        .eq("status", "active");
 
-        if (existingMember) {
-          organizationId = existingMember.organization_id;
+      if (existingMemberships && existingMemberships.length > 0) {
+        // Find personal trial org
+        const personalTrialMembership = existingMemberships.find(
+          (m: any) => m.organizations?.is_personal_trial_org === true,
+        );
+
+        if (
+          personalTrialMembership &&
+          personalTrialMembership.organizations
+        ) {
           console.log(
-            "Found existing organization from membership:",
-            organizationId,
+            "Found personal trial org, will replace with real org:",
+            personalTrialMembership.organizations.id,
           );
+          oldPersonalOrgId = personalTrialMembership.organizations.id;
         }
-      } else {
-        console.log("Using organization from custom_data:", organizationId);
       }
 
-      // 2. If still no organization, check for personal trial org
-      if (!organizationId) {
-        console.log("No organization found, checking for personal trial org");
+      // Get organization name from custom_data or use default
+      const organizationName =
+        custom_data?.organizationName ||
+        custom_data?.organization_name ||
+        `${userEmail}'s Organization`;
+
+      console.log("Creating new organization:", organizationName);
+      const { data: newOrg, error: orgError } = await supabase
+        .from("organizations")
+        .insert({
+          name: organizationName,
+          owner_id: userId,
+          is_trial: false,
+          is_personal_trial_org: false, // This is a real organization
+        })
+        .select()
+        .single();
+
+      if (orgError) {
+        console.error("Error creating organization:", orgError);
+        throw orgError;
+      }
+
+      organizationId = newOrg.id;
+      console.log("Created new organization:", organizationId);
 
-        // Check if user has a personal trial organization via organization_members
-        const { data: existingMemberships } = await supabase
+      // If user had a personal trial org, remove them from it
+      if (oldPersonalOrgId) {
+        console.log(
+          "Removing user from personal trial org and marking it for cleanup",
+        );
+        // Update their membership status to inactive in the old org
+        const { error: updateMemberError } = await supabase
           .from("organization_members")
-          .select(
-            "organization_id, organizations(id, name, is_personal_trial_org)",
-          )
+          .update({ status: "inactive" })
           .eq("user_id", userId)
-          .eq("role", "owner")
-          .eq("status", "active");
+          .eq("organization_id", oldPersonalOrgId);
 
-        if (existingMemberships && existingMemberships.length > 0) {
-          // Find personal trial org
-          const personalTrialMembership = existingMemberships.find(
-            (m: any) => m.organizations?.is_personal_trial_org === true,
-          );
-
-          if (
-            personalTrialMembership &&
-            personalTrialMembership.organizations
-          ) {
-            console.log(
-              "Found personal trial org, will replace with real org:",
-              personalTrialMembership.organizations.id,
-            );
-            oldPersonalOrgId = personalTrialMembership.organizations.id;
-          }
+        if (updateMemberError) {
+          console.error("Error updating old membership:", updateMemberError);
+          // Non-fatal, continue - cleanup function will handle orphaned orgs
         }
+      }
+    }
 
-        // Get organization name from custom_data or use default
-        const organizationName =
-          custom_data?.organizationName ||
-          custom_data?.organization_name ||
-          `${userEmail}'s Organization`;
-
-        console.log("Creating new organization:", organizationName);
-        const { data: newOrg, error: orgError } = await supabase
-          .from("organizations")
-          .insert({
-            name: organizationName,
-            owner_id: userId,
-            is_trial: false,
-            is_personal_trial_org: false, // This is a real organization
-          })
-          .select()
-          .single();
-
-        if (orgError) {
-          console.error("Error creating organization:", orgError);
-          throw orgError;
-        }
+    // 3. CRITICAL: Always ensure user is in organization_members
+    console.log("Checking if user is in organization_members");
+    const { data: membershipCheck, error: memberCheckError } = await supabase
+      .from("organization_members")
+      .select("user_id, role, status")
+      .eq("user_id", userId)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (memberCheckError && memberCheckError.code !== "PGRST116") {
+      console.error("Error checking membership:", memberCheckError);
+      // Don't throw - continue with license operations
+    }
 
-        organizationId = newOrg.id;
-        console.log("Created new organization:", organizationId);
+    if (!membershipCheck) {
+      console.log(
+        "User not in organization_members, attempting to add as admin",
+      );
 
-        // If user had a personal trial org, remove them from it
-        if (oldPersonalOrgId) {
+      // First, try to insert the new membership
+      const { error: memberError } = await supabase
+        .from("organization_members")
+        .insert({
+          user_id: userId,
+          organization_id: organizationId,
+          role: "admin",
+          status: "active",
+          email: userEmail,
+          has_license: true,
+          accepted_at: new Date().toISOString(),
+        });
+
+      if (memberError) {
+        // Check if it's a duplicate key error (user already exists)
+        if (memberError.code === "23505") {
           console.log(
-            "Removing user from personal trial org and marking it for cleanup",
+            "User already in organization_members (duplicate key), updating instead",
           );
-          // Update their membership status to inactive in the old org
-          const { error: updateMemberError } = await supabase
+
+          // Update the existing record
+          const { error: updateError } = await supabase
             .from("organization_members")
-            .update({ status: "inactive" })
+            .update({
+              role: "admin",
+              status: "active",
+              has_license: true,
+              accepted_at: new Date().toISOString(),
+            })
             .eq("user_id", userId)
-            .eq("organization_id", oldPersonalOrgId);
+            .eq("organization_id", organizationId);
 
-          if (updateMemberError) {
-            console.error("Error updating old membership:", updateMemberError);
-            // Non-fatal, continue - cleanup function will handle orphaned orgs
+          if (updateError) {
+            console.error("Error updating existing membership:", updateError);
+            // Don't throw - this is non-fatal for license operations
+          } else {
+            console.log("Successfully updated existing membership");
           }
+        } else {
+          console.error(
+            "Error adding user to organization_members:",
+            memberError,
+          );
+          // Don't throw - log and continue with license operations
+          console.log(
+            "Continuing with license operations despite membership error",
+          );
         }
+      } else {
+        console.log("Successfully added user to organization_members");
       }
+    } else {
+      console.log(
+        `User already in organization_members with role: ${membershipCheck.role}`,
+      );
 
-      // 3. CRITICAL: Always ensure user is in organization_members
-      console.log("Checking if user is in organization_members");
-      const { data: membershipCheck, error: memberCheckError } = await supabase
-        .from("organization_members")
-        .select("user_id, role, status")
-        .eq("user_id", userId)
-        .eq("organization_id", organizationId)
-        .maybeSingle();
+      // Update has_license flag if needed
+      if (!membershipCheck.has_license) {
+        console.log("Updating has_license flag for existing member");
+        const { error: updateLicenseError } = await supabase
+          .from("organization_members")
+          .update({ has_license: true })
+          .eq("user_id", userId)
+          .eq("organization_id", organizationId);
 
-      if (memberCheckError && memberCheckError.code !== "PGRST116") {
-        console.error("Error checking membership:", memberCheckError);
-        // Don't throw - continue with license operations
+        if (updateLicenseError) {
+          console.error("Error updating has_license:", updateLicenseError);
+          // Non-fatal
+        }
       }
+    }
 
-      if (!membershipCheck) {
+    // 4. Check if organization_licenses entry already exists
+    const { data: existingLicense } = await supabase
+      .from("organization_licenses")
+      .select("*")
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (existingLicense) {
+      // Update existing license entry
+      // Check if this is a prorated purchase (adding to existing license period)
+      const isProrated = custom_data?.prorated === true;
+
+      let newExpiryDate;
+      if (isProrated) {
+        // For prorated purchases, keep the existing expiry date
+        // (user bought additional licenses for the same period)
+        newExpiryDate = existingLicense.expires_at;
         console.log(
-          "User not in organization_members, attempting to add as admin",
+          `Prorated purchase: keeping existing expiry date ${newExpiryDate}`,
         );
-
-        // First, try to insert the new membership
-        const { error: memberError } = await supabase
-          .from("organization_members")
-          .insert({
-            user_id: userId,
-            organization_id: organizationId,
-            role: "admin",
-            status: "active",
-            email: userEmail,
-            has_license: true,
-            accepted_at: new Date().toISOString(),
-          });
-
-        if (memberError) {
-          // Check if it's a duplicate key error (user already exists)
-          if (memberError.code === "23505") {
-            console.log(
-              "User already in organization_members (duplicate key), updating instead",
-            );
-
-            // Update the existing record
-            const { error: updateError } = await supabase
-              .from("organization_members")
-              .update({
-                role: "admin",
-                status: "active",
-                has_license: true,
-                accepted_at: new Date().toISOString(),
-              })
-              .eq("user_id", userId)
-              .eq("organization_id", organizationId);
-
-            if (updateError) {
-              console.error("Error updating existing membership:", updateError);
-              // Don't throw - this is non-fatal for license operations
-            } else {
-              console.log("Successfully updated existing membership");
-            }
-          } else {
-            console.error(
-              "Error adding user to organization_members:",
-              memberError,
-            );
-            // Don't throw - log and continue with license operations
-            console.log(
-              "Continuing with license operations despite membership error",
-            );
-          }
-        } else {
-          console.log("Successfully added user to organization_members");
-        }
       } else {
+        // For regular purchases, extend by 1 year from now
+        newExpiryDate = new Date(
+          Date.now() + 365 * 24 * 60 * 60 * 1000,
+        ).toISOString();
         console.log(
-          `User already in organization_members with role: ${membershipCheck.role}`,
+          `Standard purchase: setting new expiry date ${newExpiryDate}`,
         );
+      }
 
-        // Update has_license flag if needed
-        if (!membershipCheck.has_license) {
-          console.log("Updating has_license flag for existing member");
-          const { error: updateLicenseError } = await supabase
-            .from("organization_members")
-            .update({ has_license: true })
-            .eq("user_id", userId)
-            .eq("organization_id", organizationId);
+      const { data: updatedLicense, error: updateError } = await supabase
+        .from("organization_licenses")
+        .update({
+          total_licenses: existingLicense.total_licenses + quantity,
+          used_licenses: await countAssignedSeats(supabase, organizationId),
+          paddle_id: transactionId,
+          subscription_id: subscriptionId || existingLicense.subscription_id,
+          updated_at: new Date().toISOString(),
+          expires_at: newExpiryDate,
+        })
+        .eq("id", existingLicense.id)
+        .select()
+        .single();
 
-          if (updateLicenseError) {
-            console.error("Error updating has_license:", updateLicenseError);
-            // Non-fatal
-          }
-        }
+      if (updateError) {
+        console.error("Error updating licenses:", updateError);
+        throw updateError;
       }
 
-      // 4. Check if organization_licenses entry already exists
-      const { data: existingLicense } = await supabase
+      console.log(
+        `Updated license: added ${quantity} licenses, total now: ${updatedLicense.total_licenses}`,
+      );
+
+      await recordAuditEvent(supabase, {
+        organizationId,
+        action: AUDIT_ACTIONS.LICENSE_PURCHASED,
+        actorId: userId,
+        actorEmail: userEmail,
+        details: {
+          quantity,
+          total_licenses: updatedLicense.total_licenses,
+          transaction_id: transactionId,
+          prorated: isProrated,
+        },
+      });
+
+      return new Response(
+        JSON.stringify({
+          success: true,
+          licenses_added: quantity,
+          total_licenses: updatedLicense.total_licenses,
+          organization_id: organizationId,
+          prorated: isProrated,
+          expires_at: newExpiryDate,
+        }),
+        {
+          status: 200,
+          headers: { "Content-Type": "application/json" },
+        },
+      );
+    } else {
+      // Create new license entry
+      const { data: newLicense, error: licenseError } = await supabase
         .from("organization_licenses")
-        .select("*")
-        .eq("organization_id", organizationId)
-        .maybeSingle();
+        .insert({
+          organization_id: organizationId,
+          total_licenses: quantity,
+          used_licenses: 1,
+          license_type: "standard",
+          paddle_id: transactionId,
+          subscription_id: subscriptionId,
+          expires_at: new Date(
+            Date.now() + 365 * 24 * 60 * 60 * 1000,
+          ).toISOString(),
+        })
+        .select()
+        .single();
 
-      if (existingLicense) {
-        // Update existing license entry
-        // Check if this is a prorated purchase (adding to existing license period)
-        const isProrated = custom_data?.prorated === true;
+      if (licenseError) {
+        console.error("Error creating license:", licenseError);
+        throw licenseError;
+      }
 
-        let newExpiryDate;
-        if (isProrated) {
-          // For prorated purchases, keep the existing expiry date
-          // (user bought additional licenses for the same period)
-          newExpiryDate = existingLicense.expires_at;
-          console.log(
-            `Prorated purchase: keeping existing expiry date ${newExpiryDate}`,
-          );
-        } else {
-          // For regular purchases, extend by 1 year from now
-          newExpiryDate = new Date(
-            Date.now() + 365 * 24 * 60 * 60 * 1000,
-          ).toISOString();
+      console.log(`Created license entry with ${quantity} licenses`);
+
+      await recordAuditEvent(supabase, {
+        organizationId,
+        action: AUDIT_ACTIONS.LICENSE_PURCHASED,
+        actorId: userId,
+        actorEmail: userEmail,
+        details: {
+          quantity,
+          total_licenses: quantity,
+          transaction_id: transactionId,
+          prorated: false,
+        },
+      });
+
+      // Track the trial-to-paid conversion before the trial flag is cleared
+      await recordTrialConversion(supabase, {
+        organizationId,
+        trialOrganizationId: oldPersonalOrgId,
+        transactionId,
+        quantity,
+        actorId: userId,
+        actorEmail: userEmail,
+      });
+
+      // Team trial colleagues keep their trial seats as far as the new
+      // license allows (owner first, then by join date)
+      try {
+        const released = await keepSeatsWithinLicense(
+          supabase,
+          organizationId,
+          quantity,
+        );
+        if (released > 0) {
           console.log(
-            `Standard purchase: setting new expiry date ${newExpiryDate}`,
+            `Released ${released} trial seat(s) beyond the ${quantity} purchased`,
           );
         }
+      } catch (seatError) {
+        // Non-fatal - reconcile-seat-counts reports any drift
+        console.error("Error carrying over trial seats:", seatError);
+      }
 
-        const { data: updatedLicense, error: updateError } = await supabase
-          .from("organization_licenses")
-          .update({
-            total_licenses: existingLicense.total_licenses + quantity,
-            paddle_id: transactionId,
-            subscription_id: subscriptionId || existingLicense.subscription_id,
-            updated_at: new Date().toISOString(),
-            expires_at: newExpiryDate,
-          })
-          .eq("id", existingLicense.id)
-          .select()
-          .single();
-
-        if (updateError) {
-          console.error("Error updating licenses:", updateError);
-          throw updateError;
-        }
-
-        console.log(
-          `Updated license: added ${quantity} licenses, total now: ${updatedLicense.total_licenses}`,
-        );
+      // Update organization to mark as paid
+      const { error: orgUpdateError } = await supabase
+        .from("organizations")
+        .update({ is_trial: false })
+        .eq("id", organizationId);
 
-        return new Response(
-          JSON.stringify({
-            success: true,
-            licenses_added: quantity,
-            total_licenses: updatedLicense.total_licenses,
-            organization_id: organizationId,
-            prorated: isProrated,
-            expires_at: newExpiryDate,
-          }),
-          {
-            status: 200,
-            headers: { "Content-Type": "application/json" },
-          },
+      if (orgUpdateError) {
+        console.error(
+          "Error updating organization trial status:",
+          orgUpdateError,
         );
       } else {
-        // Create new license entry
-        const { data: newLicense, error: licenseError } = await supabase
-          .from("organization_licenses")
-          .insert({
-            organization_id: organizationId,
-            total_licenses: quantity,
-            used_licenses: 1,
-            license_type: "standard",
-            paddle_id: transactionId,
-            subscription_id: subscriptionId,
-            expires_at: new Date(
-              Date.now() + 365 * 24 * 60 * 60 * 1000,
-            ).toISOString(),
-          })
-          .select()
-          .single();
-
-        if (licenseError) {
-          console.error("Error creating license:", licenseError);
-          throw licenseError;
-        }
-
-        console.log(`Created license entry with ${quantity} licenses`);
+        console.log("Organization marked as paid (trial ended)");
+      }
 
-        // Update organization to mark as paid
-        const { error: orgUpdateError } = await supabase
+      // Delete old personal trial organization if it exists
+      if (oldPersonalOrgId) {
+        console.log(
+          "Deleting old personal trial organization:",
+          oldPersonalOrgId,
+        );
+        const { error: deleteOrgError } = await supabase
           .from("organizations")
-          .update({ is_trial: false })
-          .eq("id", organizationId);
+          .delete()
+          .eq("id", oldPersonalOrgId)
+          .eq("is_personal_trial_org", true); // Safety check
 
-        if (orgUpdateError) {
-          console.error(
-            "Error updating organization trial status:",
-            orgUpdateError,
-          );
+        if (deleteOrgError) {
+          console.error("Error deleting personal trial org:", deleteOrgError);
+          // Non-fatal - org will be orphaned but user is still successfully set up
         } else {
-          console.log("Organization marked as paid (trial ended)");
+          console.log("Successfully deleted personal trial org");
         }
+      }
 
-        // Delete old personal trial organization if it exists
-        if (oldPersonalOrgId) {
-          console.log(
-            "Deleting old personal trial organization:",
-            oldPersonalOrgId,
-          );
-          const { error: deleteOrgError } = await supabase
-            .from("organizations")
-            .delete()
-            .eq("id", oldPersonalOrgId)
-            .eq("is_personal_trial_org", true); // Safety check
-
-          if (deleteOrgError) {
-            console.error("Error deleting personal trial org:", deleteOrgError);
-            // Non-fatal - org will be orphaned but user is still successfully set up
-          } else {
-            console.log("Successfully deleted personal trial org");
-          }
-        }
+      return new Response(
+        JSON.stringify({
+          success: true,
+          licenses_created: quantity,
+          organization_id: organizationId,
+        }),
+        {
+          status: 200,
+          headers: { "Content-Type": "application/json" },
+        },
+      );
+    }
+  }
 
-        return new Response(
-          JSON.stringify({
-            success: true,
-            licenses_created: quantity,
-            organization_id: organizationId,
-          }),
-          {
-            status: 200,
-            headers: { "Content-Type": "application/json" },
-          },
-        );
-      }
+  // Handle subscription.updated event (for adding items to multi-item subscriptions)
+  if (event.event_type === "subscription.updated") {
+    const { data: subscriptionData } = event;
+    const { id: subscriptionId } = subscriptionData;
+
+    console.log(`Processing subscription update for ${subscriptionId}`);
+
+    // Find the organization with this subscription
+    const { data: license, error: findError } = await supabase
+      .from("organization_licenses")
+      .select("organization_id, total_licenses, scheduled_total_licenses")
+      .eq("subscription_id", subscriptionId)
+      .maybeSingle();
+
+    if (findError) {
+      console.error("Error finding license by subscription_id:", findError);
+      return new Response("OK", { status: 200 }); // Still return 200 for webhook acknowledgment
     }
 
-    // Handle subscription.updated event (for adding items to multi-item subscriptions)
-    if (event.event_type === "subscription.updated") {
-      const { data: subscriptionData } = event;
-      const { id: subscriptionId } = subscriptionData;
+    if (!license) {
+      console.log(`No license found for subscription ${subscriptionId}`);
+      return new Response("OK", { status: 200 });
+    }
 
-      console.log(`Processing subscription update for ${subscriptionId}`);
+    // Calculate total licenses from all items in the subscription
+    const totalLicenses =
+      (subscriptionData.items || []).reduce(
+        (sum: number, item: any) => sum + (item.quantity || 0),
+        0,
+      ) || 1;
 
-      // Find the organization with this subscription
-      const { data: license, error: findError } = await supabase
-        .from("organization_licenses")
-        .select("organization_id, total_licenses, scheduled_total_licenses")
-        .eq("subscription_id", subscriptionId)
-        .maybeSingle();
+    console.log(
+      `Updating license for organization ${license.organization_id}: total_licenses ${license.total_licenses} -> ${totalLicenses}`,
+    );
 
-      if (findError) {
-        console.error("Error finding license by subscription_id:", findError);
-        return new Response("OK", { status: 200 }); // Still return 200 for webhook acknowledgment
+    // Prepare update data
+    const updateData: any = {
+      total_licenses: totalLicenses,
+      updated_at: new Date().toISOString(),
+    };
+
+    // If there was a scheduled change and the new total matches it, clear the scheduling fields
+    // This happens when apply-scheduled-license-changes updates Paddle and the webhook confirms it
+    if (
+      license.scheduled_total_licenses !== null &&
+      totalLicenses === license.scheduled_total_licenses
+    ) {
+      console.log(`Scheduled change applied: clearing scheduling fields`);
+      updateData.scheduled_total_licenses = null;
+      updateData.scheduled_change_at = null;
+      updateData.scheduled_change_note = null;
+    }
+
+    // Update the total licenses in our database
+    const { error: updateError } = await supabase
+      .from("organization_licenses")
+      .update(updateData)
+      .eq("subscription_id", subscriptionId);
+
+    if (updateError) {
+      console.error("Error updating license total:", updateError);
+      // Non-fatal - Paddle has the source of truth
+    } else {
+      console.log(`Successfully updated total_licenses to ${totalLicenses}`);
+
+      if (totalLicenses !== license.total_licenses) {
+        await recordAuditEvent(supabase, {
+          organizationId: license.organization_id,
+          action: AUDIT_ACTIONS.SUBSCRIPTION_UPDATED,
+          details: {
+            from: license.total_licenses,
+            to: totalLicenses,
+            subscription_id: subscriptionId,
+          },
+        });
       }
 
-      if (!license) {
-        console.log(`No license found for subscription ${subscriptionId}`);
-        return new Response("OK", { status: 200 });
+      // New seats complete invitations that were waiting for one
+      if (totalLicenses > license.total_licenses) {
+        try {
+          await finalizeQueuedInvitations(supabase, license.organization_id);
+        } catch (queueError) {
+          console.error("Error completing queued invitations:", queueError);
+          // Non-fatal - they can be completed from the dashboard
+        }
       }
+    }
 
-      // Calculate total licenses from all items in the subscription
-      const totalLicenses =
-        (subscriptionData.items || []).reduce(
-          (sum: number, item: any) => sum + (item.quantity || 0),
-          0,
-        ) || 1;
+    // Follow the subscription's status in case a past_due, paused or
+    // resumed event was missed
+    const paymentStatus = subscriptionData.status === "past_due"
+      ? PAYMENT_STATUSES.PAST_DUE
+      : subscriptionData.status === "paused"
+      ? PAYMENT_STATUSES.PAUSED
+      : subscriptionData.status === "active"
+      ? PAYMENT_STATUSES.ACTIVE
+      : null;
+
+    if (paymentStatus) {
+      try {
+        await updatePaymentStatus(supabase, subscriptionId, paymentStatus, {
+          occurredAt: event.occurred_at,
+        });
+      } catch (statusError) {
+        console.error("Error updating payment status:", statusError);
+      }
+    }
 
-      console.log(
-        `Updating license for organization ${license.organization_id}: total_licenses ${license.total_licenses} -> ${totalLicenses}`,
-      );
+    return new Response("OK", { status: 200 });
+  }
 
-      // Prepare update data
-      const updateData: any = {
-        total_licenses: totalLicenses,
-        updated_at: new Date().toISOString(),
-      };
-
-      // If there was a scheduled change and the new total matches it, clear the scheduling fields
-      // This happens when apply-scheduled-license-changes updates Paddle and the webhook confirms it
-      if (
-        license.scheduled_total_licenses !== null &&
-        totalLicenses === license.scheduled_total_licenses
-      ) {
-        console.log(`Scheduled change applied: clearing scheduling fields`);
-        updateData.scheduled_total_licenses = null;
-        updateData.scheduled_change_at = null;
-        updateData.scheduled_change_note = null;
-      }
+  // Handle subscription.canceled event
+  if (event.event_type === "subscription.canceled") {
+    const { data: subscriptionData } = event;
+    const { id: subscriptionId } = subscriptionData;
 
-      // Update the total licenses in our database
-      const { error: updateError } = await supabase
-        .from("organization_licenses")
-        .update(updateData)
-        .eq("subscription_id", subscriptionId);
+    console.log(`Processing subscription cancellation for ${subscriptionId}`);
 
-      if (updateError) {
-        console.error("Error updating license total:", updateError);
-        // Non-fatal - Paddle has the source of truth
-      } else {
-        console.log(`Successfully updated total_licenses to ${totalLicenses}`);
-      }
+    // Find the license with this subscription
+    const { data: license, error: findError } = await supabase
+      .from("organization_licenses")
+      .select("*")
+      .eq("subscription_id", subscriptionId)
+      .maybeSingle();
 
+    if (findError) {
+      console.error("Error finding license by subscription_id:", findError);
       return new Response("OK", { status: 200 });
     }
 
-    // Handle subscription.canceled event
-    if (event.event_type === "subscription.canceled") {
-      const { data: subscriptionData } = event;
-      const { id: subscriptionId } = subscriptionData;
+    if (!license) {
+      console.log(`No license found for subscription ${subscriptionId}`);
+      return new Response("OK", { status: 200 });
+    }
 
-      console.log(`Processing subscription cancellation for ${subscriptionId}`);
+    // Update license to mark as canceled
+    const { error: updateError } = await supabase
+      .from("organization_licenses")
+      .update({
+        license_type: "cancelled",
+        total_licenses: 0,
+        scheduled_total_licenses: null,
+        scheduled_change_at: null,
+        scheduled_change_note: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("subscription_id", subscriptionId);
 
-      // Find the license with this subscription
-      const { data: license, error: findError } = await supabase
-        .from("organization_licenses")
-        .select("*")
-        .eq("subscription_id", subscriptionId)
-        .maybeSingle();
+    if (updateError) {
+      console.error("Error updating canceled license:", updateError);
+    } else {
+      console.log(
+        `Successfully marked license as canceled for subscription ${subscriptionId}`,
+      );
 
-      if (findError) {
-        console.error("Error finding license by subscription_id:", findError);
-        return new Response("OK", { status: 200 });
-      }
+      await recordAuditEvent(supabase, {
+        organizationId: license.organization_id,
+        action: AUDIT_ACTIONS.LICENSE_CANCELED,
+        details: {
+          previous_total_licenses: license.total_licenses,
+          subscription_id: subscriptionId,
+        },
+      });
+    }
 
-      if (!license) {
-        console.log(`No license found for subscription ${subscriptionId}`);
-        return new Response("OK", { status: 200 });
-      }
+    return new Response("OK", { status: 200 });
+  }
 
-      // Update license to mark as canceled
-      const { error: updateError } = await supabase
-        .from("organization_licenses")
-        .update({
-          license_type: "cancelled",
-          total_licenses: 0,
-          scheduled_total_licenses: null,
-          scheduled_change_at: null,
-          scheduled_change_note: null,
-          updated_at: new Date().toISOString(),
-        })
-        .eq("subscription_id", subscriptionId);
+  // Handle transaction.payment_failed event (renewal or seat purchase declined)
+  if (event.event_type === "transaction.payment_failed") {
+    const { data: transactionData } = event;
+    const subscriptionId = transactionData.subscription_id;
 
-      if (updateError) {
-        console.error("Error updating canceled license:", updateError);
-      } else {
-        console.log(
-          `Successfully marked license as canceled for subscription ${subscriptionId}`,
-        );
-      }
+    console.log(
+      `Processing failed payment ${transactionData.id} for subscription ${subscriptionId}`,
+    );
 
+    if (!subscriptionId) {
+      console.log("Failed payment is not for a subscription - ignoring");
       return new Response("OK", { status: 200 });
     }
 
-    console.log("Event type not handled:", event.event_type);
+    const { data: license, error: findError } = await supabase
+      .from("organization_licenses")
+      .select("organization_id")
+      .eq("subscription_id", subscriptionId)
+      .maybeSingle();
+
+    if (findError) {
+      console.error("Error finding license by subscription_id:", findError);
+      return new Response("OK", { status: 200 });
+    }
+
+    if (!license) {
+      console.log(`No license found for subscription ${subscriptionId}`);
+      return new Response("OK", { status: 200 });
+    }
+
+    const errorCode = transactionData.payments?.[0]?.error_code || null;
+
+    // A failed renewal puts the subscription past due while Paddle retries
+    // (subscription.past_due follows; whichever comes first emails)
+    if (transactionData.origin === "subscription_recurring") {
+      await updatePaymentStatus(
+        supabase,
+        subscriptionId,
+        PAYMENT_STATUSES.PAST_DUE,
+        {
+          transactionId: transactionData.id,
+          errorCode,
+          occurredAt: event.occurred_at,
+        },
+      );
+    }
+
+    await notifyOrganization(supabase, CAPABILITIES.MANAGE_BILLING, {
+      organizationId: license.organization_id,
+      type: NOTIFICATION_TYPES.PAYMENT_FAILED,
+      title: "Payment failed",
+      body: `Paddle could not collect your MepSketcher payment${
+        errorCode ? ` (${errorCode.replace(/_/g, " ")})` : ""
+      }. Please check your payment method.`,
+      link: "dashboard.html",
+      data: {
+        transaction_id: transactionData.id,
+        subscription_id: subscriptionId,
+        error_code: errorCode,
+      },
+      dedupeKey: `payment_failed:${transactionData.id}`,
+    });
+
     return new Response("OK", { status: 200 });
-  } catch (error) {
-    console.error("=== WEBHOOK ERROR ===");
-    console.error("Error processing webhook:", error);
-    console.error("Error type:", error?.constructor?.name);
-    console.error(
-      "Error message:",
-      error instanceof Error ? error.message : "Unknown error",
-    );
-    console.error(
-      "Stack trace:",
-      error instanceof Error ? error.stack : "No stack trace",
+  }
+
+  // Handle subscription.past_due, subscription.paused and subscription.resumed
+  // (dunning: payments stopped or started again)
+  const subscriptionPaymentStatuses: Record<string, PaymentStatus> = {
+    "subscription.past_due": PAYMENT_STATUSES.PAST_DUE,
+    "subscription.paused": PAYMENT_STATUSES.PAUSED,
+    "subscription.resumed": PAYMENT_STATUSES.ACTIVE,
+  };
+
+  if (event.event_type in subscriptionPaymentStatuses) {
+    const { data: subscriptionData } = event;
+    const status = subscriptionPaymentStatuses[event.event_type];
+
+    console.log(
+      `Processing ${event.event_type} for subscription ${subscriptionData.id}`,
     );
 
-    const errorMessage =
-      error instanceof Error ? error.message : "Unknown error";
-    return new Response(JSON.stringify({ error: errorMessage }), {
-      status: 500,
-      headers: { "Content-Type": "application/json" },
+    await updatePaymentStatus(supabase, subscriptionData.id, status, {
+      occurredAt: event.occurred_at,
     });
+
+    return new Response("OK", { status: 200 });
   }
-});
+
+  console.log("Event type not handled:", event.event_type);
+  return new Response("OK", { status: 200 });
+}
@@ -0,0 +1,145 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { countAssignedSeats } from "../_shared/seats.ts";
+
+/**
+ * Reconcile Seat Counts Edge Function
+ * Runs daily via cron job to keep used_licenses in line with the seats that
+ * are actually assigned in organization_members.
+ *
+ * Schedule: Run daily at 3 AM UTC (after apply-scheduled-license-changes)
+ * Cron: 0 3 * * *
+ *
+ * This function:
+ * 1. Recomputes the assigned seat count for every organization license
+ * 2. Reports drift (stored used_licenses != assigned seats)
+ * 3. Reports over-allocation (assigned seats > total_licenses)
+ * 4. Writes the corrected used_licenses, unless called with ?dryRun=true
+ */
+
+interface SeatDrift {
+  organizationId: string;
+  licenseId: string;
+  storedUsedLicenses: number;
+  assignedSeats: number;
+  totalLicenses: number;
+  drift: number;
+  overAllocated: boolean;
+  fixed: boolean;
+}
+
+Deno.serve(async (req) => {
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+    const dryRun = new URL(req.url).searchParams.get("dryRun") === "true";
+
+    console.log(
+      `Starting seat count reconciliation${dryRun ? " (dry run)" : ""}...`,
+    );
+
+    const { data: licenses, error: queryError } = await supabase
+      .from("organization_licenses")
+      .select("id, organization_id, total_licenses, used_licenses");
+
+    if (queryError) {
+      console.error("Error querying organization licenses:", queryError);
+      throw queryError;
+    }
+
+    const drifts: SeatDrift[] = [];
+    const failures = [];
+
+    for (const license of licenses || []) {
+      try {
+        const assignedSeats = await countAssignedSeats(
+          supabase,
+          license.organization_id,
+        );
+        const storedUsedLicenses = license.used_licenses || 0;
+        const overAllocated = assignedSeats > license.total_licenses;
+
+        if (assignedSeats === storedUsedLicenses && !overAllocated) {
+          continue;
+        }
+
+        let fixed = false;
+        if (!dryRun && assignedSeats !== storedUsedLicenses) {
+          const { error: updateError } = await supabase
+            .from("organization_licenses")
+            .update({
+              used_licenses: assignedSeats,
+              updated_at: new Date().toISOString(),
+            })
+            .eq("id", license.id);
+
+          if (updateError) {
+            throw new Error(
+              `Failed to update used_licenses: ${updateError.message}`,
+            );
+          }
+          fixed = true;
+        }
+
+        console.log(
+          `Organization ${license.organization_id}: stored ${storedUsedLicenses}, assigned ${assignedSeats}, total ${license.total_licenses}${overAllocated ? " (over-allocated)" : ""}`,
+        );
+
+        drifts.push({
+          organizationId: license.organization_id,
+          licenseId: license.id,
+          storedUsedLicenses,
+          assignedSeats,
+          totalLicenses: license.total_licenses,
+          drift: assignedSeats - storedUsedLicenses,
+          overAllocated,
+          fixed,
+        });
+      } catch (error) {
+        console.error(
+          `Failed to reconcile license ${license.id}:`,
+          error,
+        );
+        failures.push({
+          licenseId: license.id,
+          organizationId: license.organization_id,
+          error: error.message,
+        });
+      }
+    }
+
+    console.log(
+      `Completed: ${licenses?.length || 0} checked, ${drifts.length} with drift, ${failures.length} failed`,
+    );
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        dry_run: dryRun,
+        licenses_checked: licenses?.length || 0,
+        drift_count: drifts.length,
+        drifts: drifts,
+        failures: failures,
+        timestamp: new Date().toISOString(),
+      }),
+      {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      },
+    );
+  } catch (error) {
+    console.error("Error in reconcile-seat-counts function:", error);
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: error.message,
+      }),
+      {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      },
+    );
+  }
+});
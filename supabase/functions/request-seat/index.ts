@@ -0,0 +1,391 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  CAPABILITIES,
+  hasCapability,
+  ROLES,
+} from "../_shared/permissions.ts";
+import { escapeHtml } from "../_shared/email.ts";
+import {
+  NOTIFICATION_TYPES,
+  notifyOrganization,
+} from "../_shared/notifications.ts";
+
+const RESEND_API_KEY = Deno.env.get("RESEND_API_KEY");
+const SITE_URL = Deno.env.get("SITE_URL") || "https://mepsketcher.com";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+interface SeatRequestBody {
+  organizationId: string;
+  message?: string;
+}
+
+/**
+ * Request Seat Edge Function
+ * Lets an active member without a seat ask their admins for one.
+ *
+ * - Creates a pending row in seat_requests (one open request per member)
+ * - Emails the owner and every member who can manage members, and adds a
+ *   dashboard notification for them
+ * - Admins approve or decline through manage-seats ("approve" / "decline")
+ */
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return new Response(
+        JSON.stringify({ error: "Missing authorization header" }),
+        {
+          status: 401,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return new Response(JSON.stringify({ error: "Unauthorized" }), {
+        status: 401,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Parse request body
+    let body: SeatRequestBody;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return new Response(
+        JSON.stringify({ error: "Invalid JSON in request body" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    const { organizationId } = body;
+    const message = (body.message || "").trim().slice(0, 500);
+
+    if (!organizationId) {
+      return new Response(
+        JSON.stringify({ error: "Missing required field: organizationId" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    // Only active members without a seat can ask for one
+    const { data: membership, error: membershipError } = await supabaseClient
+      .from("organization_members")
+      .select("id, email, has_license")
+      .eq("organization_id", organizationId)
+      .eq("user_id", user.id)
+      .eq("status", "active")
+      .maybeSingle();
+
+    if (membershipError) {
+      console.error("Error loading membership:", membershipError);
+      throw membershipError;
+    }
+
+    if (!membership) {
+      return new Response(
+        JSON.stringify({
+          error: "You are not an active member of this organization",
+        }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    if (membership.has_license) {
+      return new Response(
+        JSON.stringify({ error: "You already have a seat" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    const { data: openRequest, error: openRequestError } = await supabaseClient
+      .from("seat_requests")
+      .select("id")
+      .eq("organization_id", organizationId)
+      .eq("user_id", user.id)
+      .eq("status", "pending")
+      .maybeSingle();
+
+    if (openRequestError) {
+      console.error("Error checking open seat requests:", openRequestError);
+      throw openRequestError;
+    }
+
+    if (openRequest) {
+      return new Response(
+        JSON.stringify({
+          error: "You already have a pending seat request",
+          requestId: openRequest.id,
+        }),
+        {
+          status: 409,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    const requesterEmail = membership.email || user.email;
+
+    const { data: seatRequest, error: insertError } = await supabaseClient
+      .from("seat_requests")
+      .insert({
+        organization_id: organizationId,
+        user_id: user.id,
+        email: requesterEmail,
+        message: message || null,
+        status: "pending",
+      })
+      .select("id, created_at")
+      .single();
+
+    if (insertError) {
+      console.error("Error creating seat request:", insertError);
+      throw insertError;
+    }
+
+    await notifyOrganization(
+      supabaseClient,
+      CAPABILITIES.MANAGE_MEMBERS,
+      {
+        organizationId,
+        type: NOTIFICATION_TYPES.SEAT_REQUEST,
+        title: `${requesterEmail} requested a seat`,
+        body: message || null,
+        link: "dashboard.html",
+        data: { seat_request_id: seatRequest.id, email: requesterEmail },
+        dedupeKey: `seat_request:${seatRequest.id}`,
+      },
+      { excludeUserId: user.id },
+    );
+
+    // Notify admins; the request stands even if email fails
+    let notified = 0;
+    try {
+      notified = await notifyAdmins(supabaseClient, organizationId, {
+        requesterEmail,
+        message,
+      });
+    } catch (emailError) {
+      console.error("Failed to notify admins of seat request:", emailError);
+    }
+
+    console.log(
+      `Seat request ${seatRequest.id} created for ${requesterEmail} (${notified} admin(s) notified)`,
+    );
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        requestId: seatRequest.id,
+        createdAt: seatRequest.created_at,
+        notified,
+      }),
+      {
+        status: 200,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      },
+    );
+  } catch (error) {
+    console.error("Error in request-seat function:", error);
+    return new Response(
+      JSON.stringify({ error: error.message || "Internal server error" }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      },
+    );
+  }
+});
+
+/**
+ * Email the owner and member managers about a seat request
+ * Returns the number of recipients
+ */
+async function notifyAdmins(
+  supabase: any,
+  organizationId: string,
+  params: { requesterEmail: string; message: string },
+): Promise<number> {
+  if (!RESEND_API_KEY) {
+    console.error("RESEND_API_KEY not configured");
+    return 0;
+  }
+
+  const { data: org, error: orgError } = await supabase
+    .from("organizations")
+    .select("name, owner_id")
+    .eq("id", organizationId)
+    .single();
+
+  if (orgError) {
+    throw new Error(`Failed to load organization: ${orgError.message}`);
+  }
+
+  const { data: managers, error: managersError } = await supabase
+    .from("organization_members")
+    .select("user_id, email, role")
+    .eq("organization_id", organizationId)
+    .eq("status", "active");
+
+  if (managersError) {
+    throw new Error(`Failed to load admins: ${managersError.message}`);
+  }
+
+  const recipients = new Set<string>();
+
+  (managers || []).forEach((member: any) => {
+    const role = member.user_id === org.owner_id ? ROLES.OWNER : member.role;
+    if (member.email && hasCapability(role, CAPABILITIES.MANAGE_MEMBERS)) {
+      recipients.add(member.email.toLowerCase());
+    }
+  });
+
+  const { data: ownerProfile } = await supabase
+    .from("user_profiles")
+    .select("email")
+    .eq("id", org.owner_id)
+    .maybeSingle();
+
+  if (ownerProfile?.email) {
+    recipients.add(ownerProfile.email.toLowerCase());
+  }
+
+  if (recipients.size === 0) {
+    console.warn(`No admins to notify for organization ${organizationId}`);
+    return 0;
+  }
+
+  const emailResponse = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${RESEND_API_KEY}`,
+    },
+    body: JSON.stringify({
+      from: "MepSketcher <noreply@mepsketcher.com>",
+      to: Array.from(recipients),
+      subject: `${params.requesterEmail} requested a MepSketcher seat in ${org.name}`,
+      html: generateSeatRequestEmailHTML({
+        requesterEmail: params.requesterEmail,
+        organizationName: org.name,
+        message: params.message,
+        dashboardUrl: `${SITE_URL}/dashboard.html`,
+      }),
+    }),
+  });
+
+  if (!emailResponse.ok) {
+    const errorText = await emailResponse.text();
+    throw new Error(`Resend API error: ${errorText}`);
+  }
+
+  return recipients.size;
+}
+
+function generateSeatRequestEmailHTML(params: {
+  requesterEmail: string;
+  organizationName: string;
+  message: string;
+  dashboardUrl: string;
+}): string {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Seat request for ${escapeHtml(params.organizationName)}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 40px 0;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="padding: 40px 40px 20px; text-align: center;">
+              <h1 style="margin: 0; color: #333333; font-size: 24px;">MepSketcher</h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 20px 40px;">
+              <h2 style="margin: 0 0 20px; color: #333333; font-size: 20px;">
+                New seat request
+              </h2>
+              <p style="margin: 0 0 15px; color: #666666; font-size: 16px; line-height: 1.5;">
+                <strong>${escapeHtml(params.requesterEmail)}</strong> is a member of
+                <strong>${escapeHtml(params.organizationName)}</strong> and has asked for a license seat.
+              </p>
+              ${params.message ? `
+              <p style="margin: 0 0 15px; padding: 12px 16px; background-color: #f8f9fa; border-left: 3px solid #0066cc; color: #333333; font-size: 15px; line-height: 1.5;">
+                ${escapeHtml(params.message)}
+              </p>
+              ` : ""}
+              <table width="100%" cellpadding="0" cellspacing="0">
+                <tr>
+                  <td align="center" style="padding: 20px 0;">
+                    <a href="${params.dashboardUrl}"
+                       style="display: inline-block; padding: 14px 40px; background-color: #0066cc; color: #ffffff; text-decoration: none; border-radius: 4px; font-size: 16px; font-weight: 600;">
+                      Review Request
+                    </a>
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 30px 40px; border-top: 1px solid #eeeeee; text-align: center;">
+              <p style="margin: 0; color: #999999; font-size: 12px;">
+                You receive this email because you manage members of ${escapeHtml(params.organizationName)}.
+              </p>
+              <p style="margin: 10px 0 0; color: #999999; font-size: 12px;">
+                © ${new Date().getFullYear()} MepSketcher. All rights reserved.
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `.trim();
+}
@@ -0,0 +1,352 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../_shared/audit.ts";
+import { getOpsAdminEmails } from "../_shared/ops.ts";
+import {
+  getTrialDaysRemaining,
+  TRIAL_EXTENSION_REQUEST_DAYS,
+} from "../_shared/trials.ts";
+
+const RESEND_API_KEY = Deno.env.get("RESEND_API_KEY");
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+interface TrialExtensionRequestBody {
+  organizationId: string;
+  message?: string;
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Request Trial Extension Edge Function
+ * Lets a member of a trial organization ask for more time once fewer than
+ * TRIAL_EXTENSION_REQUEST_DAYS days remain (or the trial has ended).
+ *
+ * - Creates a pending row in trial_extension_requests (one per organization)
+ * - Emails the ops team (OPS_ADMIN_EMAILS), who extend through extend-trial
+ */
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return jsonResponse({ error: "Missing authorization header" }, 401);
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    // Parse request body
+    let body: TrialExtensionRequestBody;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return jsonResponse({ error: "Invalid JSON in request body" }, 400);
+    }
+
+    const { organizationId } = body;
+    const message = (body.message || "").trim().slice(0, 500);
+
+    if (!organizationId) {
+      return jsonResponse(
+        { error: "Missing required field: organizationId" },
+        400,
+      );
+    }
+
+    // 1. Only active members can ask
+    const { data: membership, error: membershipError } = await supabaseClient
+      .from("organization_members")
+      .select("id, email")
+      .eq("organization_id", organizationId)
+      .eq("user_id", user.id)
+      .eq("status", "active")
+      .maybeSingle();
+
+    if (membershipError) {
+      console.error("Error loading membership:", membershipError);
+      throw membershipError;
+    }
+
+    if (!membership) {
+      return jsonResponse(
+        { error: "You are not an active member of this organization" },
+        403,
+      );
+    }
+
+    // 2. The trial must be (nearly) over
+    const { data: org, error: orgError } = await supabaseClient
+      .from("organizations")
+      .select("id, name, is_trial, trial_expires_at")
+      .eq("id", organizationId)
+      .single();
+
+    if (orgError) {
+      console.error("Error loading organization:", orgError);
+      throw orgError;
+    }
+
+    if (!org.is_trial || !org.trial_expires_at) {
+      return jsonResponse(
+        { error: "This organization is not on a trial" },
+        400,
+      );
+    }
+
+    const daysRemaining = getTrialDaysRemaining(org.trial_expires_at);
+
+    if (daysRemaining >= TRIAL_EXTENSION_REQUEST_DAYS) {
+      return jsonResponse(
+        {
+          error: `You can request an extension when fewer than ${TRIAL_EXTENSION_REQUEST_DAYS} days of your trial remain`,
+        },
+        400,
+      );
+    }
+
+    // 3. One open request per organization
+    const { data: openRequest, error: openRequestError } = await supabaseClient
+      .from("trial_extension_requests")
+      .select("id")
+      .eq("organization_id", organizationId)
+      .eq("status", "pending")
+      .maybeSingle();
+
+    if (openRequestError) {
+      console.error("Error checking open extension requests:", openRequestError);
+      throw openRequestError;
+    }
+
+    if (openRequest) {
+      return jsonResponse(
+        {
+          error: "A trial extension has already been requested",
+          requestId: openRequest.id,
+        },
+        409,
+      );
+    }
+
+    const requesterEmail = membership.email || user.email;
+
+    const { data: extensionRequest, error: insertError } = await supabaseClient
+      .from("trial_extension_requests")
+      .insert({
+        organization_id: organizationId,
+        user_id: user.id,
+        email: requesterEmail,
+        message: message || null,
+        trial_expires_at: org.trial_expires_at,
+        status: "pending",
+      })
+      .select("id, created_at")
+      .single();
+
+    if (insertError) {
+      console.error("Error creating trial extension request:", insertError);
+      throw insertError;
+    }
+
+    await recordAuditEvent(supabaseClient, {
+      organizationId,
+      action: AUDIT_ACTIONS.TRIAL_EXTENSION_REQUESTED,
+      actorId: user.id,
+      actorEmail: requesterEmail,
+      details: {
+        request_id: extensionRequest.id,
+        days_remaining: daysRemaining,
+        message: message || null,
+      },
+    });
+
+    // 4. Notify ops; the request stands even if email fails
+    let notified = 0;
+    try {
+      notified = await notifyOps({
+        requestId: extensionRequest.id,
+        organizationId,
+        organizationName: org.name,
+        trialExpiresAt: org.trial_expires_at,
+        requesterEmail,
+        message,
+      });
+    } catch (emailError) {
+      console.error("Failed to notify ops of trial extension request:", emailError);
+    }
+
+    console.log(
+      `Trial extension request ${extensionRequest.id} created for ${org.name} by ${requesterEmail} (${notified} ops admin(s) notified)`,
+    );
+
+    return jsonResponse({
+      success: true,
+      requestId: extensionRequest.id,
+      createdAt: extensionRequest.created_at,
+    });
+  } catch (error) {
+    console.error("Error in request-trial-extension function:", error);
+    return jsonResponse(
+      { error: error.message || "Internal server error" },
+      500,
+    );
+  }
+});
+
+/**
+ * Email the ops team about a trial extension request
+ * Returns the number of recipients
+ */
+async function notifyOps(params: {
+  requestId: string;
+  organizationId: string;
+  organizationName: string;
+  trialExpiresAt: string;
+  requesterEmail: string;
+  message: string;
+}): Promise<number> {
+  if (!RESEND_API_KEY) {
+    console.error("RESEND_API_KEY not configured");
+    return 0;
+  }
+
+  const recipients = getOpsAdminEmails();
+
+  if (recipients.length === 0) {
+    console.warn("OPS_ADMIN_EMAILS not configured - nobody to notify");
+    return 0;
+  }
+
+  const emailResponse = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${RESEND_API_KEY}`,
+    },
+    body: JSON.stringify({
+      from: "MepSketcher <noreply@mepsketcher.com>",
+      to: recipients,
+      subject: `Trial extension requested for ${params.organizationName}`,
+      html: generateTrialExtensionRequestEmailHTML(params),
+    }),
+  });
+
+  if (!emailResponse.ok) {
+    const errorText = await emailResponse.text();
+    throw new Error(`Resend API error: ${errorText}`);
+  }
+
+  return recipients.length;
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function generateTrialExtensionRequestEmailHTML(params: {
+  requestId: string;
+  organizationId: string;
+  organizationName: string;
+  trialExpiresAt: string;
+  requesterEmail: string;
+  message: string;
+}): string {
+  const expiry = new Date(params.trialExpiresAt).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Trial extension request for ${escapeHtml(params.organizationName)}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 40px 0;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="padding: 40px 40px 20px; text-align: center;">
+              <h1 style="margin: 0; color: #333333; font-size: 24px;">MepSketcher</h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 20px 40px;">
+              <h2 style="margin: 0 0 20px; color: #333333; font-size: 20px;">
+                Trial extension request
+              </h2>
+              <p style="margin: 0 0 15px; color: #666666; font-size: 16px; line-height: 1.5;">
+                <strong>${escapeHtml(params.requesterEmail)}</strong> asked to extend the trial of
+                <strong>${escapeHtml(params.organizationName)}</strong>, which ends on ${expiry}.
+              </p>
+              ${params.message ? `
+              <p style="margin: 0 0 15px; padding: 12px 16px; background-color: #f8f9fa; border-left: 3px solid #0066cc; color: #333333; font-size: 15px; line-height: 1.5;">
+                ${escapeHtml(params.message)}
+              </p>
+              ` : ""}
+              <p style="margin: 0 0 15px; color: #666666; font-size: 14px; line-height: 1.5;">
+                Organization ID: <code>${escapeHtml(params.organizationId)}</code><br>
+                Request ID: <code>${escapeHtml(params.requestId)}</code>
+              </p>
+              <p style="margin: 0; color: #666666; font-size: 14px; line-height: 1.5;">
+                Extend the trial with the <code>extend-trial</code> function (days and reason).
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 30px 40px; border-top: 1px solid #eeeeee; text-align: center;">
+              <p style="margin: 0; color: #999999; font-size: 12px;">
+                You receive this email because you are listed in OPS_ADMIN_EMAILS.
+              </p>
+              <p style="margin: 10px 0 0; color: #999999; font-size: 12px;">
+                © ${new Date().getFullYear()} MepSketcher. All rights reserved.
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `.trim();
+}
@@ -0,0 +1,167 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../_shared/audit.ts";
+import {
+  ExpiryPolicy,
+  InvalidExpiryPolicyError,
+  resolveExpiryPolicy,
+  validateExpiryPolicy,
+} from "../_shared/license-status.ts";
+import { isOpsAdmin } from "../_shared/ops.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+interface SetExpiryPolicyRequest {
+  organizationId: string;
+  policy: Partial<ExpiryPolicy> | null;
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Set Expiry Policy Edge Function
+ * Ops only (OPS_ADMIN_EMAILS): overrides an organization's expiry policy
+ * (grace_days, warning_days, retention_days). Keys left out keep the
+ * defaults; policy null removes the override.
+ */
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return jsonResponse({ error: "Missing authorization header" }, 401);
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    if (!isOpsAdmin(user)) {
+      return jsonResponse(
+        { error: "Only the MepSketcher team can change expiry policies" },
+        403,
+      );
+    }
+
+    // Parse request body
+    let body: SetExpiryPolicyRequest;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return jsonResponse({ error: "Invalid JSON in request body" }, 400);
+    }
+
+    const { organizationId } = body;
+
+    if (!organizationId || body.policy === undefined) {
+      return jsonResponse(
+        { error: "Missing required fields: organizationId, policy" },
+        400,
+      );
+    }
+
+    // 1. Keep only the known keys and check their ranges
+    let override: Partial<ExpiryPolicy> | null = null;
+
+    if (body.policy !== null) {
+      override = {};
+      for (const key of ["grace_days", "warning_days", "retention_days"]) {
+        if (body.policy[key as keyof ExpiryPolicy] !== undefined) {
+          (override as any)[key] = body.policy[key as keyof ExpiryPolicy];
+        }
+      }
+
+      try {
+        const validated = validateExpiryPolicy(override);
+        if (override.warning_days) {
+          override.warning_days = validated.warning_days;
+        }
+      } catch (error) {
+        if (error instanceof InvalidExpiryPolicyError) {
+          return jsonResponse({ error: error.message }, 400);
+        }
+        throw error;
+      }
+    }
+
+    // 2. Save it
+    const { data: org, error: orgError } = await supabaseClient
+      .from("organizations")
+      .select("id, name, expiry_policy")
+      .eq("id", organizationId)
+      .maybeSingle();
+
+    if (orgError) {
+      console.error("Error loading organization:", orgError);
+      throw orgError;
+    }
+
+    if (!org) {
+      return jsonResponse({ error: "Organization not found" }, 404);
+    }
+
+    const { error: updateError } = await supabaseClient
+      .from("organizations")
+      .update({ expiry_policy: override })
+      .eq("id", organizationId);
+
+    if (updateError) {
+      console.error("Error saving expiry policy:", updateError);
+      throw updateError;
+    }
+
+    const policy = resolveExpiryPolicy(override);
+
+    await recordAuditEvent(supabaseClient, {
+      organizationId,
+      action: AUDIT_ACTIONS.EXPIRY_POLICY_CHANGED,
+      actorId: user.id,
+      actorEmail: user.email,
+      details: {
+        from: org.expiry_policy,
+        to: override,
+      },
+    });
+
+    console.log(
+      `Expiry policy of ${org.name} (${organizationId}) set by ${user.email}:`,
+      policy,
+    );
+
+    return jsonResponse({ success: true, override, policy });
+  } catch (error) {
+    console.error("Error in set-expiry-policy function:", error);
+    return jsonResponse(
+      { error: error.message || "Internal server error" },
+      500,
+    );
+  }
+});
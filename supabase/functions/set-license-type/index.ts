@@ -0,0 +1,187 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  CAPABILITIES,
+  getOrganizationRole,
+  hasCapability,
+} from "../_shared/permissions.ts";
+import { syncUsedLicenses } from "../_shared/seats.ts";
+import {
+  countActiveLeases,
+  FLOATING_LICENSE_TYPE,
+  releaseAllLeases,
+} from "../_shared/leases.ts";
+
+/**
+ * Set License Type Edge Function
+ * Switches an organization's license between named seats ("standard") and
+ * floating ("floating"). The number of licenses and the subscription are
+ * unchanged; total_licenses caps assigned seats or concurrent leases.
+ *
+ * - To floating: seat assignments are kept but ignored until switching back
+ * - To standard: all leases are released and the lease queue is cleared
+ */
+
+const LICENSE_TYPES = ["standard", FLOATING_LICENSE_TYPE];
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+interface SetLicenseTypeRequest {
+  organizationId: string;
+  licenseType: string;
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return jsonResponse({ error: "Missing authorization header" }, 401);
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    // Parse request body
+    let body: SetLicenseTypeRequest;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return jsonResponse({ error: "Invalid JSON in request body" }, 400);
+    }
+
+    const { organizationId, licenseType } = body;
+
+    if (!organizationId || !licenseType) {
+      return jsonResponse(
+        { error: "Missing required fields: organizationId, licenseType" },
+        400,
+      );
+    }
+
+    if (!LICENSE_TYPES.includes(licenseType)) {
+      return jsonResponse(
+        { error: `Invalid license type: ${licenseType}` },
+        400,
+      );
+    }
+
+    const callerRole = await getOrganizationRole(
+      supabaseClient,
+      user.id,
+      organizationId,
+    );
+
+    if (!hasCapability(callerRole, CAPABILITIES.MANAGE_BILLING)) {
+      return jsonResponse(
+        { error: "You do not have permission to manage licenses" },
+        403,
+      );
+    }
+
+    const { data: license, error: licenseError } = await supabaseClient
+      .from("organization_licenses")
+      .select("id, license_type, total_licenses")
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (licenseError) {
+      console.error("Error loading license:", licenseError);
+      throw licenseError;
+    }
+
+    if (!license || !LICENSE_TYPES.includes(license.license_type || "standard")) {
+      return jsonResponse(
+        { error: "This license can't be switched. Purchase a license first." },
+        400,
+      );
+    }
+
+    const previousType = license.license_type || "standard";
+
+    if (previousType === licenseType) {
+      return jsonResponse(
+        { error: `The license is already ${licenseType}` },
+        400,
+      );
+    }
+
+    const leasesInUse = previousType === FLOATING_LICENSE_TYPE
+      ? await countActiveLeases(supabaseClient, organizationId)
+      : 0;
+
+    const { error: updateError } = await supabaseClient
+      .from("organization_licenses")
+      .update({
+        license_type: licenseType,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", license.id);
+
+    if (updateError) {
+      console.error("Error updating license type:", updateError);
+      throw updateError;
+    }
+
+    let assignedSeats: number | null = null;
+
+    if (previousType === FLOATING_LICENSE_TYPE) {
+      await releaseAllLeases(
+        supabaseClient,
+        organizationId,
+        "license_type_changed",
+      );
+      assignedSeats = await syncUsedLicenses(supabaseClient, organizationId);
+    }
+
+    console.log(
+      `License type of organization ${organizationId} changed from ${previousType} to ${licenseType}`,
+    );
+
+    return jsonResponse({
+      success: true,
+      from: previousType,
+      to: licenseType,
+      leasesReleased: leasesInUse,
+      assignedSeats,
+      totalLicenses: license.total_licenses,
+    });
+  } catch (error) {
+    console.error("Error in set-license-type function:", error);
+    return jsonResponse(
+      { error: error.message || "Internal server error" },
+      500,
+    );
+  }
+});
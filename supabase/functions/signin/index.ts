@@ -1,5 +1,6 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from "jsr:@supabase/supabase-js@2";
+import { DEFAULT_TRIAL_MAX_COLLEAGUES } from "../_shared/trials.ts";
 
 // CORS headers
 const corsHeaders = {
@@ -221,6 +222,7 @@ Deno.serve(async (req) => {
                     trial_expires_at: new Date(
                       Date.now() + 14 * 24 * 60 * 60 * 1000,
                     ).toISOString(),
+                    trial_max_colleagues: DEFAULT_TRIAL_MAX_COLLEAGUES,
                     is_personal_trial_org: true, // Mark for cleanup if user joins another org
                   })
                   .select()
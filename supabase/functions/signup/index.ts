@@ -1,5 +1,11 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  claimSeat,
+  SeatUnavailableError,
+  syncUsedLicenses,
+} from "../_shared/seats.ts";
+import { notifyInvitationAccepted } from "../_shared/notifications.ts";
 
 // CORS headers
 const corsHeaders = {
@@ -234,13 +240,13 @@ Deno.serve(async (req) => {
         console.log("Processing invitation acceptance");
 
         try {
-          // Accept invitation - update to active and assign license
+          // Accept invitation - update to active, seat is claimed below
           const { error: updateError } = await supabaseAdmin
             .from("organization_members")
             .update({
               user_id: userId,
               status: "active",
-              has_license: true, // Assign license to new member
+              has_license: false,
               accepted_at: new Date().toISOString(),
               invite_token_hash: null, // Clear token hash
               invite_token_sent_at: null,
@@ -255,26 +261,39 @@ Deno.serve(async (req) => {
             );
           }
 
-          console.log("Invitation accepted successfully and license assigned");
+          // Assign a seat if the inviter asked for one and a seat is still free
+          let seatAssigned = false;
+          if (pendingInvitation.assign_seat_on_accept !== false) {
+            try {
+              await claimSeat(
+                supabaseAdmin,
+                pendingInvitation.organization_id,
+                pendingInvitation.id,
+              );
+              seatAssigned = true;
+            } catch (seatError) {
+              if (!(seatError instanceof SeatUnavailableError)) {
+                throw seatError;
+              }
+              console.log("No free seat left - joining without a license");
+            }
+          }
 
-          // Increment used licenses
-          const { data: license } = await supabaseAdmin
-            .from("organization_licenses")
-            .select("used_licenses")
-            .eq("organization_id", pendingInvitation.organization_id)
-            .single();
+          // used_licenses follows the number of assigned seats
+          await syncUsedLicenses(
+            supabaseAdmin,
+            pendingInvitation.organization_id,
+          );
 
-          if (license) {
-            await supabaseAdmin
-              .from("organization_licenses")
-              .update({
-                used_licenses: license.used_licenses + 1,
-                updated_at: new Date().toISOString(),
-              })
-              .eq("organization_id", pendingInvitation.organization_id);
+          console.log(
+            `Invitation accepted successfully (license assigned: ${seatAssigned})`,
+          );
 
-            console.log("License count incremented");
-          }
+          await notifyInvitationAccepted(
+            supabaseAdmin,
+            pendingInvitation.organization_id,
+            { memberId: pendingInvitation.id, userId, email },
+          );
 
           // Get organization name for response message
           const { data: org } = await supabaseAdmin
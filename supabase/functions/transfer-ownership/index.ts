@@ -0,0 +1,278 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../_shared/audit.ts";
+import {
+  CAPABILITIES,
+  getOrganizationRole,
+  hasCapability,
+  ROLES,
+} from "../_shared/permissions.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+interface TransferOwnershipRequest {
+  organizationId: string;
+  newOwnerId: string;
+}
+
+/**
+ * Transfer organization ownership (organizations.owner_id) to another
+ * active member.
+ *
+ * - Only the current owner may transfer ownership
+ * - owner_id is swapped with a conditional update, so there is always
+ *   exactly one owner even if two transfers race
+ * - Both the new and the previous owner end up as 'admin' members, so the
+ *   organization never loses its last admin
+ */
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    // Create Supabase client
+    const supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Get the authorization header
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return new Response(
+        JSON.stringify({ error: "Missing authorization header" }),
+        {
+          status: 401,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    // Verify the user is authenticated
+    const token = authHeader.replace("Bearer ", "");
+    const {
+      data: { user },
+      error: userError,
+    } = await supabaseClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return new Response(JSON.stringify({ error: "Unauthorized" }), {
+        status: 401,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Parse request body
+    let body: TransferOwnershipRequest;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      return new Response(
+        JSON.stringify({ error: "Invalid JSON in request body" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    const { organizationId, newOwnerId } = body;
+
+    if (!organizationId || !newOwnerId) {
+      return new Response(
+        JSON.stringify({
+          error: "Missing required fields: organizationId, newOwnerId",
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    // Only the current owner can hand over ownership
+    const role = await getOrganizationRole(
+      supabaseClient,
+      user.id,
+      organizationId,
+    );
+
+    if (!hasCapability(role, CAPABILITIES.TRANSFER_OWNERSHIP)) {
+      return new Response(
+        JSON.stringify({
+          error: "Only the organization owner can transfer ownership",
+        }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    if (newOwnerId === user.id) {
+      return new Response(
+        JSON.stringify({ error: "You already own this organization" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    // The new owner must already be an active member
+    const { data: newOwnerMembership, error: newOwnerError } =
+      await supabaseClient
+        .from("organization_members")
+        .select("id, email")
+        .eq("organization_id", organizationId)
+        .eq("user_id", newOwnerId)
+        .eq("status", "active")
+        .maybeSingle();
+
+    if (newOwnerError) {
+      console.error("Error loading new owner membership:", newOwnerError);
+      throw newOwnerError;
+    }
+
+    if (!newOwnerMembership) {
+      return new Response(
+        JSON.stringify({
+          error: "The new owner must be an active member of the organization",
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    // Swap owner_id only if it still points at the caller
+    const { data: updatedOrgs, error: updateOrgError } = await supabaseClient
+      .from("organizations")
+      .update({
+        owner_id: newOwnerId,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", organizationId)
+      .eq("owner_id", user.id)
+      .select("id");
+
+    if (updateOrgError) {
+      console.error("Error updating organization owner:", updateOrgError);
+      throw updateOrgError;
+    }
+
+    if (!updatedOrgs || updatedOrgs.length === 0) {
+      return new Response(
+        JSON.stringify({
+          error: "Ownership was changed by someone else. Please reload.",
+        }),
+        {
+          status: 409,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    // New owner is stored as an admin member
+    const { error: promoteError } = await supabaseClient
+      .from("organization_members")
+      .update({ role: ROLES.ADMIN })
+      .eq("id", newOwnerMembership.id);
+
+    if (promoteError) {
+      console.error("Error promoting new owner:", promoteError);
+      throw promoteError;
+    }
+
+    // Previous owner stays on as an admin
+    const { data: previousOwnerMembership, error: previousOwnerError } =
+      await supabaseClient
+        .from("organization_members")
+        .select("id")
+        .eq("organization_id", organizationId)
+        .eq("user_id", user.id)
+        .maybeSingle();
+
+    if (previousOwnerError) {
+      console.error(
+        "Error loading previous owner membership:",
+        previousOwnerError,
+      );
+      throw previousOwnerError;
+    }
+
+    if (previousOwnerMembership) {
+      const { error: demoteError } = await supabaseClient
+        .from("organization_members")
+        .update({ role: ROLES.ADMIN, status: "active" })
+        .eq("id", previousOwnerMembership.id);
+
+      if (demoteError) {
+        console.error("Error updating previous owner role:", demoteError);
+        throw demoteError;
+      }
+    } else {
+      const { error: insertError } = await supabaseClient
+        .from("organization_members")
+        .insert({
+          organization_id: organizationId,
+          user_id: user.id,
+          email: user.email,
+          role: ROLES.ADMIN,
+          status: "active",
+          has_license: false,
+          accepted_at: new Date().toISOString(),
+        });
+
+      if (insertError) {
+        console.error("Error adding previous owner as admin:", insertError);
+        throw insertError;
+      }
+    }
+
+    console.log(
+      `Ownership of organization ${organizationId} transferred from ${user.id} to ${newOwnerId}`,
+    );
+
+    await recordAuditEvent(supabaseClient, {
+      organizationId,
+      action: AUDIT_ACTIONS.OWNERSHIP_TRANSFERRED,
+      actorId: user.id,
+      actorEmail: user.email,
+      targetUserId: newOwnerId,
+      targetEmail: newOwnerMembership.email,
+    });
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        message: `Ownership transferred to ${newOwnerMembership.email}`,
+        organizationId,
+        newOwnerId,
+        newOwnerEmail: newOwnerMembership.email,
+        previousOwnerId: user.id,
+      }),
+      {
+        status: 200,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      },
+    );
+  } catch (error) {
+    console.error("Error in transfer-ownership function:", error);
+    return new Response(
+      JSON.stringify({ error: error.message || "Internal server error" }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      },
+    );
+  }
+});
@@ -94,16 +94,19 @@ serve(async (req) => {
       );
     }
 
-    // Check if expired
+    // Check if expired (a missing expiry date is treated as expired)
     const expiresAt = new Date(invitation.invitation_expires_at);
-    if (expiresAt < new Date()) {
+    if (!invitation.invitation_expires_at || expiresAt < new Date()) {
       return new Response(
         JSON.stringify({
           error:
             "This invitation has expired. Please contact the organization administrator for a new invitation.",
+          status: "expired",
+          expiresAt: invitation.invitation_expires_at,
+          organizationName: invitation.organizations.name,
         }),
         {
-          status: 400,
+          status: 410,
           headers: { ...corsHeaders, "Content-Type": "application/json" },
         },
       );